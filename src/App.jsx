@@ -1,8 +1,10 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, collection, query, onSnapshot, orderBy, where, addDoc } from 'firebase/firestore';
-import { Calendar, AlertCircle, Send, CheckSquare, List, Plus, LogIn, User, BookOpen, Key, Smartphone } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, createContext, useContext } from 'react';
+import { Routes, Route, Navigate, Link, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator, signInWithCustomToken, signInWithEmailAndPassword, createUserWithEmailAndPassword, sendPasswordResetEmail, updatePassword, signOut, onAuthStateChanged } from 'firebase/auth';
+import { getFirestore, initializeFirestore, connectFirestoreEmulator, persistentLocalCache, persistentMultipleTabManager, doc, getDoc, getDocs, collection, query, onSnapshot, orderBy, where, writeBatch, runTransaction } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator, ref as storageRef, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { Calendar, AlertCircle, Send, CheckSquare, List, Plus, LogIn, User, Users, BookOpen, Key, Smartphone, Mail, Lock, Upload, Edit2, Archive, RotateCcw, UserPlus, UserMinus, Trash2, XCircle, Clock, Download, Eye, Trophy, Cloud, CloudOff, RefreshCw, Languages, MapPin, Bold, Link as LinkIcon, Paperclip, FileText, X, Bell, Settings, UserX, UserCheck, Building2, Award } from 'lucide-react';
 
 // --- Global Setup & Constants ---
 
@@ -10,896 +12,8260 @@ import { Calendar, AlertCircle, Send, CheckSquare, List, Plus, LogIn, User, Book
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'schoollink-app';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Data backend: 'firebase', 'local' (kept in this browser) or 'memory' (nothing saved, for automated tests).
+// Without a Firebase project configured the app runs on the local backend with demo accounts.
+const DATA_BACKEND = typeof __data_backend !== 'undefined' ? __data_backend : (firebaseConfig.projectId ? 'firebase' : 'local');
+// Connect the firebase backend to the local emulators started with `npm run emulators` (ports as in firebase.json)
+const emulatorsEnabled = typeof __use_emulators !== 'undefined' ? Boolean(__use_emulators) : false;
+// School shown before anyone has signed in on this device (a campus deployment can set its own)
+const DEFAULT_SCHOOL_ID = typeof __school_id !== 'undefined' ? __school_id : 'main';
 
 // LOGO IMAGE URL
-// Updated to use the correct content ID for the latest logo file
+// Updated to use the correct content ID for the latest logo file. Shown until an admin uploads the school's own.
 const LOGO_URL = "uploaded:image_2ad385.jpg-477a7596-3792-442a-895c-8b6d0076a217";
 
-// Mock Credentials for Login
-const MOCK_CREDENTIALS = {
-    Teacher: { username: 'teacher', password: 'pass' },
-    Student: { username: 'student', password: 'pass' },
-};
+// Firebase Auth rejects passwords shorter than this
+const MIN_PASSWORD_LENGTH = 6;
 
-// The UI theme colors based on your screenshots (Purple and Pink)
+// The UI theme colors. The shades come from the school settings at runtime through CSS variables
+// (see getThemeStyle); the defaults are the original purple and pink.
 const COLORS = {
-  primary: 'bg-indigo-700 hover:bg-indigo-800',
-  primaryText: 'text-indigo-700',
-  secondary: 'bg-rose-500 hover:bg-rose-600',
-  secondaryText: 'text-rose-500',
+  primary: 'bg-[color:var(--color-primary)] hover:bg-[color:var(--color-primary-dark)]',
+  primaryText: 'text-[color:var(--color-primary)]',
+  secondary: 'bg-[color:var(--color-secondary)] hover:bg-[color:var(--color-secondary-dark)]',
+  secondaryText: 'text-[color:var(--color-secondary)]',
   cardBg: 'bg-white',
   purpleBg: 'bg-indigo-100', // Light background for the role cards
 };
 
-// Mock event data for initial view and type reference
+// Mock event data for initial view and type reference (an admin can hide it in the school settings)
 const MOCK_EVENTS = [
-    { id: '1', title: 'Sports Day', date: '2025-10-15', description: 'Annual sports meet with various competitions like relay, sprints, and long jump.', category: 'Sports' },
-    { id: '2', title: 'Essay Writing Competition', date: '2025-11-05', description: 'A creative writing competition for all grades. Topic: The Future of AI.', category: 'Academic' },
-    { id: '3', title: 'Model United Nations (MUN)', date: '2025-11-20', description: 'Simulating UN procedures, focused on debate and diplomacy.', category: 'Club' },
-    { id: '4', 'title': 'Photography Contest', date: '2025-12-01', description: 'Capture moments around the campus. Theme: Everyday Heroes.', category: 'Art' },
-    { id: '5', 'title': 'Talent Hunt', date: '2025-12-15', description: 'Showcase your skills in singing, dancing, or stand-up comedy.', category: 'Culture' },
+    { id: '1', title: 'Sports Day', date: '2025-10-15', endDate: '2025-10-16', venue: 'Sports Ground', description: 'Annual sports meet with various competitions like relay, sprints, and long jump.', category: 'Sports', scoringScheme: 'time' },
+    { id: '2', title: 'Essay Writing Competition', date: '2025-11-05', description: 'A creative writing competition for all grades. Topic: The Future of AI.', category: 'Academic', scoringScheme: 'placing' },
+    { id: '3', title: 'Model United Nations (MUN)', date: '2025-11-20', endDate: '2025-11-22', allDay: false, startTime: '09:00', endTime: '15:30', venue: 'Main Hall', description: 'Simulating UN procedures, focused on debate and diplomacy.', category: 'Club', scoringScheme: 'placing' },
+    { id: '4', 'title': 'Photography Contest', date: '2025-12-01', description: 'Capture moments around the campus. Theme: Everyday Heroes.', category: 'Art', scoringScheme: 'placing' },
+    { id: '5', 'title': 'Talent Hunt', date: '2025-12-15', description: 'Showcase your skills in singing, dancing, or stand-up comedy.', category: 'Culture', scoringScheme: 'points' },
 ];
 
+// Built-in event categories; these have translations. Schools edit their own list in the settings.
 const EventCategories = ['Sports', 'Academic', 'Club', 'Art', 'Culture', 'Other'];
 
-// Utility function for creating a Firestore path
-const getPublicCollectionRef = (db, collectionName) => {
-    return collection(db, 'artifacts', appId, 'public', 'data', collectionName);
+// School-wide settings (settings/school), used until an admin saves their own
+const DEFAULT_SCHOOL_SETTINGS = {
+    schoolName: 'SchoolLink',
+    motto: 'Stay linked, stay informed',
+    logoUrl: LOGO_URL,
+    logoPath: null, // Storage path of an uploaded logo
+    primaryColor: '#4338ca', // indigo-700
+    secondaryColor: '#f43f5e', // rose-500
+    categories: EventCategories,
+    showSampleEvents: true,
 };
 
-// Utility function for exponential backoff (retry logic for API calls)
-const withRetry = async (fn, maxRetries = 3) => {
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            return await fn();
-        } catch (error) {
-            if (i === maxRetries - 1) throw error;
-            const delay = Math.pow(2, i) * 1000;
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
+// How an event's results are scored and ranked (labels: 'scoring.<id>', result input hints: 'scoring.<id>.placeholder')
+const SCORING_SCHEMES = ['time', 'points', 'placing', 'passfail'];
+
+const DEFAULT_SCORING_SCHEME = 'points';
+
+// Result statuses: only finishers (OK) are ranked; DNF/DNS are listed after them (descriptions: 'result.status.<id>')
+const RESULT_STATUSES = ['OK', 'DNF', 'DNS'];
+
+// Colour coding for event categories in the calendar (chip background/text and a solid dot)
+const CATEGORY_COLORS = {
+    Sports: { chip: 'bg-green-100 text-green-800 border-green-300', dot: 'bg-green-500' },
+    Academic: { chip: 'bg-blue-100 text-blue-800 border-blue-300', dot: 'bg-blue-500' },
+    Club: { chip: 'bg-purple-100 text-purple-800 border-purple-300', dot: 'bg-purple-500' },
+    Art: { chip: 'bg-pink-100 text-pink-800 border-pink-300', dot: 'bg-pink-500' },
+    Culture: { chip: 'bg-amber-100 text-amber-800 border-amber-300', dot: 'bg-amber-500' },
+    Other: { chip: 'bg-gray-100 text-gray-800 border-gray-300', dot: 'bg-gray-500' },
 };
 
-// --- Custom Components ---
+const getCategoryColors = (category) => CATEGORY_COLORS[category] || CATEGORY_COLORS.Other;
 
-const LogoDisplay = ({ size = 'medium' }) => {
-    const sizeClass = size === 'large' ? 'w-24 h-24 mb-6' : 'w-10 h-10';
-    const textClass = size === 'large' ? 'text-3xl mb-1' : 'text-xl';
-    const mottoClass = size === 'large' ? 'text-base text-gray-600' : 'hidden';
+// Built-in categories are translated; ones added by the school are shown as entered
+const getCategoryLabel = (t, category) => (EventCategories.includes(category) ? t(`category.${category}`) : category);
 
-    // Using the uploaded image URL as the logo
-    return (
-        <div className="flex flex-col items-center">
-             <img 
-                src={LOGO_URL} 
-                alt="SchoolLink Logo" 
-                className={`${sizeClass} rounded-full object-cover shadow-lg`} 
-                onError={(e) => { e.target.onerror = null; e.target.src="https://placehold.co/100x100/A78BFA/ffffff?text=SL" }}
-            />
-            {size === 'large' && (
-                <>
-                    <h1 className={`font-extrabold text-indigo-700 ${textClass}`}>SchoolLink</h1>
-                    <p className={mottoClass}>Stay linked, stay informed</p>
-                </>
-            )}
-        </div>
-    );
+// Calendar display modes, selected with the ?view= search parameter (labels: 'calendar.view.<id>')
+const CALENDAR_VIEWS = ['month', 'week', 'day', 'agenda'];
+
+// Attendance statuses with their register button and heat-map colours
+// (labels: 'attendance.status.<id>', button letters: 'attendance.short.<id>')
+const ATTENDANCE_STATUSES = {
+    present: { className: 'bg-green-500 text-white', cellClass: 'bg-green-200 text-green-800' },
+    absent: { className: 'bg-red-500 text-white', cellClass: 'bg-red-300 text-red-900' },
+    late: { className: 'bg-amber-500 text-white', cellClass: 'bg-amber-200 text-amber-800' },
+    excused: { className: 'bg-sky-500 text-white', cellClass: 'bg-sky-200 text-sky-800' },
 };
 
+// --- Internationalisation ---
+// UI strings come from TRANSLATIONS via t('key', { param }); a key missing from a language falls back to English.
+// Dates and numbers are formatted with Intl for the selected language's locale.
 
-const Button = ({ children, onClick, color = 'primary', className = '', Icon, disabled = false, type = 'button' }) => {
-    const colorClass = color === 'primary' ? COLORS.primary : COLORS.secondary;
-    const disabledClass = disabled ? 'opacity-50 cursor-not-allowed' : '';
-    return (
-        <button
-            type={type}
-            onClick={onClick}
-            disabled={disabled}
-            className={`flex items-center justify-center space-x-2 py-3 px-6 rounded-lg text-white font-semibold transition duration-200 shadow-md ${colorClass} ${className} ${disabledClass}`}
-        >
-            {Icon && <Icon size={20} />}
-            <span>{children}</span>
-        </button>
-    );
+const LANGUAGES = {
+    en: { label: 'English', locale: 'en-GB', dir: 'ltr', weekStart: 1 },
+    ar: { label: 'العربية', locale: 'ar', dir: 'rtl', weekStart: 6 },
 };
 
-const Card = ({ children, title, Icon, className = '', titleColor = COLORS.primaryText }) => (
-    <div className={`bg-white p-6 rounded-xl shadow-2xl w-full max-w-lg mx-auto ${className}`}>
-        {title && (
-            <h2 className={`text-2xl font-bold mb-6 flex items-center space-x-3 ${titleColor}`}>
-                {Icon && <Icon size={24} />}
-                <span>{title}</span>
-            </h2>
-        )}
-        {children}
-    </div>
-);
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_STORAGE_KEY = 'schoollink-language';
+const WEEK_START_STORAGE_KEY = 'schoollink-week-start';
 
-// --- New View Components for Login (Updated with Logo) ---
+// First day of the week options for the calendar (0 = Sunday, as in Date.getDay())
+const WEEK_START_DAYS = [0, 1, 6];
 
-const InitialRoleChoiceView = ({ onSelectRole }) => (
-    <div className="flex flex-col items-center justify-center min-h-screen p-4 w-full" style={{ backgroundColor: '#f0f2f5' }}>
-        <LogoDisplay size="large" />
-        
-        <div className="w-full max-w-xs bg-white rounded-xl shadow-2xl p-6 mt-6">
-            <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">Choose your...</h2>
-            <div className="space-y-6">
-                <button 
-                    onClick={() => onSelectRole('Student')} 
-                    className={`w-full p-4 rounded-xl text-white font-bold text-lg shadow-lg transition duration-200 flex flex-col items-center ${COLORS.primary} hover:shadow-xl`}
-                >
-                    <Smartphone size={32} className="mb-2" />
-                    Student
-                </button>
-                <button 
-                    onClick={() => onSelectRole('Teacher')} 
-                    className={`w-full p-4 rounded-xl text-white font-bold text-lg shadow-lg transition duration-200 flex flex-col items-center ${COLORS.secondary} hover:shadow-xl`}
-                >
-                    <BookOpen size={32} className="mb-2" />
-                    Teacher
-                </button>
-            </div>
-        </div>
+const TRANSLATIONS = {
+    en: {
+        'common.backToDashboard': 'Back to Dashboard',
+        'common.logout': 'Log Out',
+        'common.language': 'Language',
+        'role.choose': 'Choose your...',
+        'role.Student': 'Student',
+        'role.Teacher': 'Teacher',
+        'role.Parent': 'Parent',
+        'role.Admin': 'Administrator',
+        'role.adminLink': 'School administrator? Sign in here',
+        'login.title': '{role} Login',
+        'login.welcome.Student': 'Welcome, dear Student!',
+        'login.welcome.Teacher': 'Welcome, dear Teacher!',
+        'login.welcome.Parent': 'Welcome, dear Parent!',
+        'login.welcome.Admin': 'Welcome, Administrator!',
+        'login.email': 'Email',
+        'login.emailPlaceholder': 'Enter school email',
+        'login.password': 'Password',
+        'login.passwordPlaceholder': 'Enter password',
+        'login.submit': 'Login',
+        'login.submitting': 'Logging In...',
+        'login.back': 'Back to Role Selection',
+        'login.forgot': 'Forgot password?',
+        'login.demo': 'Demo mode: data is kept in this browser only. Sign in as {email} with password {password}.',
+        'header.user': 'User: {name} ({role})',
+        'header.school': 'School',
+        'header.switchFailed': 'Could not switch schools.',
+        'dashboard.Teacher': 'Teacher Dashboard',
+        'dashboard.Student': 'Student Dashboard',
+        'dashboard.Parent': 'Parent Dashboard',
+        'dashboard.Admin': 'Administrator Console',
+        'dashboard.settings': 'School Settings',
+        'dashboard.accounts': 'Accounts',
+        'dashboard.children': 'Your Children',
+        'dashboard.noChildren': 'No student records are linked to your account yet. Please ask the school office to add your email to your child\'s record.',
+        'dashboard.registrations': 'Event registrations',
+        'dashboard.noRegistrations': 'Not registered for any events.',
+        'dashboard.results': 'Results',
+        'dashboard.noResults': 'No published results yet.',
+        'consent.required': 'Parental consent required',
+        'consent.given': 'Consent given',
+        'consent.declined': 'Consent declined',
+        'consent.pending': 'Waiting for consent',
+        'consent.summary': 'Parental consent required: {given} given, {pending} waiting, {declined} declined',
+        'consent.give': 'Give consent',
+        'consent.decline': 'Decline',
+        'dashboard.calendar': 'Event Calendar',
+        'dashboard.addEvent': 'Add New Event',
+        'dashboard.sendNotice': 'Send Notice',
+        'dashboard.publishScores': 'Publish Scores',
+        'dashboard.roster': 'Student Roster',
+        'dashboard.attendance': 'Attendance',
+        'dashboard.leaderboard': 'Leaderboard',
+        'dashboard.viewNotices': 'View Notices',
+        'dashboard.viewResults': 'View Results',
+        'dashboard.profile': 'Attendance/Profile',
+        'calendar.title': 'Event Calendar',
+        'calendar.view.month': 'Month',
+        'calendar.view.week': 'Week',
+        'calendar.view.day': 'Day',
+        'calendar.view.agenda': 'Agenda',
+        'calendar.more': '+{count} more',
+        'calendar.noEventsDay': 'No events on this day.',
+        'calendar.noEventsAgenda': 'No events from this month onwards.',
+        'calendar.weekStart': 'Week starts on',
+        'calendar.export': 'Export to calendar:',
+        'calendar.allCategories': 'All categories',
+        'calendar.allDates': 'All dates',
+        'calendar.details': 'Go to Event Details',
+        'calendar.addEvent': 'Add New Event',
+        'events.title': 'Events',
+        'events.notFound': 'Event not found.',
+        'events.none': 'No events currently scheduled.',
+        'events.cancelled': 'Cancelled',
+        'events.cancelledReason': 'Cancelled: {reason}',
+        'events.category': 'Category:',
+        'events.capacity': 'Capacity:',
+        'events.exportOne': 'Export to calendar (.ics)',
+        'events.edit': 'Edit event',
+        'events.showAll': 'Show All Events',
+        'events.search': 'Search titles and descriptions',
+        'events.when.upcoming': 'Upcoming',
+        'events.when.past': 'Past',
+        'events.when.range': 'Date range',
+        'events.when.all': 'All dates',
+        'events.from': 'From',
+        'events.to': 'To',
+        'events.count': '{count} event(s)',
+        'events.month': 'Month: {month}',
+        'events.removeMonth': 'Show every month',
+        'events.clearFilters': 'Clear filters',
+        'events.noMatch': 'No events match these filters.',
+        'events.repeats': 'Repeats:',
+        'events.allDay': 'All day',
+        'events.forClasses': 'For {classes}',
+        'recurrence.daily': 'Every {interval} day(s)',
+        'recurrence.weekly': 'Every {interval} week(s) on {days}',
+        'recurrence.monthlyDate': 'Every {interval} month(s) on day {day}',
+        'recurrence.monthlyWeekday': 'Every {interval} month(s) on the {nth} {weekday}',
+        'recurrence.nth.1': 'first',
+        'recurrence.nth.2': 'second',
+        'recurrence.nth.3': 'third',
+        'recurrence.nth.4': 'fourth',
+        'recurrence.nth.-1': 'last',
+        'recurrence.until': 'until {date}',
+        'recurrence.count': '{count} times',
+        'category.Sports': 'Sports',
+        'category.Academic': 'Academic',
+        'category.Art': 'Art',
+        'category.Culture': 'Culture',
+        'category.Club': 'Club',
+        'category.Other': 'Other',
+        'notifications.title': 'Notifications',
+        'notifications.empty': 'Nothing new in the last 30 days.',
+        'notifications.markAllRead': 'Mark all as read',
+        'notifications.markRead': 'Mark as read',
+        'notifications.notice': 'New notice: {title}',
+        'notifications.score': 'Results published: {title}',
+        'notifications.eventCreated': 'New event: {title}',
+        'notifications.eventUpdated': 'Event updated: {title}',
+        'notifications.eventCancelled': 'Event cancelled: {title}',
+        'common.saving': 'Saving...',
+        'auth.invalidEmail': 'Please enter a valid email address.',
+        'auth.invalidCredential': 'Invalid email or password. Please try again.',
+        'auth.tooManyRequests': 'Too many attempts. Please wait a moment and try again.',
+        'auth.emailInUse': 'An account with this email already exists.',
+        'auth.weakPassword': 'Password must be at least {min} characters.',
+        'auth.recentLogin': 'For security, please log in again before changing your password.',
+        'auth.network': 'Network error. Please check your connection.',
+        'auth.unknown': 'Something went wrong. Please try again.',
+        'login.missing': 'Please enter your email and password.',
+        'login.noProfile': 'Your account has not been set up yet. Please contact the school office.',
+        'login.disabled': 'This account has been deactivated. Please contact the school office.',
+        'reset.title': 'Reset Password',
+        'reset.intro': 'Enter the email address for your account and we will send you a link to choose a new password.',
+        'reset.missing': 'Please enter your email address.',
+        'reset.sent': 'Password reset email sent! Check your inbox.',
+        'reset.sending': 'Sending...',
+        'reset.submit': 'Send Reset Link',
+        'reset.back': 'Back to Login',
+        'password.title': 'Choose a New Password',
+        'password.intro': 'This is your first login. Please replace the temporary password you were given before continuing.',
+        'password.new': 'New Password',
+        'password.confirm': 'Confirm Password',
+        'password.mismatch': 'Passwords do not match.',
+        'password.submit': 'Save Password',
+        'common.cancel': 'Cancel',
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'common.saveChanges': 'Save Changes',
+        'common.yesDelete': 'Yes, Delete',
+        'scoring.time': 'Lowest time wins',
+        'scoring.points': 'Highest points wins',
+        'scoring.placing': 'Judged placing',
+        'scoring.passfail': 'Pass / fail',
+        'scoring.time.placeholder': 'e.g., 1:02.35 or 9.58',
+        'scoring.points.placeholder': 'e.g., 87.5',
+        'scoring.placing.placeholder': 'e.g., 1',
+        'scoring.passfail.placeholder': 'pass or fail',
+        'eventAudience.everyone': 'Whole school',
+        'eventAudience.classes': 'Specific classes/sections',
+        'noticeAudience.everyone': 'Everyone',
+        'noticeAudience.students': 'All students',
+        'noticeAudience.parents': 'Parents/guardians',
+        'noticeAudience.teachers': 'Teachers only',
+        'noticeAudience.classes': 'Specific classes/sections',
+        'audience.wholeClass': '{class} (all sections)',
+        'audience.noClasses': 'No classes on the roster yet.',
+        'audience.class': 'Class {class}',
+        'recurrenceForm.repeats': 'Repeats',
+        'recurrenceForm.none': 'Does not repeat',
+        'recurrenceForm.freq.daily': 'Daily',
+        'recurrenceForm.freq.weekly': 'Weekly',
+        'recurrenceForm.freq.monthly': 'Monthly',
+        'recurrenceForm.every': 'Every',
+        'recurrenceForm.unit.daily': 'day(s)',
+        'recurrenceForm.unit.weekly': 'week(s)',
+        'recurrenceForm.unit.monthly': 'month(s)',
+        'recurrenceForm.onDay': 'On day {day} of the month',
+        'recurrenceForm.onWeekday': 'On the {nth} {weekday} of the month',
+        'recurrenceForm.weekday': 'weekday',
+        'recurrenceForm.ends': 'Ends',
+        'recurrenceForm.after': 'After',
+        'recurrenceForm.occurrences': 'occurrences',
+        'recurrenceForm.on': 'On',
+        'recurrenceForm.error.interval': 'Repeat interval must be a whole number from 1 to 99.',
+        'recurrenceForm.error.until': 'Please choose an end date on or after the first event date.',
+        'recurrenceForm.error.count': 'Number of occurrences must be from 1 to {max}.',
+        'eventForm.title': 'Event Title',
+        'eventForm.titlePlaceholder': 'e.g., Annual Day 2025',
+        'eventForm.firstDate': 'First Date',
+        'eventForm.startDate': 'Start Date',
+        'eventForm.endDate': 'End Date',
+        'eventForm.allDay': 'All-day event',
+        'eventForm.startTime': 'Starts At',
+        'eventForm.endTime': 'Ends At',
+        'eventForm.venue': 'Venue (optional)',
+        'eventForm.venuePlaceholder': 'e.g., Main Hall',
+        'eventForm.audience': 'For',
+        'eventForm.category': 'Category',
+        'eventForm.scoring': 'Scoring',
+        'eventForm.capacity': 'Capacity (optional)',
+        'eventForm.capacityPlaceholder': 'Leave empty for unlimited places',
+        'eventForm.consent': 'Requires parental consent (e.g. trips and off-site events)',
+        'eventForm.description': 'Description',
+        'eventForm.descriptionPlaceholder': 'Detailed description of the event...',
+        'eventForm.error.missing': 'Please fill in all fields.',
+        'eventForm.error.capacity': 'Capacity must be a positive whole number, or left empty for no limit.',
+        'eventForm.error.endDate': 'The end date cannot be before the start date.',
+        'eventForm.error.times': 'Please give a start and end time, or mark the event as all-day.',
+        'eventForm.error.endTime': 'The end time must be after the start time.',
+        'eventForm.error.classes': 'Please choose at least one class or section for the event.',
+        'clash.title': 'This event overlaps {count} other event(s):',
+        'clash.venue': 'Same venue ({venue})',
+        'clash.audience': 'Same audience ({audience})',
+        'sync.item.event': 'Event: {title}',
+        'addEvent.added.event': 'Event added!',
+        'addEvent.added.series': 'Event series added!',
+        'addEvent.queued.event': 'Event saved on this device. It will be published when the connection returns.',
+        'addEvent.queued.series': 'Event series saved on this device. It will be published when the connection returns.',
+        'addEvent.failed': 'Failed to add event. Please try again.',
+        'addEvent.adding': 'Adding...',
+        'addEvent.publishAnyway': 'Publish Despite Clashes',
+        'addEvent.publish': 'Publish Event',
+        'addEvent.import': 'Import from Calendar File (.ics)',
+        'import.title': 'Import Events (.ics)',
+        'import.intro': 'Choose an iCalendar file exported from another calendar app. You can review the events before they are published.',
+        'import.empty': 'No events were found in this file.',
+        'import.unreadable': 'This file could not be read. Please choose an iCalendar (.ics) file.',
+        'import.done': '{count} event(s) imported!',
+        'import.stopped': 'Import stopped after {count} event(s). Please try again.',
+        'import.found': '{count} event(s) found in {file}',
+        'import.untitled': '(untitled)',
+        'import.noDate': 'No date',
+        'import.rowError': 'Cannot import: {error}',
+        'import.duplicate': 'Possible duplicate of "{title}" on {date}',
+        'import.cancelled': 'Marked as cancelled in the file',
+        'import.importing': 'Importing...',
+        'import.submit': 'Import {count} Event(s)',
+        'import.back': 'Back to Add Event',
+        'history.title': 'Change History',
+        'history.empty': 'No changes recorded.',
+        'history.none': '(none)',
+        'history.rule': '{freq}, every {interval}, {end}',
+        'history.entry': '{action} by {name}',
+        'history.entryOccurrence': '{action} ({date} only) by {name}',
+        'history.action.created': 'Created',
+        'history.action.updated': 'Edited',
+        'history.action.cancelled': 'Cancelled',
+        'history.action.reinstated': 'Reinstated',
+        'history.action.deleted': 'Deleted',
+        'history.field.title': 'Title',
+        'history.field.date': 'Date',
+        'history.field.endDate': 'End date',
+        'history.field.allDay': 'All day',
+        'history.field.startTime': 'Start time',
+        'history.field.endTime': 'End time',
+        'history.field.venue': 'Venue',
+        'history.field.audienceTargets': 'Classes',
+        'history.field.category': 'Category',
+        'history.field.capacity': 'Capacity',
+        'history.field.scoringScheme': 'Scoring',
+        'history.field.requiresConsent': 'Parental consent',
+        'history.field.description': 'Description',
+        'history.field.status': 'Status',
+        'history.field.cancelReason': 'Cancellation reason',
+        'history.field.recurrence': 'Repeats',
+        'editEvent.sample': 'Sample events cannot be edited.',
+        'editEvent.backToEvents': 'Back to Events',
+        'editEvent.backToEvent': 'Back to Event',
+        'editEvent.noun.occurrence': 'Occurrence',
+        'editEvent.noun.series': 'Series',
+        'editEvent.noun.event': 'Event',
+        'editEvent.noChanges': 'No changes to save.',
+        'editEvent.failed': 'Failed to update event. Please try again.',
+        'editEvent.deleteFailed': 'Failed to delete event. Please try again.',
+        'editEvent.updated': '{noun} updated!',
+        'editEvent.cancelled': '{noun} cancelled.',
+        'editEvent.reinstated': '{noun} reinstated.',
+        'editEvent.reasonMissing': 'Please give a reason for the cancellation.',
+        'editEvent.scope': 'This event repeats. Apply changes to:',
+        'editEvent.scopeOccurrence': 'Only {date}',
+        'editEvent.scopeSeries': 'Entire series',
+        'editEvent.scopeSeriesHint': 'Occurrences changed on their own keep those changes, as long as their date is still part of the series.',
+        'editEvent.cancelledHeading': '{noun} Cancelled',
+        'editEvent.cancel': 'Cancel {noun}',
+        'editEvent.reason': 'Reason: {reason}',
+        'editEvent.reinstate': 'Reinstate {noun}',
+        'editEvent.cancelHint': 'Students will still see the event, struck through, with your reason.',
+        'editEvent.cancelHintOccurrence': 'Students will still see the occurrence, struck through, with your reason.',
+        'editEvent.reasonPlaceholder': 'Reason, e.g. postponed due to rain',
+        'editEvent.delete': 'Delete {noun}',
+        'editEvent.deleteConfirm': 'This permanently removes it. Its change history is kept. Are you sure?',
+        'editEvent.deleteOccurrenceConfirm': 'This removes the occurrence from the series. Its change history is kept. Are you sure?',
+        'editEvent.keep': 'Keep {noun}',
+        'common.close': 'Close',
+        'files.unsupported': '"{name}" is not a supported file type ({types}).',
+        'files.tooLarge': '"{name}" is larger than {size}.',
+        'files.file': 'File',
+        'files.download': 'Download',
+        'files.remove': 'Remove attachment',
+        'sync.item.notice': 'Notice',
+        'notices.title': 'Notices',
+        'notices.receipts': 'Read Receipts',
+        'notices.openedOf': 'Opened by {opened} of {total} recipient(s)',
+        'notices.notOpened': 'Not yet opened ({count})',
+        'notices.opened': 'Opened ({count})',
+        'notices.receiptsHint': 'Students and parents only count as recipients once their login emails are on the roster.',
+        'notices.format.bold': 'Bold',
+        'notices.format.list': 'Bulleted list',
+        'notices.format.link': 'Link',
+        'notices.format.boldText': 'bold text',
+        'notices.format.linkText': 'link text',
+        'notices.format.listItem': 'List item',
+        'notices.format.hint': '**bold**, - list, [text](https://...)',
+        'notices.attach': 'Attach files',
+        'notices.tooManyFiles': 'A notice can have at most {max} attachments.',
+        'notices.empty': 'Notice cannot be empty.',
+        'notices.offlineFiles': 'Attachments can only be uploaded while online. Remove them or try again when the connection returns.',
+        'notices.noClasses': 'Please choose at least one class or section.',
+        'notices.sent': 'Notice sent!',
+        'notices.queued': 'Notice saved on this device. It will be sent when the connection returns.',
+        'notices.failed': 'Failed to send notice. Please try again.',
+        'notices.new': 'Send New Notice',
+        'notices.placeholder': 'Type your announcement here...',
+        'notices.preview': 'Preview',
+        'notices.attachmentLimits': 'Attachments: up to {max} files ({types}), {size} each.',
+        'notices.sendTo': 'Send to',
+        'notices.uploading': 'Uploading...',
+        'notices.recent': 'Recent Announcements',
+        'notices.none': 'No recent notices.',
+        'notices.postedBy': 'Posted by: {name}',
+        'notices.to': 'To: {audience}',
+        'notices.openedCount': 'Opened by {opened}/{total}',
+        'sync.offline': 'Offline',
+        'sync.waiting': '{count} change(s) waiting to sync',
+        'sync.synced': 'All changes synced',
+        'sync.empty': 'Nothing is waiting to be sent.',
+        'sync.failed': 'Failed',
+        'sync.pending': 'Pending',
+        'sync.saved': 'Saved {date}',
+        'sync.confirmDiscard': 'Discard this unsent change?',
+        'sync.discard': 'Discard',
+        'sync.keep': 'Keep',
+        'sync.retry': 'Retry',
+        'roster.csv.empty': 'The file is empty.',
+        'roster.csv.missingColumns': 'Missing column(s): {columns}. Expected headers: name, class, section, roll number (and optionally email, house, guardian emails).',
+        'roster.csv.incomplete': 'Row {row}: name, class, section and roll number are all required.',
+        'roster.invalidEmail': '{email} is not a valid email address.',
+        'roster.rollClash': 'Roll number {roll} is already used by {name} in {class}.',
+        'roster.emailClash': 'The account {email} is already linked to {name}.',
+        'roster.updated': 'Student updated!',
+        'roster.added': 'Student added!',
+        'roster.saveFailed': 'Failed to save student. Please try again.',
+        'roster.archiveFailed': 'Failed to update student. Please try again.',
+        'roster.imported': '{count} student(s) imported!',
+        'roster.importFailed': 'Failed to import students. Please try again.',
+        'roster.edit': 'Edit Student',
+        'roster.add': 'Add Student',
+        'roster.name': 'Full name',
+        'roster.class': 'Class (e.g., XI)',
+        'roster.section': 'Section (e.g., A)',
+        'roster.rollNumber': 'Roll number',
+        'roster.house': 'House (optional)',
+        'roster.email': 'Login email (optional, links the student\'s account)',
+        'roster.guardianEmails': 'Parent login emails (optional, separated by commas)',
+        'roster.bulkImport': 'Bulk Import (CSV)',
+        'roster.bulkImportHint': 'Columns: name, class, section, roll number and optionally email, house and guardian emails (separated by semicolons). The first row must be a header row.',
+        'roster.ready': '{count} student(s) ready to import.',
+        'roster.duplicates': '{count} duplicate(s) skipped (same class, section and roll number).',
+        'roster.import': 'Import Students',
+        'roster.requests': 'Profile Change Requests ({count})',
+        'roster.requestSent': 'sent {date}',
+        'roster.review': 'Review',
+        'roster.allClasses': 'All Classes',
+        'roster.allSections': 'All Sections',
+        'roster.showArchived': 'Show archived',
+        'roster.count': '{count} student(s)',
+        'roster.none': 'No students found.',
+        'roster.profile': 'Profile',
+        'roster.editTitle': 'Edit',
+        'roster.restore': 'Restore',
+        'roster.archive': 'Archive',
+        'attendance.status.present': 'Present',
+        'attendance.status.absent': 'Absent',
+        'attendance.status.late': 'Late',
+        'attendance.status.excused': 'Excused',
+        'attendance.short.present': 'P',
+        'attendance.short.absent': 'A',
+        'attendance.short.late': 'L',
+        'attendance.short.excused': 'E',
+        'attendance.noRecord': 'No record',
+        'attendance.title': 'Attendance',
+        'attendance.notLinked': 'Your account is not linked to a class roster entry yet. Please ask your class teacher to add your login email to the roster.',
+        'attendance.absences': 'Absences',
+        'attendance.noAbsences': 'No absences recorded.',
+        'attendance.loadFailed': 'Failed to load the register. Please try again.',
+        'attendance.corrected': 'Register corrected.',
+        'attendance.saved': 'Register saved.',
+        'attendance.saveFailed': 'Failed to save the register. Please try again.',
+        'attendance.register': 'Attendance Register',
+        'attendance.class': 'Class',
+        'attendance.section': 'Section',
+        'attendance.date': 'Date',
+        'attendance.chooseClass': '-- Class --',
+        'attendance.chooseSection': '-- Section --',
+        'attendance.noPupils': 'No students in this class/section. Add them from the Student Roster.',
+        'attendance.alreadyTaken': 'Register already taken for this day - saving will correct it.',
+        'attendance.notTaken': 'Register not yet taken for this day.',
+        'attendance.markAllPresent': 'Mark all present',
+        'attendance.saveCorrections': 'Save Corrections',
+        'attendance.save': 'Save Register',
+        'result.status.OK': 'Finished',
+        'result.status.DNF': 'Did not finish',
+        'result.status.DNS': 'Did not start',
+        'score.error.time': 'Enter a time such as 9.58 or 1:02.35.',
+        'score.error.points': 'Enter a number of points (0 or more).',
+        'score.error.placing': 'Enter a placing of 1 or more.',
+        'score.error.passfail': 'Choose pass or fail.',
+        'score.error.unknown': 'Unknown scoring scheme.',
+        'score.seconds': '{seconds}s',
+        'score.placed': 'Placed {place}',
+        'score.pass': 'Pass',
+        'score.fail': 'Fail',
+        'rank.one': '{rank}st',
+        'rank.two': '{rank}nd',
+        'rank.few': '{rank}rd',
+        'rank.other': '{rank}th',
+        'term.spring': 'Spring term',
+        'term.summer': 'Summer term',
+        'term.autumn': 'Autumn term',
+        'term.label': '{term} {year}',
+        'leaderboard.unknownClass': 'Unknown class',
+        'leaderboard.noHouse': 'No house',
+        'csv.rank': 'Rank',
+        'csv.student': 'Student',
+        'csv.class': 'Class',
+        'csv.section': 'Section',
+        'csv.house': 'House',
+        'csv.status': 'Status',
+        'csv.score': 'Score',
+        'csv.event': 'Event',
+        'csv.eventDate': 'Event date',
+        'csv.category': 'Category',
+        'cert.title': 'Certificate of Achievement',
+        'cert.awardedTo': 'This certificate is awarded to',
+        'cert.class': 'Class {group}',
+        'cert.achievement': 'for achieving {rank} place in {event}',
+        'sync.item.scores': 'Scores: {title}',
+        'scores.fixRows': 'Please fix the results for: {names}.',
+        'scores.unknownEvent': 'Unknown Event',
+        'scores.none': 'Enter at least one result before publishing.',
+        'scores.published': 'Scores published.',
+        'scores.savedOffline': 'Scores saved on this device. They will be published when the connection returns.',
+        'scores.publishFailed': 'Failed to publish scores. Please try again.',
+        'scores.title': 'Publish Event Scores',
+        'scores.selectEvent': 'Select Event',
+        'scores.chooseEvent': '-- Choose an Event --',
+        'scores.participants': 'Registered participants ({count})',
+        'scores.roster': 'Class roster',
+        'scores.class': 'Class',
+        'scores.section': 'Section',
+        'scores.chooseClass': '-- Choose a Class --',
+        'scores.enter': 'Enter Results',
+        'scores.scoringHint': 'Scoring: {scheme}. Ranks are worked out automatically; tied results share a rank.',
+        'scores.student': 'Student Name',
+        'scores.status': 'Status',
+        'scores.score': 'Score',
+        'scores.rank': 'Rank',
+        'scores.statusFor': 'Status for {name}',
+        'scores.resultFor': 'Result for {name}',
+        'scores.scoreFor': 'Score for {name}',
+        'scores.publishing': 'Publishing...',
+        'scores.publish': 'Publish Scores',
+        'results.chooseTermError': 'Choose a term to export.',
+        'results.certificatesFailed': 'Failed to create the certificates. Please try again.',
+        'results.published': 'Published: {date}',
+        'results.viewAll': 'View All Results',
+        'results.modalTitle': 'Results: {title}',
+        'results.name': 'Name',
+        'results.certificate': 'Certificate',
+        'results.certificateFor': 'Certificate for {name}',
+        'results.exportCSV': 'Export CSV',
+        'results.creating': 'Creating...',
+        'results.allCertificates': 'All Certificates ({count})',
+        'results.title': 'Event Results',
+        'results.termToExport': 'Term to export',
+        'results.chooseTerm': '-- Choose a Term --',
+        'results.exportTerm': 'Export Term (CSV)',
+        'results.none': 'No event results have been published yet.',
+        'leaderboard.pointsInvalid': 'Enter whole numbers separated by commas, e.g., 10, 7, 5.',
+        'leaderboard.saved': 'Points table saved.',
+        'leaderboard.saveFailed': 'Failed to save the points table. Please try again.',
+        'leaderboard.title': 'Points Leaderboard',
+        'leaderboard.byHouse': 'By House',
+        'leaderboard.byClass': 'By Class',
+        'leaderboard.allTerms': 'All Terms',
+        'leaderboard.pointsPerPlace': 'Points per place: {table}. Tied places earn the same points.',
+        'leaderboard.placeholder': 'e.g., 10, 7, 5, 3, 1',
+        'leaderboard.pointsLabel': 'Points for each place',
+        'leaderboard.save': 'Save',
+        'leaderboard.change': 'Change points table',
+        'leaderboard.noRows': 'No results match these filters yet.',
+        'leaderboard.position': 'Position',
+        'leaderboard.class': 'Class',
+        'leaderboard.house': 'House',
+        'leaderboard.points': 'Points',
+        'leaderboard.placings': 'Placings',
+        'registration.registered': 'Registered',
+        'registration.waitlisted': 'Waitlisted',
+        'registration.participants': 'Participants ({count})',
+        'registration.participantsOf': 'Participants ({count}/{capacity})',
+        'registration.waiting': '{label} +{count} waiting',
+        'registration.notLinked': 'Your account is not linked to the class roster yet.',
+        'registration.waitlistedMessage': 'Event is full, so you were added to the waitlist.',
+        'registration.registeredMessage': 'Registered.',
+        'registration.registerFailed': 'Failed to register. Please try again.',
+        'registration.cancelled': 'Registration cancelled.',
+        'registration.cancelFailed': 'Failed to cancel. Please try again.',
+        'registration.register': 'Register',
+        'consent.saved': 'Your answer for {name} ({event}) was saved.',
+        'consent.saveFailed': 'Failed to save your answer. Please try again.',
+        'participants.title': 'Participants: {title}',
+        'participants.registered': '{count} registered',
+        'participants.registeredOf': '{count} registered of {capacity} places',
+        'participants.waitlisted': ', {count} on the waitlist',
+        'participants.cancelled': ', {count} cancelled',
+        'participants.registeredHeading': 'Registered',
+        'participants.none': 'No registrations yet.',
+        'participants.waitlist': 'Waitlist',
+        'participants.enterScores': 'Enter Scores for Participants',
+        'profile.field.address': 'Address',
+        'profile.field.phone': 'Phone',
+        'profile.field.contactEmail': 'Contact email',
+        'profile.field.guardians': 'Guardians',
+        'profile.field.medicalNotes': 'Medical notes',
+        'profile.field.emergencyNotes': 'Emergency notes',
+        'profile.none': '(none)',
+        'profile.error.phone': 'Please enter a valid phone number.',
+        'profile.error.email': 'Please enter a valid contact email.',
+        'profile.error.guardianIncomplete': 'Every guardian needs a name and a phone number.',
+        'profile.error.guardianPhone': 'Please enter a valid phone number for every guardian.',
+        'profile.guardianName': 'Name',
+        'profile.guardianRelation': 'Relation, e.g. Mother',
+        'profile.removeGuardian': 'Remove guardian',
+        'profile.addGuardian': 'Add guardian',
+        'profile.medicalPlaceholder': 'Allergies, conditions, medication',
+        'profile.emergencyPlaceholder': 'What to do and whom to call first',
+        'profile.request.pending': 'Waiting for review',
+        'profile.request.approved': 'Approved',
+        'profile.request.rejected': 'Rejected',
+        'profile.backToRoster': 'Back to Roster',
+        'profile.title': 'Student Profile',
+        'profile.notFound': 'Student not found.',
+        'profile.noChanges': 'No changes to save.',
+        'profile.updated': 'Profile updated.',
+        'profile.requestSent': 'Change request sent. Your teacher will review it.',
+        'profile.saveFailed': 'Failed to save profile. Please try again.',
+        'profile.requestFailed': 'Failed to send the change request. Please try again.',
+        'profile.rejectNoteNeeded': 'Please say why the change is rejected, so the student can correct it.',
+        'profile.approved': 'Changes approved.',
+        'profile.rejected': 'Request rejected. The student can see your note.',
+        'profile.reviewFailed': 'Failed to update the request. Please try again.',
+        'profile.classLine': 'Class {class} · Roll #{roll}',
+        'profile.login': 'Login: {email}',
+        'profile.edit': 'Edit Profile',
+        'profile.requestChanges': 'Request Changes',
+        'profile.requestHint': 'Your class teacher checks the changes before they appear on your profile.',
+        'profile.save': 'Save Profile',
+        'profile.sendForApproval': 'Send for Approval',
+        'profile.lastUpdated': 'Last updated {date}',
+        'profile.pendingRequest': 'Pending Change Request',
+        'profile.sentBy': 'Sent by {name} on {date}',
+        'profile.rejectNote': 'Note for the student (needed to reject)',
+        'profile.approve': 'Approve',
+        'profile.reject': 'Reject',
+        'profile.waitForReview': 'You can request further changes once your teacher has reviewed this one.',
+        'profile.history': 'Request History',
+        'profile.reviewedBy': 'reviewed by {name}',
+        'profile.note': 'Note: {note}',
+        'settings.error.name': 'Please enter the school name.',
+        'settings.error.noCategories': 'Keep at least one event category.',
+        'settings.error.category': '"{category}" is not a valid category name (at most {max} characters, no commas).',
+        'settings.error.colours': 'Theme colours must be hex colours such as #4338ca.',
+        'settings.error.logoType': '"{name}" is not a supported image (PNG, JPEG, GIF or WebP).',
+        'settings.error.duplicateCategory': '"{category}" is already a category.',
+        'settings.saved': 'Settings saved.',
+        'settings.saveFailed': 'Failed to save the settings. Please try again.',
+        'settings.logoUploaded': 'Logo uploaded.',
+        'settings.logoFailed': 'Failed to upload the logo. Please try again.',
+        'settings.logoRestored': 'Default logo restored.',
+        'settings.logoRestoreFailed': 'Failed to restore the default logo. Please try again.',
+        'settings.logo': 'Logo',
+        'settings.logoHint': 'PNG, JPEG, GIF or WebP, up to {size}. Square images look best.',
+        'settings.uploadLogo': 'Upload Logo',
+        'settings.defaultLogo': 'Use Default Logo',
+        'settings.schoolName': 'School Name',
+        'settings.motto': 'Motto (optional)',
+        'settings.colours': 'Theme Colours',
+        'settings.primary': 'Primary',
+        'settings.secondary': 'Secondary',
+        'settings.categories': 'Event Categories',
+        'settings.removeCategory': 'Remove {category}',
+        'settings.newCategory': 'New category, e.g. Robotics',
+        'settings.add': 'Add',
+        'settings.categoriesHint': 'Events keep their category if it is removed from this list.',
+        'settings.showSamples': 'Show the built-in sample events',
+        'settings.save': 'Save Settings',
+        'accounts.created': 'Account for {email} created. Share the temporary password with them; they will choose their own at first login.',
+        'accounts.createFailed': 'Failed to create the account. Please try again.',
+        'accounts.deactivated': '{name} was deactivated.',
+        'accounts.reactivated': '{name} was reactivated.',
+        'accounts.updateFailed': 'Failed to update the account. Please try again.',
+        'accounts.create': 'Create an Account',
+        'accounts.name': 'Full name',
+        'accounts.email': 'Login email',
+        'accounts.password': 'Temporary password ({min}+ characters)',
+        'accounts.hint': 'Students and parents are linked to the class roster by their login email, so add the same email to the roster entry. New accounts belong to this school only.',
+        'accounts.creating': 'Creating...',
+        'accounts.submit': 'Create Account',
+        'accounts.all': 'All Accounts ({count})',
+        'accounts.allRoles': 'All roles',
+        'accounts.deactivatedOn': 'Deactivated {date}',
+        'accounts.inactive': 'Deactivated',
+        'accounts.active': 'Active',
+        'accounts.you': 'You',
+        'accounts.confirmDeactivate': 'Deactivate this account?',
+        'accounts.deactivate': 'Deactivate',
+        'accounts.keep': 'Keep',
+        'accounts.reactivate': 'Reactivate',
+        'app.error.init': 'Failed to initialize data services.',
+        'app.error.events': 'Could not load events.',
+        'app.error.scores': 'Could not load scores.',
+        'app.error.notices': 'Could not load notices.',
+        'app.error.roster': 'Could not load the student roster.',
+        'app.error.registrations': 'Could not load event registrations.',
+        'app.loading': 'Loading SchoolLink...',
+    },
+    ar: {
+        'common.backToDashboard': 'العودة إلى لوحة التحكم',
+        'common.logout': 'تسجيل الخروج',
+        'common.language': 'اللغة',
+        'role.choose': 'اختر صفتك...',
+        'role.Student': 'طالب',
+        'role.Teacher': 'معلم',
+        'role.Parent': 'ولي أمر',
+        'role.Admin': 'مسؤول',
+        'role.adminLink': 'مسؤول المدرسة؟ سجّل الدخول من هنا',
+        'login.title': 'تسجيل دخول {role}',
+        'login.welcome.Student': 'أهلاً بك عزيزي الطالب!',
+        'login.welcome.Teacher': 'أهلاً بك عزيزي المعلم!',
+        'login.welcome.Parent': 'أهلاً بك عزيزي ولي الأمر!',
+        'login.welcome.Admin': 'أهلاً بك أيها المسؤول!',
+        'login.email': 'البريد الإلكتروني',
+        'login.emailPlaceholder': 'أدخل البريد الإلكتروني المدرسي',
+        'login.password': 'كلمة المرور',
+        'login.passwordPlaceholder': 'أدخل كلمة المرور',
+        'login.submit': 'دخول',
+        'login.submitting': 'جارٍ تسجيل الدخول...',
+        'login.back': 'العودة إلى اختيار الصفة',
+        'login.forgot': 'نسيت كلمة المرور؟',
+        'login.demo': 'وضع العرض: تُحفظ البيانات في هذا المتصفح فقط. سجّل الدخول بالبريد {email} وكلمة المرور {password}.',
+        'header.user': 'المستخدم: {name} ({role})',
+        'header.school': 'المدرسة',
+        'header.switchFailed': 'تعذّر تبديل المدرسة.',
+        'dashboard.Teacher': 'لوحة المعلم',
+        'dashboard.Student': 'لوحة الطالب',
+        'dashboard.Parent': 'لوحة ولي الأمر',
+        'dashboard.Admin': 'لوحة المسؤول',
+        'dashboard.settings': 'إعدادات المدرسة',
+        'dashboard.accounts': 'الحسابات',
+        'dashboard.children': 'أبناؤك',
+        'dashboard.noChildren': 'لا توجد سجلات طلاب مرتبطة بحسابك بعد. يرجى الطلب من إدارة المدرسة إضافة بريدك الإلكتروني إلى سجل ابنك.',
+        'dashboard.registrations': 'التسجيل في الفعاليات',
+        'dashboard.noRegistrations': 'غير مسجل في أي فعالية.',
+        'dashboard.results': 'النتائج',
+        'dashboard.noResults': 'لا توجد نتائج منشورة بعد.',
+        'consent.required': 'تتطلب موافقة ولي الأمر',
+        'consent.given': 'تمت الموافقة',
+        'consent.declined': 'تم الرفض',
+        'consent.pending': 'بانتظار الموافقة',
+        'consent.summary': 'تتطلب موافقة ولي الأمر: {given} موافقة، {pending} بالانتظار، {declined} مرفوضة',
+        'consent.give': 'الموافقة',
+        'consent.decline': 'رفض',
+        'dashboard.calendar': 'تقويم الفعاليات',
+        'dashboard.addEvent': 'إضافة فعالية',
+        'dashboard.sendNotice': 'إرسال إعلان',
+        'dashboard.publishScores': 'نشر النتائج',
+        'dashboard.roster': 'قائمة الطلاب',
+        'dashboard.attendance': 'الحضور',
+        'dashboard.leaderboard': 'لوحة الصدارة',
+        'dashboard.viewNotices': 'الإعلانات',
+        'dashboard.viewResults': 'النتائج',
+        'dashboard.profile': 'الحضور/الملف الشخصي',
+        'calendar.title': 'تقويم الفعاليات',
+        'calendar.view.month': 'شهر',
+        'calendar.view.week': 'أسبوع',
+        'calendar.view.day': 'يوم',
+        'calendar.view.agenda': 'جدول',
+        'calendar.more': '+{count} أخرى',
+        'calendar.noEventsDay': 'لا توجد فعاليات في هذا اليوم.',
+        'calendar.noEventsAgenda': 'لا توجد فعاليات من هذا الشهر فصاعداً.',
+        'calendar.weekStart': 'بداية الأسبوع',
+        'calendar.export': 'تصدير إلى التقويم:',
+        'calendar.allCategories': 'كل الفئات',
+        'calendar.allDates': 'كل التواريخ',
+        'calendar.details': 'تفاصيل الفعاليات',
+        'calendar.addEvent': 'إضافة فعالية',
+        'events.title': 'الفعاليات',
+        'events.notFound': 'الفعالية غير موجودة.',
+        'events.none': 'لا توجد فعاليات مجدولة حالياً.',
+        'events.cancelled': 'أُلغيت',
+        'events.cancelledReason': 'أُلغيت: {reason}',
+        'events.category': 'الفئة:',
+        'events.capacity': 'السعة:',
+        'events.exportOne': 'تصدير إلى التقويم (.ics)',
+        'events.edit': 'تعديل الفعالية',
+        'events.showAll': 'عرض كل الفعاليات',
+        'events.search': 'ابحث في العناوين والأوصاف',
+        'events.when.upcoming': 'القادمة',
+        'events.when.past': 'السابقة',
+        'events.when.range': 'فترة محددة',
+        'events.when.all': 'كل التواريخ',
+        'events.from': 'من',
+        'events.to': 'إلى',
+        'events.count': '{count} فعالية',
+        'events.month': 'الشهر: {month}',
+        'events.removeMonth': 'عرض كل الأشهر',
+        'events.clearFilters': 'مسح عوامل التصفية',
+        'events.noMatch': 'لا توجد فعاليات تطابق عوامل التصفية.',
+        'events.repeats': 'التكرار:',
+        'events.allDay': 'طوال اليوم',
+        'events.forClasses': 'للصفوف {classes}',
+        'recurrence.daily': 'كل {interval} يوم',
+        'recurrence.weekly': 'كل {interval} أسبوع أيام {days}',
+        'recurrence.monthlyDate': 'كل {interval} شهر في اليوم {day}',
+        'recurrence.monthlyWeekday': 'كل {interval} شهر في {weekday} {nth}',
+        'recurrence.nth.1': 'الأول',
+        'recurrence.nth.2': 'الثاني',
+        'recurrence.nth.3': 'الثالث',
+        'recurrence.nth.4': 'الرابع',
+        'recurrence.nth.-1': 'الأخير',
+        'recurrence.until': 'حتى {date}',
+        'recurrence.count': '{count} مرات',
+        'category.Sports': 'رياضة',
+        'category.Academic': 'أكاديمي',
+        'category.Art': 'فنون',
+        'category.Culture': 'ثقافة',
+        'category.Club': 'نادي',
+        'category.Other': 'أخرى',
+        'notifications.title': 'الإشعارات',
+        'notifications.empty': 'لا جديد خلال آخر 30 يوماً.',
+        'notifications.markAllRead': 'تعليم الكل كمقروء',
+        'notifications.markRead': 'تعليم كمقروء',
+        'notifications.notice': 'إعلان جديد: {title}',
+        'notifications.score': 'نُشرت النتائج: {title}',
+        'notifications.eventCreated': 'فعالية جديدة: {title}',
+        'notifications.eventUpdated': 'تم تعديل الفعالية: {title}',
+        'notifications.eventCancelled': 'أُلغيت الفعالية: {title}',
+        'common.saving': 'جارٍ الحفظ...',
+        'auth.invalidEmail': 'يرجى إدخال بريد إلكتروني صالح.',
+        'auth.invalidCredential': 'البريد الإلكتروني أو كلمة المرور غير صحيحة. يرجى المحاولة مرة أخرى.',
+        'auth.tooManyRequests': 'محاولات كثيرة جداً. يرجى الانتظار قليلاً ثم المحاولة مرة أخرى.',
+        'auth.emailInUse': 'يوجد حساب بهذا البريد الإلكتروني بالفعل.',
+        'auth.weakPassword': 'يجب ألا تقل كلمة المرور عن {min} أحرف.',
+        'auth.recentLogin': 'لأسباب أمنية، يرجى تسجيل الدخول مرة أخرى قبل تغيير كلمة المرور.',
+        'auth.network': 'خطأ في الشبكة. يرجى التحقق من اتصالك.',
+        'auth.unknown': 'حدث خطأ ما. يرجى المحاولة مرة أخرى.',
+        'login.missing': 'يرجى إدخال البريد الإلكتروني وكلمة المرور.',
+        'login.noProfile': 'لم يتم إعداد حسابك بعد. يرجى التواصل مع إدارة المدرسة.',
+        'login.disabled': 'تم إيقاف هذا الحساب. يرجى التواصل مع إدارة المدرسة.',
+        'reset.title': 'إعادة تعيين كلمة المرور',
+        'reset.intro': 'أدخل البريد الإلكتروني لحسابك وسنرسل إليك رابطاً لاختيار كلمة مرور جديدة.',
+        'reset.missing': 'يرجى إدخال بريدك الإلكتروني.',
+        'reset.sent': 'تم إرسال رسالة إعادة تعيين كلمة المرور! تحقق من بريدك الوارد.',
+        'reset.sending': 'جارٍ الإرسال...',
+        'reset.submit': 'إرسال رابط إعادة التعيين',
+        'reset.back': 'العودة إلى تسجيل الدخول',
+        'password.title': 'اختر كلمة مرور جديدة',
+        'password.intro': 'هذا أول تسجيل دخول لك. يرجى استبدال كلمة المرور المؤقتة التي حصلت عليها قبل المتابعة.',
+        'password.new': 'كلمة المرور الجديدة',
+        'password.confirm': 'تأكيد كلمة المرور',
+        'password.mismatch': 'كلمتا المرور غير متطابقتين.',
+        'password.submit': 'حفظ كلمة المرور',
+        'common.cancel': 'إلغاء',
+        'common.yes': 'نعم',
+        'common.no': 'لا',
+        'common.saveChanges': 'حفظ التغييرات',
+        'common.yesDelete': 'نعم، احذف',
+        'scoring.time': 'الأقل زمناً يفوز',
+        'scoring.points': 'الأعلى نقاطاً يفوز',
+        'scoring.placing': 'ترتيب بتحكيم',
+        'scoring.passfail': 'ناجح / راسب',
+        'scoring.time.placeholder': 'مثلاً 1:02.35 أو 9.58',
+        'scoring.points.placeholder': 'مثلاً 87.5',
+        'scoring.placing.placeholder': 'مثلاً 1',
+        'scoring.passfail.placeholder': 'pass أو fail',
+        'eventAudience.everyone': 'المدرسة كلها',
+        'eventAudience.classes': 'صفوف/شعب محددة',
+        'noticeAudience.everyone': 'الجميع',
+        'noticeAudience.students': 'كل الطلاب',
+        'noticeAudience.parents': 'أولياء الأمور',
+        'noticeAudience.teachers': 'المعلمون فقط',
+        'noticeAudience.classes': 'صفوف/شعب محددة',
+        'audience.wholeClass': '{class} (كل الشعب)',
+        'audience.noClasses': 'لا توجد صفوف في قائمة الطلاب بعد.',
+        'audience.class': 'الصف {class}',
+        'recurrenceForm.repeats': 'التكرار',
+        'recurrenceForm.none': 'بدون تكرار',
+        'recurrenceForm.freq.daily': 'يومياً',
+        'recurrenceForm.freq.weekly': 'أسبوعياً',
+        'recurrenceForm.freq.monthly': 'شهرياً',
+        'recurrenceForm.every': 'كل',
+        'recurrenceForm.unit.daily': 'يوم',
+        'recurrenceForm.unit.weekly': 'أسبوع',
+        'recurrenceForm.unit.monthly': 'شهر',
+        'recurrenceForm.onDay': 'في اليوم {day} من الشهر',
+        'recurrenceForm.onWeekday': 'في {weekday} {nth} من الشهر',
+        'recurrenceForm.weekday': 'يوم الأسبوع',
+        'recurrenceForm.ends': 'الانتهاء',
+        'recurrenceForm.after': 'بعد',
+        'recurrenceForm.occurrences': 'مرات',
+        'recurrenceForm.on': 'في',
+        'recurrenceForm.error.interval': 'يجب أن تكون فترة التكرار عدداً صحيحاً من 1 إلى 99.',
+        'recurrenceForm.error.until': 'يرجى اختيار تاريخ انتهاء في يوم الفعالية الأول أو بعده.',
+        'recurrenceForm.error.count': 'يجب أن يكون عدد المرات من 1 إلى {max}.',
+        'eventForm.title': 'عنوان الفعالية',
+        'eventForm.titlePlaceholder': 'مثلاً: اليوم السنوي 2025',
+        'eventForm.firstDate': 'التاريخ الأول',
+        'eventForm.startDate': 'تاريخ البدء',
+        'eventForm.endDate': 'تاريخ الانتهاء',
+        'eventForm.allDay': 'فعالية طوال اليوم',
+        'eventForm.startTime': 'يبدأ في',
+        'eventForm.endTime': 'ينتهي في',
+        'eventForm.venue': 'المكان (اختياري)',
+        'eventForm.venuePlaceholder': 'مثلاً: القاعة الرئيسية',
+        'eventForm.audience': 'لـ',
+        'eventForm.category': 'الفئة',
+        'eventForm.scoring': 'طريقة التقييم',
+        'eventForm.capacity': 'السعة (اختياري)',
+        'eventForm.capacityPlaceholder': 'اتركه فارغاً لعدد غير محدود من الأماكن',
+        'eventForm.consent': 'تتطلب موافقة ولي الأمر (مثل الرحلات والفعاليات خارج المدرسة)',
+        'eventForm.description': 'الوصف',
+        'eventForm.descriptionPlaceholder': 'وصف تفصيلي للفعالية...',
+        'eventForm.error.missing': 'يرجى تعبئة جميع الحقول.',
+        'eventForm.error.capacity': 'يجب أن تكون السعة عدداً صحيحاً موجباً، أو تُترك فارغة لعدم التقييد.',
+        'eventForm.error.endDate': 'لا يمكن أن يسبق تاريخ الانتهاء تاريخ البدء.',
+        'eventForm.error.times': 'يرجى تحديد وقت البدء والانتهاء، أو تعيين الفعالية طوال اليوم.',
+        'eventForm.error.endTime': 'يجب أن يكون وقت الانتهاء بعد وقت البدء.',
+        'eventForm.error.classes': 'يرجى اختيار صف أو شعبة واحدة على الأقل للفعالية.',
+        'clash.title': 'تتداخل هذه الفعالية مع {count} فعالية أخرى:',
+        'clash.venue': 'المكان نفسه ({venue})',
+        'clash.audience': 'الجمهور نفسه ({audience})',
+        'sync.item.event': 'فعالية: {title}',
+        'addEvent.added.event': 'تمت إضافة الفعالية!',
+        'addEvent.added.series': 'تمت إضافة سلسلة الفعاليات!',
+        'addEvent.queued.event': 'حُفظت الفعالية على هذا الجهاز، وستُنشر عند عودة الاتصال.',
+        'addEvent.queued.series': 'حُفظت سلسلة الفعاليات على هذا الجهاز، وستُنشر عند عودة الاتصال.',
+        'addEvent.failed': 'تعذّرت إضافة الفعالية. يرجى المحاولة مرة أخرى.',
+        'addEvent.adding': 'جارٍ الإضافة...',
+        'addEvent.publishAnyway': 'النشر رغم التداخل',
+        'addEvent.publish': 'نشر الفعالية',
+        'addEvent.import': 'استيراد من ملف تقويم (.ics)',
+        'import.title': 'استيراد الفعاليات (.ics)',
+        'import.intro': 'اختر ملف iCalendar مُصدَّراً من تطبيق تقويم آخر. يمكنك مراجعة الفعاليات قبل نشرها.',
+        'import.empty': 'لم يُعثر على فعاليات في هذا الملف.',
+        'import.unreadable': 'تعذّرت قراءة هذا الملف. يرجى اختيار ملف iCalendar (.ics).',
+        'import.done': 'تم استيراد {count} فعالية!',
+        'import.stopped': 'توقف الاستيراد بعد {count} فعالية. يرجى المحاولة مرة أخرى.',
+        'import.found': 'عُثر على {count} فعالية في {file}',
+        'import.untitled': '(بلا عنوان)',
+        'import.noDate': 'بلا تاريخ',
+        'import.rowError': 'لا يمكن الاستيراد: {error}',
+        'import.duplicate': 'قد تكون مكررة مع "{title}" بتاريخ {date}',
+        'import.cancelled': 'مُعلَّمة كملغاة في الملف',
+        'import.importing': 'جارٍ الاستيراد...',
+        'import.submit': 'استيراد {count} فعالية',
+        'import.back': 'العودة إلى إضافة فعالية',
+        'history.title': 'سجل التغييرات',
+        'history.empty': 'لا توجد تغييرات مسجلة.',
+        'history.none': '(لا شيء)',
+        'history.rule': '{freq}، كل {interval}، {end}',
+        'history.entry': '{action} بواسطة {name}',
+        'history.entryOccurrence': '{action} ({date} فقط) بواسطة {name}',
+        'history.action.created': 'أُنشئت',
+        'history.action.updated': 'عُدّلت',
+        'history.action.cancelled': 'أُلغيت',
+        'history.action.reinstated': 'أُعيدت',
+        'history.action.deleted': 'حُذفت',
+        'history.field.title': 'العنوان',
+        'history.field.date': 'التاريخ',
+        'history.field.endDate': 'تاريخ الانتهاء',
+        'history.field.allDay': 'طوال اليوم',
+        'history.field.startTime': 'وقت البدء',
+        'history.field.endTime': 'وقت الانتهاء',
+        'history.field.venue': 'المكان',
+        'history.field.audienceTargets': 'الصفوف',
+        'history.field.category': 'الفئة',
+        'history.field.capacity': 'السعة',
+        'history.field.scoringScheme': 'طريقة التقييم',
+        'history.field.requiresConsent': 'موافقة ولي الأمر',
+        'history.field.description': 'الوصف',
+        'history.field.status': 'الحالة',
+        'history.field.cancelReason': 'سبب الإلغاء',
+        'history.field.recurrence': 'التكرار',
+        'editEvent.sample': 'لا يمكن تعديل الفعاليات التجريبية.',
+        'editEvent.backToEvents': 'العودة إلى الفعاليات',
+        'editEvent.backToEvent': 'العودة إلى الفعالية',
+        'editEvent.noun.occurrence': 'الموعد',
+        'editEvent.noun.series': 'السلسلة',
+        'editEvent.noun.event': 'الفعالية',
+        'editEvent.noChanges': 'لا توجد تغييرات للحفظ.',
+        'editEvent.failed': 'تعذّر تحديث الفعالية. يرجى المحاولة مرة أخرى.',
+        'editEvent.deleteFailed': 'تعذّر حذف الفعالية. يرجى المحاولة مرة أخرى.',
+        'editEvent.updated': 'تم تحديث {noun}!',
+        'editEvent.cancelled': 'تم إلغاء {noun}.',
+        'editEvent.reinstated': 'تمت إعادة {noun}.',
+        'editEvent.reasonMissing': 'يرجى ذكر سبب الإلغاء.',
+        'editEvent.scope': 'هذه الفعالية متكررة. طبّق التغييرات على:',
+        'editEvent.scopeOccurrence': '{date} فقط',
+        'editEvent.scopeSeries': 'السلسلة كاملة',
+        'editEvent.scopeSeriesHint': 'تحتفظ المواعيد المعدّلة منفردة بتغييراتها، ما دام تاريخها لا يزال ضمن السلسلة.',
+        'editEvent.cancelledHeading': 'أُلغي {noun}',
+        'editEvent.cancel': 'إلغاء {noun}',
+        'editEvent.reason': 'السبب: {reason}',
+        'editEvent.reinstate': 'إعادة {noun}',
+        'editEvent.cancelHint': 'سيظل الطلاب يرون الفعالية مشطوبة مع السبب الذي ذكرته.',
+        'editEvent.cancelHintOccurrence': 'سيظل الطلاب يرون الموعد مشطوباً مع السبب الذي ذكرته.',
+        'editEvent.reasonPlaceholder': 'السبب، مثلاً: تأجيل بسبب المطر',
+        'editEvent.delete': 'حذف {noun}',
+        'editEvent.deleteConfirm': 'سيؤدي هذا إلى الحذف نهائياً، مع الاحتفاظ بسجل التغييرات. هل أنت متأكد؟',
+        'editEvent.deleteOccurrenceConfirm': 'سيؤدي هذا إلى حذف الموعد من السلسلة، مع الاحتفاظ بسجل التغييرات. هل أنت متأكد؟',
+        'editEvent.keep': 'الإبقاء على {noun}',
+        'common.close': 'إغلاق',
+        'files.unsupported': 'نوع الملف "{name}" غير مدعوم ({types}).',
+        'files.tooLarge': 'حجم "{name}" أكبر من {size}.',
+        'files.file': 'ملف',
+        'files.download': 'تنزيل',
+        'files.remove': 'إزالة المرفق',
+        'sync.item.notice': 'إعلان',
+        'notices.title': 'الإعلانات',
+        'notices.receipts': 'إيصالات القراءة',
+        'notices.openedOf': 'فتحه {opened} من أصل {total} مستلم',
+        'notices.notOpened': 'لم يُفتح بعد ({count})',
+        'notices.opened': 'فُتح ({count})',
+        'notices.receiptsHint': 'لا يُحتسب الطلاب وأولياء الأمور ضمن المستلمين إلا بعد إضافة بريد تسجيل دخولهم إلى قائمة الطلاب.',
+        'notices.format.bold': 'غامق',
+        'notices.format.list': 'قائمة نقطية',
+        'notices.format.link': 'رابط',
+        'notices.format.boldText': 'نص غامق',
+        'notices.format.linkText': 'نص الرابط',
+        'notices.format.listItem': 'عنصر قائمة',
+        'notices.format.hint': '**غامق**، - قائمة، [نص](https://...)',
+        'notices.attach': 'إرفاق ملفات',
+        'notices.tooManyFiles': 'لا يمكن أن يحتوي الإعلان على أكثر من {max} مرفقات.',
+        'notices.empty': 'لا يمكن أن يكون الإعلان فارغاً.',
+        'notices.offlineFiles': 'لا يمكن رفع المرفقات إلا أثناء الاتصال. أزلها أو حاول مرة أخرى عند عودة الاتصال.',
+        'notices.noClasses': 'يرجى اختيار صف أو شعبة واحدة على الأقل.',
+        'notices.sent': 'تم إرسال الإعلان!',
+        'notices.queued': 'حُفظ الإعلان على هذا الجهاز، وسيُرسل عند عودة الاتصال.',
+        'notices.failed': 'تعذّر إرسال الإعلان. يرجى المحاولة مرة أخرى.',
+        'notices.new': 'إرسال إعلان جديد',
+        'notices.placeholder': 'اكتب إعلانك هنا...',
+        'notices.preview': 'معاينة',
+        'notices.attachmentLimits': 'المرفقات: حتى {max} ملفات ({types})، بحد أقصى {size} لكل ملف.',
+        'notices.sendTo': 'إرسال إلى',
+        'notices.uploading': 'جارٍ الرفع...',
+        'notices.recent': 'أحدث الإعلانات',
+        'notices.none': 'لا توجد إعلانات حديثة.',
+        'notices.postedBy': 'نشره: {name}',
+        'notices.to': 'إلى: {audience}',
+        'notices.openedCount': 'فتحه {opened}/{total}',
+        'sync.offline': 'غير متصل',
+        'sync.waiting': '{count} تغيير بانتظار المزامنة',
+        'sync.synced': 'تمت مزامنة كل التغييرات',
+        'sync.empty': 'لا شيء بانتظار الإرسال.',
+        'sync.failed': 'فشل',
+        'sync.pending': 'قيد الانتظار',
+        'sync.saved': 'حُفظ {date}',
+        'sync.confirmDiscard': 'تجاهل هذا التغيير غير المرسل؟',
+        'sync.discard': 'تجاهل',
+        'sync.keep': 'إبقاء',
+        'sync.retry': 'إعادة المحاولة',
+        'roster.csv.empty': 'الملف فارغ.',
+        'roster.csv.missingColumns': 'أعمدة مفقودة: {columns}. العناوين المتوقعة: name, class, section, roll number (واختيارياً email, house, guardian emails).',
+        'roster.csv.incomplete': 'الصف {row}: الاسم والصف والشعبة ورقم الجلوس كلها مطلوبة.',
+        'roster.invalidEmail': '{email} ليس بريداً إلكترونياً صالحاً.',
+        'roster.rollClash': 'رقم الجلوس {roll} مستخدم بالفعل للطالب {name} في {class}.',
+        'roster.emailClash': 'الحساب {email} مرتبط بالفعل بالطالب {name}.',
+        'roster.updated': 'تم تحديث بيانات الطالب!',
+        'roster.added': 'تمت إضافة الطالب!',
+        'roster.saveFailed': 'تعذّر حفظ بيانات الطالب. يرجى المحاولة مرة أخرى.',
+        'roster.archiveFailed': 'تعذّر تحديث الطالب. يرجى المحاولة مرة أخرى.',
+        'roster.imported': 'تم استيراد {count} طالب!',
+        'roster.importFailed': 'تعذّر استيراد الطلاب. يرجى المحاولة مرة أخرى.',
+        'roster.edit': 'تعديل بيانات الطالب',
+        'roster.add': 'إضافة طالب',
+        'roster.name': 'الاسم الكامل',
+        'roster.class': 'الصف (مثلاً XI)',
+        'roster.section': 'الشعبة (مثلاً A)',
+        'roster.rollNumber': 'رقم الجلوس',
+        'roster.house': 'الفريق (اختياري)',
+        'roster.email': 'بريد تسجيل الدخول (اختياري، يربط حساب الطالب)',
+        'roster.guardianEmails': 'بريد تسجيل دخول أولياء الأمور (اختياري، مفصولة بفواصل)',
+        'roster.bulkImport': 'استيراد جماعي (CSV)',
+        'roster.bulkImportHint': 'الأعمدة: name, class, section, roll number واختيارياً email, house و guardian emails (مفصولة بفواصل منقوطة). يجب أن يكون الصف الأول صف العناوين.',
+        'roster.ready': '{count} طالب جاهز للاستيراد.',
+        'roster.duplicates': 'تم تخطي {count} مكرر (الصف والشعبة ورقم الجلوس نفسها).',
+        'roster.import': 'استيراد الطلاب',
+        'roster.requests': 'طلبات تعديل الملف الشخصي ({count})',
+        'roster.requestSent': 'أُرسل {date}',
+        'roster.review': 'مراجعة',
+        'roster.allClasses': 'كل الصفوف',
+        'roster.allSections': 'كل الشعب',
+        'roster.showArchived': 'عرض المؤرشفين',
+        'roster.count': '{count} طالب',
+        'roster.none': 'لم يُعثر على طلاب.',
+        'roster.profile': 'الملف الشخصي',
+        'roster.editTitle': 'تعديل',
+        'roster.restore': 'استعادة',
+        'roster.archive': 'أرشفة',
+        'attendance.status.present': 'حاضر',
+        'attendance.status.absent': 'غائب',
+        'attendance.status.late': 'متأخر',
+        'attendance.status.excused': 'غياب بعذر',
+        'attendance.short.present': 'ح',
+        'attendance.short.absent': 'غ',
+        'attendance.short.late': 'ت',
+        'attendance.short.excused': 'ع',
+        'attendance.noRecord': 'لا يوجد سجل',
+        'attendance.title': 'الحضور',
+        'attendance.notLinked': 'حسابك غير مرتبط بسجل في قائمة الطلاب بعد. يرجى الطلب من معلم الصف إضافة بريد تسجيل الدخول الخاص بك إلى القائمة.',
+        'attendance.absences': 'الغيابات',
+        'attendance.noAbsences': 'لا توجد غيابات مسجلة.',
+        'attendance.loadFailed': 'تعذر تحميل سجل الحضور. يرجى المحاولة مرة أخرى.',
+        'attendance.corrected': 'تم تصحيح سجل الحضور.',
+        'attendance.saved': 'تم حفظ سجل الحضور.',
+        'attendance.saveFailed': 'تعذر حفظ سجل الحضور. يرجى المحاولة مرة أخرى.',
+        'attendance.register': 'سجل الحضور',
+        'attendance.class': 'الصف',
+        'attendance.section': 'الشعبة',
+        'attendance.date': 'التاريخ',
+        'attendance.chooseClass': '-- الصف --',
+        'attendance.chooseSection': '-- الشعبة --',
+        'attendance.noPupils': 'لا يوجد طلاب في هذا الصف أو الشعبة. أضفهم من قائمة الطلاب.',
+        'attendance.alreadyTaken': 'تم أخذ الحضور لهذا اليوم مسبقًا - الحفظ سيصححه.',
+        'attendance.notTaken': 'لم يُؤخذ الحضور لهذا اليوم بعد.',
+        'attendance.markAllPresent': 'تحديد الجميع حاضرين',
+        'attendance.saveCorrections': 'حفظ التصحيحات',
+        'attendance.save': 'حفظ سجل الحضور',
+        'result.status.OK': 'أنهى',
+        'result.status.DNF': 'لم يُكمل',
+        'result.status.DNS': 'لم يبدأ',
+        'score.error.time': 'أدخل وقتًا مثل 9.58 أو 1:02.35.',
+        'score.error.points': 'أدخل عدد النقاط (0 أو أكثر).',
+        'score.error.placing': 'أدخل مركزًا من 1 فأكثر.',
+        'score.error.passfail': 'اختر ناجح أو راسب.',
+        'score.error.unknown': 'طريقة احتساب غير معروفة.',
+        'score.seconds': '{seconds} ث',
+        'score.placed': 'المركز {place}',
+        'score.pass': 'ناجح',
+        'score.fail': 'راسب',
+        'rank.one': '{rank}',
+        'rank.two': '{rank}',
+        'rank.few': '{rank}',
+        'rank.other': '{rank}',
+        'term.spring': 'الفصل الربيعي',
+        'term.summer': 'الفصل الصيفي',
+        'term.autumn': 'الفصل الخريفي',
+        'term.label': '{term} {year}',
+        'leaderboard.unknownClass': 'صف غير معروف',
+        'leaderboard.noHouse': 'بلا فريق',
+        'csv.rank': 'المركز',
+        'csv.student': 'الطالب',
+        'csv.class': 'الصف',
+        'csv.section': 'الشعبة',
+        'csv.house': 'الفريق',
+        'csv.status': 'الحالة',
+        'csv.score': 'النتيجة',
+        'csv.event': 'الفعالية',
+        'csv.eventDate': 'تاريخ الفعالية',
+        'csv.category': 'الفئة',
+        'cert.title': 'شهادة إنجاز',
+        'cert.awardedTo': 'تُمنح هذه الشهادة إلى',
+        'cert.class': 'الصف {group}',
+        'cert.achievement': 'لحصوله على المركز {rank} في {event}',
+        'sync.item.scores': 'النتائج: {title}',
+        'scores.fixRows': 'يرجى تصحيح النتائج لكل من: {names}.',
+        'scores.unknownEvent': 'فعالية غير معروفة',
+        'scores.none': 'أدخل نتيجة واحدة على الأقل قبل النشر.',
+        'scores.published': 'تم نشر النتائج.',
+        'scores.savedOffline': 'تم حفظ النتائج على هذا الجهاز. سيتم نشرها عند عودة الاتصال.',
+        'scores.publishFailed': 'تعذر نشر النتائج. يرجى المحاولة مرة أخرى.',
+        'scores.title': 'نشر نتائج الفعاليات',
+        'scores.selectEvent': 'اختر الفعالية',
+        'scores.chooseEvent': '-- اختر فعالية --',
+        'scores.participants': 'المشاركون المسجلون ({count})',
+        'scores.roster': 'قائمة الصف',
+        'scores.class': 'الصف',
+        'scores.section': 'الشعبة',
+        'scores.chooseClass': '-- اختر صفًا --',
+        'scores.enter': 'إدخال النتائج',
+        'scores.scoringHint': 'طريقة الاحتساب: {scheme}. تُحسب المراكز تلقائيًا، والنتائج المتعادلة تتشارك المركز.',
+        'scores.student': 'اسم الطالب',
+        'scores.status': 'الحالة',
+        'scores.score': 'النتيجة',
+        'scores.rank': 'المركز',
+        'scores.statusFor': 'الحالة لـ {name}',
+        'scores.resultFor': 'النتيجة لـ {name}',
+        'scores.scoreFor': 'الدرجة لـ {name}',
+        'scores.publishing': 'جارٍ النشر...',
+        'scores.publish': 'نشر النتائج',
+        'results.chooseTermError': 'اختر فصلًا للتصدير.',
+        'results.certificatesFailed': 'تعذر إنشاء الشهادات. يرجى المحاولة مرة أخرى.',
+        'results.published': 'نُشرت: {date}',
+        'results.viewAll': 'عرض جميع النتائج',
+        'results.modalTitle': 'النتائج: {title}',
+        'results.name': 'الاسم',
+        'results.certificate': 'الشهادة',
+        'results.certificateFor': 'شهادة {name}',
+        'results.exportCSV': 'تصدير CSV',
+        'results.creating': 'جارٍ الإنشاء...',
+        'results.allCertificates': 'جميع الشهادات ({count})',
+        'results.title': 'نتائج الفعاليات',
+        'results.termToExport': 'الفصل المراد تصديره',
+        'results.chooseTerm': '-- اختر فصلًا --',
+        'results.exportTerm': 'تصدير الفصل (CSV)',
+        'results.none': 'لم تُنشر أي نتائج بعد.',
+        'leaderboard.pointsInvalid': 'أدخل أعدادًا صحيحة مفصولة بفواصل، مثل 10, 7, 5.',
+        'leaderboard.saved': 'تم حفظ جدول النقاط.',
+        'leaderboard.saveFailed': 'تعذر حفظ جدول النقاط. يرجى المحاولة مرة أخرى.',
+        'leaderboard.title': 'لوحة صدارة النقاط',
+        'leaderboard.byHouse': 'حسب الفريق',
+        'leaderboard.byClass': 'حسب الصف',
+        'leaderboard.allTerms': 'كل الفصول',
+        'leaderboard.pointsPerPlace': 'النقاط لكل مركز: {table}. المراكز المتعادلة تحصل على النقاط نفسها.',
+        'leaderboard.placeholder': 'مثال: 10, 7, 5, 3, 1',
+        'leaderboard.pointsLabel': 'النقاط لكل مركز',
+        'leaderboard.save': 'حفظ',
+        'leaderboard.change': 'تغيير جدول النقاط',
+        'leaderboard.noRows': 'لا توجد نتائج تطابق عوامل التصفية هذه بعد.',
+        'leaderboard.position': 'الترتيب',
+        'leaderboard.class': 'الصف',
+        'leaderboard.house': 'الفريق',
+        'leaderboard.points': 'النقاط',
+        'leaderboard.placings': 'المراكز',
+        'registration.registered': 'مسجل',
+        'registration.waitlisted': 'على قائمة الانتظار',
+        'registration.participants': 'المشاركون ({count})',
+        'registration.participantsOf': 'المشاركون ({count}/{capacity})',
+        'registration.waiting': '{label} +{count} في الانتظار',
+        'registration.notLinked': 'حسابك غير مرتبط بقائمة الطلاب بعد.',
+        'registration.waitlistedMessage': 'الفعالية مكتملة، لذا تمت إضافتك إلى قائمة الانتظار.',
+        'registration.registeredMessage': 'تم التسجيل.',
+        'registration.registerFailed': 'تعذر التسجيل. يرجى المحاولة مرة أخرى.',
+        'registration.cancelled': 'تم إلغاء التسجيل.',
+        'registration.cancelFailed': 'تعذر الإلغاء. يرجى المحاولة مرة أخرى.',
+        'registration.register': 'تسجيل',
+        'consent.saved': 'تم حفظ إجابتك بخصوص {name} ({event}).',
+        'consent.saveFailed': 'تعذر حفظ إجابتك. يرجى المحاولة مرة أخرى.',
+        'participants.title': 'المشاركون: {title}',
+        'participants.registered': '{count} مسجلون',
+        'participants.registeredOf': '{count} مسجلون من أصل {capacity} مقاعد',
+        'participants.waitlisted': '، {count} على قائمة الانتظار',
+        'participants.cancelled': '، {count} ألغوا',
+        'participants.registeredHeading': 'المسجلون',
+        'participants.none': 'لا توجد تسجيلات بعد.',
+        'participants.waitlist': 'قائمة الانتظار',
+        'participants.enterScores': 'إدخال نتائج المشاركين',
+        'profile.field.address': 'العنوان',
+        'profile.field.phone': 'الهاتف',
+        'profile.field.contactEmail': 'البريد الإلكتروني للتواصل',
+        'profile.field.guardians': 'أولياء الأمور',
+        'profile.field.medicalNotes': 'ملاحظات طبية',
+        'profile.field.emergencyNotes': 'ملاحظات الطوارئ',
+        'profile.none': '(لا يوجد)',
+        'profile.error.phone': 'يرجى إدخال رقم هاتف صحيح.',
+        'profile.error.email': 'يرجى إدخال بريد إلكتروني صحيح للتواصل.',
+        'profile.error.guardianIncomplete': 'يحتاج كل ولي أمر إلى اسم ورقم هاتف.',
+        'profile.error.guardianPhone': 'يرجى إدخال رقم هاتف صحيح لكل ولي أمر.',
+        'profile.guardianName': 'الاسم',
+        'profile.guardianRelation': 'صلة القرابة، مثل الأم',
+        'profile.removeGuardian': 'إزالة ولي الأمر',
+        'profile.addGuardian': 'إضافة ولي أمر',
+        'profile.medicalPlaceholder': 'الحساسية والحالات الصحية والأدوية',
+        'profile.emergencyPlaceholder': 'ما يجب فعله ومن يُتصل به أولًا',
+        'profile.request.pending': 'بانتظار المراجعة',
+        'profile.request.approved': 'تمت الموافقة',
+        'profile.request.rejected': 'مرفوض',
+        'profile.backToRoster': 'العودة إلى قائمة الطلاب',
+        'profile.title': 'ملف الطالب',
+        'profile.notFound': 'الطالب غير موجود.',
+        'profile.noChanges': 'لا توجد تغييرات لحفظها.',
+        'profile.updated': 'تم تحديث الملف.',
+        'profile.requestSent': 'تم إرسال طلب التعديل. سيراجعه معلمك.',
+        'profile.saveFailed': 'تعذر حفظ الملف. يرجى المحاولة مرة أخرى.',
+        'profile.requestFailed': 'تعذر إرسال طلب التعديل. يرجى المحاولة مرة أخرى.',
+        'profile.rejectNoteNeeded': 'يرجى توضيح سبب رفض التعديل ليتمكن الطالب من تصحيحه.',
+        'profile.approved': 'تمت الموافقة على التغييرات.',
+        'profile.rejected': 'تم رفض الطلب. يمكن للطالب رؤية ملاحظتك.',
+        'profile.reviewFailed': 'تعذر تحديث الطلب. يرجى المحاولة مرة أخرى.',
+        'profile.classLine': 'الصف {class} · الرقم {roll}',
+        'profile.login': 'تسجيل الدخول: {email}',
+        'profile.edit': 'تعديل الملف',
+        'profile.requestChanges': 'طلب تعديلات',
+        'profile.requestHint': 'يراجع معلم الصف التغييرات قبل ظهورها في ملفك.',
+        'profile.save': 'حفظ الملف',
+        'profile.sendForApproval': 'إرسال للموافقة',
+        'profile.lastUpdated': 'آخر تحديث {date}',
+        'profile.pendingRequest': 'طلب تعديل معلّق',
+        'profile.sentBy': 'أرسله {name} في {date}',
+        'profile.rejectNote': 'ملاحظة للطالب (مطلوبة للرفض)',
+        'profile.approve': 'موافقة',
+        'profile.reject': 'رفض',
+        'profile.waitForReview': 'يمكنك طلب تعديلات أخرى بعد أن يراجع معلمك هذا الطلب.',
+        'profile.history': 'سجل الطلبات',
+        'profile.reviewedBy': 'راجعه {name}',
+        'profile.note': 'ملاحظة: {note}',
+        'settings.error.name': 'يرجى إدخال اسم المدرسة.',
+        'settings.error.noCategories': 'أبقِ فئة فعاليات واحدة على الأقل.',
+        'settings.error.category': '"{category}" ليس اسم فئة صالحًا (بحد أقصى {max} حرفًا، دون فواصل).',
+        'settings.error.colours': 'يجب أن تكون ألوان السمة بصيغة سداسية عشرية مثل #4338ca.',
+        'settings.error.logoType': '"{name}" ليست صورة مدعومة (PNG أو JPEG أو GIF أو WebP).',
+        'settings.error.duplicateCategory': '"{category}" موجودة بالفعل كفئة.',
+        'settings.saved': 'تم حفظ الإعدادات.',
+        'settings.saveFailed': 'تعذر حفظ الإعدادات. يرجى المحاولة مرة أخرى.',
+        'settings.logoUploaded': 'تم رفع الشعار.',
+        'settings.logoFailed': 'تعذر رفع الشعار. يرجى المحاولة مرة أخرى.',
+        'settings.logoRestored': 'تمت استعادة الشعار الافتراضي.',
+        'settings.logoRestoreFailed': 'تعذرت استعادة الشعار الافتراضي. يرجى المحاولة مرة أخرى.',
+        'settings.logo': 'الشعار',
+        'settings.logoHint': 'PNG أو JPEG أو GIF أو WebP، بحد أقصى {size}. الصور المربعة تبدو أفضل.',
+        'settings.uploadLogo': 'رفع الشعار',
+        'settings.defaultLogo': 'استخدام الشعار الافتراضي',
+        'settings.schoolName': 'اسم المدرسة',
+        'settings.motto': 'الشعار النصي (اختياري)',
+        'settings.colours': 'ألوان السمة',
+        'settings.primary': 'الأساسي',
+        'settings.secondary': 'الثانوي',
+        'settings.categories': 'فئات الفعاليات',
+        'settings.removeCategory': 'إزالة {category}',
+        'settings.newCategory': 'فئة جديدة، مثل الروبوتات',
+        'settings.add': 'إضافة',
+        'settings.categoriesHint': 'تحتفظ الفعاليات بفئتها إذا أُزيلت من هذه القائمة.',
+        'settings.showSamples': 'إظهار الفعاليات التجريبية المضمّنة',
+        'settings.save': 'حفظ الإعدادات',
+        'accounts.created': 'تم إنشاء حساب {email}. شارك كلمة المرور المؤقتة مع صاحبه، وسيختار كلمة مروره عند أول تسجيل دخول.',
+        'accounts.createFailed': 'تعذر إنشاء الحساب. يرجى المحاولة مرة أخرى.',
+        'accounts.deactivated': 'تم تعطيل {name}.',
+        'accounts.reactivated': 'تمت إعادة تفعيل {name}.',
+        'accounts.updateFailed': 'تعذر تحديث الحساب. يرجى المحاولة مرة أخرى.',
+        'accounts.create': 'إنشاء حساب',
+        'accounts.name': 'الاسم الكامل',
+        'accounts.email': 'بريد تسجيل الدخول',
+        'accounts.password': 'كلمة مرور مؤقتة ({min} أحرف أو أكثر)',
+        'accounts.hint': 'يُربط الطلاب وأولياء الأمور بقائمة الطلاب عبر بريد تسجيل الدخول، لذا أضف البريد نفسه إلى سجل الطالب. الحسابات الجديدة تخص هذه المدرسة فقط.',
+        'accounts.creating': 'جارٍ الإنشاء...',
+        'accounts.submit': 'إنشاء الحساب',
+        'accounts.all': 'جميع الحسابات ({count})',
+        'accounts.allRoles': 'كل الأدوار',
+        'accounts.deactivatedOn': 'معطّل منذ {date}',
+        'accounts.inactive': 'معطّل',
+        'accounts.active': 'نشط',
+        'accounts.you': 'أنت',
+        'accounts.confirmDeactivate': 'تعطيل هذا الحساب؟',
+        'accounts.deactivate': 'تعطيل',
+        'accounts.keep': 'إبقاء',
+        'accounts.reactivate': 'إعادة التفعيل',
+        'app.error.init': 'تعذرت تهيئة خدمات البيانات.',
+        'app.error.events': 'تعذر تحميل الفعاليات.',
+        'app.error.scores': 'تعذر تحميل النتائج.',
+        'app.error.notices': 'تعذر تحميل الإعلانات.',
+        'app.error.roster': 'تعذر تحميل قائمة الطلاب.',
+        'app.error.registrations': 'تعذر تحميل تسجيلات الفعاليات.',
+        'app.loading': 'جارٍ تحميل SchoolLink...',
+    },
+};
 
-    </div>
-);
+// Looks up a UI string and fills in {placeholders}
+const translate = (language, key, params = {}) => {
+    const text = TRANSLATIONS[language]?.[key] ?? TRANSLATIONS[DEFAULT_LANGUAGE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
 
-const LoginView = ({ setView, targetRole, onLogin }) => {
-    const [username, setUsername] = useState('');
-    const [password, setPassword] = useState('');
-    const [error, setError] = useState('');
-    const [loading, setLoading] = useState(false);
+// 'YYYY-MM-DD' keys are calendar dates, so they are read in local time rather than as UTC midnight
+const parseDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
 
-    const isStudent = targetRole === 'Student';
-    const roleColor = isStudent ? COLORS.secondary : COLORS.primary;
-    const roleText = isStudent ? 'Student' : 'Teacher';
-    const welcomeMessage = isStudent ? 'Welcome, dear Student!' : 'Welcome, dear Teacher!';
+const formatDate = (value, locale, options = { year: 'numeric', month: 'short', day: 'numeric' }) => {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseDateKey(value) : new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : new Intl.DateTimeFormat(locale, options).format(date);
+};
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        setError('');
-        setLoading(true);
+const formatNumber = (value, locale, options) => new Intl.NumberFormat(locale, options).format(value);
 
-        const inputUsername = username.trim().toLowerCase();
-        const inputPassword = password.trim(); // Password remains case-sensitive/unmodified
-        
-        // Simple mock credential check
-        const expected = MOCK_CREDENTIALS[targetRole];
-        
-        // Fix: Added trimming and lowercase conversion to the input username for comparison
-        if (inputUsername === expected.username && inputPassword === expected.password) {
-            onLogin(targetRole);
-        } else {
-            setError('Invalid credentials. Please try again.');
-        }
+// Weekday names in display order, starting from weekStart (0 = Sunday)
+const getWeekdayNames = (locale, weekStart, width = 'short') => {
+    const formatter = new Intl.DateTimeFormat(locale, { weekday: width });
+    // 1 January 2023 was a Sunday
+    return Array.from({ length: 7 }, (_, i) => formatter.format(new Date(2023, 0, 1 + ((weekStart + i) % 7))));
+};
 
-        setLoading(false);
-    };
+// Position of a date within its displayed week (0 = first column)
+const getWeekdayIndex = (date, weekStart) => (date.getDay() - weekStart + 7) % 7;
 
-    return (
-        <div className="flex flex-col items-center justify-center min-h-screen p-4 w-full" style={{ backgroundColor: '#f0f2f5' }}>
-            <LogoDisplay size="large" />
-            
-            <Card title={`${roleText} Login`} Icon={LogIn} titleColor={roleColor.replace('bg-', 'text-')} className="w-full max-w-sm mt-6">
-                 <h3 className={`text-xl font-bold mb-6 ${roleColor.replace('bg-', 'text-')}`}>{welcomeMessage}</h3>
-                <form onSubmit={handleSubmit} className="space-y-4">
-                    <div>
-                        <label className="block text-gray-700 font-medium mb-1" htmlFor="username">Username</label>
-                        <input 
-                            type="text" 
-                            id="username" 
-                            value={username} 
-                            onChange={(e) => setUsername(e.target.value)} 
-                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" 
-                            placeholder="Enter username" 
-                            disabled={loading}
-                        />
-                    </div>
-                    <div>
-                        <label className="block text-gray-700 font-medium mb-1" htmlFor="password">Password</label>
-                        <input 
-                            type="password" 
-                            id="password" 
-                            value={password} 
-                            onChange={(e) => setPassword(e.target.value)} 
-                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" 
-                            placeholder="Enter password" 
-                            disabled={loading}
-                        />
-                    </div>
+const readStoredSetting = (key) => {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+};
 
-                    {error && (
-                        <div className="p-3 rounded-lg text-sm bg-red-100 text-red-700">
-                            {error}
-                        </div>
-                    )}
+// Storage can be unavailable (private browsing, blocked cookies); the setting then lasts for this visit only
+const writeStoredSetting = (key, value) => {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.error('Error saving setting: ', error);
+    }
+};
 
-                    <Button type="submit" Icon={Key} className="w-full" disabled={loading} color={isStudent ? 'secondary' : 'primary'}>
-                        {loading ? 'Logging In...' : 'Login'}
-                    </Button>
-                </form>
+const I18nContext = createContext(null);
 
-                <div className="mt-4 text-center">
-                    <button onClick={() => setView('InitialRoleChoice')} className="text-sm text-gray-500 hover:text-indigo-700 transition">
-                        &larr; Back to Role Selection
-                    </button>
-                </div>
-            </Card>
-            <div className="mt-4 text-sm text-gray-600 p-2 border border-dashed rounded-lg bg-gray-100">
-                <p>Mock Credentials for testing:</p>
-                <p className="font-semibold text-indigo-700">Teacher: (user: teacher, pass: pass)</p>
-                <p className="font-semibold text-rose-500">Student: (user: student, pass: pass)</p>
-            </div>
-        </div>
-    );
+// Holds the selected language and first day of the week, and keeps <html lang/dir> in step
+const I18nProvider = ({ children }) => {
+    const [language, setLanguageState] = useState(() => {
+        const stored = readStoredSetting(LANGUAGE_STORAGE_KEY);
+        return LANGUAGES[stored] ? stored : DEFAULT_LANGUAGE;
+    });
+    const [storedWeekStart, setStoredWeekStart] = useState(() => {
+        const stored = readStoredSetting(WEEK_START_STORAGE_KEY);
+        return stored !== null && WEEK_START_DAYS.includes(Number(stored)) ? Number(stored) : null;
+    });
+    const { locale, dir } = LANGUAGES[language];
+    // Until the user picks a first day of the week, the language's usual one is used
+    const weekStart = storedWeekStart ?? LANGUAGES[language].weekStart;
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+        document.documentElement.dir = dir;
+    }, [language, dir]);
+
+    // Memoised so that t and the formatters only change with the language, as effects depend on them
+    const value = useMemo(() => ({
+        language,
+        locale,
+        dir,
+        weekStart,
+        setLanguage: (next) => {
+            setLanguageState(next);
+            writeStoredSetting(LANGUAGE_STORAGE_KEY, next);
+        },
+        setWeekStart: (next) => {
+            setStoredWeekStart(next);
+            writeStoredSetting(WEEK_START_STORAGE_KEY, String(next));
+        },
+        t: (key, params) => translate(language, key, params),
+        formatDate: (date, options) => formatDate(date, locale, options),
+        formatNumber: (number, options) => formatNumber(number, locale, options),
+    }), [language, locale, dir, weekStart]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
 };
 
-// --- End New View Components for Login ---
+const useI18n = () => useContext(I18nContext);
 
+// --- Data Layer ---
+// Components never call a backend directly. They get a data store (passed around as `db`) with a
+// small Firestore-shaped API over the app's public collections:
+//   newId(collection), get(collection, id), list(collection, query), subscribe(collection, query, onData, onError),
+//   subscribeDoc(collection, id, onData, onError), commit(writes), runTransaction(update), plus set/update/add/remove shortcuts.
+// runTransaction calls update({ get(collection, id) }) and commits the writes it resolves to, running it again
+// if a document it read changed in the meantime.
+// A query is { where: [[field, op, value]], orderBy: [field, 'asc' | 'desc'] } with op '==', 'in', 'array-contains' or 'array-contains-any';
+// a write is { type: 'set' | 'update' | 'delete', collection, id, data, merge }.
+// The events, notices, scores, users and members repositories on the store wrap the queries and writes for those collections,
+// and `files` uploads attachments: upload(path, file) -> { path, url }, remove(path).
+//
+// Each store belongs to one school (`db.schoolId`): its collections live under schools/{schoolId}/, except the
+// accounts shared by every school (see GLOBAL_COLLECTIONS). A user's profile (users/{uid}) lists the schools they
+// belong to, and their role in each school is kept in that school's members/{uid} document.
+// `db.forSchool(schoolId)` returns the store for another school.
 
-// --- Existing View Components (Minor Updates) ---
+// Collections that are not namespaced by school
+const GLOBAL_COLLECTIONS = ['users', 'schools', 'localAccounts'];
 
-const EventCalendarView = ({ events, setView, setSelectedEvent, userRole }) => {
-    const now = new Date();
-    const [date, setDate] = useState(new Date(now.getFullYear(), now.getMonth(), 1)); // Start of current month
-    const currentMonth = date.getMonth();
-    const currentYear = date.getFullYear();
+const getCollectionPath = (collectionName, schoolId) => (GLOBAL_COLLECTIONS.includes(collectionName)
+    ? collectionName
+    : `schools/${schoolId}/${collectionName}`);
+
+// Utility function for creating a Firestore path; `path` may contain slashes (see getCollectionPath)
+const getPublicCollectionRef = (db, path) => {
+    return collection(db, 'artifacts', appId, 'public', 'data', path);
+};
 
-    const getDaysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
-    const startDay = new Date(currentYear, currentMonth, 1).getDay(); // 0 (Sunday) to 6 (Saturday)
-    const totalDays = getDaysInMonth(currentYear, currentMonth);
+// The backends below take collection paths rather than names.
 
-    const formatDay = (day) => day.toString().padStart(2, '0');
-    const getEventsForDay = (day) => {
-        const dayString = `${currentYear}-${formatDay(currentMonth + 1)}-${formatDay(day)}`;
-        return events.filter(e => e.date === dayString).length;
+// Cloud Firestore backend
+const createFirestoreStore = (firestore) => {
+    const collectionRef = (name) => getPublicCollectionRef(firestore, name);
+    const toQuery = (name, { where: filters = [], orderBy: order } = {}) => {
+        const constraints = filters.map(([field, op, value]) => where(field, op, value));
+        if (order) constraints.push(orderBy(order[0], order[1] || 'asc'));
+        return query(collectionRef(name), ...constraints);
     };
+    const toDoc = (snapshot) => (snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+    const toDocs = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    // Batches and transactions take the same set/update/delete calls
+    const applyWrites = (target, writes) => writes.forEach(write => {
+        const ref = doc(collectionRef(write.collection), write.id);
+        if (write.type === 'delete') {
+            target.delete(ref);
+        } else if (write.type === 'update') {
+            target.update(ref, write.data);
+        } else {
+            target.set(ref, write.data, { merge: !!write.merge });
+        }
+    });
 
-    const calendarCells = [];
-    // Empty cells for the start of the month
-    for (let i = 0; i < startDay; i++) {
-        calendarCells.push(<div key={`empty-${i}`} className="p-2"></div>);
-    }
-    // Days of the month
-    for (let day = 1; day <= totalDays; day++) {
-        const hasEvents = getEventsForDay(day) > 0;
-        const isToday = day === now.getDate() && currentMonth === now.getMonth() && currentYear === now.getFullYear();
-        calendarCells.push(
-            <div key={day} className={`p-2 text-center rounded-lg font-semibold cursor-pointer transition duration-150 ease-in-out ${isToday ? 'bg-indigo-200 border-2 border-indigo-700' : hasEvents ? 'bg-rose-100 text-rose-700 hover:bg-rose-200' : 'hover:bg-gray-100'}`}>
-                {day}
-                {hasEvents > 0 && <span className="block text-xs font-normal mt-0.5">({hasEvents})</span>}
-            </div>
-        );
-    }
+    return {
+        backend: 'firebase',
+        newId: (name) => doc(collectionRef(name)).id,
+        get: async (name, id) => toDoc(await getDoc(doc(collectionRef(name), id))),
+        list: async (name, q) => toDocs(await getDocs(toQuery(name, q))),
+        subscribe: (name, q, onData, onError) => onSnapshot(toQuery(name, q), snapshot => onData(toDocs(snapshot)), onError),
+        subscribeDoc: (name, id, onData, onError) => onSnapshot(doc(collectionRef(name), id), snapshot => onData(toDoc(snapshot)), onError),
+        commit: (writes) => {
+            const batch = writeBatch(firestore);
+            applyWrites(batch, writes);
+            return batch.commit();
+        },
+        runTransaction: (update) => runTransaction(firestore, async (transaction) => {
+            applyWrites(transaction, await update({ get: async (name, id) => toDoc(await transaction.get(doc(collectionRef(name), id))) }));
+        }),
+    };
+};
 
-    const goToDetails = () => {
-        // Filter events for the current month and show the list on the details view
-        const currentMonthEvents = events.filter(e => new Date(e.date).getMonth() === currentMonth && new Date(e.date).getFullYear() === currentYear);
-        setSelectedEvent(currentMonthEvents);
-        setView('EventDetails');
+// In-browser backend for demos and automated tests. Data lives in memory and, when a storage key is
+// given, is saved to localStorage (and kept in step across tabs).
+const createLocalStore = ({ storageKey = null, seed = {} } = {}) => {
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+    const load = () => {
+        try {
+            const saved = storageKey && localStorage.getItem(storageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.error('Error reading local data: ', error);
+            return null;
+        }
+    };
+    let data = load() || clone(seed); // { [collection path]: { [id]: fields } }
+    const listeners = new Set();
+
+    const save = () => {
+        if (!storageKey) return;
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.error('Error saving local data: ', error);
+        }
     };
+    const notify = () => listeners.forEach(listener => listener());
 
-    const changeMonth = (delta) => {
-        setDate(prevDate => {
-            const newDate = new Date(prevDate.getFullYear(), prevDate.getMonth() + delta, 1);
-            return newDate;
+    if (storageKey) {
+        window.addEventListener('storage', (e) => {
+            if (e.key !== storageKey) return;
+            data = load() || {};
+            notify();
         });
+    }
+
+    const matches = (record, filters) => filters.every(([field, op, value]) => {
+        if (op === 'array-contains') return (record[field] || []).includes(value);
+        if (op === 'array-contains-any') return (record[field] || []).some(item => value.includes(item));
+        if (op === 'in') return value.includes(record[field]);
+        return record[field] === value;
+    });
+    const runQuery = (name, { where: filters = [], orderBy: order } = {}) => {
+        const records = Object.entries(data[name] || {})
+            .map(([id, fields]) => ({ id, ...clone(fields) }))
+            .filter(record => matches(record, filters));
+        if (order) {
+            const [field, direction] = order;
+            records.sort((a, b) => String(a[field] ?? '').localeCompare(String(b[field] ?? '')) * (direction === 'desc' ? -1 : 1));
+        }
+        return records;
     };
+    const getRecord = (name, id) => (data[name]?.[id] ? { id, ...clone(data[name][id]) } : null);
 
-    const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+    let lastTransaction = Promise.resolve();
 
-    return (
-        <Card title="Event Calendar" Icon={Calendar} titleColor={COLORS.primaryText} className="max-w-xl">
-            <div className="flex justify-between items-center mb-4">
-                <Button onClick={() => changeMonth(-1)} className="!py-1 !px-3" color="secondary">{'<'}</Button>
-                <h3 className="text-xl font-bold text-gray-800">{monthNames[currentMonth]} {currentYear}</h3>
-                <Button onClick={() => changeMonth(1)} className="!py-1 !px-3" color="secondary">{'>'}</Button>
-            </div>
-            <div className="grid grid-cols-7 gap-1 text-sm mb-4">
-                {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-                    <div key={day} className="text-center font-bold text-gray-500">{day}</div>
-                ))}
-            </div>
-            <div className="grid grid-cols-7 gap-1 text-sm">
-                {calendarCells}
-            </div>
-            <Button onClick={goToDetails} className="mt-8 w-full" Icon={List}>
-                Go to Event Details
-            </Button>
-            {userRole === 'Teacher' && (
-                <Button onClick={() => setView('AddEvent')} className="mt-4 w-full" color="secondary" Icon={Plus}>
-                    Add New Event
-                </Button>
-            )}
-        </Card>
-    );
+    // All writes are applied together, or none if an update targets a missing document (as in Firestore)
+    const commit = async (writes) => {
+        const missing = writes.find(w => w.type === 'update' && !data[w.collection]?.[w.id]);
+        if (missing) throw Object.assign(new Error(`No document to update: ${missing.collection}/${missing.id}`), { code: 'not-found' });
+        writes.forEach(write => {
+            const records = data[write.collection] = data[write.collection] || {};
+            if (write.type === 'delete') {
+                delete records[write.id];
+            } else if (write.type === 'update' || write.merge) {
+                records[write.id] = { ...(records[write.id] || {}), ...clone(write.data) };
+            } else {
+                records[write.id] = clone(write.data);
+            }
+        });
+        save();
+        notify();
+    };
+
+    return {
+        backend: 'local',
+        newId: () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+        get: async (name, id) => getRecord(name, id),
+        list: async (name, q) => runQuery(name, q),
+        subscribe: (name, q, onData) => {
+            const listener = () => onData(runQuery(name, q));
+            listeners.add(listener);
+            listener();
+            return () => listeners.delete(listener);
+        },
+        subscribeDoc: (name, id, onData) => {
+            const listener = () => onData(getRecord(name, id));
+            listeners.add(listener);
+            listener();
+            return () => listeners.delete(listener);
+        },
+        commit,
+        // Transactions run one after another, so their reads cannot go stale before they commit
+        runTransaction: (update) => {
+            const run = lastTransaction.then(async () => commit(await update({ get: async (name, id) => getRecord(name, id) })));
+            lastTransaction = run.catch(() => {});
+            return run;
+        },
+    };
 };
 
-const EventDetailsView = ({ events, setView, userRole, setSelectedEvent }) => {
-    // events is an array of events filtered by month from the calendar view, or all events if coming from dashboard
-    const listToDisplay = Array.isArray(events) ? events : MOCK_EVENTS;
-    const sortedEvents = listToDisplay.sort((a, b) => new Date(a.date) - new Date(b.date));
+// Scopes a backend store (and its `files`) to one school, and adds the write shortcuts and the per-collection repositories
+const createDataStore = (backend, schoolId = DEFAULT_SCHOOL_ID) => {
+    const path = (name) => getCollectionPath(name, schoolId);
+    const store = {
+        backend: backend.backend,
+        files: backend.files,
+        schoolId,
+        forSchool: (otherSchoolId) => createDataStore(backend, otherSchoolId),
+        newId: (name) => backend.newId(path(name)),
+        get: (name, id) => backend.get(path(name), id),
+        list: (name, q) => backend.list(path(name), q),
+        subscribe: (name, q, onData, onError) => backend.subscribe(path(name), q, onData, onError),
+        subscribeDoc: (name, id, onData, onError) => backend.subscribeDoc(path(name), id, onData, onError),
+        commit: (writes) => backend.commit(writes.map(write => ({ ...write, collection: path(write.collection) }))),
+        runTransaction: (update) => backend.runTransaction(async (transaction) => {
+            const writes = await update({ get: (name, id) => transaction.get(path(name), id) });
+            return writes.map(write => ({ ...write, collection: path(write.collection) }));
+        }),
+    };
+    store.set = (name, id, data, { merge = false } = {}) => store.commit([{ type: 'set', collection: name, id, data, merge }]);
+    store.update = (name, id, data) => store.commit([{ type: 'update', collection: name, id, data }]);
+    store.remove = (name, id) => store.commit([{ type: 'delete', collection: name, id }]);
+    store.add = async (name, data) => {
+        const id = store.newId(name);
+        await store.commit([{ type: 'set', collection: name, id, data }]);
+        return id;
+    };
 
-    // Group events by date for a cleaner view
-    const groupedEvents = sortedEvents.reduce((acc, event) => {
-        const dateKey = event.date || 'TBD';
-        if (!acc[dateKey]) {
-            acc[dateKey] = [];
-        }
-        acc[dateKey].push(event);
-        return acc;
-    }, {});
+    store.events = {
+        subscribe: (onData, onError) => store.subscribe('events', { orderBy: ['date', 'desc'] }, onData, onError),
+        // Updates/deletes an event and records the change in its history in one commit
+        update: (eventId, updates, historyEntry) => store.commit([
+            { type: 'update', collection: 'events', id: eventId, data: updates },
+            { type: 'set', collection: 'eventHistory', id: store.newId('eventHistory'), data: historyEntry },
+        ]),
+        remove: (eventId, historyEntry) => store.commit([
+            { type: 'delete', collection: 'events', id: eventId },
+            { type: 'set', collection: 'eventHistory', id: store.newId('eventHistory'), data: historyEntry },
+        ]),
+        subscribeHistory: (eventId, onData, onError) => store.subscribe('eventHistory', { where: [['eventId', '==', eventId]] }, onData, onError),
+    };
 
-    return (
-        <Card title="Upcoming Events" Icon={BookOpen} titleColor={COLORS.primaryText} className="max-w-2xl">
-            <div className="max-h-[70vh] overflow-y-auto space-y-6">
-                {Object.keys(groupedEvents).length === 0 ? (
-                    <p className="text-center text-gray-500 py-10">No events currently scheduled.</p>
-                ) : (
-                    Object.entries(groupedEvents).map(([date, eventList]) => (
-                        <div key={date} className="border-b pb-4 last:border-b-0">
-                            <h3 className="text-lg font-bold text-indigo-700 mb-3 p-1 rounded-md bg-indigo-50">{new Date(date).toLocaleDateString('en-US', { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric' })}</h3>
-                            <div className="space-y-4">
-                                {eventList.map(event => (
-                                    <div key={event.id} className="bg-gray-50 p-4 rounded-lg shadow-sm border border-gray-200">
-                                        <h4 className="font-bold text-lg text-rose-600 mb-1">{event.title}</h4>
-                                        <p className="text-sm text-gray-700">{event.description}</p>
-                                        <div className="flex justify-between items-center mt-3 text-xs text-gray-500">
-                                            <span>Category: <span className="font-semibold text-gray-800">{event.category}</span></span>
-                                            {/* Changed alert() to a proper display message for consistency */}
-                                            <Button onClick={() => { /* In a real app: handle registration logic */ alert(`Registration for ${event.title} mocked.`); }} className="!py-1 !px-3 !text-xs" color="secondary">
-                                                Register
-                                            </Button>
-                                        </div>
-                                    </div>
-                                ))}
-                            </div>
-                        </div>
-                    ))
-                )}
-            </div>
-            <Button onClick={() => { setView(userRole === 'Teacher' ? 'TeacherDashboard' : 'StudentDashboard'); setSelectedEvent(null); }} className="mt-6 w-full" color="secondary">
-                Back to Dashboard
-            </Button>
-        </Card>
-    );
-};
+    store.notices = {
+        // Teachers see every notice (audience null); students and parents only those addressed
+        // to one of their audience keys, with an audience type they are allowed to read. Class
+        // notices are matched on their recipientIds instead, as that is what the rules check.
+        subscribe: (audience, onData, onError) => {
+            if (!audience) return store.subscribe('notices', { orderBy: ['createdAt', 'desc'] }, onData, onError);
+            let addressed = [];
+            let classNotices = [];
+            const emit = () => onData([...addressed, ...classNotices]);
+            const unsubscribeAddressed = store.subscribe('notices', {
+                where: [['audienceKeys', 'array-contains-any', audience.keys], ['audienceType', 'in', audience.types.filter(type => type !== 'classes')]],
+            }, (fetched) => {
+                addressed = fetched;
+                emit();
+            }, onError);
+            const unsubscribeClasses = store.subscribe('notices', {
+                where: [['audienceType', '==', 'classes'], ['recipientIds', 'array-contains', audience.userId]],
+            }, (fetched) => {
+                classNotices = fetched;
+                emit();
+            }, onError);
+            return () => {
+                unsubscribeAddressed();
+                unsubscribeClasses();
+            };
+        },
+        // Pass the ID when files have already been uploaded under it
+        buildCreateWrites: (notice, noticeId = store.newId('notices')) => [{ type: 'set', collection: 'notices', id: noticeId, data: notice }],
+    };
 
-const AddEventView = ({ setView, db, userRole }) => {
-    const [formData, setFormData] = useState({ title: '', date: '', description: '', category: EventCategories[0] });
-    const [loading, setLoading] = useState(false);
-    const [message, setMessage] = useState('');
+    store.scores = {
+        subscribe: (onData, onError) => store.subscribe('scores', {}, onData, onError),
+        // The document ID is the event ID, so publishing again replaces the results
+        buildPublishWrites: (eventId, scorePayload) => [{ type: 'set', collection: 'scores', id: eventId, data: scorePayload }],
+    };
 
-    const handleChange = (e) => {
-        const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
+    // Sign-in profiles, shared by every school
+    store.users = {
+        get: (uid) => store.get('users', uid),
+        update: (uid, data) => store.update('users', uid, data),
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        setLoading(true);
-        setMessage('');
+    // This school's memberships: { role, email, displayName, disabled }, keyed by user ID
+    store.members = {
+        get: (uid) => store.get('members', uid),
+        subscribe: (onData, onError) => store.subscribe('members', {}, onData, onError),
+        subscribeByRole: (role, onData, onError) => store.subscribe('members', { where: [['role', '==', role]] }, onData, onError),
+        // A new account's profile and its membership of this school, written together
+        buildCreateWrites: (uid, profile, membership) => [
+            { type: 'set', collection: 'users', id: uid, data: { ...profile, schoolIds: [schoolId] } },
+            { type: 'set', collection: 'members', id: uid, data: membership },
+        ],
+    };
 
-        if (!formData.title || !formData.date || !formData.description) {
-            setMessage('Please fill in all fields.');
-            setLoading(false);
-            return;
-        }
+    return store;
+};
 
-        const newEvent = {
-            ...formData,
-            createdAt: new Date().toISOString(),
-            createdBy: userRole,
-        };
+// Sign-in for each backend, behind the same small interface:
+// onChange(callback) -> unsubscribe, signIn(email, password) -> user, signInWithToken, signOut, sendPasswordReset, updatePassword,
+// and createAccount(email, password) -> { uid, email } for admins, which leaves the current user signed in
 
+const createFirebaseAuthService = (auth) => ({
+    onChange: (callback) => onAuthStateChanged(auth, callback),
+    signIn: async (email, password) => (await signInWithEmailAndPassword(auth, email, password)).user,
+    signInWithToken: (token) => signInWithCustomToken(auth, token),
+    signOut: () => signOut(auth),
+    sendPasswordReset: (email) => sendPasswordResetEmail(auth, email),
+    updatePassword: (newPassword) => updatePassword(auth.currentUser, newPassword),
+    // Creating a user signs them in, so it is done on a second, short-lived app instance
+    createAccount: async (email, password) => {
+        const provisioningApp = initializeApp(firebaseConfig, `provisioning-${Date.now()}`);
         try {
-            await withRetry(() => addDoc(getPublicCollectionRef(db, 'events'), newEvent));
-            setMessage('Event successfully added!');
-            setFormData({ title: '', date: '', description: '', category: EventCategories[0] });
-        } catch (error) {
-            console.error('Error adding event: ', error);
-            setMessage('Failed to add event. Please try again.');
+            const provisioningAuth = getAuth(provisioningApp);
+            if (emulatorsEnabled) connectAuthEmulator(provisioningAuth, 'http://localhost:9099', { disableWarnings: true });
+            const { user } = await createUserWithEmailAndPassword(provisioningAuth, email, password);
+            await signOut(provisioningAuth);
+            return { uid: user.uid, email: user.email };
         } finally {
-            setLoading(false);
+            await deleteApp(provisioningApp);
+        }
+    },
+});
+
+// Local accounts live in the store's 'localAccounts' collection (demo use only: passwords are kept as typed).
+// Errors carry Firebase Auth codes so getAuthErrorMessage works unchanged.
+const createLocalAuthService = (store, { sessionKey = null } = {}) => {
+    const authError = (code) => Object.assign(new Error(code), { code });
+    const listeners = new Set();
+    let currentUser = null;
+    try {
+        currentUser = sessionKey ? JSON.parse(localStorage.getItem(sessionKey)) : null;
+    } catch (error) {
+        console.error('Error restoring local session: ', error);
+    }
+
+    const setUser = (user) => {
+        currentUser = user;
+        if (sessionKey) {
+            if (user) localStorage.setItem(sessionKey, JSON.stringify(user));
+            else localStorage.removeItem(sessionKey);
         }
+        listeners.forEach(listener => listener(user));
     };
+    const findAccount = async (email) => (await store.list('localAccounts', { where: [['email', '==', email.toLowerCase()]] }))[0];
 
-    return (
-        <Card title="Add New Event" Icon={Plus} titleColor={COLORS.primaryText} className="max-w-xl">
-            <form onSubmit={handleSubmit} className="space-y-4">
-                <div>
-                    <label className="block text-gray-700 font-medium mb-1" htmlFor="title">Event Title</label>
-                    <input type="text" id="title" name="title" value={formData.title} onChange={handleChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" placeholder="e.g., Annual Day 2025" />
-                </div>
-                <div>
-                    <label className="block text-gray-700 font-medium mb-1" htmlFor="date">Event Date</label>
-                    <input type="date" id="date" name="date" value={formData.date} onChange={handleChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
-                </div>
-                <div>
-                    <label className="block text-gray-700 font-medium mb-1" htmlFor="category">Category</label>
-                    <select id="category" name="category" value={formData.category} onChange={handleChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
-                        {EventCategories.map(cat => (
-                            <option key={cat} value={cat}>{cat}</option>
-                        ))}
-                    </select>
-                </div>
-                <div>
-                    <label className="block text-gray-700 font-medium mb-1" htmlFor="description">Description</label>
-                    <textarea id="description" name="description" value={formData.description} onChange={handleChange} rows="4" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" placeholder="Detailed description of the event..."></textarea>
-                </div>
+    return {
+        onChange: (callback) => {
+            listeners.add(callback);
+            setTimeout(() => callback(currentUser), 0);
+            return () => listeners.delete(callback);
+        },
+        signIn: async (email, password) => {
+            const account = await findAccount(email);
+            if (!account || account.password !== password) throw authError('auth/invalid-credential');
+            setUser({ uid: account.id, email: account.email, isAnonymous: false });
+            return currentUser;
+        },
+        signInWithToken: async () => {
+            throw authError('auth/invalid-custom-token');
+        },
+        signOut: async () => setUser(null),
+        // There is no mail server in local mode; the reset is accepted but nothing is sent
+        sendPasswordReset: async (email) => {
+            if (!(await findAccount(email))) throw authError('auth/user-not-found');
+        },
+        updatePassword: async (newPassword) => {
+            if (!currentUser) throw authError('auth/requires-recent-login');
+            if (newPassword.length < MIN_PASSWORD_LENGTH) throw authError('auth/weak-password');
+            await store.update('localAccounts', currentUser.uid, { password: newPassword });
+        },
+        createAccount: async (email, password) => {
+            if (password.length < MIN_PASSWORD_LENGTH) throw authError('auth/weak-password');
+            if (await findAccount(email)) throw authError('auth/email-already-in-use');
+            const uid = store.newId('localAccounts');
+            await store.set('localAccounts', uid, { email: email.toLowerCase(), password });
+            return { uid, email: email.toLowerCase() };
+        },
+    };
+};
 
-                {message && (
-                    <div className={`p-3 rounded-lg text-sm ${message.includes('success') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                        {message}
-                    </div>
-                )}
+// File uploads for each backend (see `files` in the Data Layer notes)
 
-                <Button type="submit" Icon={Plus} className="w-full" disabled={loading}>
-                    {loading ? 'Adding...' : 'Publish Event'}
+const createFirebaseFileStorage = (storage) => ({
+    upload: async (path, file) => {
+        const fileRef = storageRef(storage, path);
+        await uploadBytes(fileRef, file, { contentType: file.type });
+        return { path, url: await getDownloadURL(fileRef) };
+    },
+    remove: (path) => deleteObject(storageRef(storage, path)),
+});
+
+// Without a server the file itself is kept as a data URL on the document, so only small files fit
+const createLocalFileStorage = () => ({
+    upload: (path, file) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve({ path, url: reader.result });
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    }),
+    remove: async () => {},
+});
+
+// Demo schools, accounts and roster used the first time the local backend starts. The admin looks after both schools.
+const LOCAL_DEMO_PASSWORD = 'demo1234';
+const LOCAL_DEMO_DATA = {
+    schools: {
+        main: { name: 'SchoolLink Demo School' },
+        east: { name: 'East Campus' },
+    },
+    users: {
+        'demo-teacher': { email: 'teacher@schoollink.demo', displayName: 'Demo Teacher', schoolIds: ['main'], mustChangePassword: false },
+        'demo-student': { email: 'student@schoollink.demo', displayName: 'Demo Student', schoolIds: ['main'], mustChangePassword: false },
+        'demo-parent': { email: 'parent@schoollink.demo', displayName: 'Demo Parent', schoolIds: ['main'], mustChangePassword: false },
+        'demo-admin': { email: 'admin@schoollink.demo', displayName: 'Demo Admin', schoolIds: ['main', 'east'], mustChangePassword: false },
+    },
+    localAccounts: {
+        'demo-teacher': { email: 'teacher@schoollink.demo', password: LOCAL_DEMO_PASSWORD },
+        'demo-student': { email: 'student@schoollink.demo', password: LOCAL_DEMO_PASSWORD },
+        'demo-parent': { email: 'parent@schoollink.demo', password: LOCAL_DEMO_PASSWORD },
+        'demo-admin': { email: 'admin@schoollink.demo', password: LOCAL_DEMO_PASSWORD },
+    },
+    'schools/main/members': {
+        'demo-teacher': { email: 'teacher@schoollink.demo', displayName: 'Demo Teacher', role: 'Teacher', disabled: false },
+        'demo-student': { email: 'student@schoollink.demo', displayName: 'Demo Student', role: 'Student', disabled: false },
+        'demo-parent': { email: 'parent@schoollink.demo', displayName: 'Demo Parent', role: 'Parent', disabled: false },
+        'demo-admin': { email: 'admin@schoollink.demo', displayName: 'Demo Admin', role: 'Admin', disabled: false },
+    },
+    'schools/main/students': {
+        'demo-student-record': { name: 'Demo Student', class: 'X', section: 'A', rollNumber: '1', email: 'student@schoollink.demo', guardianEmails: ['parent@schoollink.demo'], house: 'Red', archived: false, createdAt: '2024-01-01T00:00:00.000Z' },
+    },
+    'schools/east/members': {
+        'demo-admin': { email: 'admin@schoollink.demo', displayName: 'Demo Admin', role: 'Admin', disabled: false },
+    },
+    'schools/east/settings': {
+        school: { schoolName: 'East Campus', motto: 'Learning together', primaryColor: '#047857', secondaryColor: '#d97706', showSampleEvents: false },
+    },
+};
+
+// Creates the backend store (see createDataStore) and sign-in service for the configured backend
+const createBackend = () => {
+    if (DATA_BACKEND === 'local' || DATA_BACKEND === 'memory') {
+        const persist = DATA_BACKEND === 'local';
+        // v2: data namespaced by school
+        const backend = createLocalStore({ storageKey: persist ? `schoollink-data-v2-${appId}` : null, seed: LOCAL_DEMO_DATA });
+        backend.files = createLocalFileStorage();
+        return { backend, authService: createLocalAuthService(createDataStore(backend), { sessionKey: persist ? `schoollink-session-${appId}` : null }) };
+    }
+
+    const app = initializeApp(firebaseConfig);
+    // Keep a local copy of Firestore data (shared between tabs) so the app still works offline
+    let firestore;
+    try {
+        firestore = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    } catch (err) {
+        console.error("Offline Cache Error:", err);
+        firestore = getFirestore(app);
+    }
+    const auth = getAuth(app);
+    const storage = getStorage(app);
+    if (emulatorsEnabled) {
+        connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+        connectFirestoreEmulator(firestore, 'localhost', 8080);
+        connectStorageEmulator(storage, 'localhost', 9199);
+    }
+    const backend = createFirestoreStore(firestore);
+    backend.files = createFirebaseFileStorage(storage);
+    return { backend, authService: createFirebaseAuthService(auth) };
+};
+
+// Fetches the signed-in user's profile together with their membership of a school, which gives their role there.
+// The store's school is used if the user belongs to it, otherwise the first of their schools.
+const fetchUserProfile = async (db, uid) => {
+    const user = await db.users.get(uid);
+    if (!user) return null;
+    const schoolIds = user.schoolIds || [];
+    const schoolId = schoolIds.includes(db.schoolId) ? db.schoolId : schoolIds[0];
+    const membership = schoolId ? await db.forSchool(schoolId).members.get(uid) : null;
+    return { ...user, schoolId, role: membership?.role || null, disabled: !!membership?.disabled };
+};
+
+// Maps Firebase Auth error codes to messages that are safe to show on the login screens
+const getAuthErrorMessage = (t, error) => {
+    switch (error?.code) {
+        case 'auth/invalid-email':
+            return t('auth.invalidEmail');
+        case 'auth/invalid-credential':
+        case 'auth/wrong-password':
+        case 'auth/user-not-found':
+            return t('auth.invalidCredential');
+        case 'auth/too-many-requests':
+            return t('auth.tooManyRequests');
+        case 'auth/email-already-in-use':
+            return t('auth.emailInUse');
+        case 'auth/weak-password':
+            return t('auth.weakPassword', { min: MIN_PASSWORD_LENGTH });
+        case 'auth/requires-recent-login':
+            return t('auth.recentLogin');
+        case 'auth/network-request-failed':
+            return t('auth.network');
+        default:
+            return t('auth.unknown');
+    }
+};
+
+// Landing route for each role after login
+const HOME_PATHS = { Teacher: '/teacher', Student: '/student', Parent: '/parent', Admin: '/admin' };
+const getHomePath = (role) => HOME_PATHS[role] || '/student';
+
+// Calendar route for the month containing the given date, e.g. /calendar/2025/11,
+// or for the day itself (/calendar/2025/11/20) when a view other than the month grid is wanted
+const getCalendarPath = (date, view = 'month') => {
+    const monthPath = `/calendar/${date.getFullYear()}/${date.getMonth() + 1}`;
+    if (view === 'month') return monthPath;
+    const dayPath = `${monthPath}/${date.getDate()}`;
+    return view === 'day' ? dayPath : `${dayPath}?view=${view}`;
+};
+
+// Formats a Date as a local 'YYYY-MM-DD' string, the format used for event and attendance dates
+const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Summarises attendance records; excused days do not count against the percentage
+const summariseAttendance = (records) => {
+    const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+    records.forEach(r => {
+        if (counts[r.status] !== undefined) counts[r.status]++;
+    });
+    const countedDays = counts.present + counts.absent + counts.late;
+    const percentage = countedDays > 0 ? Math.round(((counts.present + counts.late) / countedDays) * 1000) / 10 : null;
+    return { counts, percentage };
+};
+
+// Firestore allows at most 500 writes in a single commit
+const MAX_BATCH_SIZE = 500;
+
+// Sorts roster entries by class, section and then roll number
+const compareStudents = (a, b) => (
+    String(a.class).localeCompare(String(b.class), undefined, { numeric: true }) ||
+    String(a.section).localeCompare(String(b.section), undefined, { sensitivity: 'base' }) ||
+    String(a.rollNumber).localeCompare(String(b.rollNumber), undefined, { numeric: true })
+);
+
+// Returns the distinct classes and sections present in the roster, for filter dropdowns
+const getRosterOptions = (students) => ({
+    classes: [...new Set(students.map(s => s.class).filter(Boolean))].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })),
+    sections: [...new Set(students.map(s => s.section).filter(Boolean))].sort(),
+});
+
+// Minimal CSV parser: supports quoted fields, escaped quotes ("") and CRLF line endings
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop blank lines
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Accepted CSV header spellings for each roster field
+const ROSTER_CSV_COLUMNS = {
+    name: 'name', studentname: 'name',
+    class: 'class', grade: 'class',
+    section: 'section',
+    roll: 'rollNumber', rollnumber: 'rollNumber', rollno: 'rollNumber',
+    email: 'email', accountemail: 'email',
+    house: 'house',
+    guardianemails: 'guardianEmails', parentemails: 'guardianEmails', parentemail: 'guardianEmails',
+};
+
+// Splits a list of emails separated by commas, semicolons or spaces
+const parseEmailList = (text) => [...new Set(String(text || '').split(/[\s,;]+/).map(e => e.trim().toLowerCase()).filter(Boolean))];
+
+// Converts roster CSV text into student records, collecting a message for every rejected row
+const parseRosterCSV = (text, { t }) => {
+    const [header, ...dataRows] = parseCSV(text);
+    if (!header) return { students: [], errors: [t('roster.csv.empty')] };
+
+    const columns = header.map(h => ROSTER_CSV_COLUMNS[h.toLowerCase().replace(/[^a-z]/g, '')]);
+    const missing = ['name', 'class', 'section', 'rollNumber'].filter(f => !columns.includes(f));
+    if (missing.length > 0) {
+        return { students: [], errors: [t('roster.csv.missingColumns', { columns: missing.join(', ') })] };
+    }
+
+    const students = [];
+    const errors = [];
+    dataRows.forEach((cells, index) => {
+        const student = { name: '', class: '', section: '', rollNumber: '', email: '', house: '', guardianEmails: '' };
+        columns.forEach((field, col) => {
+            if (field) student[field] = (cells[col] || '').trim();
+        });
+        student.guardianEmails = parseEmailList(student.guardianEmails);
+        if (!student.name || !student.class || !student.section || !student.rollNumber) {
+            errors.push(t('roster.csv.incomplete', { row: index + 2 }));
+            return;
+        }
+        student.section = student.section.toUpperCase();
+        student.email = student.email.toLowerCase();
+        students.push(student);
+    });
+    return { students, errors };
+};
+
+// --- Scoring Helpers ---
+
+// Parses a score typed by the teacher according to the event's scheme.
+// Returns { value } (null when left empty) or { error }.
+const parseScoreValue = (input, scheme, { t }) => {
+    const text = String(input ?? '').trim();
+    if (!text) return { value: null };
+    switch (scheme) {
+        case 'time': {
+            // Accepts seconds ("9.58", "9.58s") or minutes:seconds ("1:02.35")
+            const match = text.replace(/s$/i, '').match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+            if (!match || (match[1] && Number(match[2]) >= 60)) return { error: t('score.error.time') };
+            // Rounded to milliseconds so "1:02.35" and "62.35" tie exactly
+            return { value: Math.round((Number(match[1] || 0) * 60 + Number(match[2])) * 1000) / 1000 };
+        }
+        case 'points': {
+            const value = Number(text);
+            if (!Number.isFinite(value) || value < 0) return { error: t('score.error.points') };
+            return { value };
+        }
+        case 'placing': {
+            const value = Number(text);
+            if (!Number.isInteger(value) || value < 1) return { error: t('score.error.placing') };
+            return { value };
+        }
+        case 'passfail':
+            if (text !== 'pass' && text !== 'fail') return { error: t('score.error.passfail') };
+            return { value: text };
+        default:
+            return { error: t('score.error.unknown') };
+    }
+};
+
+// Formats a stored score value for display
+const formatScoreValue = (value, scheme, { t }) => {
+    if (value === null || value === undefined) return '';
+    switch (scheme) {
+        case 'time': {
+            const minutes = Math.floor(value / 60);
+            const seconds = Math.round((value - minutes * 60) * 100) / 100;
+            return minutes > 0 ? `${minutes}:${seconds.toFixed(2).padStart(5, '0')}` : t('score.seconds', { seconds: seconds.toFixed(2) });
+        }
+        case 'placing': return t('score.placed', { place: value });
+        case 'passfail': return value === 'pass' ? t('score.pass') : t('score.fail');
+        default: return String(value);
+    }
+};
+
+// A result's score for display: formatted from its value in the reader's language, or the text stored
+// with results published before values were kept
+const formatResultScore = (result, scheme, { t }) => (result.status === 'OK' && result.value !== null && result.value !== undefined && scheme
+    ? formatScoreValue(result.value, scheme, { t })
+    : result.score);
+
+// Assigns competition ranks ("1, 1, 3" for ties) to finishers. DNF/DNS and pass/fail results are not ranked.
+const computeRanks = (results, scheme) => {
+    const isRanked = (r) => scheme !== 'passfail' && r.status === 'OK' && typeof r.value === 'number';
+    const isBetter = (a, b) => (scheme === 'points' ? a.value > b.value : a.value < b.value);
+    const finishers = results.filter(isRanked);
+    return results.map(r => ({
+        ...r,
+        rank: isRanked(r) ? 1 + finishers.filter(other => isBetter(other, r)).length : null,
+    }));
+};
+
+// Ordering for published results: ranked first, then unranked finishers/passes, then DNF, then DNS.
+// Legacy free-text ranks such as "1st" or "10th" are compared by their leading number.
+const compareResults = (a, b) => {
+    const rankOf = (r) => (typeof r.rank === 'number' ? r.rank : parseInt(r.rank, 10));
+    const statusOrder = { OK: 0, DNF: 1, DNS: 2 };
+    const statusDiff = (statusOrder[a.status] || 0) - (statusOrder[b.status] || 0);
+    if (statusDiff !== 0) return statusDiff;
+    const rankA = rankOf(a);
+    const rankB = rankOf(b);
+    if (Number.isNaN(rankA) !== Number.isNaN(rankB)) return Number.isNaN(rankA) ? 1 : -1;
+    if (!Number.isNaN(rankA) && rankA !== rankB) return rankA - rankB;
+    if (a.value === 'pass' && b.value !== 'pass') return -1;
+    if (b.value === 'pass' && a.value !== 'pass') return 1;
+    return (a.studentName || '').localeCompare(b.studentName || '');
+};
+
+// 1 -> "1st", 2 -> "2nd", 11 -> "11th" using the locale's ordinal rules (labels: 'rank.<category>');
+// legacy string ranks are shown as typed
+const formatRank = (rank, { t, locale }) => {
+    if (typeof rank !== 'number') return rank || '-';
+    return t(`rank.${new Intl.PluralRules(locale, { type: 'ordinal' }).select(rank)}`, { rank });
+};
+
+// --- Leaderboard Helpers ---
+
+// Points awarded for 1st, 2nd, 3rd... place; stored in settings/leaderboard once a teacher changes it
+const DEFAULT_POINTS_TABLE = [10, 7, 5, 3, 1];
+
+// School terms by calendar month (0 = January) (labels: 'term.<id>')
+const SCHOOL_TERMS = [
+    { id: 'spring', months: [0, 1, 2, 3] },
+    { id: 'summer', months: [4, 5, 6, 7] },
+    { id: 'autumn', months: [8, 9, 10, 11] },
+];
+
+// "2024-06-15" -> { key: '2024-summer', id: 'summer', year: 2024 }
+const getTermForDate = (dateString) => {
+    const [year, month] = (dateString || '').split('-').map(Number);
+    if (!year || !month) return null;
+    const term = SCHOOL_TERMS.find(t => t.months.includes(month - 1));
+    return { key: `${year}-${term.id}`, id: term.id, year };
+};
+
+// { id: 'summer', year: 2024 } -> "Summer term 2024"
+const formatTermLabel = (term, { t }) => t('term.label', { term: t(`term.${term.id}`), year: term.year });
+
+// The date a result belongs to: its event's date, or the day it was published
+const getScoreDate = (score, event) => event?.date || score.publishedAt?.slice(0, 10) || '';
+
+const getScoreTerm = (score, event) => getTermForDate(getScoreDate(score, event));
+
+// Terms that have published results, most recent first
+const getResultTerms = (scores, events) => {
+    const terms = [];
+    scores.forEach(score => {
+        const term = getScoreTerm(score, events.find(e => e.id === score.eventId));
+        if (term && !terms.some(o => o.key === term.key)) terms.push(term);
+    });
+    return terms.sort((a, b) => b.key.localeCompare(a.key));
+};
+
+// Parses "10, 7, 5" into [10, 7, 5]; returns null if any entry is not a whole number
+const parsePointsTable = (text) => {
+    const points = text.split(',').map(p => p.trim()).filter(Boolean).map(Number);
+    if (points.length === 0 || points.some(p => !Number.isInteger(p) || p < 0)) return null;
+    return points;
+};
+
+// Totals placing points per house (or class) across published results.
+// Tied placings each earn the points for their shared rank; DNF/DNS and unplaced results earn nothing.
+const buildLeaderboard = (scores, events, { groupBy, category, term, pointsTable }, { t }) => {
+    const totals = {};
+    scores.forEach(score => {
+        const event = events.find(e => e.id === score.eventId);
+        if (category && event?.category !== category) return;
+        if (term && getScoreTerm(score, event)?.key !== term) return;
+
+        (score.results || []).forEach(result => {
+            const group = groupBy === 'class' ? (result.class || t('leaderboard.unknownClass')) : (result.house || t('leaderboard.noHouse'));
+            const rank = typeof result.rank === 'number' ? result.rank : parseInt(result.rank, 10);
+            const points = result.status === 'DNF' || result.status === 'DNS' || !(rank >= 1) ? 0 : (pointsTable[rank - 1] || 0);
+            totals[group] = totals[group] || { name: group, points: 0, placings: 0 };
+            totals[group].points += points;
+            if (points > 0) totals[group].placings += 1;
+        });
+    });
+    const rows = Object.values(totals).sort((a, b) => b.points - a.points || a.name.localeCompare(b.name));
+    return rows.map(row => ({ ...row, position: 1 + rows.filter(other => other.points > row.points).length }));
+};
+
+// --- Results Export & Certificate Helpers ---
+// Published results are exported as CSV that Excel, Numbers and Google Sheets open directly, and
+// placed students get a one-page A4 certificate. Certificates are drawn on a canvas (so any script
+// and the school logo render as on screen) and wrapped in a minimal PDF, one JPEG page each.
+
+// Column headings (labels: 'csv.<id>')
+const RESULT_CSV_COLUMNS = ['rank', 'student', 'class', 'section', 'house', 'status', 'score'];
+const TERM_CSV_COLUMNS = ['event', 'eventDate', 'category', ...RESULT_CSV_COLUMNS];
+
+// Quotes fields when needed; text a spreadsheet would run as a formula is prefixed with an apostrophe
+const toCSVField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of fields -> CSV text, with the byte order mark Excel needs to read UTF-8 names correctly
+const buildCSV = (rows) => `\uFEFF${rows.map(row => row.map(toCSVField).join(',')).join('\r\n')}\r\n`;
+
+const getResultRow = (result, scheme, { t, locale }) => [
+    result.status === 'DNF' || result.status === 'DNS' || !result.rank ? '' : formatRank(result.rank, { t, locale }),
+    result.studentName,
+    result.class,
+    result.section,
+    result.house,
+    result.status || 'OK',
+    formatResultScore(result, scheme, { t }),
+];
+
+const buildEventResultsCSV = (score, { t, locale }) => buildCSV([
+    RESULT_CSV_COLUMNS.map(column => t(`csv.${column}`)),
+    ...[...(score.results || [])].sort(compareResults).map(result => getResultRow(result, score.scoringScheme, { t, locale })),
+]);
+
+// Every result of every event in the term, events in date order
+const buildTermResultsCSV = (scores, events, termKey, { t, locale }) => {
+    const rows = scores
+        .map(score => ({ score, event: events.find(e => e.id === score.eventId) }))
+        .filter(({ score, event }) => getScoreTerm(score, event)?.key === termKey)
+        .sort((a, b) => getScoreDate(a.score, a.event).localeCompare(getScoreDate(b.score, b.event)))
+        .flatMap(({ score, event }) => [...(score.results || [])].sort(compareResults).map(result => [
+            score.eventTitle,
+            getScoreDate(score, event),
+            event?.category ? getCategoryLabel(t, event.category) : '',
+            ...getResultRow(result, score.scoringScheme, { t, locale }),
+        ]));
+    return buildCSV([TERM_CSV_COLUMNS.map(column => t(`csv.${column}`)), ...rows]);
+};
+
+// Finishers with a place (legacy ranks such as "2nd" included), best first
+const getPlacedResults = (score) => [...(score.results || [])]
+    .filter(result => result.status !== 'DNF' && result.status !== 'DNS' && parseInt(result.rank, 10) >= 1)
+    .sort(compareResults);
+
+// A4 landscape in PDF points, drawn at twice the size for print quality
+const CERTIFICATE_PAGE = { width: 842, height: 595 };
+const CERTIFICATE_SCALE = 2;
+
+// Resolves to null when the logo cannot be loaded, or could not be copied into a PDF (no CORS headers)
+const loadCertificateLogo = (url) => new Promise((resolve) => {
+    if (!url) {
+        resolve(null);
+        return;
+    }
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+});
+
+// Draws one certificate. `details` holds schoolName, logo (image or null), primaryColor, secondaryColor,
+// eventTitle, date (already formatted), the result being awarded, and the reader's t, locale and dir.
+const drawCertificate = (canvas, { schoolName, logo, primaryColor, secondaryColor, eventTitle, date, result, t, locale, dir }) => {
+    const { width, height } = CERTIFICATE_PAGE;
+    canvas.width = width * CERTIFICATE_SCALE;
+    canvas.height = height * CERTIFICATE_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(CERTIFICATE_SCALE, CERTIFICATE_SCALE);
+    ctx.direction = dir;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.strokeStyle = primaryColor;
+    ctx.lineWidth = 10;
+    ctx.strokeRect(20, 20, width - 40, height - 40);
+    ctx.strokeStyle = secondaryColor;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(34, 34, width - 68, height - 68);
+
+    const text = (value, y, font, color = '#1f2937') => {
+        ctx.font = font;
+        ctx.fillStyle = color;
+        ctx.textAlign = 'center';
+        ctx.fillText(value, width / 2, y, width - 120);
+    };
+
+    let y = 70;
+    if (logo) {
+        const logoHeight = 70;
+        const logoWidth = Math.min(logoHeight * (logo.naturalWidth / logo.naturalHeight || 1), 200);
+        ctx.drawImage(logo, (width - logoWidth) / 2, y, logoWidth, logoHeight);
+        y += logoHeight + 30;
+    } else {
+        y += 30;
+    }
+    text(schoolName, y, 'bold 22px sans-serif', primaryColor);
+    text(t('cert.title'), y + 55, 'bold 36px serif', secondaryColor);
+    text(t('cert.awardedTo'), y + 100, '16px sans-serif', '#4b5563');
+    text(result.studentName || '', y + 150, 'bold 40px serif');
+    const group = [result.class, result.section].filter(Boolean).join('-');
+    if (group) text(t('cert.class', { group }), y + 180, '14px sans-serif', '#4b5563');
+    text(t('cert.achievement', { rank: formatRank(result.rank, { t, locale }), event: eventTitle }), y + 225, '20px sans-serif');
+    text(date, y + 260, '16px sans-serif', '#4b5563');
+};
+
+// Renders each result's certificate and returns the pages as JPEG bytes, ready for buildImagePDF
+const renderCertificatePages = async (results, details) => {
+    const canvas = document.createElement('canvas');
+    const pages = [];
+    for (const result of results) {
+        drawCertificate(canvas, { ...details, result });
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(b => (b ? resolve(b) : reject(new Error('The certificate could not be drawn.'))), 'image/jpeg', 0.92);
+        });
+        pages.push({ jpeg: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height });
+    }
+    return pages;
+};
+
+// Builds a PDF (1.4) with one page per image, each JPEG scaled to fill an A4 landscape page.
+// `pages` are { jpeg: Uint8Array, width, height } in pixels. Returns the file as a Blob.
+const buildImagePDF = (pages) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = (id) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+
+    // Objects: 1 catalog, 2 page tree, then a page, its content stream and its image for each page
+    const pageIds = pages.map((_, index) => 3 + index * 3);
+    write('%PDF-1.4\n');
+    startObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    startObject(2);
+    write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const content = `q ${CERTIFICATE_PAGE.width} 0 0 ${CERTIFICATE_PAGE.height} 0 0 cm /Im${index} Do Q`;
+        startObject(pageId);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${CERTIFICATE_PAGE.width} ${CERTIFICATE_PAGE.height}] /Resources << /XObject << /Im${index} ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`);
+        startObject(pageId + 1);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+        startObject(pageId + 2);
+        write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+        write(page.jpeg);
+        write('\nendstream\nendobj\n');
+    });
+
+    const objectCount = 3 + pages.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    return new Blob(chunks, { type: 'application/pdf' });
+};
+
+// --- Event Schedule Helpers ---
+// An event runs from `date` to `endDate` (both 'YYYY-MM-DD', endDate defaults to date). All-day events
+// have `allDay: true`; timed events also store `startTime` and `endTime` ('HH:MM', local time), the
+// hours it runs on each of its days.
+// `venue` is free text, and `audienceType` is 'everyone' or 'classes' with `audienceTargets`
+// [{ class, section }] as on notices. Events stored before these fields existed are all-day,
+// single-day events for everyone.
+
+// Labels: 'eventAudience.<id>'
+const EVENT_AUDIENCES = ['everyone', 'classes'];
+
+// Longest span shown on the calendar, so a mistyped end year cannot fill every day
+const MAX_EVENT_DAYS = 62;
+
+const addDaysToKey = (dateKey, days) => {
+    const date = parseDateKey(dateKey);
+    return toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+};
+
+const daysBetweenKeys = (fromKey, toKey) => Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / (24 * 60 * 60 * 1000));
+
+const getEventEndDate = (event) => (event.endDate && event.endDate > event.date ? event.endDate : event.date);
+
+const isAllDayEvent = (event) => event.allDay !== false || !event.startTime;
+
+// Every date the event runs on
+const getEventDateKeys = (event) => {
+    if (!event.date) return [];
+    const days = Math.min(daysBetweenKeys(event.date, getEventEndDate(event)), MAX_EVENT_DAYS - 1);
+    return Array.from({ length: days + 1 }, (_, i) => addDaysToKey(event.date, i));
+};
+
+// Whether the event runs on any day of a 'YYYY-MM' month
+const eventOverlapsMonth = (event, monthKey) => Boolean(event.date) && event.date.slice(0, 7) <= monthKey && getEventEndDate(event).slice(0, 7) >= monthKey;
+
+// Groups events under every date they run on. Within a day, multi-day events come first, then
+// all-day events, then timed events by start time.
+const groupEventsByDate = (events) => {
+    const byDate = {};
+    events.forEach(event => getEventDateKeys(event).forEach(dateKey => (byDate[dateKey] = byDate[dateKey] || []).push(event)));
+    const sortKey = (event) => `${getEventEndDate(event) > event.date ? 0 : 1}${isAllDayEvent(event) ? '00:00' : event.startTime}`;
+    Object.values(byDate).forEach(dayEvents => dayEvents.sort((a, b) => sortKey(a).localeCompare(sortKey(b))));
+    return byDate;
+};
+
+// Events overlap when they share a day and, if both are timed, their hours overlap
+const eventsOverlap = (a, b) => {
+    if (a.date > getEventEndDate(b) || b.date > getEventEndDate(a)) return false;
+    if (isAllDayEvent(a) || isAllDayEvent(b)) return true;
+    return a.startTime < b.endTime && b.startTime < a.endTime;
+};
+
+const normaliseVenue = (venue) => (venue || '').trim().toLowerCase();
+
+// Two audiences overlap when either is the whole school, or they share a class (a target without
+// a section is the whole class)
+const audiencesOverlap = (a, b) => {
+    if (a.audienceType !== 'classes' || b.audienceType !== 'classes') return true;
+    return (a.audienceTargets || []).some(x => (b.audienceTargets || []).some(y => (
+        x.class === y.class && (!x.section || !y.section || x.section === y.section)
+    )));
+};
+
+// Existing events that overlap the candidate in time and share its venue or audience:
+// [{ event, venue, audience }]. Recurring candidates are checked occurrence by occurrence.
+const findEventClashes = (candidate, events) => {
+    if (!candidate.date) return [];
+    const occurrences = expandRecurringEvents([{ ...candidate, id: candidate.id || 'new' }]);
+    const ownIds = new Set([candidate.id, ...occurrences.map(o => o.id)]);
+    const clashes = [];
+    events
+        .filter(e => e.date && e.status !== 'cancelled' && !ownIds.has(e.id) && !(candidate.id && e.seriesId === candidate.id))
+        .forEach(event => {
+            const overlapping = occurrences.find(o => eventsOverlap(o, event));
+            if (!overlapping) return;
+            const venue = Boolean(normaliseVenue(candidate.venue)) && normaliseVenue(candidate.venue) === normaliseVenue(event.venue);
+            const audience = audiencesOverlap(candidate, event);
+            if (venue || audience) clashes.push({ event, venue, audience });
+        });
+    return clashes.sort((a, b) => a.event.date.localeCompare(b.event.date));
+};
+
+const describeEventAudience = (event, { t }) => (event.audienceType === 'classes' ? describeAudienceTargets(event.audienceTargets, { t }) : t('eventAudience.everyone'));
+
+// e.g. "Thu, Nov 20 – Sat, Nov 22 · 09:00–15:30"
+const formatEventSchedule = (event, { t, formatDate }) => {
+    const endDate = getEventEndDate(event);
+    const dayFormat = { weekday: 'short', month: 'short', day: 'numeric' };
+    const days = endDate === event.date ? formatDate(event.date, dayFormat) : `${formatDate(event.date, dayFormat)} – ${formatDate(endDate, dayFormat)}`;
+    return `${days} · ${isAllDayEvent(event) ? t('events.allDay') : `${event.startTime}–${event.endTime}`}`;
+};
+
+// --- Recurring Event Helpers ---
+// A recurring event is stored once, as a series: its `date` is the first occurrence and
+//   recurrence: { freq: 'daily' | 'weekly' | 'monthly', interval, weekdays (weekly, 0 = Sunday),
+//                 monthlyBy: 'date' | 'weekday', endType: 'until' | 'count', until, count }
+//   exceptions: { 'YYYY-MM-DD': changes for that one occurrence, e.g. { status: 'cancelled' } or { deleted: true } }
+// The app expands series into occurrences with IDs like '<seriesId>__2025-11-20', which are what
+// registrations, scores and links refer to.
+
+// Labels: 'recurrenceForm.freq.<id>'
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// Upper bound on the occurrences of one series, whatever its end date
+const MAX_OCCURRENCES = 500;
+const OCCURRENCE_SEPARATOR = '__';
+
+const getOccurrenceId = (seriesId, dateKey) => `${seriesId}${OCCURRENCE_SEPARATOR}${dateKey}`;
+
+// Splits an event ID into its series ID and occurrence date (null for one-off events)
+const parseOccurrenceId = (id = '') => {
+    const index = id.lastIndexOf(OCCURRENCE_SEPARATOR);
+    const dateKey = index === -1 ? '' : id.slice(index + OCCURRENCE_SEPARATOR.length);
+    return /^\d{4}-\d{2}-\d{2}$/.test(dateKey)
+        ? { seriesId: id.slice(0, index), occurrenceDate: dateKey }
+        : { seriesId: id, occurrenceDate: null };
+};
+
+// Which weekday of its month a date is: 1-4, or -1 for a fifth one, which repeats as "the last" (e.g. last Friday)
+const getWeekdayPosition = (date) => (date.getDate() > 28 ? -1 : Math.ceil(date.getDate() / 7));
+
+// The nth (or, for -1, last) given weekday of a month, or null if the month has no such day
+const getNthWeekdayOfMonth = (year, month, weekday, nth) => {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    if (nth === -1) {
+        const lastDay = new Date(year, month, daysInMonth);
+        return new Date(year, month, daysInMonth - ((lastDay.getDay() - weekday + 7) % 7));
+    }
+    const day = 1 + ((weekday - new Date(year, month, 1).getDay() + 7) % 7) + (nth - 1) * 7;
+    return day <= daysInMonth ? new Date(year, month, day) : null;
+};
+
+// Occurrence dates ('YYYY-MM-DD') of a series starting on startKey, in order
+const getOccurrenceDates = (startKey, recurrence) => {
+    const start = parseDateKey(startKey);
+    const interval = Math.max(1, parseInt(recurrence.interval, 10) || 1);
+    const maxCount = recurrence.endType === 'count' ? Math.min(recurrence.count || 1, MAX_OCCURRENCES) : MAX_OCCURRENCES;
+    const until = recurrence.endType === 'until' ? recurrence.until : null;
+    const weekdays = [...(recurrence.weekdays?.length ? recurrence.weekdays : [start.getDay()])].sort((a, b) => a - b);
+    const position = getWeekdayPosition(start);
+
+    // Candidate dates in the nth day, week or month of the series
+    const candidates = (n) => {
+        if (recurrence.freq === 'daily') {
+            return [new Date(start.getFullYear(), start.getMonth(), start.getDate() + n * interval)];
+        }
+        if (recurrence.freq === 'weekly') {
+            const sunday = start.getDate() - start.getDay() + n * 7 * interval;
+            return weekdays.map(weekday => new Date(start.getFullYear(), start.getMonth(), sunday + weekday));
+        }
+        const year = start.getFullYear();
+        const month = start.getMonth() + n * interval;
+        if (recurrence.monthlyBy === 'weekday') {
+            const date = getNthWeekdayOfMonth(year, month, start.getDay(), position);
+            return date ? [date] : [];
+        }
+        // Months without the day (e.g. the 31st) are skipped
+        const date = new Date(year, month, start.getDate());
+        return date.getDate() === start.getDate() ? [date] : [];
+    };
+
+    const dates = [];
+    for (let n = 0; n < MAX_OCCURRENCES * 4; n++) {
+        for (const date of candidates(n)) {
+            const key = toDateKey(date);
+            if (key < startKey) continue;
+            if ((until && key > until) || dates.length >= maxCount) return dates;
+            dates.push(key);
+        }
+    }
+    return dates;
+};
+
+// Replaces every series with its occurrences; one-off events are returned unchanged
+const expandRecurringEvents = (events) => events.flatMap(event => {
+    if (!event.recurrence || !event.date) return [event];
+    const { exceptions = {}, ...series } = event;
+    const span = daysBetweenKeys(event.date, getEventEndDate(event)); // Multi-day occurrences keep the series' length
+    return getOccurrenceDates(event.date, event.recurrence)
+        .filter(dateKey => !exceptions[dateKey]?.deleted)
+        .map(dateKey => {
+            const date = exceptions[dateKey]?.date || dateKey;
+            return {
+                ...series,
+                ...exceptions[dateKey],
+                id: getOccurrenceId(event.id, dateKey),
+                seriesId: event.id,
+                seriesStart: event.date,
+                occurrenceDate: dateKey,
+                date,
+                endDate: exceptions[dateKey]?.endDate || addDaysToKey(date, span),
+            };
+        });
+});
+
+// Recurrence fields of the event form, with their defaults
+const EMPTY_RECURRENCE_FORM = { repeat: 'none', repeatInterval: '1', repeatWeekdays: [], repeatMonthlyBy: 'date', repeatEnd: 'count', repeatUntil: '', repeatCount: '10' };
+
+const getRecurrenceFormData = (recurrence) => (recurrence ? {
+    repeat: recurrence.freq,
+    repeatInterval: String(recurrence.interval || 1),
+    repeatWeekdays: recurrence.weekdays || [],
+    repeatMonthlyBy: recurrence.monthlyBy || 'date',
+    repeatEnd: recurrence.endType,
+    repeatUntil: recurrence.until || '',
+    repeatCount: String(recurrence.count || 10),
+} : EMPTY_RECURRENCE_FORM);
+
+// Validates the recurrence part of the event form: returns { error } or { recurrence } (null for one-off events)
+const validateRecurrenceForm = (formData, { t }) => {
+    if (!formData.repeat || formData.repeat === 'none') return { recurrence: null };
+    const interval = parseInt(formData.repeatInterval, 10);
+    if (!(interval >= 1 && interval <= 99)) {
+        return { error: t('recurrenceForm.error.interval') };
+    }
+    const recurrence = { freq: formData.repeat, interval, endType: formData.repeatEnd };
+    if (formData.repeat === 'weekly') {
+        recurrence.weekdays = formData.repeatWeekdays.length ? [...formData.repeatWeekdays].sort((a, b) => a - b) : [parseDateKey(formData.date).getDay()];
+    }
+    if (formData.repeat === 'monthly') {
+        recurrence.monthlyBy = formData.repeatMonthlyBy === 'weekday' ? 'weekday' : 'date';
+    }
+    if (formData.repeatEnd === 'until') {
+        if (!formData.repeatUntil || formData.repeatUntil < formData.date) {
+            return { error: t('recurrenceForm.error.until') };
+        }
+        recurrence.until = formData.repeatUntil;
+    } else {
+        const count = parseInt(formData.repeatCount, 10);
+        if (!(count >= 1 && count <= MAX_OCCURRENCES)) {
+            return { error: t('recurrenceForm.error.count', { max: MAX_OCCURRENCES }) };
+        }
+        recurrence.count = count;
+    }
+    return { recurrence };
+};
+
+// Short description of a series' rule, e.g. "Every 2 week(s) on Mon, Wed, 10 times"
+const describeRecurrence = (recurrence, startKey, { t, locale, formatDate }) => {
+    const start = parseDateKey(startKey);
+    const weekdayNames = getWeekdayNames(locale, 0);
+    const params = { interval: recurrence.interval || 1 };
+    let rule;
+    if (recurrence.freq === 'daily') {
+        rule = t('recurrence.daily', params);
+    } else if (recurrence.freq === 'weekly') {
+        rule = t('recurrence.weekly', { ...params, days: (recurrence.weekdays || [start.getDay()]).map(d => weekdayNames[d]).join(', ') });
+    } else if (recurrence.monthlyBy === 'weekday') {
+        rule = t('recurrence.monthlyWeekday', { ...params, nth: t(`recurrence.nth.${getWeekdayPosition(start)}`), weekday: formatDate(start, { weekday: 'long' }) });
+    } else {
+        rule = t('recurrence.monthlyDate', { ...params, day: start.getDate() });
+    }
+    const end = recurrence.endType === 'until' ? t('recurrence.until', { date: formatDate(recurrence.until) }) : t('recurrence.count', { count: recurrence.count });
+    return `${rule}, ${end}`;
+};
+
+// --- Event Editing Helpers ---
+
+const EMPTY_EVENT_FORM = {
+    title: '', date: '', endDate: '', allDay: true, startTime: '', endTime: '', venue: '', audienceType: 'everyone', audienceTargets: [],
+    description: '', category: EventCategories[0], capacity: '', scoringScheme: DEFAULT_SCORING_SCHEME, requiresConsent: false, ...EMPTY_RECURRENCE_FORM,
+};
+
+// Form values for an existing event (or occurrence)
+const getEventFormData = (event) => ({
+    ...EMPTY_EVENT_FORM,
+    title: event.title,
+    date: event.date,
+    endDate: getEventEndDate(event),
+    allDay: isAllDayEvent(event),
+    startTime: event.startTime || '',
+    endTime: event.endTime || '',
+    venue: event.venue || '',
+    audienceType: event.audienceType || 'everyone',
+    audienceTargets: event.audienceTargets || [],
+    description: event.description,
+    category: event.category,
+    capacity: event.capacity ?? '',
+    scoringScheme: event.scoringScheme || DEFAULT_SCORING_SCHEME,
+    requiresConsent: !!event.requiresConsent,
+    ...getRecurrenceFormData(event.recurrence),
+});
+
+// Built-in sample events are not stored in Firestore, so they cannot be edited or deleted
+const isMockEvent = (event) => MOCK_EVENTS.some(m => m.id === event.id);
+
+// Validates the event form and returns either an error message or the event fields to store
+const validateEventForm = (formData, { t }) => {
+    if (!formData.title || !formData.date || !formData.description) {
+        return { error: t('eventForm.error.missing') };
+    }
+    const capacity = formData.capacity === '' || formData.capacity === null ? null : parseInt(formData.capacity, 10);
+    if (capacity !== null && !(capacity > 0)) {
+        return { error: t('eventForm.error.capacity') };
+    }
+    const endDate = formData.endDate || formData.date;
+    if (endDate < formData.date) {
+        return { error: t('eventForm.error.endDate') };
+    }
+    const allDay = formData.allDay !== false;
+    if (!allDay && (!formData.startTime || !formData.endTime)) {
+        return { error: t('eventForm.error.times') };
+    }
+    if (!allDay && formData.endTime <= formData.startTime) {
+        return { error: t('eventForm.error.endTime') };
+    }
+    const audienceType = formData.audienceType === 'classes' ? 'classes' : 'everyone';
+    if (audienceType === 'classes' && !(formData.audienceTargets?.length > 0)) {
+        return { error: t('eventForm.error.classes') };
+    }
+    const { error: recurrenceError, recurrence } = validateRecurrenceForm(formData, { t });
+    if (recurrenceError) {
+        return { error: recurrenceError };
+    }
+    return {
+        event: {
+            title: formData.title.trim(),
+            date: formData.date,
+            endDate,
+            allDay,
+            startTime: allDay ? null : formData.startTime,
+            endTime: allDay ? null : formData.endTime,
+            venue: (formData.venue || '').trim(),
+            audienceType,
+            audienceTargets: audienceType === 'classes' ? formData.audienceTargets : [],
+            description: formData.description.trim(),
+            category: formData.category,
+            capacity, // null means unlimited places
+            scoringScheme: SCORING_SCHEMES.includes(formData.scoringScheme) ? formData.scoringScheme : DEFAULT_SCORING_SCHEME,
+            requiresConsent: !!formData.requiresConsent, // a parent must agree before the student takes part
+            recurrence, // null for one-off events
+        },
+    };
+};
+
+// Changes that make one occurrence differ from its series; fields that match the series are dropped
+const buildOccurrenceOverride = (series, occurrenceDate, fields) => {
+    const date = fields.date || occurrenceDate;
+    const endDate = addDaysToKey(date, daysBetweenKeys(series.date, getEventEndDate(series)));
+    return Object.fromEntries(Object.entries(fields).filter(([field, value]) => {
+        if (field === 'date') return value !== occurrenceDate;
+        if (field === 'endDate') return value !== endDate;
+        return JSON.stringify(value ?? null) !== JSON.stringify(series[field] ?? null);
+    }));
+};
+
+// Fields whose changes are recorded in an event's history
+const EVENT_HISTORY_FIELDS = ['title', 'date', 'endDate', 'allDay', 'startTime', 'endTime', 'venue', 'audienceTargets', 'category', 'capacity', 'scoringScheme', 'requiresConsent', 'description', 'status', 'cancelReason', 'recurrence'];
+
+// Returns { field: { from, to } } for every tracked field that differs between two versions of an event
+// (compared as JSON, since the recurrence rule and audience are objects)
+// Events stored before the schedule fields existed are compared with their defaults filled in.
+const diffEventFields = (before, after) => EVENT_HISTORY_FIELDS.reduce((changes, field) => {
+    if (!(field in after)) return changes;
+    const current = { ...before, endDate: before.date ? getEventEndDate(before) : null, allDay: isAllDayEvent(before), venue: before.venue || '', audienceTargets: before.audienceTargets || [], requiresConsent: !!before.requiresConsent };
+    const from = current[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+    return changes;
+}, {});
+
+// History lives in its own collection (eventHistory) so it survives a hard delete of the event itself
+const buildEventHistoryEntry = (eventId, entry, author) => ({
+    eventId,
+    ...entry,
+    changedBy: author.uid,
+    changedByName: author.name,
+    changedAt: new Date().toISOString(),
+});
+
+// Display name recorded as the author of an event change
+const getAuthorName = (userProfile) => userProfile?.displayName || userProfile?.email || 'Unknown';
+
+// Writes that create an event together with its 'created' history entry. Every way of adding
+// events (the AddEventView form and the .ics import) goes through here. Document ids are picked
+// up front so the writes can be queued in the outbox and replayed safely.
+const buildCreateEventWrites = (db, event, { userRole, userId, userProfile }) => {
+    const newEvent = {
+        ...event,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        createdBy: userRole,
+        createdByUid: userId,
+    };
+    const eventId = db.newId('events');
+    const entry = { action: 'created', eventTitle: newEvent.title, changes: diffEventFields({}, newEvent) };
+    return [
+        { type: 'set', collection: 'events', id: eventId, data: newEvent },
+        { type: 'set', collection: 'eventHistory', id: db.newId('eventHistory'), data: buildEventHistoryEntry(eventId, entry, { uid: userId, name: getAuthorName(userProfile) }) },
+    ];
+};
+
+const createEvent = async (db, event, context) => {
+    const writes = buildCreateEventWrites(db, event, context);
+    await withRetry(() => db.commit(writes));
+    return writes[0].id;
+};
+
+// --- Event Filter Helpers ---
+// The events list filter lives in the URL (?q=&categories=Sports,Art&when=upcoming|past|range|all&from=&to=&month=)
+// so a filtered list survives back/forward and can be shared. The last filter used is also kept
+// for the browser session and restored when the list is opened without one.
+
+const EVENT_TIME_FILTERS = ['upcoming', 'past', 'range', 'all'];
+const EVENT_FILTER_PARAMS = ['q', 'categories', 'when', 'from', 'to', 'month'];
+const EVENT_FILTER_SESSION_KEY = 'schoollink-event-filters';
+
+const readEventFilters = (searchParams, categories) => {
+    const month = searchParams.get('month') || '';
+    const when = searchParams.get('when');
+    return {
+        query: searchParams.get('q') || '',
+        categories: (searchParams.get('categories') || '').split(',').filter(c => categories.includes(c)),
+        // A month handed over from the calendar shows the whole month, past days included
+        when: EVENT_TIME_FILTERS.includes(when) ? when : (month ? 'all' : 'upcoming'),
+        from: searchParams.get('from') || '',
+        to: searchParams.get('to') || '',
+        month,
+    };
+};
+
+const hasActiveEventFilters = (filters) => Boolean(filters.query || filters.categories.length || filters.month || filters.when !== 'upcoming');
+
+// Events without a date count as upcoming. Every search word must appear in the title, description or venue.
+const filterEvents = (events, filters, todayKey) => {
+    const words = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+    return events.filter(event => {
+        const date = event.date || '';
+        const endDate = date && getEventEndDate(event); // Events that are still running count as upcoming
+        if (filters.month && !eventOverlapsMonth(event, filters.month)) return false;
+        if (filters.categories.length > 0 && !filters.categories.includes(event.category)) return false;
+        if (filters.when === 'upcoming' && date && endDate < todayKey) return false;
+        if (filters.when === 'past' && !(date && endDate < todayKey)) return false;
+        if (filters.when === 'range' && ((filters.from && endDate < filters.from) || (filters.to && date > filters.to))) return false;
+        const text = `${event.title || ''} ${event.description || ''} ${event.venue || ''}`.toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+};
+
+const readSessionFilters = () => {
+    try {
+        return sessionStorage.getItem(EVENT_FILTER_SESSION_KEY);
+    } catch (error) {
+        return null;
+    }
+};
+
+// --- iCalendar (.ics) Helpers (RFC 5545) ---
+
+// Escapes TEXT property values
+const escapeICSText = (text) => String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeICSText = (text) => text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Folds a content line so that no line exceeds 75 octets (continuation lines start with a space)
+const foldICSLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines lose one octet to the leading space
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const toICSDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// Current time in the UTC form required for DTSTAMP, e.g. 20251105T093000Z
+const toICSTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Local date and time as a floating DATE-TIME, e.g. 20251120T093000
+const toICSDateTime = (dateKey, time) => `${toICSDate(dateKey)}T${time.replace(':', '')}00`;
+
+// Builds a VCALENDAR document containing the given events: all-day events as DATE values,
+// timed events as floating (local) times
+const buildICS = (events, calendarName = 'SchoolLink Events') => {
+    const stamp = toICSTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//SchoolLink//School Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(calendarName)}`,
+    ];
+    events.filter(e => e.date).forEach(event => {
+        const days = daysBetweenKeys(event.date, getEventEndDate(event)) + 1;
+        const times = isAllDayEvent(event)
+            ? [`DTSTART;VALUE=DATE:${toICSDate(event.date)}`, `DTEND;VALUE=DATE:${toICSDate(addDaysToKey(getEventEndDate(event), 1))}`] // DTEND is exclusive
+            : [`DTSTART:${toICSDateTime(event.date, event.startTime)}`, `DTEND:${toICSDateTime(event.date, event.endTime)}`, ...(days > 1 ? [`RRULE:FREQ=DAILY;COUNT=${days}`] : [])];
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.icsUid || `${event.id}@${appId}`}`,
+            `DTSTAMP:${stamp}`,
+            ...times,
+            ...(event.venue ? [`LOCATION:${escapeICSText(event.venue)}`] : []),
+            `SUMMARY:${escapeICSText(event.title)}`,
+            `DESCRIPTION:${escapeICSText(event.status === 'cancelled' && event.cancelReason ? `CANCELLED: ${event.cancelReason}\n\n${event.description}` : event.description)}`,
+            `CATEGORIES:${escapeICSText(event.category)}`,
+            `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT',
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+};
+
+// "Sports Day 2025" -> "sports-day-2025", for download file names. Letters and digits of any
+// script are kept; a title with none gives '', so callers fall back to an ID.
+const toFileSlug = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+
+// Offers a Blob to the user as a file download
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Offers the events as a .ics file download
+const downloadICS = (events, fileName, calendarName) => {
+    const blob = new Blob([buildICS(events, calendarName)], { type: 'text/calendar;charset=utf-8' });
+    downloadBlob(blob, fileName.endsWith('.ics') ? fileName : `${fileName}.ics`);
+};
+
+// Converts a DTSTART/DTEND value (DATE, floating DATE-TIME or UTC DATE-TIME) to a local
+// { date: 'YYYY-MM-DD', time: 'HH:MM' }, with time null for DATE values
+const parseICSDate = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, y, m, d, hh, mm, ss, utc] = match;
+    if (utc) {
+        const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss)));
+        return { date: toDateKey(date), time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}` };
+    }
+    return { date: `${y}-${m}-${d}`, time: hh ? `${hh}:${mm}` : null };
+};
+
+// Maps an imported CATEGORIES value onto one of the school's event categories
+// ('Other', or the last category when the school has removed it, for anything unknown)
+const matchEventCategory = (value, categories) => {
+    const candidates = (value || '').split(',').map(c => c.trim().toLowerCase());
+    const fallback = categories.includes('Other') ? 'Other' : categories[categories.length - 1];
+    return categories.find(cat => candidates.includes(cat.toLowerCase())) || fallback;
+};
+
+// Timed events without a DTEND are given an hour (to the end of the day at most), so they can be
+// shown and checked for clashes
+const addHourToTime = (time) => {
+    const hour = Number(time.slice(0, 2)) + 1;
+    return hour > 23 ? '23:59' : `${String(hour).padStart(2, '0')}${time.slice(2)}`;
+};
+
+// Parses the VEVENTs of an .ics file into
+// { uid, title, date, endDate, allDay, startTime, endTime, venue, description, category, cancelled }
+const parseICS = (text, categories) => {
+    // Unfold continuation lines first
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events = [];
+    let current = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (current) events.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const colon = line.indexOf(':');
+        if (colon === -1) return;
+        const name = line.slice(0, colon).split(';')[0].toUpperCase();
+        const value = line.slice(colon + 1);
+        switch (name) {
+            case 'UID': current.uid = value.trim(); break;
+            case 'SUMMARY': current.title = unescapeICSText(value).trim(); break;
+            case 'DESCRIPTION': current.description = unescapeICSText(value).trim(); break;
+            case 'DTSTART': current.start = parseICSDate(value.trim()); break;
+            case 'DTEND': current.end = parseICSDate(value.trim()); break;
+            case 'LOCATION': current.venue = unescapeICSText(value).trim(); break;
+            case 'RRULE': current.rrule = value.trim(); break;
+            case 'CATEGORIES': current.category = unescapeICSText(value); break;
+            case 'STATUS': current.cancelled = value.trim().toUpperCase() === 'CANCELLED'; break;
+            default: break;
+        }
+    });
+
+    return events.map(e => {
+        const allDay = !e.start?.time;
+        // An all-day DTEND is exclusive: an event on the 5th only ends on the 6th
+        let endDate = e.end?.date || e.start?.date || '';
+        if (allDay && e.end?.date && e.start?.date && e.end.date > e.start.date) endDate = addDaysToKey(e.end.date, -1);
+        // A timed event over several days is one daily session repeated COUNT times, as buildICS writes it
+        const dailyCount = !allDay && e.rrule?.match(/^FREQ=DAILY;COUNT=(\d+)$/i)?.[1];
+        if (dailyCount) endDate = addDaysToKey(e.start.date, Number(dailyCount) - 1);
+        return {
+            uid: e.uid || null,
+            title: e.title || '',
+            date: e.start?.date || '',
+            endDate,
+            allDay,
+            startTime: allDay ? '' : e.start.time,
+            endTime: allDay ? '' : (e.end?.time || addHourToTime(e.start.time)),
+            venue: e.venue || '',
+            description: e.description || '',
+            category: matchEventCategory(e.category, categories),
+            cancelled: !!e.cancelled,
+        };
+    });
+};
+
+// --- Notice Audience Helpers ---
+
+// Who a notice is addressed to
+// Labels: 'noticeAudience.<id>'
+const NOTICE_AUDIENCES = ['everyone', 'students', 'parents', 'teachers', 'classes'];
+
+// Audience types a student or parent may read. The security rules check this field, so their
+// notices query filters on it too (rules are not filters). Class notices are further limited to
+// the accounts in their recipientIds.
+const STUDENT_NOTICE_AUDIENCES = ['everyone', 'students', 'classes'];
+const PARENT_NOTICE_AUDIENCES = ['everyone', 'parents', 'classes'];
+
+// Keys stored on a notice so students can query only the notices addressed to them.
+// A target without a section addresses the whole class.
+const buildNoticeAudienceKeys = (audienceType, targets = []) => {
+    switch (audienceType) {
+        case 'students': return ['role:Student'];
+        case 'parents': return ['role:Parent'];
+        case 'teachers': return ['role:Teacher'];
+        case 'classes': return targets.map(t => (t.section ? `class:${t.class}-${t.section}` : `class:${t.class}`));
+        default: return ['all'];
+    }
+};
+
+// Audience keys matching a student: used with 'array-contains-any' in the notices query
+const getStudentAudienceKeys = (studentRecord) => {
+    const keys = ['all', 'role:Student'];
+    if (studentRecord) keys.push(`class:${studentRecord.class}`, `class:${studentRecord.class}-${studentRecord.section}`);
+    return keys;
+};
+
+// Parents see notices for everyone, for parents, and for each of their children's classes
+const getParentAudienceKeys = (children = []) => {
+    const keys = new Set(['all', 'role:Parent']);
+    children.forEach(child => {
+        keys.add(`class:${child.class}`);
+        keys.add(`class:${child.class}-${child.section}`);
+    });
+    return [...keys];
+};
+
+// The children linked to a parent account by its login email
+const getLinkedChildren = (students, email) => (email
+    ? students.filter(s => !s.archived && (s.guardianEmails || []).includes(email.toLowerCase()))
+    : []);
+
+// The student and parent accounts a class notice is sent to: those linked to a roster entry in one of the
+// targeted classes. Stored on the notice as recipientIds, which is what the security rules check.
+const getClassNoticeRecipientIds = (audienceKeys, students, accounts) => {
+    const targeted = students.filter(s => !s.archived && getStudentAudienceKeys(s).some(k => audienceKeys.includes(k)));
+    const studentEmails = new Set(targeted.filter(s => s.email).map(s => s.email.toLowerCase()));
+    const guardianEmails = new Set(targeted.flatMap(s => s.guardianEmails || []));
+    return accounts
+        .filter(a => a.email && (a.role === 'Student' ? studentEmails : guardianEmails).has(a.email.toLowerCase()))
+        .map(a => a.id);
+};
+
+const describeAudienceTargets = (targets = [], { t }) => targets.map(target => (target.section
+    ? `${target.class}-${target.section}`
+    : t('audience.wholeClass', { class: target.class }))).join(', ');
+
+const describeNoticeAudience = (notice, { t }) => {
+    if (notice.audienceType === 'classes') {
+        return describeAudienceTargets(notice.audienceTargets, { t });
+    }
+    return t(`noticeAudience.${NOTICE_AUDIENCES.includes(notice.audienceType) ? notice.audienceType : 'everyone'}`);
+};
+
+// Lists the accounts a notice is addressed to: linked roster students (with their class), parent and teacher accounts (with their role)
+const getNoticeRecipients = (notice, students, teachers, parents = []) => {
+    const keys = notice.audienceKeys || ['all'];
+    const studentKeys = (student) => getStudentAudienceKeys(student);
+    const recipients = [];
+    if (!keys.includes('role:Teacher')) {
+        students
+            .filter(s => !s.archived && s.email && studentKeys(s).some(k => keys.includes(k)))
+            .sort(compareStudents)
+            .forEach(s => recipients.push({ kind: 'student', id: s.id, name: s.name, detail: `${s.class}-${s.section}` }));
+    }
+    if (keys.includes('all') || keys.includes('role:Teacher')) {
+        teachers
+            .filter(t => t.id !== notice.createdBy)
+            .forEach(t => recipients.push({ kind: 'teacher', id: t.id, name: t.displayName || t.email, role: 'Teacher' }));
+    }
+    if (PARENT_NOTICE_AUDIENCES.includes(notice.audienceType || 'everyone')) {
+        parents
+            .filter(p => getParentAudienceKeys(getLinkedChildren(students, p.email)).some(k => keys.includes(k)))
+            .forEach(p => recipients.push({ kind: 'parent', id: p.id, name: p.displayName || p.email, role: 'Parent' }));
+    }
+    return recipients;
+};
+
+// --- Notice Formatting & Attachment Helpers ---
+// Notices use a small Markdown-like syntax: **bold**, lines starting with "- " or "1. " for lists,
+// and [label](https://...) or bare web links. It is turned into React elements, never HTML,
+// so anything else a teacher types is shown as plain text.
+
+const NOTICE_INLINE_PATTERN = /\*\*(.+?)\*\*|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g;
+
+// Only web and mail links become links; javascript:, data: and the like stay as text
+const isSafeLinkUrl = (url) => /^(https?:\/\/|mailto:)/i.test(url);
+
+const NoticeLink = ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-indigo-700 underline break-all">{children}</a>
+);
+
+const renderNoticeInline = (text, keyPrefix) => {
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(NOTICE_INLINE_PATTERN)) {
+        const [whole, bold, label, href, bareUrl] = match;
+        const key = `${keyPrefix}-${match.index}`;
+        if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+        if (bold !== undefined) {
+            parts.push(<strong key={key}>{renderNoticeInline(bold, key)}</strong>);
+        } else if (label !== undefined && isSafeLinkUrl(href)) {
+            parts.push(<NoticeLink key={key} href={href}>{label}</NoticeLink>);
+        } else if (bareUrl !== undefined) {
+            parts.push(<NoticeLink key={key} href={bareUrl}>{bareUrl}</NoticeLink>);
+        } else {
+            parts.push(whole);
+        }
+        lastIndex = match.index + whole.length;
+    }
+    if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+    return parts;
+};
+
+// Groups consecutive lines into paragraphs and bulleted/numbered lists; blank lines separate blocks
+const parseNoticeBlocks = (content) => {
+    const blocks = [];
+    let current = null;
+    (content || '').split(/\r?\n/).forEach(line => {
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const type = bullet ? 'ul' : numbered ? 'ol' : line.trim() ? 'p' : null;
+        if (!type) {
+            current = null;
+            return;
+        }
+        const text = bullet ? bullet[1] : numbered ? numbered[1] : line;
+        if (current && current.type === type) {
+            current.lines.push(text);
+        } else {
+            current = { type, lines: [text] };
+            blocks.push(current);
+        }
+    });
+    return blocks;
+};
+
+// Attachment limits. Keep in step with storage.rules, which enforces the same ones on upload.
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_MAX_COUNT = 5;
+const ATTACHMENT_TYPES = {
+    'application/pdf': 'PDF',
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/gif': 'GIF',
+    'image/webp': 'WebP',
+};
+
+const formatFileSize = (bytes) => (bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+// Returns why a file cannot be attached, or null when it can
+const validateAttachment = (file, { t }) => {
+    if (!ATTACHMENT_TYPES[file.type]) {
+        return t('files.unsupported', { name: file.name, types: Object.values(ATTACHMENT_TYPES).join(', ') });
+    }
+    if (file.size > ATTACHMENT_MAX_BYTES) {
+        return t('files.tooLarge', { name: file.name, size: formatFileSize(ATTACHMENT_MAX_BYTES) });
+    }
+    return null;
+};
+
+const isImageAttachment = (attachment) => (attachment.contentType || attachment.type || '').startsWith('image/');
+
+// One folder per notice, within the school's own folder; the index keeps two files with the same name apart
+const getAttachmentPath = (schoolId, noticeId, index, fileName) => `artifacts/${appId}/schools/${schoolId}/notices/${noticeId}/${index}-${fileName.replace(/[^\w.-]+/g, '_')}`;
+
+// --- School Settings Helpers ---
+// The school's name, motto, logo, theme colours and event categories live in settings/school and are
+// applied at runtime through SchoolSettingsContext. The document can be read before signing in, so
+// the login screens carry the school's branding; only admins may change it. Every school has its own
+// settings, and the login screens show those of the school last used on this device.
+
+const SchoolSettingsContext = createContext(DEFAULT_SCHOOL_SETTINGS);
+const useSchoolSettings = () => useContext(SchoolSettingsContext);
+
+const SCHOOL_STORAGE_KEY = `schoollink-school-${appId}`;
+const getRememberedSchoolId = () => readStoredSetting(SCHOOL_STORAGE_KEY) || DEFAULT_SCHOOL_ID;
+const rememberSchoolId = (schoolId) => {
+    try {
+        localStorage.setItem(SCHOOL_STORAGE_KEY, schoolId);
+    } catch (error) {
+        console.error('Error saving the school: ', error);
+    }
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_CATEGORY_LENGTH = 30;
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+
+// Fills in defaults for anything missing (or unusable) in the stored document
+const normaliseSchoolSettings = (stored) => {
+    const settings = { ...DEFAULT_SCHOOL_SETTINGS, ...(stored || {}) };
+    if (!Array.isArray(settings.categories) || settings.categories.length === 0) settings.categories = DEFAULT_SCHOOL_SETTINGS.categories;
+    if (!HEX_COLOR_PATTERN.test(settings.primaryColor)) settings.primaryColor = DEFAULT_SCHOOL_SETTINGS.primaryColor;
+    if (!HEX_COLOR_PATTERN.test(settings.secondaryColor)) settings.secondaryColor = DEFAULT_SCHOOL_SETTINGS.secondaryColor;
+    if (!settings.logoUrl) settings.logoUrl = LOGO_URL;
+    return settings;
+};
+
+// Darkens a '#rrggbb' colour by the given fraction, for hover shades
+const darkenColor = (hex, amount) => `#${[1, 3, 5]
+    .map(i => Math.round(parseInt(hex.slice(i, i + 2), 16) * (1 - amount)).toString(16).padStart(2, '0'))
+    .join('')}`;
+
+// CSS variables read by the COLORS classes
+const getThemeStyle = (settings) => ({
+    '--color-primary': settings.primaryColor,
+    '--color-primary-dark': darkenColor(settings.primaryColor, 0.15),
+    '--color-secondary': settings.secondaryColor,
+    '--color-secondary-dark': darkenColor(settings.secondaryColor, 0.1),
+});
+
+// Validates the settings form and returns either an error message or the settings to store.
+// Category names end up in comma-separated filter links, so they cannot contain commas.
+const validateSchoolSettings = (formData, { t }) => {
+    const schoolName = formData.schoolName.trim();
+    if (!schoolName) {
+        return { error: t('settings.error.name') };
+    }
+    const categories = [...new Set(formData.categories.map(c => c.trim()).filter(Boolean))];
+    if (categories.length === 0) {
+        return { error: t('settings.error.noCategories') };
+    }
+    const invalidCategory = categories.find(c => c.includes(',') || c.length > MAX_CATEGORY_LENGTH);
+    if (invalidCategory) {
+        return { error: t('settings.error.category', { category: invalidCategory, max: MAX_CATEGORY_LENGTH }) };
+    }
+    if (![formData.primaryColor, formData.secondaryColor].every(c => HEX_COLOR_PATTERN.test(c))) {
+        return { error: t('settings.error.colours') };
+    }
+    return {
+        settings: {
+            schoolName,
+            motto: formData.motto.trim(),
+            primaryColor: formData.primaryColor.toLowerCase(),
+            secondaryColor: formData.secondaryColor.toLowerCase(),
+            categories,
+            showSampleEvents: !!formData.showSampleEvents,
+        },
+    };
+};
+
+// Returns why a file cannot be used as the logo, or null when it can
+const validateLogo = (file, { t }) => {
+    if (!isImageAttachment(file) || !ATTACHMENT_TYPES[file.type]) {
+        return t('settings.error.logoType', { name: file.name });
+    }
+    if (file.size > LOGO_MAX_BYTES) {
+        return t('files.tooLarge', { name: file.name, size: formatFileSize(LOGO_MAX_BYTES) });
+    }
+    return null;
+};
+
+// Each upload gets a new name so cached copies of the old logo are not shown
+const getLogoPath = (schoolId, fileName) => `artifacts/${appId}/schools/${schoolId}/branding/${Date.now()}-${fileName.replace(/[^\w.-]+/g, '_')}`;
+
+// --- Event Registration Helpers ---
+
+// One registration document per event and student; re-registering after a cancellation reuses it
+const getRegistrationId = (eventId, studentId) => `${eventId}_${studentId}`;
+
+// Places are counted in eventSeats/{eventId}: { registered, waitlist: [studentId] (longest waiting first),
+// registrationId, updatedAt }. It is changed in the same transaction as the registration it accounts for
+// (registrationId), so two students cannot both take the last place, and the security rules check the two agree.
+const EMPTY_SEATS = { registered: 0, waitlist: [] };
+
+const buildSeatsWrite = (eventId, seats, registrationId, now) => ({
+    type: 'set',
+    collection: 'eventSeats',
+    id: eventId,
+    data: { registered: seats.registered, waitlist: seats.waitlist, registrationId, updatedAt: now },
+});
+
+// Registers a student for an event, or puts them on the waitlist once the event's capacity is reached.
+// Resolves to the registration's status.
+const registerForEvent = async (db, event, student, userId) => {
+    const registrationId = getRegistrationId(event.id, student.id);
+    let status = null;
+    await db.runTransaction(async ({ get }) => {
+        const current = await get('registrations', registrationId);
+        const seats = { ...EMPTY_SEATS, ...(await get('eventSeats', event.id)) };
+        // Already registered or waiting, e.g. when a retry follows a commit that did reach the server
+        if (current && current.status !== 'cancelled') {
+            status = current.status;
+            return [];
+        }
+        const isFull = event.capacity > 0 && seats.registered >= event.capacity;
+        status = isFull ? 'waitlisted' : 'registered';
+        const now = new Date().toISOString();
+        return [
+            {
+                type: 'set',
+                collection: 'registrations',
+                id: registrationId,
+                data: {
+                    eventId: event.id,
+                    eventTitle: event.title,
+                    studentId: student.id,
+                    studentName: student.name,
+                    class: student.class,
+                    section: student.section,
+                    userId,
+                    status,
+                    createdAt: now, // Waitlist order
+                    updatedAt: now,
+                },
+            },
+            buildSeatsWrite(event.id, isFull
+                ? { registered: seats.registered, waitlist: [...seats.waitlist, student.id] }
+                : { registered: seats.registered + 1, waitlist: seats.waitlist }, registrationId, now),
+        ];
+    });
+    return status;
+};
+
+// Cancels a registration; when a confirmed place is freed the longest-waiting student is promoted in
+// the same transaction. Resolves to the promoted student's ID, if any.
+const cancelRegistration = async (db, registration) => {
+    const { eventId, studentId } = registration;
+    const registrationId = getRegistrationId(eventId, studentId);
+    let promotedId = null;
+    await db.runTransaction(async ({ get }) => {
+        promotedId = null;
+        const current = await get('registrations', registrationId);
+        if (!current || current.status === 'cancelled') return [];
+        const seats = { ...EMPTY_SEATS, ...(await get('eventSeats', eventId)) };
+        const now = new Date().toISOString();
+        const writes = [{ type: 'update', collection: 'registrations', id: registrationId, data: { status: 'cancelled', updatedAt: now } }];
+
+        if (current.status === 'waitlisted') {
+            writes.push(buildSeatsWrite(eventId, { registered: seats.registered, waitlist: seats.waitlist.filter(id => id !== studentId) }, registrationId, now));
+        } else if (seats.waitlist.length > 0) {
+            [promotedId] = seats.waitlist;
+            writes.push(
+                { type: 'update', collection: 'registrations', id: getRegistrationId(eventId, promotedId), data: { status: 'registered', promotedAt: now, promotedFrom: registrationId, updatedAt: now } },
+                buildSeatsWrite(eventId, { registered: seats.registered, waitlist: seats.waitlist.slice(1) }, registrationId, now),
+            );
+        } else {
+            writes.push(buildSeatsWrite(eventId, { registered: Math.max(seats.registered - 1, 0), waitlist: [] }, registrationId, now));
+        }
+        return writes;
+    });
+    return promotedId;
+};
+
+// Consent for events that need it: missing until a parent answers, then 'given' or 'declined'.
+// Registering again replaces the document, so a new registration asks again.
+const CONSENT_STATUSES = ['given', 'declined'];
+const getConsentStatus = (registration) => (CONSENT_STATUSES.includes(registration?.consent) ? registration.consent : 'pending');
+
+const setRegistrationConsent = (db, registration, consent, author) => {
+    const now = new Date().toISOString();
+    return db.update('registrations', getRegistrationId(registration.eventId, registration.studentId), {
+        consent,
+        consentBy: author.uid,
+        consentByName: author.name,
+        consentAt: now,
+        updatedAt: now,
+    });
+};
+
+// Utility function for exponential backoff (retry logic for API calls)
+const withRetry = async (fn, maxRetries = 3) => {
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (i === maxRetries - 1) throw error;
+            const delay = Math.pow(2, i) * 1000;
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+};
+
+// --- Student Profile Helpers ---
+// Contact, guardian and medical details live in studentProfiles/{studentId}, next to the roster entry
+// (students/{studentId}) that holds the name, class and section. Students cannot write their profile:
+// they send a profileEditRequests document with the complete details they want, and a teacher either
+// approves it (copying the details onto the profile) or rejects it with a note.
+
+// (labels: 'profile.field.<id>')
+const STUDENT_PROFILE_FIELDS = ['address', 'phone', 'contactEmail', 'guardians', 'medicalNotes', 'emergencyNotes'];
+
+const EMPTY_GUARDIAN = { name: '', relation: '', phone: '' };
+const MAX_GUARDIANS = 3;
+
+const PHONE_PATTERN = /^\+?[\d\s()-]{6,20}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Profile fields only, with defaults for anything missing (e.g. before the first save)
+const getStudentProfileDetails = (profile) => Object.fromEntries(STUDENT_PROFILE_FIELDS.map(field => [
+    field,
+    field === 'guardians' ? (profile?.guardians || []).map(g => ({ ...EMPTY_GUARDIAN, ...g })) : (profile?.[field] || ''),
+]));
+
+// Returns either an error message or the cleaned-up profile details
+const validateStudentProfile = (formData, { t }) => {
+    const details = {
+        address: formData.address.trim(),
+        phone: formData.phone.trim(),
+        contactEmail: formData.contactEmail.trim().toLowerCase(),
+        guardians: formData.guardians
+            .map(g => ({ name: g.name.trim(), relation: g.relation.trim(), phone: g.phone.trim() }))
+            .filter(g => g.name || g.relation || g.phone),
+        medicalNotes: formData.medicalNotes.trim(),
+        emergencyNotes: formData.emergencyNotes.trim(),
+    };
+    if (details.phone && !PHONE_PATTERN.test(details.phone)) {
+        return { error: t('profile.error.phone') };
+    }
+    if (details.contactEmail && !EMAIL_PATTERN.test(details.contactEmail)) {
+        return { error: t('profile.error.email') };
+    }
+    const incomplete = details.guardians.find(g => !g.name || !g.phone);
+    if (incomplete) {
+        return { error: t('profile.error.guardianIncomplete') };
+    }
+    if (details.guardians.some(g => !PHONE_PATTERN.test(g.phone))) {
+        return { error: t('profile.error.guardianPhone') };
+    }
+    return { details };
+};
+
+// Names of the profile fields that differ between two sets of details
+const diffStudentProfile = (before, after) => STUDENT_PROFILE_FIELDS.filter(field => (
+    JSON.stringify(getStudentProfileDetails(before)[field]) !== JSON.stringify(getStudentProfileDetails(after)[field])
+));
+
+const formatProfileValue = (field, value, { t }) => {
+    if (field === 'guardians') {
+        return value?.length ? value.map(g => `${g.name}${g.relation ? ` (${g.relation})` : ''}: ${g.phone}`).join('; ') : t('profile.none');
+    }
+    return value || t('profile.none');
+};
+
+// --- Offline Outbox ---
+// Writes from the event, notice and score forms are kept in localStorage until the server has
+// accepted them, so nothing typed on flaky Wi-Fi is lost. Each queued item is a list of data store
+// writes (see the Data Layer section) committed together, to the school it was queued for.
+
+const SYNC_TIMEOUT_MS = 15000;
+const MAX_SYNC_ATTEMPTS = 5;
+// Errors worth retrying automatically; anything else (e.g. permission-denied) needs the user
+const TRANSIENT_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal', 'unknown', 'timeout'];
+
+const getOutboxKey = (userId) => `schoollink-outbox-${appId}-${userId}`;
+
+const loadOutbox = (userId) => {
+    try {
+        return JSON.parse(localStorage.getItem(getOutboxKey(userId))) || [];
+    } catch (error) {
+        console.error('Error reading outbox: ', error);
+        return [];
+    }
+};
+
+const saveOutbox = (userId, items) => {
+    try {
+        localStorage.setItem(getOutboxKey(userId), JSON.stringify(items));
+    } catch (error) {
+        console.error('Error saving outbox: ', error);
+    }
+};
+
+// A commit made while the connection is down only resolves once the server answers, so give up waiting after a while
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(Object.assign(new Error('The server did not respond in time.'), { code: 'timeout' })), ms)),
+]);
+
+// Outbox state for the signed-in user: queued items, online status and the actions behind the sync indicator
+const useOutbox = (db, userId) => {
+    const [items, setItems] = useState([]);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const itemsRef = useRef([]);
+    const inFlight = useRef(new Set());
+
+    const updateItems = useCallback((change) => {
+        const next = change(itemsRef.current);
+        itemsRef.current = next;
+        if (userId) saveOutbox(userId, next);
+        setItems(next);
+    }, [userId]);
+
+    useEffect(() => {
+        itemsRef.current = userId ? loadOutbox(userId) : [];
+        setItems(itemsRef.current);
+    }, [userId]);
+
+    // Resolves to true once the server has accepted the item's writes
+    const sendItem = useCallback(async (item) => {
+        if (!db || !userId || !navigator.onLine || inFlight.current.has(item.id)) return false;
+        inFlight.current.add(item.id);
+        try {
+            // Items queued before the school was switched still go to their own school
+            await withTimeout(db.forSchool(item.schoolId || db.schoolId).commit(item.writes), SYNC_TIMEOUT_MS);
+            updateItems(prev => prev.filter(i => i.id !== item.id));
+            return true;
+        } catch (error) {
+            console.error('Error syncing outbox item: ', error);
+            updateItems(prev => prev.map(i => {
+                if (i.id !== item.id) return i;
+                const attempts = i.attempts + 1;
+                const willRetry = TRANSIENT_ERROR_CODES.includes(error.code) && attempts < MAX_SYNC_ATTEMPTS;
+                return { ...i, attempts, status: willRetry ? 'pending' : 'failed', error: error.message };
+            }));
+            return false;
+        } finally {
+            inFlight.current.delete(item.id);
+        }
+    }, [db, userId, updateItems]);
+
+    const flush = useCallback(() => {
+        itemsRef.current.filter(i => i.status === 'pending').forEach(sendItem);
+    }, [sendItem]);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            flush();
+        };
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        flush();
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [flush]);
+
+    // Queues the writes and tries to send them straight away; resolves to true if they reached the server
+    const enqueue = useCallback((label, writes) => {
+        const item = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            label,
+            writes,
+            schoolId: db?.schoolId,
+            status: 'pending',
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+        };
+        updateItems(prev => [...prev, item]);
+        return sendItem(item);
+    }, [db, updateItems, sendItem]);
+
+    const retry = useCallback((id) => {
+        const item = itemsRef.current.find(i => i.id === id);
+        if (!item) return;
+        const reset = { ...item, status: 'pending', attempts: 0, error: null };
+        updateItems(prev => prev.map(i => (i.id === id ? reset : i)));
+        sendItem(reset);
+    }, [updateItems, sendItem]);
+
+    const discard = useCallback((id) => {
+        updateItems(prev => prev.filter(i => i.id !== id));
+    }, [updateItems]);
+
+    return { items, isOnline, enqueue, retry, discard };
+};
+
+// --- Notifications ---
+// New notices, published results and event changes are worked out from the data the app already
+// listens to. What each user has seen is kept in notificationState/{uid}:
+//   lastSeen: { notices, results, events } - when that section was last opened (clears its badge)
+//   readIds: notifications marked as read one at a time
+//   clearedAt: when "mark all as read" was last used
+
+const NOTIFICATION_SECTIONS = {
+    notices: { Icon: Send },
+    results: { Icon: Trophy },
+    events: { Icon: Calendar },
+};
+
+// Older changes are not listed
+const NOTIFICATION_WINDOW_DAYS = 30;
+
+// Section whose notifications count as seen while the user is on a route
+const getNotificationSection = (pathname) => {
+    if (pathname.startsWith('/notices')) return 'notices';
+    if (pathname.startsWith('/results')) return 'results';
+    if (pathname.startsWith('/calendar') || pathname.startsWith('/events')) return 'events';
+    return null;
+};
+
+// Notice text without its formatting markers, for one-line previews
+const getNoticeSnippet = (content, length = 80) => {
+    const plain = (content || '').replace(/\*\*/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').replace(/\s+/g, ' ').trim();
+    return plain.length > length ? `${plain.slice(0, length - 1)}…` : plain;
+};
+
+// Notifications for a user, newest first. The user's own notices, results and event changes are left out.
+const buildNotifications = ({ notices, scores, events }, userId) => {
+    const since = new Date(Date.now() - NOTIFICATION_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const items = [];
+    notices
+        .filter(n => n.createdAt && n.createdBy !== userId)
+        .forEach(n => items.push({ id: `notice:${n.id}`, section: 'notices', kind: 'notice', at: n.createdAt, title: getNoticeSnippet(n.content) || (n.attachments?.[0]?.name ?? ''), to: '/notices' }));
+    // Publishing again replaces the score document, so the publish time is part of the ID
+    scores
+        .filter(s => s.publishedAt && s.teacherId !== userId)
+        .forEach(s => items.push({ id: `score:${s.id}:${s.publishedAt}`, section: 'results', kind: 'score', at: s.publishedAt, title: s.eventTitle, to: `/results/${s.id}` }));
+    events.forEach(e => {
+        const at = e.updatedAt || e.createdAt;
+        const changedBy = e.updatedAt ? e.updatedBy : e.createdByUid;
+        if (!at || changedBy === userId) return;
+        const kind = e.status === 'cancelled' ? 'eventCancelled' : e.updatedAt ? 'eventUpdated' : 'eventCreated';
+        // A series has no page of its own, so link to its occurrences in the events list
+        const to = e.recurrence ? `/events?when=all&q=${encodeURIComponent(e.title)}` : `/events/${e.id}`;
+        items.push({ id: `event:${e.id}:${at}`, section: 'events', kind, at, title: e.title, to });
+    });
+    return items.filter(i => i.at >= since).sort((a, b) => b.at.localeCompare(a.at));
+};
+
+// Notification list and unread counts for the signed-in user, plus the actions behind the bell
+const useNotifications = (db, userId, sources) => {
+    const [seenState, setSeenState] = useState(null); // null until loaded, so nothing flashes as unread
+
+    useEffect(() => {
+        if (!db || !userId) {
+            setSeenState(null);
+            return;
+        }
+        const unsubscribe = db.subscribeDoc('notificationState', userId, (state) => {
+            setSeenState(state || {});
+        }, (err) => {
+            console.error("Notification State Snapshot Error:", err);
+        });
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    const isUnread = (item) => Boolean(seenState)
+        && item.at > (seenState.clearedAt || '')
+        && item.at > (seenState.lastSeen?.[item.section] || '')
+        && !(seenState.readIds || []).includes(item.id);
+    const items = buildNotifications(sources, userId).map(item => ({ ...item, unread: isUnread(item) }));
+    const unreadCounts = Object.fromEntries(Object.keys(NOTIFICATION_SECTIONS).map(section => [section, items.filter(i => i.unread && i.section === section).length]));
+    const unreadCount = items.filter(i => i.unread).length;
+
+    const saveState = useCallback((changes) => {
+        db.set('notificationState', userId, { ...changes, updatedAt: new Date().toISOString() }, { merge: true })
+            .catch(err => console.error('Error saving notification state: ', err));
+    }, [db, userId]);
+
+    // Read IDs are pruned to notifications still listed, so the document stays small
+    const markRead = (id) => {
+        const readIds = (seenState?.readIds || []).filter(readId => items.some(i => i.id === readId));
+        saveState({ readIds: [...readIds, id] });
+    };
+
+    const markAllRead = () => saveState({ clearedAt: new Date().toISOString(), readIds: [] });
+
+    // Stable between renders (until a section is marked seen), as the App calls it from an effect
+    const lastSeen = seenState?.lastSeen;
+    const markSectionSeen = useCallback((section) => {
+        saveState({ lastSeen: { ...(lastSeen || {}), [section]: new Date().toISOString() } });
+    }, [saveState, lastSeen]);
+
+    return { items, unreadCount, unreadCounts, markRead, markAllRead, markSectionSeen };
+};
+
+// --- Custom Components ---
+
+// Route guard: signed-out users go to role selection (remembering where they were headed),
+// users who still have to change their password go to that screen, and users without one
+// of the allowed roles are sent back to their own dashboard
+const RequireRole = ({ userRole, userProfile, roles, children }) => {
+    const location = useLocation();
+    if (!userRole) return <Navigate to="/" replace state={{ from: location }} />;
+    if (userProfile?.mustChangePassword) return <Navigate to="/change-password" replace />;
+    if (roles && !roles.includes(userRole)) return <Navigate to={getHomePath(userRole)} replace />;
+    return children;
+};
+
+const LogoDisplay = ({ size = 'medium' }) => {
+    const { schoolName, motto, logoUrl } = useSchoolSettings();
+    const sizeClass = size === 'large' ? 'w-24 h-24 mb-6' : 'w-10 h-10';
+    const textClass = size === 'large' ? 'text-3xl mb-1' : 'text-xl';
+    const mottoClass = size === 'large' ? 'text-base text-gray-600' : 'hidden';
+
+    // The school's logo from the settings (the bundled one until an admin uploads their own)
+    return (
+        <div className="flex flex-col items-center">
+             <img 
+                src={logoUrl} 
+                alt={`${schoolName} Logo`} 
+                className={`${sizeClass} rounded-full object-cover shadow-lg`} 
+                onError={(e) => { e.target.onerror = null; e.target.src="https://placehold.co/100x100/A78BFA/ffffff?text=SL" }}
+            />
+            {size === 'large' && (
+                <>
+                    <h1 className={`font-extrabold ${COLORS.primaryText} ${textClass}`}>{schoolName}</h1>
+                    {motto && <p className={mottoClass}>{motto}</p>}
+                </>
+            )}
+        </div>
+    );
+};
+
+// Status messages shown under forms and buttons: { text, success }, coloured green on success
+const successMessage = (text) => ({ text, success: true });
+const errorMessage = (text) => ({ text, success: false });
+
+const Button = ({ children, onClick, color = 'primary', className = '', Icon, disabled = false, type = 'button' }) => {
+    const colorClass = color === 'primary' ? COLORS.primary : COLORS.secondary;
+    const disabledClass = disabled ? 'opacity-50 cursor-not-allowed' : '';
+    return (
+        <button
+            type={type}
+            onClick={onClick}
+            disabled={disabled}
+            className={`flex items-center justify-center space-x-2 py-3 px-6 rounded-lg text-white font-semibold transition duration-200 shadow-md ${colorClass} ${className} ${disabledClass}`}
+        >
+            {Icon && <Icon size={20} />}
+            <span>{children}</span>
+        </button>
+    );
+};
+
+const Card = ({ children, title, Icon, className = '', titleColor = COLORS.primaryText }) => (
+    <div className={`bg-white p-6 rounded-xl shadow-2xl w-full max-w-lg mx-auto ${className}`}>
+        {title && (
+            <h2 className={`text-2xl font-bold mb-6 flex items-center space-x-3 ${titleColor}`}>
+                {Icon && <Icon size={24} />}
+                <span>{title}</span>
+            </h2>
+        )}
+        {children}
+    </div>
+);
+
+// Language picker shown in the header and on the sign-in screens
+const LanguageSwitcher = ({ className = '' }) => {
+    const { t, language, setLanguage } = useI18n();
+    return (
+        <label className={`flex items-center space-x-1 text-sm ${className}`} title={t('common.language')}>
+            <Languages size={18} />
+            <select value={language} onChange={(e) => setLanguage(e.target.value)} className="bg-transparent border border-current rounded px-1 py-0.5" aria-label={t('common.language')}>
+                {Object.entries(LANGUAGES).map(([code, config]) => (
+                    <option key={code} value={code} className="text-gray-800">{config.label}</option>
+                ))}
+            </select>
+        </label>
+    );
+};
+
+// School picker shown in the header to users who belong to more than one school.
+// onSwitch(schoolId) resolves to false if the switch was refused.
+const SchoolSwitcher = ({ schools, schoolId, onSwitch }) => {
+    const { t } = useI18n();
+    const [switching, setSwitching] = useState(false);
+    const [failed, setFailed] = useState(false);
+
+    const handleChange = async (e) => {
+        setSwitching(true);
+        setFailed(false);
+        setFailed(!(await onSwitch(e.target.value)));
+        setSwitching(false);
+    };
+
+    if (schools.length < 2) return null;
+    return (
+        <label className="flex items-center space-x-1 text-sm" title={failed ? t('header.switchFailed') : t('header.school')}>
+            <Building2 size={18} className={failed ? 'text-red-200' : ''} />
+            <select value={schoolId} onChange={handleChange} disabled={switching} className="bg-transparent border border-current rounded px-1 py-0.5 max-w-[10rem]" aria-label={t('header.school')}>
+                {schools.map(school => (
+                    <option key={school.id} value={school.id} className="text-gray-800">{school.name || school.id}</option>
+                ))}
+            </select>
+        </label>
+    );
+};
+
+// --- New View Components for Login (Updated with Logo) ---
+
+const InitialRoleChoiceView = ({ onSelectRole }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-4 w-full" style={{ backgroundColor: '#f0f2f5' }}>
+            <LanguageSwitcher className="self-end text-gray-600 mb-4" />
+            <LogoDisplay size="large" />
+
+            <div className="w-full max-w-xs bg-white rounded-xl shadow-2xl p-6 mt-6">
+                <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">{t('role.choose')}</h2>
+                <div className="space-y-6">
+                    <button 
+                        onClick={() => onSelectRole('Student')} 
+                        className={`w-full p-4 rounded-xl text-white font-bold text-lg shadow-lg transition duration-200 flex flex-col items-center ${COLORS.primary} hover:shadow-xl`}
+                    >
+                        <Smartphone size={32} className="mb-2" />
+                        {t('role.Student')}
+                    </button>
+                    <button 
+                        onClick={() => onSelectRole('Teacher')} 
+                        className={`w-full p-4 rounded-xl text-white font-bold text-lg shadow-lg transition duration-200 flex flex-col items-center ${COLORS.secondary} hover:shadow-xl`}
+                    >
+                        <BookOpen size={32} className="mb-2" />
+                        {t('role.Teacher')}
+                    </button>
+                    <button 
+                        onClick={() => onSelectRole('Parent')} 
+                        className={`w-full p-4 rounded-xl text-white font-bold text-lg shadow-lg transition duration-200 flex flex-col items-center ${COLORS.primary} hover:shadow-xl`}
+                    >
+                        <Users size={32} className="mb-2" />
+                        {t('role.Parent')}
+                    </button>
+                </div>
+                <button onClick={() => onSelectRole('Admin')} className="mt-6 w-full text-sm text-gray-500 hover:text-gray-800 transition">
+                    {t('role.adminLink')}
+                </button>
+            </div>
+
+        </div>
+    );
+};
+
+const LoginView = ({ onLogin, auth, db }) => {
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const location = useLocation();
+    const { role } = useParams();
+    const targetRole = { teacher: 'Teacher', parent: 'Parent', admin: 'Admin' }[role] || 'Student';
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const isStudent = targetRole === 'Student';
+    const roleColor = isStudent ? COLORS.secondary : COLORS.primary;
+    const roleText = t(`role.${targetRole}`);
+    const welcomeMessage = t(`login.welcome.${targetRole}`);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const inputEmail = email.trim().toLowerCase();
+        if (!inputEmail || !password) {
+            setError(t('login.missing'));
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const user = await auth.signIn(inputEmail, password);
+            const profile = await fetchUserProfile(db, user.uid);
+
+            // An account without a profile has no role, so it cannot use the app
+            if (!profile || !profile.role) {
+                await auth.signOut();
+                setError(t('login.noProfile'));
+                return;
+            }
+            if (profile.disabled) {
+                await auth.signOut();
+                setError(t('login.disabled'));
+                return;
+            }
+
+            // The role always comes from the stored profile, not from the button clicked earlier
+            onLogin(user.uid, profile, location.state?.from);
+        } catch (err) {
+            console.error('Login error: ', err);
+            setError(getAuthErrorMessage(t, err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-4 w-full" style={{ backgroundColor: '#f0f2f5' }}>
+            <LanguageSwitcher className="self-end text-gray-600 mb-4" />
+            <LogoDisplay size="large" />
+            
+            <Card title={t('login.title', { role: roleText })} Icon={LogIn} titleColor={roleColor.replace('bg-', 'text-')} className="w-full max-w-sm mt-6">
+                 <h3 className={`text-xl font-bold mb-6 ${roleColor.replace('bg-', 'text-')}`}>{welcomeMessage}</h3>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="email">{t('login.email')}</label>
+                        <input 
+                            type="email" 
+                            id="email" 
+                            value={email} 
+                            onChange={(e) => setEmail(e.target.value)} 
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" 
+                            placeholder={t('login.emailPlaceholder')} 
+                            autoComplete="username"
+                            disabled={loading}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="password">{t('login.password')}</label>
+                        <input 
+                            type="password" 
+                            id="password" 
+                            value={password} 
+                            onChange={(e) => setPassword(e.target.value)} 
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" 
+                            placeholder={t('login.passwordPlaceholder')} 
+                            autoComplete="current-password"
+                            disabled={loading}
+                        />
+                    </div>
+
+                    {error && (
+                        <div className="p-3 rounded-lg text-sm bg-red-100 text-red-700">
+                            {error}
+                        </div>
+                    )}
+
+                    {DATA_BACKEND !== 'firebase' && (
+                        <div className="p-3 rounded-lg text-xs bg-amber-50 text-amber-800 border border-amber-200">
+                            {t('login.demo', { email: LOCAL_DEMO_DATA.users[`demo-${targetRole.toLowerCase()}`].email, password: LOCAL_DEMO_PASSWORD })}
+                        </div>
+                    )}
+
+                    <Button type="submit" Icon={Key} className="w-full" disabled={loading} color={isStudent ? 'secondary' : 'primary'}>
+                        {loading ? t('login.submitting') : t('login.submit')}
+                    </Button>
+                </form>
+
+                <div className="mt-4 flex justify-between text-center">
+                    <button onClick={() => navigate('/', { state: location.state })} className="text-sm text-gray-500 hover:text-indigo-700 transition">
+                        <span className="inline-block rtl:rotate-180">&larr;</span> {t('login.back')}
+                    </button>
+                    <button onClick={() => navigate('/reset-password', { state: location.state })} className="text-sm text-gray-500 hover:text-indigo-700 transition">
+                        {t('login.forgot')}
+                    </button>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+const PasswordResetView = ({ auth }) => {
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const [email, setEmail] = useState('');
+    const [message, setMessage] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+
+        const inputEmail = email.trim().toLowerCase();
+        if (!inputEmail) {
+            setMessage(errorMessage(t('reset.missing')));
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await auth.sendPasswordReset(inputEmail);
+            setMessage(successMessage(t('reset.sent')));
+        } catch (err) {
+            // Don't reveal whether an account exists for this address
+            if (err?.code === 'auth/user-not-found') {
+                setMessage(successMessage(t('reset.sent')));
+            } else {
+                console.error('Password reset error: ', err);
+                setMessage(errorMessage(getAuthErrorMessage(t, err)));
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center min-h-screen p-4 w-full" style={{ backgroundColor: '#f0f2f5' }}>
+            <LogoDisplay size="large" />
+
+            <Card title={t('reset.title')} Icon={Mail} titleColor={COLORS.primaryText} className="w-full max-w-sm mt-6">
+                <p className="text-sm text-gray-600 mb-4">{t('reset.intro')}</p>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="reset-email">{t('login.email')}</label>
+                        <input
+                            type="email"
+                            id="reset-email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500"
+                            placeholder={t('login.emailPlaceholder')}
+                            disabled={loading}
+                        />
+                    </div>
+
+                    {message && (
+                        <div className={`p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                            {message.text}
+                        </div>
+                    )}
+
+                    <Button type="submit" Icon={Send} className="w-full" disabled={loading}>
+                        {loading ? t('reset.sending') : t('reset.submit')}
+                    </Button>
+                </form>
+
+                <div className="mt-4 text-center">
+                    <button onClick={() => navigate(-1)} className="text-sm text-gray-500 hover:text-indigo-700 transition">
+                        <span className="inline-block rtl:rotate-180">&larr;</span> {t('reset.back')}
+                    </button>
+                </div>
+            </Card>
+        </div>
+    );
+};
+
+// Shown after login while the profile still carries the mustChangePassword flag
+const ChangePasswordView = ({ auth, db, userId, onPasswordChanged, onLogout }) => {
+    const { t } = useI18n();
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            setError(t('auth.weakPassword', { min: MIN_PASSWORD_LENGTH }));
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            setError(t('password.mismatch'));
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await auth.updatePassword(newPassword);
+            await withRetry(() => db.users.update(userId, {
+                mustChangePassword: false,
+                passwordChangedAt: new Date().toISOString(),
+            }));
+            onPasswordChanged();
+        } catch (err) {
+            console.error('Password change error: ', err);
+            setError(getAuthErrorMessage(t, err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Card title={t('password.title')} Icon={Lock} titleColor={COLORS.primaryText} className="max-w-sm">
+            <p className="text-sm text-gray-600 mb-4">{t('password.intro')}</p>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="new-password">{t('password.new')}</label>
+                    <input
+                        type="password"
+                        id="new-password"
+                        value={newPassword}
+                        onChange={(e) => setNewPassword(e.target.value)}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500"
+                        autoComplete="new-password"
+                        disabled={loading}
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="confirm-password">{t('password.confirm')}</label>
+                    <input
+                        type="password"
+                        id="confirm-password"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500"
+                        autoComplete="new-password"
+                        disabled={loading}
+                    />
+                </div>
+
+                {error && (
+                    <div className="p-3 rounded-lg text-sm bg-red-100 text-red-700">
+                        {error}
+                    </div>
+                )}
+
+                <Button type="submit" Icon={Key} className="w-full" disabled={loading}>
+                    {loading ? t('common.saving') : t('password.submit')}
+                </Button>
+            </form>
+            <Button onClick={onLogout} Icon={LogIn} className="mt-4 w-full !bg-gray-500" color="secondary">
+                {t('common.logout')}
+            </Button>
+        </Card>
+    );
+};
+
+// --- End New View Components for Login ---
+
+
+// --- Existing View Components (Minor Updates) ---
+
+// Small colour-coded event label used across the calendar views
+// On a grid day (`dateKey`), a multi-day event's chip is squared off on the sides where it continues.
+const EventChip = ({ event, showDot = true, dateKey }) => {
+    const { t, formatDate } = useI18n();
+    const colors = getCategoryColors(event.category);
+    const continuesBefore = Boolean(dateKey) && dateKey > event.date;
+    const continuesAfter = Boolean(dateKey) && dateKey < getEventEndDate(event);
+    const showTime = !isAllDayEvent(event) && !continuesBefore;
+    return (
+        <Link
+            to={`/events/${event.id}`}
+            onClick={(e) => e.stopPropagation()}
+            title={`${event.title} (${getCategoryLabel(t, event.category)}) · ${formatEventSchedule(event, { t, formatDate })}${event.venue ? ` · ${event.venue}` : ''}`}
+            className={`flex items-center space-x-1 px-1 py-0.5 rounded border text-xs font-medium truncate ${colors.chip} ${continuesBefore ? 'rounded-s-none border-s-0' : ''} ${continuesAfter ? 'rounded-e-none border-e-0' : ''} ${event.status === 'cancelled' ? 'line-through opacity-60' : ''}`}
+        >
+            {showDot && <span className={`inline-block w-2 h-2 rounded-full flex-shrink-0 ${colors.dot}`}></span>}
+            {showTime && <span className="flex-shrink-0 opacity-75">{event.startTime}</span>}
+            <span className="truncate">{event.title}</span>
+        </Link>
+    );
+};
+
+// Month grid: every day opens the day view, events are shown as title chips
+const CalendarMonthGrid = ({ year, month, eventsByDate, onSelectDay }) => {
+    const { t, locale, weekStart, formatNumber } = useI18n();
+    const todayKey = toDateKey(new Date());
+    const startDay = getWeekdayIndex(new Date(year, month, 1), weekStart); // Empty cells before the 1st
+    const totalDays = new Date(year, month + 1, 0).getDate();
+    const MAX_CHIPS = 2;
+
+    const calendarCells = [];
+    // Empty cells for the start of the month
+    for (let i = 0; i < startDay; i++) {
+        calendarCells.push(<div key={`empty-${i}`} className="p-1"></div>);
+    }
+    // Days of the month
+    for (let day = 1; day <= totalDays; day++) {
+        const date = new Date(year, month, day);
+        const dayEvents = eventsByDate[toDateKey(date)] || [];
+        const isToday = toDateKey(date) === todayKey;
+        calendarCells.push(
+            <div
+                key={day}
+                onClick={() => onSelectDay(date)}
+                className={`p-1 min-h-[4.5rem] rounded-lg cursor-pointer transition duration-150 ease-in-out overflow-hidden ${isToday ? 'bg-indigo-200 border-2 border-indigo-700' : dayEvents.length > 0 ? 'bg-rose-50 hover:bg-rose-100' : 'hover:bg-gray-100'}`}
+            >
+                <div className="text-center font-semibold">{formatNumber(day)}</div>
+                <div className="space-y-0.5">
+                    {dayEvents.slice(0, MAX_CHIPS).map(event => <EventChip key={event.id} event={event} showDot={false} dateKey={toDateKey(date)} />)}
+                    {dayEvents.length > MAX_CHIPS && (
+                        <div className="text-xs text-gray-500 text-center">{t('calendar.more', { count: formatNumber(dayEvents.length - MAX_CHIPS) })}</div>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <div className="grid grid-cols-7 gap-1 text-sm mb-2">
+                {getWeekdayNames(locale, weekStart).map(day => (
+                    <div key={day} className="text-center font-bold text-gray-500">{day}</div>
+                ))}
+            </div>
+            <div className="grid grid-cols-7 gap-1 text-sm">
+                {calendarCells}
+            </div>
+        </>
+    );
+};
+
+// Week strip containing the selected day, starting on the configured first day of the week
+const CalendarWeekView = ({ selectedDate, eventsByDate, onSelectDay }) => {
+    const { formatDate, formatNumber, weekStart } = useI18n();
+    const todayKey = toDateKey(new Date());
+    const firstDay = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate() - getWeekdayIndex(selectedDate, weekStart));
+    const days = Array.from({ length: 7 }, (_, i) => new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i));
+
+    return (
+        <div className="grid grid-cols-7 gap-1 text-sm">
+            {days.map(date => {
+                const dayEvents = eventsByDate[toDateKey(date)] || [];
+                return (
+                    <div key={toDateKey(date)} className={`min-h-[10rem] rounded-lg border p-1 ${toDateKey(date) === todayKey ? 'border-indigo-700 bg-indigo-50' : 'border-gray-200'}`}>
+                        <button onClick={() => onSelectDay(date)} className="w-full text-center mb-1 hover:text-indigo-700">
+                            <div className="text-xs font-bold text-gray-500">{formatDate(date, { weekday: 'short' })}</div>
+                            <div className="font-semibold">{formatNumber(date.getDate())}</div>
+                        </button>
+                        <div className="space-y-0.5">
+                            {dayEvents.map(event => <EventChip key={event.id} event={event} showDot={false} dateKey={toDateKey(date)} />)}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+// All events of one day, with their descriptions
+const CalendarDayView = ({ selectedDate, eventsByDate }) => {
+    const { t, formatDate } = useI18n();
+    const dayEvents = eventsByDate[toDateKey(selectedDate)] || [];
+    return (
+        <div className="space-y-3 min-h-[10rem]">
+            {dayEvents.length === 0 ? (
+                <p className="text-center text-gray-500 py-10">{t('calendar.noEventsDay')}</p>
+            ) : (
+                dayEvents.map(event => {
+                    const colors = getCategoryColors(event.category);
+                    return (
+                        <Link key={event.id} to={`/events/${event.id}`} className={`block p-3 rounded-lg border-l-4 border ${colors.chip} hover:shadow-md transition`}>
+                            <div className="flex justify-between items-center">
+                                <h4 className={`font-bold ${event.status === 'cancelled' ? 'line-through' : ''}`}>{event.title}</h4>
+                                <span className="text-xs font-semibold">{getCategoryLabel(t, event.category)}</span>
+                            </div>
+                            <p className="text-xs text-gray-600">
+                                {formatEventSchedule(event, { t, formatDate })}{event.venue ? ` · ${event.venue}` : ''}
+                            </p>
+                            {event.status === 'cancelled' && (
+                                <p className="text-xs font-semibold text-red-600">{event.cancelReason ? t('events.cancelledReason', { reason: event.cancelReason }) : t('events.cancelled')}</p>
+                            )}
+                            <p className="text-sm mt-1 text-gray-700">{event.description}</p>
+                        </Link>
+                    );
+                })
+            )}
+        </div>
+    );
+};
+
+// Scrolling list of events from the start of the displayed month onwards. Events that began
+// earlier but are still running are listed on the first day of the month.
+const CalendarAgendaView = ({ year, month, events }) => {
+    const { t, formatDate, formatNumber } = useI18n();
+    const fromKey = toDateKey(new Date(year, month, 1));
+    const listedOn = (event) => (event.date < fromKey ? fromKey : event.date);
+    const upcoming = events
+        .filter(e => e.date && getEventEndDate(e) >= fromKey)
+        .sort((a, b) => listedOn(a).localeCompare(listedOn(b)));
+    const grouped = upcoming.reduce((acc, event) => {
+        (acc[listedOn(event)] = acc[listedOn(event)] || []).push(event);
+        return acc;
+    }, {});
+
+    return (
+        <div className="max-h-[70vh] overflow-y-auto space-y-4">
+            {upcoming.length === 0 ? (
+                <p className="text-center text-gray-500 py-10">{t('calendar.noEventsAgenda')}</p>
+            ) : (
+                Object.entries(grouped).map(([date, dayEvents]) => (
+                    <div key={date} className="flex space-x-3">
+                        <div className="w-16 flex-shrink-0 text-center">
+                            <div className="text-xs font-bold text-gray-500">{formatDate(date, { weekday: 'short' })}</div>
+                            <div className="text-lg font-bold text-indigo-700">{formatNumber(Number(date.slice(8, 10)))}</div>
+                            <div className="text-xs text-gray-500">{formatDate(date, { month: 'short', year: 'numeric' })}</div>
+                        </div>
+                        <div className="flex-grow space-y-1">
+                            {dayEvents.map(event => <EventChip key={event.id} event={event} />)}
+                        </div>
+                    </div>
+                ))
+            )}
+        </div>
+    );
+};
+
+const EventCalendarView = ({ events, userRole }) => {
+    const navigate = useNavigate();
+    const { t, formatDate, weekStart, setWeekStart, locale } = useI18n();
+    const { categories } = useSchoolSettings();
+    const [exportCategory, setExportCategory] = useState('');
+    const [exportScope, setExportScope] = useState('month');
+    const now = new Date();
+    // The displayed period comes from the URL: /calendar/2025/11 (month) or /calendar/2025/11/20?view=week
+    const { year, month, day } = useParams();
+    const [searchParams] = useSearchParams();
+    const currentYear = parseInt(year, 10);
+    const currentMonth = parseInt(month, 10) - 1;
+    const currentDay = day ? parseInt(day, 10) : 1;
+    const calendarView = searchParams.get('view') || (day ? 'day' : 'month');
+    if (Number.isNaN(currentYear) || !(currentMonth >= 0 && currentMonth <= 11) || !(currentDay >= 1 && currentDay <= 31)) {
+        return <Navigate to={getCalendarPath(now)} replace />;
+    }
+    const selectedDate = new Date(currentYear, currentMonth, currentDay);
+
+    const eventsByDate = groupEventsByDate(events);
+
+    const formatDay = (value) => value.toString().padStart(2, '0');
+
+    const goToDetails = () => {
+        // Show the current month's events on the details view
+        navigate(`/events?month=${currentYear}-${formatDay(currentMonth + 1)}`);
+    };
+
+    const selectDay = (date) => navigate(getCalendarPath(date, 'day'));
+
+    // Exports the displayed month or all dates, optionally limited to one category
+    const handleExport = () => {
+        const monthKey = `${currentYear}-${formatDay(currentMonth + 1)}`;
+        const selected = events
+            .filter(e => exportScope === 'all' || eventOverlapsMonth(e, monthKey))
+            .filter(e => !exportCategory || e.category === exportCategory);
+        const nameParts = ['schoollink', toFileSlug(exportCategory), exportScope === 'month' ? monthKey : 'all'].filter(Boolean);
+        const calendarName = `SchoolLink ${exportCategory ? `${exportCategory} ` : ''}Events`;
+        downloadICS(selected, nameParts.join('-'), calendarName);
+    };
+
+    // Moves one period back or forward in the current view
+    const changePeriod = (delta) => {
+        if (calendarView === 'day') {
+            navigate(getCalendarPath(new Date(currentYear, currentMonth, currentDay + delta), 'day'));
+        } else if (calendarView === 'week') {
+            navigate(getCalendarPath(new Date(currentYear, currentMonth, currentDay + delta * 7), 'week'));
+        } else {
+            const target = new Date(currentYear, currentMonth + delta, 1);
+            navigate(calendarView === 'agenda' ? `${getCalendarPath(target)}?view=agenda` : getCalendarPath(target));
+        }
+    };
+
+    const switchView = (viewId) => {
+        if (viewId === 'month') navigate(getCalendarPath(selectedDate));
+        else if (viewId === 'agenda') navigate(`${getCalendarPath(selectedDate)}?view=agenda`);
+        else navigate(getCalendarPath(selectedDate, viewId));
+    };
+
+    const monthTitle = formatDate(new Date(currentYear, currentMonth, 1), { month: 'long', year: 'numeric' });
+
+    const periodTitle = () => {
+        if (calendarView === 'day') {
+            return formatDate(selectedDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+        }
+        if (calendarView === 'week') {
+            const firstDay = new Date(currentYear, currentMonth, currentDay - getWeekdayIndex(selectedDate, weekStart));
+            const lastDay = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + 6);
+            return new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short', year: 'numeric' }).formatRange(firstDay, lastDay);
+        }
+        return monthTitle;
+    };
+
+    return (
+        <Card title={t('calendar.title')} Icon={Calendar} titleColor={COLORS.primaryText} className="max-w-3xl">
+            <div className="flex flex-wrap justify-center items-center gap-3 mb-4">
+                <div className="inline-flex rounded-lg border border-indigo-200 overflow-hidden text-sm">
+                    {CALENDAR_VIEWS.map(viewId => (
+                        <button key={viewId} onClick={() => switchView(viewId)} className={`px-4 py-1 font-semibold transition ${calendarView === viewId ? 'bg-indigo-700 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}>
+                            {t(`calendar.view.${viewId}`)}
+                        </button>
+                    ))}
+                </div>
+                <label className="flex items-center space-x-1 text-sm text-gray-600">
+                    <span>{t('calendar.weekStart')}</span>
+                    <select value={weekStart} onChange={(e) => setWeekStart(Number(e.target.value))} className="p-1 border border-gray-300 rounded">
+                        {WEEK_START_DAYS.map(dayIndex => (
+                            <option key={dayIndex} value={dayIndex}>{getWeekdayNames(locale, dayIndex, 'long')[0]}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className="flex justify-between items-center mb-4">
+                <Button onClick={() => changePeriod(-1)} className="!py-1 !px-3" color="secondary">{'<'}</Button>
+                <h3 className="text-xl font-bold text-gray-800 text-center">{periodTitle()}</h3>
+                <Button onClick={() => changePeriod(1)} className="!py-1 !px-3" color="secondary">{'>'}</Button>
+            </div>
+
+            {calendarView === 'week' && <CalendarWeekView selectedDate={selectedDate} eventsByDate={eventsByDate} onSelectDay={selectDay} />}
+            {calendarView === 'day' && <CalendarDayView selectedDate={selectedDate} eventsByDate={eventsByDate} />}
+            {calendarView === 'agenda' && <CalendarAgendaView year={currentYear} month={currentMonth} events={events} />}
+            {calendarView === 'month' && <CalendarMonthGrid year={currentYear} month={currentMonth} eventsByDate={eventsByDate} onSelectDay={selectDay} />}
+
+            <div className="flex flex-wrap justify-center gap-3 mt-4 text-xs text-gray-600">
+                {categories.map(cat => (
+                    <span key={cat} className="flex items-center space-x-1">
+                        <span className={`inline-block w-3 h-3 rounded-full ${getCategoryColors(cat).dot}`}></span>
+                        <span>{getCategoryLabel(t, cat)}</span>
+                    </span>
+                ))}
+            </div>
+
+            <div className="mt-6 p-3 border border-indigo-200 rounded-lg bg-indigo-50 flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-semibold text-indigo-700">{t('calendar.export')}</span>
+                <select value={exportCategory} onChange={(e) => setExportCategory(e.target.value)} className="p-1 border border-gray-300 rounded">
+                    <option value="">{t('calendar.allCategories')}</option>
+                    {categories.map(cat => <option key={cat} value={cat}>{getCategoryLabel(t, cat)}</option>)}
+                </select>
+                <select value={exportScope} onChange={(e) => setExportScope(e.target.value)} className="p-1 border border-gray-300 rounded">
+                    <option value="month">{monthTitle}</option>
+                    <option value="all">{t('calendar.allDates')}</option>
+                </select>
+                <button onClick={handleExport} className="ms-auto flex items-center space-x-1 px-3 py-1 rounded bg-indigo-700 text-white hover:bg-indigo-800">
+                    <Download size={14} /><span>.ics</span>
+                </button>
+            </div>
+
+            <Button onClick={goToDetails} className="mt-8 w-full" Icon={List}>
+                {t('calendar.details')}
+            </Button>
+            {userRole === 'Teacher' && (
+                <Button onClick={() => navigate('/events/new')} className="mt-4 w-full" color="secondary" Icon={Plus}>
+                    {t('calendar.addEvent')}
+                </Button>
+            )}
+        </Card>
+    );
+};
+
+// Register/cancel controls for students and the participant summary for teachers.
+// Parents answer consent requests from their dashboard instead; administrators only look.
+const EventRegistrationActions = ({ event, db, userRole, registrations, studentRecord, userId }) => {
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    if (userRole === 'Parent' || userRole === 'Admin') return null;
+
+    if (userRole === 'Teacher') {
+        const eventRegistrations = registrations.filter(r => r.eventId === event.id);
+        const registeredCount = eventRegistrations.filter(r => r.status === 'registered').length;
+        const waitlistedCount = eventRegistrations.filter(r => r.status === 'waitlisted').length;
+        const label = event.capacity
+            ? t('registration.participantsOf', { count: registeredCount, capacity: event.capacity })
+            : t('registration.participants', { count: registeredCount });
+        return (
+            <Button onClick={() => navigate(`/events/${event.id}/participants`)} Icon={Users} className="!py-1 !px-3 !text-xs" color="secondary">
+                {waitlistedCount > 0 ? t('registration.waiting', { label, count: waitlistedCount }) : label}
+            </Button>
+        );
+    }
+
+    const registration = registrations.find(r => r.eventId === event.id && r.status !== 'cancelled');
+    if (event.status === 'cancelled' && !registration) return null;
+
+    const handleRegister = async () => {
+        if (!studentRecord) {
+            setMessage(errorMessage(t('registration.notLinked')));
+            return;
+        }
+        setLoading(true);
+        setMessage(null);
+        try {
+            const status = await withRetry(() => registerForEvent(db, event, studentRecord, userId));
+            setMessage(successMessage(status === 'waitlisted' ? t('registration.waitlistedMessage') : t('registration.registeredMessage')));
+        } catch (error) {
+            console.error('Error registering for event: ', error);
+            setMessage(errorMessage(t('registration.registerFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCancel = async () => {
+        setLoading(true);
+        setMessage(null);
+        try {
+            await withRetry(() => cancelRegistration(db, registration));
+            setMessage(successMessage(t('registration.cancelled')));
+        } catch (error) {
+            console.error('Error cancelling registration: ', error);
+            setMessage(errorMessage(t('registration.cancelFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col items-end space-y-1">
+            {registration ? (
+                <div className="flex items-center space-x-2">
+                    <span className={`font-semibold ${registration.status === 'registered' ? 'text-green-700' : 'text-amber-700'}`}>
+                        {t(`registration.${registration.status}`)}
+                    </span>
+                    {event.requiresConsent && (
+                        <span className="text-xs text-gray-600">({t(`consent.${getConsentStatus(registration)}`)})</span>
+                    )}
+                    <Button onClick={handleCancel} Icon={UserMinus} className="!py-1 !px-3 !text-xs !bg-gray-500" color="secondary" disabled={loading}>
+                        {t('common.cancel')}
+                    </Button>
+                </div>
+            ) : (
+                <Button onClick={handleRegister} Icon={UserPlus} className="!py-1 !px-3 !text-xs" color="secondary" disabled={loading}>
+                    {t('registration.register')}
+                </Button>
+            )}
+            {message && <span className={message.success ? 'text-green-700' : 'text-red-700'}>{message.text}</span>}
+        </div>
+    );
+};
+
+const EventDetailsView = ({ events, userRole, db, registrations, studentRecord, userId }) => {
+    const navigate = useNavigate();
+    const { t, locale, formatDate, formatNumber } = useI18n();
+    // /events/:id shows a single event; /events the filtered list (see Event Filter Helpers),
+    // e.g. /events?month=YYYY-MM for the month picked in the calendar
+    const { id } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const { categories } = useSchoolSettings();
+    const filters = readEventFilters(searchParams, categories);
+    const filterKey = searchParams.toString();
+
+    // Restore the session's last filter when the list is opened without one, and remember changes
+    useEffect(() => {
+        if (id) return;
+        if (!filterKey) {
+            const saved = readSessionFilters();
+            if (saved) setSearchParams(new URLSearchParams(saved), { replace: true });
+            return;
+        }
+        try {
+            sessionStorage.setItem(EVENT_FILTER_SESSION_KEY, filterKey);
+        } catch (error) {
+            console.error('Error saving event filters: ', error);
+        }
+    }, [id, filterKey, setSearchParams]);
+
+    // Changes are applied in place (no new history entry per keystroke); null or '' removes a parameter
+    const updateFilters = (changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value) next.set(key, value);
+            else next.delete(key);
+        });
+        setSearchParams(next, { replace: true });
+    };
+
+    const toggleCategory = (category) => {
+        const categories = filters.categories.includes(category)
+            ? filters.categories.filter(c => c !== category)
+            : [...filters.categories, category];
+        updateFilters({ categories: categories.join(',') });
+    };
+
+    // Clearing keeps an explicit default so the session filter is not restored over it
+    const clearFilters = () => {
+        const next = new URLSearchParams(searchParams);
+        EVENT_FILTER_PARAMS.forEach(key => next.delete(key));
+        next.set('when', 'upcoming');
+        setSearchParams(next, { replace: true });
+    };
+
+    const listToDisplay = id ? events.filter(e => e.id === id) : filterEvents(events, filters, toDateKey(new Date()));
+    // Past events read best newest first
+    const direction = !id && filters.when === 'past' ? -1 : 1;
+    const sortedEvents = [...listToDisplay].sort((a, b) => direction * (a.date || '').localeCompare(b.date || ''));
+
+    // Group events by date for a cleaner view
+    const groupedEvents = sortedEvents.reduce((acc, event) => {
+        const dateKey = event.date || 'TBD';
+        if (!acc[dateKey]) {
+            acc[dateKey] = [];
+        }
+        acc[dateKey].push(event);
+        return acc;
+    }, {});
+
+    return (
+        <Card title={t('events.title')} Icon={BookOpen} titleColor={COLORS.primaryText} className="max-w-2xl">
+            {!id && (
+                <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg space-y-3 text-sm">
+                    <input
+                        type="search"
+                        value={filters.query}
+                        onChange={(e) => updateFilters({ q: e.target.value })}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500"
+                        placeholder={t('events.search')}
+                    />
+                    <div className="flex flex-wrap gap-2">
+                        {categories.map(cat => {
+                            const selected = filters.categories.includes(cat);
+                            return (
+                                <button key={cat} onClick={() => toggleCategory(cat)} aria-pressed={selected} className={`flex items-center space-x-1 px-2 py-1 rounded-full border text-xs font-semibold transition ${selected ? 'bg-indigo-700 border-indigo-700 text-white' : 'bg-white border-gray-300 text-gray-700 hover:border-indigo-400'}`}>
+                                    <span className={`inline-block w-2 h-2 rounded-full ${getCategoryColors(cat).dot}`}></span>
+                                    <span>{getCategoryLabel(t, cat)}</span>
+                                </button>
+                            );
+                        })}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                        <div className="inline-flex rounded-lg border border-indigo-200 overflow-hidden text-xs">
+                            {EVENT_TIME_FILTERS.map(when => (
+                                <button key={when} onClick={() => updateFilters({ when })} className={`px-3 py-1 font-semibold transition ${filters.when === when ? 'bg-indigo-700 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}>
+                                    {t(`events.when.${when}`)}
+                                </button>
+                            ))}
+                        </div>
+                        {filters.when === 'range' && (
+                            <>
+                                <label className="flex items-center space-x-1">
+                                    <span>{t('events.from')}</span>
+                                    <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => updateFilters({ from: e.target.value })} className="p-1 border border-gray-300 rounded" />
+                                </label>
+                                <label className="flex items-center space-x-1">
+                                    <span>{t('events.to')}</span>
+                                    <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => updateFilters({ to: e.target.value })} className="p-1 border border-gray-300 rounded" />
+                                </label>
+                            </>
+                        )}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                        <span>{t('events.count', { count: formatNumber(sortedEvents.length) })}</span>
+                        {filters.month && (
+                            <button onClick={() => updateFilters({ month: null })} className="flex items-center space-x-1 px-2 py-0.5 rounded-full bg-white border border-indigo-300 text-indigo-700" title={t('events.removeMonth')}>
+                                <span>{t('events.month', { month: formatDate(`${filters.month}-01`, { month: 'long', year: 'numeric' }) })}</span>
+                                <X size={12} />
+                            </button>
+                        )}
+                        {hasActiveEventFilters(filters) && (
+                            <button onClick={clearFilters} className="ms-auto text-indigo-700 hover:text-indigo-900 font-semibold">{t('events.clearFilters')}</button>
+                        )}
+                    </div>
+                </div>
+            )}
+            <div className="max-h-[70vh] overflow-y-auto space-y-6">
+                {Object.keys(groupedEvents).length === 0 ? (
+                    <p className="text-center text-gray-500 py-10">{id ? t('events.notFound') : hasActiveEventFilters(filters) ? t('events.noMatch') : t('events.none')}</p>
+                ) : (
+                    Object.entries(groupedEvents).map(([date, eventList]) => (
+                        <div key={date} className="border-b pb-4 last:border-b-0">
+                            <h3 className="text-lg font-bold text-indigo-700 mb-3 p-1 rounded-md bg-indigo-50">{formatDate(date, { weekday: 'short', year: 'numeric', month: 'long', day: 'numeric' })}</h3>
+                            <div className="space-y-4">
+                                {eventList.map(event => (
+                                    <div key={event.id} className="bg-gray-50 p-4 rounded-lg shadow-sm border border-gray-200">
+                                        <div className="flex justify-between items-start">
+                                            <h4 className={`font-bold text-lg mb-1 ${event.status === 'cancelled' ? 'text-gray-400 line-through' : 'text-rose-600'}`}>
+                                                <Link to={`/events/${event.id}`} className="hover:underline">{event.title}</Link>
+                                            </h4>
+                                            <div className="flex items-center space-x-1">
+                                                <button onClick={() => downloadICS([event], `schoollink-${toFileSlug(event.title) || event.id}`, event.title)} className="p-1 text-indigo-700 hover:text-indigo-900" title={t('events.exportOne')}>
+                                                    <Download size={16} />
+                                                </button>
+                                                {userRole === 'Teacher' && !isMockEvent(event) && (
+                                                    <Link to={`/events/${event.id}/edit`} className="p-1 text-indigo-700 hover:text-indigo-900" title={t('events.edit')}>
+                                                        <Edit2 size={16} />
+                                                    </Link>
+                                                )}
+                                            </div>
+                                        </div>
+                                        {event.status === 'cancelled' && (
+                                            <p className="text-sm font-semibold text-red-600 mb-1">{event.cancelReason ? t('events.cancelledReason', { reason: event.cancelReason }) : t('events.cancelled')}</p>
+                                        )}
+                                        <p className="text-xs text-gray-600 mb-1 flex flex-wrap items-center gap-x-3 gap-y-1">
+                                            <span className="flex items-center space-x-1"><Clock size={12} /><span>{formatEventSchedule(event, { t, formatDate })}</span></span>
+                                            {event.venue && <span className="flex items-center space-x-1"><MapPin size={12} /><span>{event.venue}</span></span>}
+                                            {event.audienceType === 'classes' && <span className="flex items-center space-x-1"><Users size={12} /><span>{t('events.forClasses', { classes: describeAudienceTargets(event.audienceTargets, { t }) })}</span></span>}
+                                        </p>
+                                        <p className={`text-sm ${event.status === 'cancelled' ? 'text-gray-400 line-through' : 'text-gray-700'}`}>{event.description}</p>
+                                        {event.recurrence && (
+                                            <p className="text-xs text-indigo-700 mt-1 flex items-center space-x-1">
+                                                <RefreshCw size={12} />
+                                                <span>{t('events.repeats')} {describeRecurrence(event.recurrence, event.seriesStart, { t, locale, formatDate })}</span>
+                                            </p>
+                                        )}
+                                        {event.requiresConsent && (
+                                            <p className="text-xs text-amber-700 mt-1 flex items-center space-x-1">
+                                                <CheckSquare size={12} />
+                                                <span>{t('consent.required')}</span>
+                                            </p>
+                                        )}
+                                        <div className="flex justify-between items-center mt-3 text-xs text-gray-500">
+                                            <span>
+                                                {t('events.category')} <span className="font-semibold text-gray-800">{getCategoryLabel(t, event.category)}</span>
+                                                {event.capacity > 0 && <> &middot; {t('events.capacity')} <span className="font-semibold text-gray-800">{formatNumber(event.capacity)}</span></>}
+                                            </span>
+                                            <EventRegistrationActions event={event} db={db} userRole={userRole} registrations={registrations} studentRecord={studentRecord} userId={userId} />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+            {id && (
+                <Button onClick={() => navigate('/events')} className="mt-6 w-full" Icon={List}>
+                    {t('events.showAll')}
+                </Button>
+            )}
+            <Button onClick={() => navigate(getHomePath(userRole))} className="mt-6 w-full" color="secondary">
+                {t('common.backToDashboard')}
+            </Button>
+        </Card>
+    );
+};
+
+// Repeat settings of the event form. Changes go through onChange like the other inputs.
+const RecurrenceFields = ({ formData, onChange }) => {
+    const { t, locale, formatDate } = useI18n();
+    const start = formData.date ? parseDateKey(formData.date) : null;
+    const weekdayNames = getWeekdayNames(locale, 0);
+    const setField = (name, value) => onChange({ target: { name, value } });
+    // With no weekday picked, a weekly series repeats on the weekday of its first date
+    const selectedWeekdays = formData.repeatWeekdays.length ? formData.repeatWeekdays : (start ? [start.getDay()] : []);
+    const toggleWeekday = (weekday) => setField('repeatWeekdays', selectedWeekdays.includes(weekday)
+        ? selectedWeekdays.filter(d => d !== weekday)
+        : [...selectedWeekdays, weekday]);
+    const position = start ? getWeekdayPosition(start) : 1;
+
+    return (
+        <div className="p-3 border border-gray-200 rounded-lg space-y-3 text-sm">
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="repeat">{t('recurrenceForm.repeats')}</label>
+                <select id="repeat" name="repeat" value={formData.repeat} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                    <option value="none">{t('recurrenceForm.none')}</option>
+                    {RECURRENCE_FREQUENCIES.map(value => <option key={value} value={value}>{t(`recurrenceForm.freq.${value}`)}</option>)}
+                </select>
+            </div>
+            {formData.repeat !== 'none' && (
+                <>
+                    <div className="flex items-center space-x-2">
+                        <span>{t('recurrenceForm.every')}</span>
+                        <input type="number" name="repeatInterval" min="1" max="99" value={formData.repeatInterval} onChange={onChange} className="w-16 p-1 border border-gray-300 rounded" />
+                        <span>{t(`recurrenceForm.unit.${formData.repeat}`)}</span>
+                    </div>
+                    {formData.repeat === 'weekly' && (
+                        <div className="flex flex-wrap gap-1">
+                            {weekdayNames.map((name, weekday) => (
+                                <button key={weekday} type="button" onClick={() => toggleWeekday(weekday)} aria-pressed={selectedWeekdays.includes(weekday)} className={`px-2 py-1 rounded-full border text-xs font-semibold ${selectedWeekdays.includes(weekday) ? 'bg-indigo-700 border-indigo-700 text-white' : 'bg-white border-gray-300 text-gray-700'}`}>
+                                    {name}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {formData.repeat === 'monthly' && (
+                        <div className="space-y-1">
+                            <label className="flex items-center space-x-2">
+                                <input type="radio" name="repeatMonthlyBy" value="date" checked={formData.repeatMonthlyBy === 'date'} onChange={onChange} />
+                                <span>{t('recurrenceForm.onDay', { day: start ? start.getDate() : '-' })}</span>
+                            </label>
+                            <label className="flex items-center space-x-2">
+                                <input type="radio" name="repeatMonthlyBy" value="weekday" checked={formData.repeatMonthlyBy === 'weekday'} onChange={onChange} />
+                                <span>{t('recurrenceForm.onWeekday', { nth: t(`recurrence.nth.${position}`), weekday: start ? formatDate(start, { weekday: 'long' }) : t('recurrenceForm.weekday') })}</span>
+                            </label>
+                        </div>
+                    )}
+                    <div className="space-y-1">
+                        <span className="block text-gray-700 font-medium">{t('recurrenceForm.ends')}</span>
+                        <label className="flex items-center space-x-2">
+                            <input type="radio" name="repeatEnd" value="count" checked={formData.repeatEnd === 'count'} onChange={onChange} />
+                            <span>{t('recurrenceForm.after')}</span>
+                            <input type="number" name="repeatCount" min="1" max={MAX_OCCURRENCES} value={formData.repeatCount} onChange={onChange} disabled={formData.repeatEnd !== 'count'} className="w-20 p-1 border border-gray-300 rounded" />
+                            <span>{t('recurrenceForm.occurrences')}</span>
+                        </label>
+                        <label className="flex items-center space-x-2">
+                            <input type="radio" name="repeatEnd" value="until" checked={formData.repeatEnd === 'until'} onChange={onChange} />
+                            <span>{t('recurrenceForm.on')}</span>
+                            <input type="date" name="repeatUntil" min={formData.date || undefined} value={formData.repeatUntil} onChange={onChange} disabled={formData.repeatEnd !== 'until'} className="p-1 border border-gray-300 rounded" />
+                        </label>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Class and section checkboxes for notices and events. A target with a null section is the whole class.
+const AudienceTargetPicker = ({ students, targets, onChange }) => {
+    const { t } = useI18n();
+    const activeStudents = students.filter(s => !s.archived);
+    const { classes } = getRosterOptions(activeStudents);
+    const isTargeted = (cls, section) => targets.some(target => target.class === cls && target.section === section);
+
+    const toggleTarget = (cls, section) => {
+        if (isTargeted(cls, section)) {
+            onChange(targets.filter(target => !(target.class === cls && target.section === section)));
+            return;
+        }
+        // Picking a whole class replaces its individual sections, and vice versa
+        const others = targets.filter(target => target.class !== cls || (section === null ? false : target.section !== null));
+        onChange([...others, { class: cls, section }]);
+    };
+
+    return (
+        <div className="max-h-40 overflow-y-auto p-2 bg-white border border-gray-200 rounded-lg text-sm space-y-2">
+            {classes.length === 0 && <p className="text-gray-500">{t('audience.noClasses')}</p>}
+            {classes.map(cls => (
+                <div key={cls} className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center space-x-1 font-semibold text-gray-800">
+                        <input type="checkbox" checked={isTargeted(cls, null)} onChange={() => toggleTarget(cls, null)} />
+                        <span>{t('audience.class', { class: cls })}</span>
+                    </label>
+                    {getRosterOptions(activeStudents.filter(st => st.class === cls)).sections.map(sec => (
+                        <label key={sec} className="flex items-center space-x-1 text-gray-700">
+                            <input type="checkbox" checked={isTargeted(cls, sec)} disabled={isTargeted(cls, null)} onChange={() => toggleTarget(cls, sec)} />
+                            <span>{sec}</span>
+                        </label>
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Form inputs shared by the add and edit event screens. Single occurrences of a series are edited without the repeat settings.
+// `students` fill the class picker; `venues` are suggested so that bookings of one hall are spelled alike
+const EventFormFields = ({ formData, onChange, showRecurrence = true, students = [], venues = [] }) => {
+    const { t } = useI18n();
+    const { categories } = useSchoolSettings();
+    // An event keeps its category when the school later removes it from the list
+    const categoryOptions = categories.includes(formData.category) ? categories : [...categories, formData.category];
+    const setField = (name, value) => onChange({ target: { name, value } });
+    return (
+        <>
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="title">{t('eventForm.title')}</label>
+                <input type="text" id="title" name="title" value={formData.title} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" placeholder={t('eventForm.titlePlaceholder')} />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="date">{showRecurrence && formData.repeat !== 'none' ? t('eventForm.firstDate') : t('eventForm.startDate')}</label>
+                    <input type="date" id="date" name="date" value={formData.date} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="endDate">{t('eventForm.endDate')}</label>
+                    <input type="date" id="endDate" name="endDate" min={formData.date || undefined} value={formData.endDate} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
+                </div>
+            </div>
+            <label className="flex items-center space-x-2 text-gray-700">
+                <input type="checkbox" checked={formData.allDay} onChange={(e) => setField('allDay', e.target.checked)} />
+                <span>{t('eventForm.allDay')}</span>
+            </label>
+            {!formData.allDay && (
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="startTime">{t('eventForm.startTime')}</label>
+                        <input type="time" id="startTime" name="startTime" value={formData.startTime} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
+                    </div>
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="endTime">{t('eventForm.endTime')}</label>
+                        <input type="time" id="endTime" name="endTime" value={formData.endTime} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
+                    </div>
+                </div>
+            )}
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="venue">{t('eventForm.venue')}</label>
+                <input type="text" id="venue" name="venue" list="event-venues" value={formData.venue} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" placeholder={t('eventForm.venuePlaceholder')} />
+                <datalist id="event-venues">
+                    {venues.map(venue => <option key={venue} value={venue} />)}
+                </datalist>
+            </div>
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="audienceType">{t('eventForm.audience')}</label>
+                <select id="audienceType" name="audienceType" value={formData.audienceType} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                    {EVENT_AUDIENCES.map(value => <option key={value} value={value}>{t(`eventAudience.${value}`)}</option>)}
+                </select>
+            </div>
+            {formData.audienceType === 'classes' && (
+                <AudienceTargetPicker students={students} targets={formData.audienceTargets} onChange={(targets) => setField('audienceTargets', targets)} />
+            )}
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="category">{t('eventForm.category')}</label>
+                <select id="category" name="category" value={formData.category} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                    {categoryOptions.map(cat => (
+                        <option key={cat} value={cat}>{getCategoryLabel(t, cat)}</option>
+                    ))}
+                </select>
+            </div>
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="scoringScheme">{t('eventForm.scoring')}</label>
+                <select id="scoringScheme" name="scoringScheme" value={formData.scoringScheme} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                    {SCORING_SCHEMES.map(value => (
+                        <option key={value} value={value}>{t(`scoring.${value}`)}</option>
+                    ))}
+                </select>
+            </div>
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="capacity">{t('eventForm.capacity')}</label>
+                <input type="number" id="capacity" name="capacity" min="1" value={formData.capacity ?? ''} onChange={onChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" placeholder={t('eventForm.capacityPlaceholder')} />
+            </div>
+            <label className="flex items-center space-x-2 text-gray-700">
+                <input type="checkbox" checked={!!formData.requiresConsent} onChange={(e) => setField('requiresConsent', e.target.checked)} />
+                <span>{t('eventForm.consent')}</span>
+            </label>
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="description">{t('eventForm.description')}</label>
+                <textarea id="description" name="description" value={formData.description} onChange={onChange} rows="4" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" placeholder={t('eventForm.descriptionPlaceholder')}></textarea>
+            </div>
+            {showRecurrence && <RecurrenceFields formData={formData} onChange={onChange} />}
+        </>
+    );
+};
+
+// Venues already used by events, for the venue suggestions
+const getKnownVenues = (events) => [...new Set(events.map(e => (e.venue || '').trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+// Lists events that overlap the one being entered and share its venue or audience
+const EventClashWarning = ({ clashes }) => {
+    const { t, formatDate } = useI18n();
+    if (clashes.length === 0) return null;
+    return (
+        <div className="p-3 bg-amber-50 border border-amber-300 rounded-lg text-sm">
+            <p className="font-semibold text-amber-800 flex items-center space-x-2"><AlertCircle size={16} /><span>{t('clash.title', { count: clashes.length })}</span></p>
+            <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                {clashes.map(({ event, venue, audience }) => (
+                    <li key={event.id} className="text-gray-700">
+                        <Link to={`/events/${event.id}`} className="font-semibold text-indigo-700 hover:underline">{event.title}</Link>
+                        {' '}&middot; {formatEventSchedule(event, { t, formatDate })}
+                        <span className="block text-xs text-amber-700">
+                            {[venue && t('clash.venue', { venue: event.venue }), audience && t('clash.audience', { audience: describeEventAudience(event, { t }) })].filter(Boolean).join(' · ')}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// `events` are the displayed events (recurring series expanded), used for clash warnings
+const AddEventView = ({ db, events, students, userRole, userId, userProfile, enqueueWrite }) => {
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const { categories } = useSchoolSettings();
+    const emptyForm = { ...EMPTY_EVENT_FORM, category: categories[0] };
+    const [formData, setFormData] = useState(emptyForm);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    // Checked once the form is complete enough to describe an event
+    const { event: candidate } = validateEventForm(formData, { t });
+    const clashes = candidate ? findEventClashes(candidate, events) : [];
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setMessage(null);
+
+        const { error, event } = validateEventForm(formData, { t });
+        if (error) {
+            setMessage(errorMessage(error));
+            setLoading(false);
+            return;
+        }
+
+        try {
+            const synced = await enqueueWrite(t('sync.item.event', { title: event.title }), buildCreateEventWrites(db, event, { userRole, userId, userProfile }));
+            const kind = event.recurrence ? 'series' : 'event';
+            setMessage(successMessage(t(synced ? `addEvent.added.${kind}` : `addEvent.queued.${kind}`)));
+            setFormData(emptyForm);
+        } catch (error) {
+            console.error('Error adding event: ', error);
+            setMessage(errorMessage(t('addEvent.failed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Card title={t('dashboard.addEvent')} Icon={Plus} titleColor={COLORS.primaryText} className="max-w-xl">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <EventFormFields formData={formData} onChange={handleChange} students={students} venues={getKnownVenues(events)} />
+
+                <EventClashWarning clashes={clashes} />
+
+                {message && (
+                    <div className={`p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                        {message.text}
+                    </div>
+                )}
+
+                <Button type="submit" Icon={Plus} className="w-full" disabled={loading}>
+                    {loading ? t('addEvent.adding') : clashes.length > 0 ? t('addEvent.publishAnyway') : t('addEvent.publish')}
+                </Button>
+            </form>
+            <Button onClick={() => navigate('/events/import')} Icon={Upload} className="mt-4 w-full" color="secondary">
+                {t('addEvent.import')}
+            </Button>
+            <Button onClick={() => navigate('/teacher')} className="mt-4 w-full !bg-gray-500" color="secondary">
+                {t('common.cancel')}
+            </Button>
+        </Card>
+    );
+};
+
+const ImportEventsView = ({ db, events, userRole, userId, userProfile }) => {
+    const navigate = useNavigate();
+    const { t, formatNumber } = useI18n();
+    const { categories } = useSchoolSettings();
+    const [preview, setPreview] = useState(null); // Parsed rows: { ...event, duplicate, error, selected }
+    const [fileName, setFileName] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    // An imported event is a duplicate when it was imported before (same UID), or when an
+    // existing event has the same title on the same date
+    const findDuplicate = (imported) => events.find(e =>
+        (imported.uid && e.icsUid === imported.uid) ||
+        (e.date === imported.date && e.title.trim().toLowerCase() === imported.title.toLowerCase())
+    );
+
+    const handleFileSelect = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow re-selecting the same file
+        if (!file) return;
+        setMessage(null);
+        setFileName(file.name);
+
+        let parsed;
+        try {
+            parsed = parseICS(await file.text(), categories);
+        } catch (error) {
+            console.error('Error reading calendar file: ', error);
+            setPreview(null);
+            setMessage(errorMessage(t('import.unreadable')));
+            return;
+        }
+        if (parsed.length === 0) {
+            setPreview(null);
+            setMessage(errorMessage(t('import.empty')));
+            return;
+        }
+        setPreview(parsed.map((imported, index) => {
+            const { error } = validateEventForm({ ...imported, description: imported.description || imported.title, capacity: '' }, { t });
+            const duplicate = findDuplicate(imported);
+            return { ...imported, key: index, error, duplicate, selected: !error && !duplicate && !imported.cancelled };
+        }));
+    };
+
+    const toggleRow = (key) => {
+        setPreview(prev => prev.map(row => (row.key === key && !row.error ? { ...row, selected: !row.selected } : row)));
+    };
+
+    const handleImport = async () => {
+        const rows = preview.filter(row => row.selected);
+        if (rows.length === 0) return;
+        setLoading(true);
+        setMessage(null);
+
+        let imported = 0;
+        try {
+            for (const row of rows) {
+                const { event } = validateEventForm({ ...row, description: row.description || row.title, capacity: '' }, { t });
+                await createEvent(db, { ...event, icsUid: row.uid }, { userRole, userId, userProfile });
+                imported++;
+            }
+            setMessage(successMessage(t('import.done', { count: formatNumber(imported) })));
+            setPreview(null);
+        } catch (error) {
+            console.error('Error importing events: ', error);
+            setMessage(errorMessage(t('import.stopped', { count: formatNumber(imported) })));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectedCount = preview ? preview.filter(row => row.selected).length : 0;
+
+    return (
+        <Card title={t('import.title')} Icon={Upload} titleColor={COLORS.primaryText} className="max-w-2xl">
+            <p className="text-sm text-gray-600 mb-4">{t('import.intro')}</p>
+            <input type="file" accept=".ics,text/calendar" onChange={handleFileSelect} className="text-sm mb-4" disabled={loading} />
+
+            {preview && (
+                <div className="space-y-3">
+                    <p className="font-semibold text-gray-800">{t('import.found', { count: formatNumber(preview.length), file: fileName })}</p>
+                    <div className="max-h-96 overflow-y-auto border rounded-lg">
+                        {preview.map(row => (
+                            <label key={row.key} className={`flex items-start space-x-3 p-3 border-b last:border-b-0 ${row.error ? 'bg-red-50' : row.duplicate ? 'bg-amber-50' : ''}`}>
+                                <input type="checkbox" checked={row.selected} disabled={!!row.error} onChange={() => toggleRow(row.key)} className="mt-1" />
+                                <div className="flex-grow text-sm">
+                                    <div className="flex justify-between">
+                                        <span className={`font-semibold text-gray-800 ${row.cancelled ? 'line-through' : ''}`}>{row.title || t('import.untitled')}</span>
+                                        <span className="text-gray-500">
+                                            {row.date ? `${row.date}${row.endDate > row.date ? ` – ${row.endDate}` : ''}${row.allDay ? '' : ` ${row.startTime}–${row.endTime}`}` : t('import.noDate')}
+                                        </span>
+                                    </div>
+                                    <span className={`inline-block mt-1 px-2 rounded text-xs border ${getCategoryColors(row.category).chip}`}>{getCategoryLabel(t, row.category)}</span>
+                                    {row.error && <p className="text-red-700 text-xs mt-1">{t('import.rowError', { error: row.error })}</p>}
+                                    {row.duplicate && <p className="text-amber-700 text-xs mt-1">{t('import.duplicate', { title: row.duplicate.title, date: row.duplicate.date })}</p>}
+                                    {row.cancelled && <p className="text-gray-500 text-xs mt-1">{t('import.cancelled')}</p>}
+                                </div>
+                            </label>
+                        ))}
+                    </div>
+                    <Button onClick={handleImport} Icon={Upload} className="w-full" disabled={loading || selectedCount === 0}>
+                        {loading ? t('import.importing') : t('import.submit', { count: formatNumber(selectedCount) })}
+                    </Button>
+                </div>
+            )}
+
+            {message && (
+                <div className={`mt-4 p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <Button onClick={() => navigate('/events/new')} className="mt-4 w-full !bg-gray-500" color="secondary">
+                {t('import.back')}
+            </Button>
+        </Card>
+    );
+};
+
+// The history list labels fields as 'history.field.<field>' (see EVENT_HISTORY_FIELDS) and actions as 'history.action.<action>'
+const EVENT_HISTORY_ACTIONS = ['created', 'updated', 'cancelled', 'reinstated', 'deleted'];
+
+const EventHistoryList = ({ db, eventId }) => {
+    const { t, formatDate } = useI18n();
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!db || !eventId) return;
+        const unsubscribe = db.events.subscribeHistory(eventId, (fetched) => {
+            setEntries(fetched.sort((a, b) => b.changedAt.localeCompare(a.changedAt)));
+        }, (err) => {
+            console.error("Event History Snapshot Error:", err);
+        });
+        return () => unsubscribe();
+    }, [db, eventId]);
+
+    const formatValue = (value) => {
+        if (value === null || value === '') return t('history.none');
+        if (typeof value === 'boolean') return value ? t('common.yes') : t('common.no');
+        if (Array.isArray(value)) return value.length > 0 ? describeAudienceTargets(value, { t }) : t('eventAudience.everyone');
+        if (typeof value === 'object') {
+            // A repeat rule
+            const end = value.endType === 'until' ? t('recurrence.until', { date: formatDate(value.until) }) : t('recurrence.count', { count: value.count });
+            const freq = RECURRENCE_FREQUENCIES.includes(value.freq) ? t(`recurrenceForm.freq.${value.freq}`) : value.freq;
+            return t('history.rule', { freq, interval: value.interval, end });
+        }
+        return String(value);
+    };
+
+    return (
+        <div className="max-h-72 overflow-y-auto space-y-3">
+            {entries.length === 0 ? (
+                <p className="text-center text-gray-500 py-4">{t('history.empty')}</p>
+            ) : (
+                entries.map(entry => (
+                    <div key={entry.id} className="text-sm border-s-4 border-indigo-300 ps-3">
+                        <p className="font-semibold text-gray-800">
+                            {t(entry.occurrenceDate ? 'history.entryOccurrence' : 'history.entry', {
+                                action: EVENT_HISTORY_ACTIONS.includes(entry.action) ? t(`history.action.${entry.action}`) : entry.action,
+                                date: entry.occurrenceDate && formatDate(entry.occurrenceDate),
+                                name: entry.changedByName,
+                            })}
+                            <span className="font-normal text-gray-500"> &middot; {formatDate(entry.changedAt, { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                        </p>
+                        {entry.action !== 'created' && Object.entries(entry.changes || {}).map(([field, change]) => (
+                            <p key={field} className="text-gray-600">
+                                {EVENT_HISTORY_FIELDS.includes(field) ? t(`history.field.${field}`) : field}: <span className="line-through">{formatValue(change.from)}</span> &rarr; {formatValue(change.to)}
+                            </p>
+                        ))}
+                    </div>
+                ))
+            )}
+        </div>
+    );
+};
+
+// `events` are the stored events, with recurring series not expanded. An occurrence ID
+// (/events/<seriesId>__<date>/edit) lets the teacher change that occurrence alone or the whole series.
+const EditEventView = ({ db, events, students, userId, userProfile }) => {
+    const navigate = useNavigate();
+    const { t, formatDate } = useI18n();
+    const { id } = useParams();
+    const { seriesId, occurrenceDate } = parseOccurrenceId(id);
+    const series = events.find(e => e.id === seriesId);
+    const isOccurrence = Boolean(series?.recurrence && occurrenceDate);
+    const [scope, setScope] = useState('occurrence'); // 'occurrence' or 'series', for occurrences only
+    const editingOccurrence = isOccurrence && scope === 'occurrence';
+    const event = editingOccurrence ? expandRecurringEvents([series]).find(e => e.id === id) : series;
+    const [formData, setFormData] = useState(null);
+    const [cancelReason, setCancelReason] = useState('');
+    const [confirmDelete, setConfirmDelete] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    // Fill the form once the event has loaded (and again after switching between occurrence and series)
+    useEffect(() => {
+        if (event && !formData) {
+            setFormData(getEventFormData(event));
+        }
+    }, [event, formData]);
+
+    const switchScope = (next) => {
+        setScope(next);
+        setFormData(null);
+        setMessage(null);
+        setConfirmDelete(false);
+    };
+
+    if (!event || isMockEvent(event)) {
+        return (
+            <Card title={t('events.edit')} Icon={Edit2} titleColor={COLORS.primaryText} className="max-w-xl">
+                <p className="text-center text-gray-500 py-6">{event ? t('editEvent.sample') : t('events.notFound')}</p>
+                <Button onClick={() => navigate('/events')} className="w-full !bg-gray-500" color="secondary">{t('editEvent.backToEvents')}</Button>
+            </Card>
+        );
+    }
+    if (!formData) return null;
+
+    const isCancelled = event.status === 'cancelled';
+    const author = { uid: userId, name: getAuthorName(userProfile) };
+    const noun = t(`editEvent.noun.${editingOccurrence ? 'occurrence' : series.recurrence ? 'series' : 'event'}`);
+    const { event: candidate } = validateEventForm(editingOccurrence ? { ...formData, repeat: 'none' } : formData, { t });
+    const clashes = candidate ? findEventClashes({ ...candidate, id: event.id }, expandRecurringEvents(events)) : [];
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    // A change to one occurrence is stored on the series, in its exceptions for that date
+    const buildSeriesUpdates = (updates) => {
+        if (!editingOccurrence) return updates;
+        const override = buildOccurrenceOverride(series, occurrenceDate, { ...series.exceptions?.[occurrenceDate], ...updates });
+        return { exceptions: { ...series.exceptions, [occurrenceDate]: override } };
+    };
+
+    // Writes an update to the event (or series) together with its history entry
+    const saveChange = async (action, updates, successText) => {
+        const changes = diffEventFields(event, updates);
+        if (action === 'updated' && Object.keys(changes).length === 0) {
+            setMessage(errorMessage(t('editEvent.noChanges')));
+            return;
+        }
+        setLoading(true);
+        setMessage(null);
+        try {
+            const entry = { action, eventTitle: updates.title || event.title, changes, ...(updates.cancelReason ? { reason: updates.cancelReason } : {}), ...(editingOccurrence ? { occurrenceDate } : {}) };
+            await withRetry(() => db.events.update(series.id, { ...buildSeriesUpdates(updates), updatedAt: new Date().toISOString(), updatedBy: userId }, buildEventHistoryEntry(series.id, entry, author)));
+            setMessage(successMessage(successText));
+        } catch (error) {
+            console.error('Error updating event: ', error);
+            setMessage(errorMessage(t('editEvent.failed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const { error, event: updates } = validateEventForm(editingOccurrence ? { ...formData, repeat: 'none' } : formData, { t });
+        if (error) {
+            setMessage(errorMessage(error));
+            return;
+        }
+        // A single occurrence keeps the series' repeat rule
+        if (editingOccurrence) delete updates.recurrence;
+        await saveChange('updated', updates, t('editEvent.updated', { noun }));
+    };
+
+    const handleCancelEvent = async () => {
+        if (!cancelReason.trim()) {
+            setMessage(errorMessage(t('editEvent.reasonMissing')));
+            return;
+        }
+        await saveChange('cancelled', { status: 'cancelled', cancelReason: cancelReason.trim() }, t('editEvent.cancelled', { noun }));
+        setCancelReason('');
+    };
+
+    const handleReinstate = () => saveChange('reinstated', { status: 'active', cancelReason: null }, t('editEvent.reinstated', { noun }));
+
+    const handleDelete = async () => {
+        setLoading(true);
+        setMessage(null);
+        try {
+            const entry = { action: 'deleted', eventTitle: event.title, changes: {}, snapshot: { title: event.title, date: event.date, category: event.category } };
+            if (editingOccurrence) {
+                // The occurrence is left out of the series from now on
+                const exceptions = { ...series.exceptions, [occurrenceDate]: { deleted: true } };
+                await withRetry(() => db.events.update(series.id, { exceptions, updatedAt: new Date().toISOString(), updatedBy: userId }, buildEventHistoryEntry(series.id, { ...entry, occurrenceDate }, author)));
+            } else {
+                await withRetry(() => db.events.remove(series.id, buildEventHistoryEntry(series.id, entry, author)));
+            }
+            navigate('/events', { replace: true });
+        } catch (error) {
+            console.error('Error deleting event: ', error);
+            setMessage(errorMessage(t('editEvent.deleteFailed')));
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Card title={t('events.edit')} Icon={Edit2} titleColor={COLORS.primaryText} className="max-w-xl">
+            {isOccurrence && (
+                <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">
+                    <p className="font-semibold text-indigo-700 mb-2">{t('editEvent.scope')}</p>
+                    <div className="inline-flex rounded-lg border border-indigo-200 overflow-hidden">
+                        <button onClick={() => switchScope('occurrence')} className={`px-3 py-1 font-semibold transition ${scope === 'occurrence' ? 'bg-indigo-700 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}>
+                            {t('editEvent.scopeOccurrence', { date: formatDate(occurrenceDate) })}
+                        </button>
+                        <button onClick={() => switchScope('series')} className={`px-3 py-1 font-semibold transition ${scope === 'series' ? 'bg-indigo-700 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}>
+                            {t('editEvent.scopeSeries')}
+                        </button>
+                    </div>
+                    {scope === 'series' && (
+                        <p className="text-xs text-gray-600 mt-2">{t('editEvent.scopeSeriesHint')}</p>
+                    )}
+                </div>
+            )}
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <EventFormFields formData={formData} onChange={handleChange} showRecurrence={!editingOccurrence} students={students} venues={getKnownVenues(events)} />
+                <EventClashWarning clashes={clashes} />
+                <Button type="submit" Icon={Edit2} className="w-full" disabled={loading}>
+                    {loading ? t('common.saving') : t('common.saveChanges')}
                 </Button>
             </form>
-            <Button onClick={() => setView('TeacherDashboard')} className="mt-4 w-full !bg-gray-500" color="secondary">
-                Cancel
+
+            {message && (
+                <div className={`mt-4 p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="mt-6 p-4 border border-amber-200 rounded-lg bg-amber-50 space-y-3">
+                <h3 className="text-lg font-bold text-amber-700">{isCancelled ? t('editEvent.cancelledHeading', { noun }) : t('editEvent.cancel', { noun })}</h3>
+                {isCancelled ? (
+                    <>
+                        <p className="text-sm text-gray-700">{t('editEvent.reason', { reason: event.cancelReason })}</p>
+                        <Button onClick={handleReinstate} Icon={RotateCcw} className="w-full !py-2" disabled={loading}>{t('editEvent.reinstate', { noun })}</Button>
+                    </>
+                ) : (
+                    <>
+                        <p className="text-xs text-gray-600">{t(editingOccurrence ? 'editEvent.cancelHintOccurrence' : 'editEvent.cancelHint')}</p>
+                        <input type="text" value={cancelReason} onChange={(e) => setCancelReason(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('editEvent.reasonPlaceholder')} />
+                        <Button onClick={handleCancelEvent} Icon={XCircle} className="w-full !py-2" color="secondary" disabled={loading}>{t('editEvent.cancel', { noun })}</Button>
+                    </>
+                )}
+            </div>
+
+            <div className="mt-6 p-4 border border-red-200 rounded-lg bg-red-50 space-y-3">
+                <h3 className="text-lg font-bold text-red-700">{t('editEvent.delete', { noun })}</h3>
+                {confirmDelete ? (
+                    <>
+                        <p className="text-sm text-red-700">
+                            {t(editingOccurrence ? 'editEvent.deleteOccurrenceConfirm' : 'editEvent.deleteConfirm')}
+                        </p>
+                        <div className="flex space-x-2">
+                            <Button onClick={handleDelete} Icon={Trash2} className="flex-1 !py-2 !bg-red-600" color="secondary" disabled={loading}>{t('common.yesDelete')}</Button>
+                            <Button onClick={() => setConfirmDelete(false)} className="flex-1 !py-2 !bg-gray-500" color="secondary">{t('editEvent.keep', { noun })}</Button>
+                        </div>
+                    </>
+                ) : (
+                    <Button onClick={() => setConfirmDelete(true)} Icon={Trash2} className="w-full !py-2 !bg-red-600" color="secondary" disabled={loading}>{t('editEvent.delete', { noun })}</Button>
+                )}
+            </div>
+
+            <div className="mt-6">
+                <h3 className="text-lg font-bold text-indigo-700 mb-3 flex items-center space-x-2"><Clock size={18} /><span>{t('history.title')}</span></h3>
+                <EventHistoryList db={db} eventId={series.id} />
+            </div>
+
+            <Button onClick={() => navigate(`/events/${id}`)} className="mt-6 w-full !bg-gray-500" color="secondary">
+                {t('editEvent.backToEvent')}
+            </Button>
+        </Card>
+    );
+};
+
+// `email` is the student's login email; it links the signed-in account to this roster entry.
+// `guardianEmails` are the login emails of parent accounts, which link them the same way.
+// `house` is optional and is used by the points leaderboard.
+const EMPTY_STUDENT = { name: '', class: '', section: '', rollNumber: '', email: '', guardianEmails: '', house: '' };
+
+const RosterView = ({ db, students }) => {
+    const navigate = useNavigate();
+    const { t, formatDate, formatNumber } = useI18n();
+    const [formData, setFormData] = useState(EMPTY_STUDENT);
+    const [editingId, setEditingId] = useState(null);
+    const [filterClass, setFilterClass] = useState('');
+    const [filterSection, setFilterSection] = useState('');
+    const [showArchived, setShowArchived] = useState(false);
+    const [importPreview, setImportPreview] = useState(null); // { students, errors, duplicates } parsed from a CSV file
+    const [profileRequests, setProfileRequests] = useState([]); // Pending student profile change requests
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = db.subscribe('profileEditRequests', { where: [['status', '==', 'pending']] }, (fetched) => {
+            setProfileRequests(fetched.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+        }, (err) => {
+            console.error("Profile Requests Snapshot Error:", err);
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    const { classes, sections } = getRosterOptions(students);
+    const visibleStudents = students
+        .filter(s => showArchived || !s.archived)
+        .filter(s => !filterClass || s.class === filterClass)
+        .filter(s => !filterSection || s.section === filterSection)
+        .sort(compareStudents);
+
+    // A roll number identifies a pupil within one class section
+    const rosterKey = (s) => `${s.class}|${s.section}|${s.rollNumber}`.toLowerCase();
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const resetForm = () => {
+        setFormData(EMPTY_STUDENT);
+        setEditingId(null);
+    };
+
+    const handleEdit = (student) => {
+        setFormData({ name: student.name, class: student.class, section: student.section, rollNumber: student.rollNumber, email: student.email || '', guardianEmails: (student.guardianEmails || []).join(', '), house: student.house || '' });
+        setEditingId(student.id);
+        setMessage(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+
+        const student = {
+            name: formData.name.trim(),
+            class: formData.class.trim(),
+            section: formData.section.trim().toUpperCase(),
+            rollNumber: formData.rollNumber.trim(),
+            email: formData.email.trim().toLowerCase(),
+            guardianEmails: parseEmailList(formData.guardianEmails),
+            house: formData.house.trim(),
+        };
+        if (!student.name || !student.class || !student.section || !student.rollNumber) {
+            setMessage(errorMessage(t('eventForm.error.missing')));
+            return;
+        }
+        const invalidEmail = [student.email, ...student.guardianEmails].find(email => email && !EMAIL_PATTERN.test(email));
+        if (invalidEmail) {
+            setMessage(errorMessage(t('roster.invalidEmail', { email: invalidEmail })));
+            return;
+        }
+        const clash = students.find(s => !s.archived && s.id !== editingId && rosterKey(s) === rosterKey(student));
+        if (clash) {
+            setMessage(errorMessage(t('roster.rollClash', { roll: student.rollNumber, name: clash.name, class: `${student.class}-${student.section}` })));
+            return;
+        }
+        const emailClash = student.email && students.find(s => !s.archived && s.id !== editingId && s.email === student.email);
+        if (emailClash) {
+            setMessage(errorMessage(t('roster.emailClash', { email: student.email, name: emailClash.name })));
+            return;
+        }
+
+        setLoading(true);
+        try {
+            if (editingId) {
+                await withRetry(() => db.update('students', editingId, { ...student, updatedAt: new Date().toISOString() }));
+                setMessage(successMessage(t('roster.updated')));
+            } else {
+                await withRetry(() => db.add('students', { ...student, archived: false, createdAt: new Date().toISOString() }));
+                setMessage(successMessage(t('roster.added')));
+            }
+            resetForm();
+        } catch (error) {
+            console.error('Error saving student: ', error);
+            setMessage(errorMessage(t('roster.saveFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Archived students keep their history (scores) but drop out of score entry
+    const handleToggleArchive = async (student) => {
+        setMessage(null);
+        try {
+            await withRetry(() => db.update('students', student.id, {
+                archived: !student.archived,
+                updatedAt: new Date().toISOString(),
+            }));
+        } catch (error) {
+            console.error('Error archiving student: ', error);
+            setMessage(errorMessage(t('roster.archiveFailed')));
+        }
+    };
+
+    const handleFileSelect = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow re-selecting the same file
+        if (!file) return;
+        setMessage(null);
+
+        const { students: parsed, errors } = parseRosterCSV(await file.text(), { t });
+        const existingKeys = new Set(students.filter(s => !s.archived).map(rosterKey));
+        const seenKeys = new Set();
+        const toImport = [];
+        const duplicates = [];
+        parsed.forEach(student => {
+            const key = rosterKey(student);
+            if (existingKeys.has(key) || seenKeys.has(key)) {
+                duplicates.push(student);
+            } else {
+                seenKeys.add(key);
+                toImport.push(student);
+            }
+        });
+        setImportPreview({ students: toImport, errors, duplicates });
+    };
+
+    const handleImport = async () => {
+        if (!importPreview || importPreview.students.length === 0) return;
+        setLoading(true);
+        setMessage(null);
+
+        const createdAt = new Date().toISOString();
+        try {
+            for (let i = 0; i < importPreview.students.length; i += MAX_BATCH_SIZE) {
+                const writes = importPreview.students.slice(i, i + MAX_BATCH_SIZE).map(student => (
+                    { type: 'set', collection: 'students', id: db.newId('students'), data: { ...student, archived: false, createdAt } }
+                ));
+                await withRetry(() => db.commit(writes));
+            }
+            setMessage(successMessage(t('roster.imported', { count: formatNumber(importPreview.students.length) })));
+            setImportPreview(null);
+        } catch (error) {
+            console.error('Error importing students: ', error);
+            setMessage(errorMessage(t('roster.importFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Card title={t('dashboard.roster')} Icon={Users} titleColor={COLORS.primaryText} className="max-w-3xl">
+            <form onSubmit={handleSubmit} className="p-4 border border-indigo-200 rounded-lg bg-indigo-50 space-y-3 mb-6">
+                <h3 className="text-lg font-bold text-indigo-700">{editingId ? t('roster.edit') : t('roster.add')}</h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input type="text" name="name" value={formData.name} onChange={handleChange} className="col-span-2 p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('roster.name')} />
+                    <input type="text" name="class" value={formData.class} onChange={handleChange} className="p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('roster.class')} />
+                    <input type="text" name="section" value={formData.section} onChange={handleChange} className="p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('roster.section')} />
+                    <input type="text" name="rollNumber" value={formData.rollNumber} onChange={handleChange} className="p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('roster.rollNumber')} />
+                    <input type="text" name="house" value={formData.house} onChange={handleChange} className="p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('roster.house')} />
+                    <input type="email" name="email" value={formData.email} onChange={handleChange} className="col-span-2 p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('roster.email')} />
+                    <input type="text" name="guardianEmails" value={formData.guardianEmails} onChange={handleChange} className="col-span-2 md:col-span-4 p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('roster.guardianEmails')} />
+                </div>
+                <div className="flex space-x-2">
+                    <Button type="submit" Icon={editingId ? Edit2 : Plus} className="flex-1 !py-2" disabled={loading}>
+                        {editingId ? t('common.saveChanges') : t('roster.add')}
+                    </Button>
+                    {editingId && (
+                        <Button onClick={resetForm} className="!py-2 !bg-gray-500" color="secondary">{t('common.cancel')}</Button>
+                    )}
+                </div>
+            </form>
+
+            <div className="p-4 border border-rose-200 rounded-lg bg-rose-50 mb-6">
+                <h3 className="text-lg font-bold text-rose-600 mb-2">{t('roster.bulkImport')}</h3>
+                <p className="text-xs text-gray-600 mb-2">{t('roster.bulkImportHint')}</p>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileSelect} className="text-sm" disabled={loading} />
+                {importPreview && (
+                    <div className="mt-3 text-sm space-y-2">
+                        <p className="font-semibold text-gray-800">{t('roster.ready', { count: formatNumber(importPreview.students.length) })}</p>
+                        {importPreview.duplicates.length > 0 && (
+                            <p className="text-amber-700">{t('roster.duplicates', { count: formatNumber(importPreview.duplicates.length) })}</p>
+                        )}
+                        {importPreview.errors.length > 0 && (
+                            <ul className="text-red-700 list-disc list-inside max-h-24 overflow-y-auto">
+                                {importPreview.errors.map((err, index) => <li key={index}>{err}</li>)}
+                            </ul>
+                        )}
+                        <div className="flex space-x-2">
+                            <Button onClick={handleImport} Icon={Upload} className="flex-1 !py-2" color="secondary" disabled={loading || importPreview.students.length === 0}>
+                                {loading ? t('import.importing') : t('roster.import')}
+                            </Button>
+                            <Button onClick={() => setImportPreview(null)} className="!py-2 !bg-gray-500" color="secondary">{t('sync.discard')}</Button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {profileRequests.length > 0 && (
+                <div className="p-4 border border-amber-200 rounded-lg bg-amber-50 mb-6 text-sm">
+                    <h3 className="text-lg font-bold text-amber-700 mb-2">{t('roster.requests', { count: profileRequests.length })}</h3>
+                    <ul className="space-y-1 max-h-32 overflow-y-auto">
+                        {profileRequests.map(request => (
+                            <li key={request.id} className="flex justify-between items-center">
+                                <span>{request.studentName} &middot; <span className="text-gray-500">{t('roster.requestSent', { date: formatDate(request.createdAt) })}</span></span>
+                                <Link to={`/students/${request.studentId}`} className="text-indigo-700 font-semibold hover:underline">{t('roster.review')}</Link>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {message && (
+                <div className={`p-3 mb-4 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+                <select value={filterClass} onChange={(e) => setFilterClass(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="">{t('roster.allClasses')}</option>
+                    {classes.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+                <select value={filterSection} onChange={(e) => setFilterSection(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="">{t('roster.allSections')}</option>
+                    {sections.map(sec => <option key={sec} value={sec}>{sec}</option>)}
+                </select>
+                <label className="flex items-center space-x-1 text-gray-700">
+                    <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+                    <span>{t('roster.showArchived')}</span>
+                </label>
+                <span className="ms-auto text-gray-500">{t('roster.count', { count: formatNumber(visibleStudents.length) })}</span>
+            </div>
+
+            <div className="max-h-96 overflow-y-auto">
+                {visibleStudents.length === 0 ? (
+                    <p className="text-center text-gray-500 py-6">{t('roster.none')}</p>
+                ) : (
+                    visibleStudents.map(student => (
+                        <div key={student.id} className={`grid grid-cols-6 gap-2 items-center border-b last:border-b-0 py-2 text-sm ${student.archived ? 'opacity-50' : ''}`}>
+                            <div className="text-gray-500">#{student.rollNumber}</div>
+                            <div className="col-span-3 font-medium text-gray-800">{student.name}</div>
+                            <div className="text-gray-600">{student.class}-{student.section}{student.house ? ` · ${student.house}` : ''}</div>
+                            <div className="flex justify-end space-x-2">
+                                <Link to={`/students/${student.id}`} className="p-1 text-indigo-700 hover:text-indigo-900" title={t('roster.profile')}>
+                                    <User size={16} />
+                                </Link>
+                                <button onClick={() => handleEdit(student)} className="p-1 text-indigo-700 hover:text-indigo-900" title={t('roster.editTitle')}>
+                                    <Edit2 size={16} />
+                                </button>
+                                <button onClick={() => handleToggleArchive(student)} className="p-1 text-rose-500 hover:text-rose-700" title={student.archived ? t('roster.restore') : t('roster.archive')}>
+                                    {student.archived ? <RotateCcw size={16} /> : <Archive size={16} />}
+                                </button>
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+
+            <Button onClick={() => navigate('/teacher')} className="mt-6 w-full !bg-gray-500" color="secondary">
+                {t('common.backToDashboard')}
+            </Button>
+        </Card>
+    );
+};
+
+const AttendanceRegisterView = ({ db, students, userId }) => {
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const [selectedClass, setSelectedClass] = useState('');
+    const [selectedSection, setSelectedSection] = useState('');
+    const [date, setDate] = useState(toDateKey(new Date()));
+    const [marks, setMarks] = useState({}); // studentId -> status marked here and not yet saved
+    const [savedRecords, setSavedRecords] = useState({}); // studentId -> stored attendance doc for this date
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const activeStudents = students.filter(s => !s.archived);
+    const { classes } = getRosterOptions(activeStudents);
+    const sections = getRosterOptions(activeStudents.filter(s => s.class === selectedClass)).sections;
+    const pupils = activeStudents
+        .filter(s => s.class === selectedClass && s.section === selectedSection)
+        .sort(compareStudents);
+    const isReady = selectedClass && selectedSection && date;
+    const hasSavedRegister = Object.keys(savedRecords).length > 0;
+
+    // Load any register already taken for this class, section and date so it can be corrected
+    useEffect(() => {
+        if (!db || !isReady) return;
+        setMessage(null);
+        const q = { where: [['class', '==', selectedClass], ['section', '==', selectedSection], ['date', '==', date]] };
+        const unsubscribe = db.subscribe('attendance', q, (fetched) => {
+            const records = {};
+            fetched.forEach(record => {
+                records[record.studentId] = record;
+            });
+            setSavedRecords(records);
+        }, (err) => {
+            console.error("Attendance Snapshot Error:", err);
+            setMessage(errorMessage(t('attendance.loadFailed')));
+        });
+        return () => unsubscribe();
+    }, [db, isReady, selectedClass, selectedSection, date, t]);
+
+    // Unsaved marks belong to the register they were made on
+    useEffect(() => {
+        setMarks({});
+    }, [selectedClass, selectedSection, date]);
+
+    // Marks made here sit over the saved register, so a new snapshot doesn't undo them.
+    // Pupils default to present until marked otherwise.
+    const statusFor = (studentId) => marks[studentId] || savedRecords[studentId]?.status || 'present';
+
+    const handleMark = (studentId, status) => {
+        setMarks(prev => ({ ...prev, [studentId]: status }));
+    };
+
+    const handleSave = async () => {
+        if (!isReady || pupils.length === 0) return;
+        setLoading(true);
+        setMessage(null);
+
+        const updatedAt = new Date().toISOString();
+        try {
+            for (let i = 0; i < pupils.length; i += MAX_BATCH_SIZE) {
+                // One document per pupil per day, so re-saving the register corrects it in place
+                const writes = pupils.slice(i, i + MAX_BATCH_SIZE).map(student => ({
+                    type: 'set',
+                    collection: 'attendance',
+                    id: `${date}_${student.id}`,
+                    data: {
+                        studentId: student.id,
+                        studentName: student.name,
+                        class: student.class,
+                        section: student.section,
+                        date,
+                        status: statusFor(student.id),
+                        markedBy: userId,
+                        updatedAt,
+                    },
+                }));
+                await withRetry(() => db.commit(writes));
+            }
+            setMessage(successMessage(hasSavedRegister ? t('attendance.corrected') : t('attendance.saved')));
+            setMarks({});
+        } catch (error) {
+            console.error('Error saving attendance: ', error);
+            setMessage(errorMessage(t('attendance.saveFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const counts = summariseAttendance(pupils.map(p => ({ status: statusFor(p.id) }))).counts;
+
+    return (
+        <Card title={t('attendance.register')} Icon={CheckSquare} titleColor={COLORS.primaryText} className="max-w-2xl">
+            <div className="grid grid-cols-3 gap-4 mb-6">
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="att-class">{t('attendance.class')}</label>
+                    <select id="att-class" value={selectedClass} onChange={(e) => { setSelectedClass(e.target.value); setSelectedSection(''); }} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                        <option value="">{t('attendance.chooseClass')}</option>
+                        {classes.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="att-section">{t('attendance.section')}</label>
+                    <select id="att-section" value={selectedSection} onChange={(e) => setSelectedSection(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" disabled={!selectedClass}>
+                        <option value="">{t('attendance.chooseSection')}</option>
+                        {sections.map(sec => <option key={sec} value={sec}>{sec}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="att-date">{t('attendance.date')}</label>
+                    <input type="date" id="att-date" value={date} max={toDateKey(new Date())} onChange={(e) => setDate(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
+                </div>
+            </div>
+
+            {isReady && (
+                pupils.length === 0 ? (
+                    <p className="text-center text-gray-500 py-4">{t('attendance.noPupils')}</p>
+                ) : (
+                    <div className="space-y-4">
+                        <div className="flex justify-between items-center text-sm">
+                            <span className={hasSavedRegister ? 'text-amber-700 font-semibold' : 'text-gray-500'}>
+                                {hasSavedRegister ? t('attendance.alreadyTaken') : t('attendance.notTaken')}
+                            </span>
+                            <button onClick={() => setMarks(Object.fromEntries(pupils.map(s => [s.id, 'present'])))} className="text-indigo-700 hover:underline">{t('attendance.markAllPresent')}</button>
+                        </div>
+                        <div className="max-h-96 overflow-y-auto">
+                            {pupils.map(student => (
+                                <div key={student.id} className="flex items-center justify-between border-b last:border-b-0 py-2">
+                                    <div className="text-sm">
+                                        <span className="text-gray-500 me-2">#{student.rollNumber}</span>
+                                        <span className="font-medium text-gray-800">{student.name}</span>
+                                    </div>
+                                    <div className="flex space-x-1">
+                                        {Object.entries(ATTENDANCE_STATUSES).map(([status, config]) => (
+                                            <button
+                                                key={status}
+                                                onClick={() => handleMark(student.id, status)}
+                                                title={t(`attendance.status.${status}`)}
+                                                className={`w-8 h-8 rounded-full text-xs font-bold transition ${statusFor(student.id) === status ? config.className : 'bg-gray-100 text-gray-500 hover:bg-gray-200'}`}
+                                            >
+                                                {t(`attendance.short.${status}`)}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex justify-between text-xs text-gray-600">
+                            {Object.keys(ATTENDANCE_STATUSES).map(status => (
+                                <span key={status}>{t(`attendance.status.${status}`)}: <span className="font-semibold">{counts[status]}</span></span>
+                            ))}
+                        </div>
+                        {message && (
+                            <div className={`p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                                {message.text}
+                            </div>
+                        )}
+                        <Button onClick={handleSave} Icon={Send} className="w-full" disabled={loading}>
+                            {loading ? t('common.saving') : hasSavedRegister ? t('attendance.saveCorrections') : t('attendance.save')}
+                        </Button>
+                    </div>
+                )
+            )}
+
+            <Button onClick={() => navigate('/teacher')} className="mt-4 w-full !bg-gray-500" color="secondary">
+                {t('common.backToDashboard')}
+            </Button>
+        </Card>
+    );
+};
+
+const ParticipantsView = ({ db, events, registrations }) => {
+    const navigate = useNavigate();
+    const { t, formatDate, formatNumber } = useI18n();
+    const { id } = useParams();
+    const [seats, setSeats] = useState(EMPTY_SEATS);
+
+    // The waitlist order that promotions follow
+    useEffect(() => {
+        if (!db || !id) return;
+        const unsubscribe = db.subscribeDoc('eventSeats', id, (fetched) => {
+            setSeats({ ...EMPTY_SEATS, ...fetched });
+        }, (err) => {
+            console.error("Event Seats Snapshot Error:", err);
+        });
+        return () => unsubscribe();
+    }, [db, id]);
+
+    const event = events.find(e => e.id === id);
+    if (!event) {
+        return <p>{t('events.notFound')}</p>;
+    }
+
+    const eventRegistrations = registrations.filter(r => r.eventId === event.id);
+    const byCreated = (a, b) => a.createdAt.localeCompare(b.createdAt);
+    // Waitlisted students in the order they will be promoted; any the seat counter doesn't list come last
+    const waitlistPosition = (r) => {
+        const index = seats.waitlist.indexOf(r.studentId);
+        return index === -1 ? seats.waitlist.length : index;
+    };
+    const registered = eventRegistrations.filter(r => r.status === 'registered').sort(byCreated);
+    const waitlisted = eventRegistrations
+        .filter(r => r.status === 'waitlisted')
+        .sort((a, b) => waitlistPosition(a) - waitlistPosition(b) || byCreated(a, b));
+    const cancelledCount = eventRegistrations.filter(r => r.status === 'cancelled').length;
+    const consentCounts = registered.reduce((counts, r) => ({ ...counts, [getConsentStatus(r)]: (counts[getConsentStatus(r)] || 0) + 1 }), {});
+    const consentColors = { given: 'text-green-700', declined: 'text-red-700', pending: 'text-amber-700' };
+
+    const ParticipantRow = ({ registration, position }) => (
+        <div className="grid grid-cols-6 gap-2 items-center border-b last:border-b-0 py-2 text-sm">
+            <div className="text-gray-500">{position}.</div>
+            <div className="col-span-3 font-medium text-gray-800">
+                {registration.studentName}
+                {event.requiresConsent && (
+                    <span className={`block text-xs font-normal ${consentColors[getConsentStatus(registration)]}`} title={registration.consentByName || ''}>
+                        {t(`consent.${getConsentStatus(registration)}`)}
+                    </span>
+                )}
+            </div>
+            <div className="text-gray-600">{registration.class}-{registration.section}</div>
+            <div className="text-xs text-gray-500 text-end">{formatDate(registration.createdAt)}</div>
+        </div>
+    );
+
+    return (
+        <Card title={t('participants.title', { title: event.title })} Icon={Users} titleColor={COLORS.primaryText} className="max-w-2xl">
+            <p className="text-sm text-gray-600 mb-4">
+                {event.capacity
+                    ? t('participants.registeredOf', { count: registered.length, capacity: event.capacity })
+                    : t('participants.registered', { count: registered.length })}
+                {waitlisted.length > 0 && t('participants.waitlisted', { count: waitlisted.length })}
+                {cancelledCount > 0 && t('participants.cancelled', { count: cancelledCount })}
+            </p>
+            {event.requiresConsent && (
+                <p className="text-sm text-gray-600 -mt-2 mb-4">
+                    {t('consent.summary', {
+                        given: formatNumber(consentCounts.given || 0),
+                        pending: formatNumber(consentCounts.pending || 0),
+                        declined: formatNumber(consentCounts.declined || 0),
+                    })}
+                </p>
+            )}
+
+            <h3 className="text-lg font-bold text-indigo-700 mb-2">{t('participants.registeredHeading')}</h3>
+            <div className="max-h-72 overflow-y-auto mb-6">
+                {registered.length === 0 ? (
+                    <p className="text-center text-gray-500 py-4">{t('participants.none')}</p>
+                ) : (
+                    registered.map((r, index) => <ParticipantRow key={r.studentId} registration={r} position={index + 1} />)
+                )}
+            </div>
+
+            {waitlisted.length > 0 && (
+                <>
+                    <h3 className="text-lg font-bold text-amber-700 mb-2">{t('participants.waitlist')}</h3>
+                    <div className="max-h-48 overflow-y-auto mb-6">
+                        {waitlisted.map((r, index) => <ParticipantRow key={r.studentId} registration={r} position={index + 1} />)}
+                    </div>
+                </>
+            )}
+
+            <Button onClick={() => navigate(`/scores/new?event=${event.id}`)} Icon={CheckSquare} className="w-full" disabled={registered.length === 0}>
+                {t('participants.enterScores')}
+            </Button>
+            <Button onClick={() => navigate(`/events/${event.id}`)} className="mt-4 w-full !bg-gray-500" color="secondary">
+                {t('editEvent.backToEvents')}
+            </Button>
+        </Card>
+    );
+};
+
+const AddScoresView = ({ db, events, userId, students, registrations, enqueueWrite }) => {
+    const navigate = useNavigate();
+    const { t, locale } = useI18n();
+    // Opened from a participant list as /scores/new?event=<id>
+    const [searchParams] = useSearchParams();
+    const [selectedEventId, setSelectedEventId] = useState(searchParams.get('event') || '');
+    const [source, setSource] = useState('participants'); // 'participants' (event registrations) or 'roster' (class/section)
+    const [selectedClass, setSelectedClass] = useState('');
+    const [selectedSection, setSelectedSection] = useState('');
+    const [scoreData, setScoreData] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const activeStudents = students.filter(s => !s.archived);
+    const { classes, sections } = getRosterOptions(activeStudents);
+    const eventParticipants = useMemo(() => registrations
+        .filter(r => r.eventId === selectedEventId && r.status === 'registered')
+        .map(r => ({ id: r.studentId, name: r.studentName, class: r.class, section: r.section, rollNumber: '', house: students.find(s => s.id === r.studentId)?.house || '' })),
+    [registrations, selectedEventId, students]);
+    const useParticipants = source === 'participants' && eventParticipants.length > 0;
+    // Only the pupils who took part are listed: the event's registered participants, or the
+    // chosen class (and section)
+    const participants = useMemo(() => (useParticipants
+        ? [...eventParticipants]
+        : students.filter(s => !s.archived && s.class === selectedClass && (!selectedSection || s.section === selectedSection))
+    ).sort(compareStudents), [useParticipants, eventParticipants, students, selectedClass, selectedSection]);
+    const selectedEvent = events.find(e => e.id === selectedEventId);
+    const scheme = selectedEvent?.scoringScheme || DEFAULT_SCORING_SCHEME;
+
+    // Parse every row against the event's scheme and rank the finishers as the teacher types
+    const parsedRows = scoreData.map(row => {
+        const { value = null, error } = row.status === 'OK' ? parseScoreValue(row.score, scheme, { t }) : { value: null };
+        return { ...row, value, error };
+    });
+    const rankedRows = computeRanks(parsedRows, scheme);
+
+    useEffect(() => {
+        if (!selectedEventId || (!useParticipants && !selectedClass)) {
+            setScoreData([]);
+            return;
+        }
+        // Anything already typed in is kept
+        setScoreData(prev => participants.map(student => {
+            const existing = prev.find(p => p.studentId === student.id);
+            return {
+                studentId: student.id,
+                studentName: student.name,
+                class: student.class,
+                section: student.section,
+                house: student.house || '',
+                status: existing?.status || 'OK',
+                score: existing?.score || '',
+            };
+        }));
+    }, [selectedEventId, selectedClass, useParticipants, participants]);
+
+    useEffect(() => {
+        if (selectedEventId) setMessage(null);
+    }, [selectedEventId]);
+
+    const handleScoreChange = (studentId, field, value) => {
+        setScoreData(prev => prev.map(s => s.studentId === studentId ? { ...s, [field]: value } : s));
+    };
+
+    const handleSubmit = async () => {
+        if (!selectedEventId) return;
+
+        setLoading(true);
+        setMessage(null);
+
+        const invalidRows = rankedRows.filter(r => r.error);
+        if (invalidRows.length > 0) {
+            setMessage(errorMessage(t('scores.fixRows', { names: invalidRows.map(r => r.studentName).join(', ') })));
+            setLoading(false);
+            return;
+        }
+
+        const eventTitle = selectedEvent?.title || t('scores.unknownEvent');
+
+        // Pupils left blank are skipped; DNF/DNS are kept so they appear in the results
+        const validScores = rankedRows
+            .filter(r => r.status !== 'OK' || r.value !== null)
+            .map(r => ({
+                studentId: r.studentId,
+                studentName: r.studentName,
+                class: r.class,
+                section: r.section,
+                house: r.house,
+                status: r.status,
+                value: r.value,
+                score: r.status === 'OK' ? formatScoreValue(r.value, scheme, { t }) : r.status,
+                rank: r.rank,
+            }));
+        if (validScores.length === 0) {
+            setMessage(errorMessage(t('scores.none')));
+            setLoading(false);
+            return;
+        }
+
+        try {
+            const scorePayload = {
+                eventId: selectedEventId,
+                eventTitle: eventTitle,
+                scoringScheme: scheme,
+                results: validScores,
+                publishedAt: new Date().toISOString(),
+                teacherId: userId,
+            };
+
+            const synced = await enqueueWrite(t('sync.item.scores', { title: eventTitle }), db.scores.buildPublishWrites(selectedEventId, scorePayload));
+            setMessage(successMessage(synced ? t('scores.published') : t('scores.savedOffline')));
+            setSelectedEventId('');
+            setSelectedClass('');
+            setSelectedSection('');
+            setScoreData([]);
+        } catch (error) {
+            console.error('Error publishing scores: ', error);
+            setMessage(errorMessage(t('scores.publishFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Card title={t('scores.title')} Icon={CheckSquare} titleColor={COLORS.primaryText} className="max-w-2xl">
+            <div className="mb-6">
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="event">{t('scores.selectEvent')}</label>
+                <select id="event" value={selectedEventId} onChange={(e) => setSelectedEventId(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                    <option value="">{t('scores.chooseEvent')}</option>
+                    {events.map(event => (
+                        <option key={event.id} value={event.id}>{event.title} ({event.date})</option>
+                    ))}
+                </select>
+            </div>
+
+            {selectedEventId && eventParticipants.length > 0 && (
+                <div className="flex space-x-4 mb-4 text-sm text-gray-700">
+                    <label className="flex items-center space-x-1">
+                        <input type="radio" name="score-source" checked={source === 'participants'} onChange={() => setSource('participants')} />
+                        <span>{t('scores.participants', { count: eventParticipants.length })}</span>
+                    </label>
+                    <label className="flex items-center space-x-1">
+                        <input type="radio" name="score-source" checked={source === 'roster'} onChange={() => setSource('roster')} />
+                        <span>{t('scores.roster')}</span>
+                    </label>
+                </div>
+            )}
+
+            {selectedEventId && !useParticipants && (
+                <div className="grid grid-cols-2 gap-4 mb-6">
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="score-class">{t('scores.class')}</label>
+                        <select id="score-class" value={selectedClass} onChange={(e) => setSelectedClass(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                            <option value="">{t('scores.chooseClass')}</option>
+                            {classes.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="score-section">{t('scores.section')}</label>
+                        <select id="score-section" value={selectedSection} onChange={(e) => setSelectedSection(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
+                            <option value="">{t('roster.allSections')}</option>
+                            {sections.map(sec => <option key={sec} value={sec}>{sec}</option>)}
+                        </select>
+                    </div>
+                </div>
+            )}
+
+            {selectedEventId && !useParticipants && selectedClass && scoreData.length === 0 && (
+                <p className="text-center text-gray-500 py-4">{t('attendance.noPupils')}</p>
+            )}
+
+            {selectedEventId && scoreData.length > 0 && (
+                <div className="space-y-4">
+                    <h3 className="text-xl font-bold text-indigo-700">{t('scores.enter')}</h3>
+                    <p className="text-sm text-gray-600">{t('scores.scoringHint', { scheme: t(`scoring.${scheme}`) })}</p>
+                    <div className="grid grid-cols-6 gap-2 font-bold text-gray-600 border-b pb-2">
+                        <div className="col-span-2">{t('scores.student')}</div>
+                        <div>{t('scores.status')}</div>
+                        <div className="col-span-2">{t('scores.score')}</div>
+                        <div>{t('scores.rank')}</div>
+                    </div>
+                    {rankedRows.map(student => (
+                        <div key={student.studentId} className="grid grid-cols-6 gap-2 items-start">
+                            <div className="col-span-2 font-medium text-gray-800 pt-2">{student.studentName}</div>
+                            <select
+                                value={student.status}
+                                onChange={(e) => handleScoreChange(student.studentId, 'status', e.target.value)}
+                                className="p-2 border border-gray-300 rounded-lg w-full text-sm"
+                                aria-label={t('scores.statusFor', { name: student.studentName })}
+                            >
+                                {RESULT_STATUSES.map(status => (
+                                    <option key={status} value={status} title={t(`result.status.${status}`)}>{status}</option>
+                                ))}
+                            </select>
+                            <div className="col-span-2">
+                                {scheme === 'passfail' ? (
+                                    <select
+                                        value={student.score}
+                                        onChange={(e) => handleScoreChange(student.studentId, 'score', e.target.value)}
+                                        className="p-2 border border-gray-300 rounded-lg w-full text-sm"
+                                        disabled={student.status !== 'OK'}
+                                        aria-label={t('scores.resultFor', { name: student.studentName })}
+                                    >
+                                        <option value="">--</option>
+                                        <option value="pass">{t('score.pass')}</option>
+                                        <option value="fail">{t('score.fail')}</option>
+                                    </select>
+                                ) : (
+                                    <input
+                                        type="text"
+                                        inputMode="decimal"
+                                        value={student.score}
+                                        onChange={(e) => handleScoreChange(student.studentId, 'score', e.target.value)}
+                                        className={`p-2 border rounded-lg w-full text-sm ${student.error ? 'border-red-500' : 'border-gray-300'}`}
+                                        placeholder={t(`scoring.${scheme}.placeholder`)}
+                                        disabled={student.status !== 'OK'}
+                                        aria-label={t('scores.scoreFor', { name: student.studentName })}
+                                    />
+                                )}
+                                {student.error && <p className="text-xs text-red-600 mt-1">{student.error}</p>}
+                            </div>
+                            <div className="font-semibold text-rose-600 pt-2">
+                                {student.status !== 'OK' ? student.status : formatRank(student.rank, { t, locale })}
+                            </div>
+                        </div>
+                    ))}
+                    {message && (
+                        <div className={`p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                            {message.text}
+                        </div>
+                    )}
+                    <Button onClick={handleSubmit} Icon={Send} className="w-full mt-6" disabled={loading}>
+                        {loading ? t('scores.publishing') : t('scores.publish')}
+                    </Button>
+                </div>
+            )}
+            <Button onClick={() => navigate('/teacher')} className="mt-4 w-full !bg-gray-500" color="secondary">
+                {t('common.backToDashboard')}
+            </Button>
+        </Card>
+    );
+};
+
+// Published results; teachers can also export them as CSV and download certificates for placed students
+const ViewResultsView = ({ userRole, scores, events }) => {
+    const navigate = useNavigate();
+    const { t, locale, dir, formatDate } = useI18n();
+    const schoolSettings = useSchoolSettings();
+    // /results/:scoreId opens the result modal directly, so a result can be shared as a link
+    const { scoreId } = useParams();
+    const selectedScore = scoreId ? scores.find(s => s.id === scoreId) : null;
+    const isTeacher = userRole === 'Teacher';
+    const termOptions = getResultTerms(scores, events);
+    const [exportTerm, setExportTerm] = useState('');
+    const [generating, setGenerating] = useState(null); // 'all', or the student whose certificate is being made
+    const [message, setMessage] = useState('');
+
+    const eventNames = events.reduce((acc, e) => {
+        acc[e.id] = e.title;
+        return acc;
+    }, {});
+
+    const sortedScores = [...scores].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+    const handleExportEvent = (score) => {
+        downloadBlob(new Blob([buildEventResultsCSV(score, { t, locale })], { type: 'text/csv;charset=utf-8' }), `schoollink-results-${toFileSlug(score.eventTitle) || score.eventId}.csv`);
+    };
+
+    const handleExportTerm = () => {
+        const term = termOptions.find(o => o.key === exportTerm);
+        if (!term) {
+            setMessage(t('results.chooseTermError'));
+            return;
+        }
+        setMessage('');
+        downloadBlob(new Blob([buildTermResultsCSV(scores, events, term.key, { t, locale })], { type: 'text/csv;charset=utf-8' }), `schoollink-results-${term.key}.csv`);
+    };
+
+    // One PDF with a page per result
+    const handleCertificates = async (score, results, key) => {
+        setGenerating(key);
+        setMessage('');
+        try {
+            const event = events.find(e => e.id === score.eventId);
+            const pages = await renderCertificatePages(results, {
+                schoolName: schoolSettings.schoolName,
+                logo: await loadCertificateLogo(schoolSettings.logoUrl),
+                primaryColor: schoolSettings.primaryColor,
+                secondaryColor: schoolSettings.secondaryColor,
+                eventTitle: score.eventTitle,
+                date: formatDate(getScoreDate(score, event), { year: 'numeric', month: 'long', day: 'numeric' }),
+                t,
+                locale,
+                dir,
+            });
+            const name = results.length === 1 ? `certificate-${toFileSlug(results[0].studentName) || results[0].studentId}` : 'certificates';
+            downloadBlob(buildImagePDF(pages), `schoollink-${name}-${toFileSlug(score.eventTitle) || score.eventId}.pdf`);
+        } catch (error) {
+            console.error('Error creating certificates: ', error);
+            setMessage(t('results.certificatesFailed'));
+        } finally {
+            setGenerating(null);
+        }
+    };
+
+    const EventResultCard = ({ score }) => (
+        <div key={score.id} className="bg-gray-50 p-4 rounded-lg shadow-sm border border-gray-200">
+            <h4 className="font-bold text-lg text-rose-600 mb-1">{score.eventTitle}</h4>
+            <p className="text-sm text-gray-600 mb-3">{t('results.published', { date: formatDate(score.publishedAt) })}</p>
+            <Button onClick={() => navigate(`/results/${score.id}`)} className="!py-1 !px-3 !text-sm" color="secondary">
+                {t('results.viewAll')}
+            </Button>
+        </div>
+    );
+
+    const ResultModal = ({ score, onClose }) => {
+        const placed = getPlacedResults(score);
+        return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+                <Card title={t('results.modalTitle', { title: score.eventTitle })} titleColor={COLORS.primaryText} className="max-w-xl">
+                    <div className="max-h-96 overflow-y-auto space-y-3">
+                        <div className={`grid ${isTeacher ? 'grid-cols-4' : 'grid-cols-3'} gap-2 font-bold text-gray-600 border-b pb-2`}>
+                            <div>{t('scores.rank')}</div>
+                            <div className="col-span-1">{t('results.name')}</div>
+                            <div>{t('scores.score')}</div>
+                            {isTeacher && <div className="text-end">{t('results.certificate')}</div>}
+                        </div>
+                        {[...score.results].sort(compareResults).map((result, index) => (
+                            <div key={index} className={`grid ${isTeacher ? 'grid-cols-4' : 'grid-cols-3'} gap-2 items-center border-b last:border-b-0 py-1`}>
+                                <div className="font-semibold text-rose-600">
+                                    {result.status === 'DNF' || result.status === 'DNS' ? result.status : formatRank(result.rank, { t, locale })}
+                                </div>
+                                <div className="col-span-1 text-gray-800">{result.studentName}</div>
+                                <div className="text-gray-600">{formatResultScore(result, score.scoringScheme, { t }) || '-'}</div>
+                                {isTeacher && (
+                                    <div className="text-end">
+                                        {placed.includes(result) && (
+                                            <button
+                                                onClick={() => handleCertificates(score, [result], result.studentId)}
+                                                disabled={generating !== null}
+                                                className="p-1 text-indigo-700 hover:text-indigo-900 disabled:opacity-50"
+                                                title={t('results.certificateFor', { name: result.studentName })}
+                                                aria-label={t('results.certificateFor', { name: result.studentName })}
+                                            >
+                                                <Award size={18} className={generating === result.studentId ? 'animate-pulse' : ''} />
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                    {isTeacher && (
+                        <div className="flex flex-wrap gap-2 mt-6">
+                            <Button onClick={() => handleExportEvent(score)} Icon={Download} className="flex-1 !py-2 !text-sm">
+                                {t('results.exportCSV')}
+                            </Button>
+                            <Button onClick={() => handleCertificates(score, placed, 'all')} Icon={Award} className="flex-1 !py-2 !text-sm" disabled={placed.length === 0 || generating !== null}>
+                                {generating === 'all' ? t('results.creating') : t('results.allCertificates', { count: placed.length })}
+                            </Button>
+                        </div>
+                    )}
+                    {message && <p className="mt-3 text-sm text-red-700">{message}</p>}
+                    <Button onClick={onClose} className="mt-6 w-full !bg-gray-500">{t('common.close')}</Button>
+                </Card>
+            </div>
+        );
+    };
+
+    return (
+        <Card title={t('results.title')} Icon={List} titleColor={COLORS.primaryText} className="max-w-2xl">
+            {isTeacher && termOptions.length > 0 && (
+                <div className="flex items-center space-x-2 mb-4 text-sm">
+                    <select value={exportTerm} onChange={(e) => setExportTerm(e.target.value)} className="flex-1 p-2 border border-gray-300 rounded-lg" aria-label={t('results.termToExport')}>
+                        <option value="">{t('results.chooseTerm')}</option>
+                        {termOptions.map(o => <option key={o.key} value={o.key}>{formatTermLabel(o, { t })}</option>)}
+                    </select>
+                    <Button onClick={handleExportTerm} Icon={Download} className="!py-2 !text-sm" disabled={!exportTerm}>
+                        {t('results.exportTerm')}
+                    </Button>
+                </div>
+            )}
+            {message && !selectedScore && <p className="mb-4 text-sm text-red-700">{message}</p>}
+            <div className="max-h-[70vh] overflow-y-auto space-y-4">
+                {sortedScores.length === 0 ? (
+                    <p className="text-center text-gray-500 py-10">{t('results.none')}</p>
+                ) : (
+                    sortedScores.map(score => <EventResultCard key={score.id} score={score} />)
+                )}
+            </div>
+            <Button onClick={() => navigate(getHomePath(userRole))} className="mt-6 w-full" color="secondary">
+                {t('common.backToDashboard')}
+            </Button>
+
+            {selectedScore && <ResultModal score={selectedScore} onClose={() => { setMessage(''); navigate('/results'); }} />}
+        </Card>
+    );
+};
+
+// Running house (or class) competition built from every published result
+const LeaderboardView = ({ db, userRole, userId, scores, events }) => {
+    const navigate = useNavigate();
+    const { t, locale } = useI18n();
+    const { categories } = useSchoolSettings();
+    const [pointsTable, setPointsTable] = useState(DEFAULT_POINTS_TABLE);
+    const [groupBy, setGroupBy] = useState('house'); // 'house' or 'class'
+    const [category, setCategory] = useState('');
+    const [term, setTerm] = useState('');
+    const [pointsInput, setPointsInput] = useState(DEFAULT_POINTS_TABLE.join(', '));
+    const [editingPoints, setEditingPoints] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = db.subscribeDoc('settings', 'leaderboard', (settings) => {
+            const table = settings?.pointsTable;
+            setPointsTable(Array.isArray(table) && table.length > 0 ? table : DEFAULT_POINTS_TABLE);
+        }, (error) => {
+            console.error('Error fetching leaderboard settings: ', error);
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    // Terms offered in the filter are the ones that actually have results
+    const termOptions = getResultTerms(scores, events);
+
+    const rows = buildLeaderboard(scores, events, { groupBy, category, term, pointsTable }, { t });
+
+    const handleSavePoints = async () => {
+        const table = parsePointsTable(pointsInput);
+        if (!table) {
+            setMessage(errorMessage(t('leaderboard.pointsInvalid')));
+            return;
+        }
+        setLoading(true);
+        setMessage(null);
+        try {
+            await withRetry(() => db.set('settings', 'leaderboard', {
+                pointsTable: table,
+                updatedAt: new Date().toISOString(),
+                updatedBy: userId,
+            }, { merge: true }));
+            setMessage(successMessage(t('leaderboard.saved')));
+            setEditingPoints(false);
+        } catch (error) {
+            console.error('Error saving points table: ', error);
+            setMessage(errorMessage(t('leaderboard.saveFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Card title={t('leaderboard.title')} Icon={Trophy} titleColor={COLORS.primaryText} className="max-w-2xl">
+            <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="house">{t('leaderboard.byHouse')}</option>
+                    <option value="class">{t('leaderboard.byClass')}</option>
+                </select>
+                <select value={category} onChange={(e) => setCategory(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="">{t('calendar.allCategories')}</option>
+                    {categories.map(c => <option key={c} value={c}>{getCategoryLabel(t, c)}</option>)}
+                </select>
+                <select value={term} onChange={(e) => setTerm(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="">{t('leaderboard.allTerms')}</option>
+                    {termOptions.map(o => <option key={o.key} value={o.key}>{formatTermLabel(o, { t })}</option>)}
+                </select>
+            </div>
+
+            <p className="text-xs text-gray-600 mb-3">
+                {t('leaderboard.pointsPerPlace', { table: pointsTable.map((points, index) => `${formatRank(index + 1, { t, locale })} = ${points}`).join(', ') })}
+            </p>
+
+            {userRole === 'Teacher' && (
+                <div className="mb-4">
+                    {editingPoints ? (
+                        <div className="flex space-x-2">
+                            <input
+                                type="text"
+                                value={pointsInput}
+                                onChange={(e) => setPointsInput(e.target.value)}
+                                className="flex-1 p-2 border border-gray-300 rounded-lg text-sm"
+                                placeholder={t('leaderboard.placeholder')}
+                                aria-label={t('leaderboard.pointsLabel')}
+                            />
+                            <Button onClick={handleSavePoints} className="!py-2" disabled={loading}>{loading ? t('common.saving') : t('leaderboard.save')}</Button>
+                            <Button onClick={() => setEditingPoints(false)} className="!py-2 !bg-gray-500" color="secondary">{t('common.cancel')}</Button>
+                        </div>
+                    ) : (
+                        <button
+                            onClick={() => { setPointsInput(pointsTable.join(', ')); setEditingPoints(true); setMessage(null); }}
+                            className="text-sm text-indigo-700 hover:text-indigo-900 font-semibold"
+                        >
+                            {t('leaderboard.change')}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {message && (
+                <div className={`p-3 mb-4 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="max-h-[60vh] overflow-y-auto">
+                {rows.length === 0 ? (
+                    <p className="text-center text-gray-500 py-10">{t('leaderboard.noRows')}</p>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-6 gap-2 font-bold text-gray-600 border-b pb-2 text-sm">
+                            <div>{t('leaderboard.position')}</div>
+                            <div className="col-span-3">{groupBy === 'class' ? t('leaderboard.class') : t('leaderboard.house')}</div>
+                            <div>{t('leaderboard.points')}</div>
+                            <div>{t('leaderboard.placings')}</div>
+                        </div>
+                        {rows.map(row => (
+                            <div key={row.name} className="grid grid-cols-6 gap-2 items-center border-b last:border-b-0 py-2 text-sm">
+                                <div className="font-semibold text-rose-600">{formatRank(row.position, { t, locale })}</div>
+                                <div className="col-span-3 font-medium text-gray-800">{row.name}</div>
+                                <div className="font-bold text-indigo-700">{row.points}</div>
+                                <div className="text-gray-600">{row.placings}</div>
+                            </div>
+                        ))}
+                    </>
+                )}
+            </div>
+
+            <Button onClick={() => navigate(getHomePath(userRole))} className="mt-6 w-full" color="secondary">
+                {t('common.backToDashboard')}
+            </Button>
+        </Card>
+    );
+};
+
+// Teacher-side read receipts for one notice: who has opened it and who hasn't yet
+const NoticeReceiptsModal = ({ notice, recipients, reads, onClose }) => {
+    const { t, formatDate } = useI18n();
+    const readByRecipient = (recipient) => reads.find(r => (recipient.kind === 'student' ? r.studentId === recipient.id : r.userId === recipient.id));
+    const opened = recipients.map(r => ({ ...r, read: readByRecipient(r) })).filter(r => r.read);
+    const notOpened = recipients.filter(r => !readByRecipient(r));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <Card title={t('notices.receipts')} Icon={Eye} titleColor={COLORS.primaryText} className="max-w-xl">
+                <p className="text-sm text-gray-600 mb-1 line-clamp-2">{notice.content}</p>
+                <p className="text-sm font-semibold text-gray-800 mb-4">{t('notices.openedOf', { opened: opened.length, total: recipients.length })} &middot; {describeNoticeAudience(notice, { t })}</p>
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                    <div>
+                        <h4 className="font-bold text-rose-600 mb-2">{t('notices.notOpened', { count: notOpened.length })}</h4>
+                        <ul className="max-h-64 overflow-y-auto space-y-1">
+                            {notOpened.map(r => <li key={`${r.kind}-${r.id}`} className="text-gray-800">{r.name} <span className="text-gray-500">({r.detail || t(`role.${r.role}`)})</span></li>)}
+                        </ul>
+                    </div>
+                    <div>
+                        <h4 className="font-bold text-green-700 mb-2">{t('notices.opened', { count: opened.length })}</h4>
+                        <ul className="max-h-64 overflow-y-auto space-y-1">
+                            {opened.map(r => (
+                                <li key={`${r.kind}-${r.id}`} className="text-gray-800">
+                                    {r.name} <span className="text-gray-500">{formatDate(r.read.readAt, { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+                <p className="mt-4 text-xs text-gray-500">{t('notices.receiptsHint')}</p>
+                <Button onClick={onClose} className="mt-6 w-full !bg-gray-500">{t('common.close')}</Button>
+            </Card>
+        </div>
+    );
+};
+
+// Notice text with its formatting (see Notice Formatting Helpers)
+const NoticeContent = ({ content }) => (
+    <div className="text-gray-800 space-y-2 break-words">
+        {parseNoticeBlocks(content).map((block, i) => {
+            if (block.type === 'p') {
+                return (
+                    <p key={i}>
+                        {block.lines.map((line, j) => (
+                            <React.Fragment key={j}>
+                                {j > 0 && <br />}
+                                {renderNoticeInline(line, `${i}-${j}`)}
+                            </React.Fragment>
+                        ))}
+                    </p>
+                );
+            }
+            const ListTag = block.type;
+            return (
+                <ListTag key={i} className={`${block.type === 'ul' ? 'list-disc' : 'list-decimal'} ps-6 space-y-1`}>
+                    {block.lines.map((line, j) => <li key={j}>{renderNoticeInline(line, `${i}-${j}`)}</li>)}
+                </ListTag>
+            );
+        })}
+    </div>
+);
+
+// Uploaded files on a notice: image thumbnails and a download link for each file
+const NoticeAttachments = ({ attachments }) => {
+    const { t } = useI18n();
+    if (!attachments?.length) return null;
+    const images = attachments.filter(isImageAttachment);
+    return (
+        <div className="mt-3 space-y-2">
+            {images.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    {images.map(a => (
+                        <a key={a.path} href={a.url} target="_blank" rel="noopener noreferrer" title={a.name}>
+                            <img src={a.url} alt={a.name} className="h-20 w-20 object-cover rounded border border-gray-200" />
+                        </a>
+                    ))}
+                </div>
+            )}
+            <ul className="space-y-1 text-sm">
+                {attachments.map(a => (
+                    <li key={a.path} className="flex items-center space-x-2">
+                        <Paperclip size={14} className="text-gray-500 flex-shrink-0" />
+                        <span className="truncate text-gray-800">{a.name}</span>
+                        <span className="text-xs text-gray-500 flex-shrink-0">{ATTACHMENT_TYPES[a.contentType] || t('files.file')} &middot; {formatFileSize(a.size)}</span>
+                        <a href={a.url} download={a.name} target="_blank" rel="noopener noreferrer" className="ms-auto flex items-center space-x-1 text-indigo-700 hover:underline flex-shrink-0">
+                            <Download size={14} />
+                            <span>{t('files.download')}</span>
+                        </a>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// A file picked for a notice that has not been sent yet
+const PendingAttachment = ({ file, onRemove }) => {
+    const { t } = useI18n();
+    const [previewUrl, setPreviewUrl] = useState(null);
+
+    useEffect(() => {
+        if (!isImageAttachment(file)) return;
+        const url = URL.createObjectURL(file);
+        setPreviewUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [file]);
+
+    return (
+        <div className="flex items-center space-x-2 p-2 bg-white border border-gray-200 rounded-lg text-sm">
+            {previewUrl
+                ? <img src={previewUrl} alt={file.name} className="h-10 w-10 object-cover rounded" />
+                : <FileText size={24} className="text-rose-500 flex-shrink-0" />}
+            <span className="truncate text-gray-800">{file.name}</span>
+            <span className="text-xs text-gray-500 flex-shrink-0">{formatFileSize(file.size)}</span>
+            <button type="button" onClick={onRemove} className="ms-auto p-1 text-gray-500 hover:text-red-600" title={t('files.remove')}>
+                <X size={16} />
+            </button>
+        </div>
+    );
+};
+
+const NoticeBoardView = ({ notices, userRole, db, userId, userProfile, students, studentRecord, enqueueWrite }) => {
+    const navigate = useNavigate();
+    const { t, formatDate } = useI18n();
+    const [noticeText, setNoticeText] = useState('');
+    const [attachments, setAttachments] = useState([]); // Files picked for the next notice
+    const textareaRef = useRef(null);
+    const [audienceType, setAudienceType] = useState('everyone');
+    const [audienceTargets, setAudienceTargets] = useState([]); // [{ class, section }] - section null means the whole class
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [reads, setReads] = useState([]); // Teachers: all receipts. Others: their own.
+    const [readsLoaded, setReadsLoaded] = useState(false);
+    const [teachers, setTeachers] = useState([]);
+    const [parents, setParents] = useState([]);
+    const [studentAccounts, setStudentAccounts] = useState([]);
+    const [receiptsNotice, setReceiptsNotice] = useState(null);
+
+    const isTeacher = userRole === 'Teacher';
+    const sortedNotices = [...notices].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    // Read receipts (and, for teachers, the teacher, student and parent accounts that can receive notices)
+    useEffect(() => {
+        if (!db || !userId) return;
+        const unsubscribeReads = db.subscribe('noticeReads', isTeacher ? {} : { where: [['userId', '==', userId]] }, (fetched) => {
+            setReads(fetched);
+            setReadsLoaded(true);
+        }, (err) => {
+            console.error("Notice Reads Snapshot Error:", err);
+        });
+        if (!isTeacher) return () => unsubscribeReads();
+
+        const unsubscribeTeachers = db.members.subscribeByRole('Teacher', (fetched) => {
+            setTeachers(fetched);
+        }, (err) => {
+            console.error("Teachers Snapshot Error:", err);
+        });
+        const unsubscribeParents = db.members.subscribeByRole('Parent', (fetched) => {
+            setParents(fetched);
+        }, (err) => {
+            console.error("Parents Snapshot Error:", err);
+        });
+        const unsubscribeStudentAccounts = db.members.subscribeByRole('Student', (fetched) => {
+            setStudentAccounts(fetched);
+        }, (err) => {
+            console.error("Student Accounts Snapshot Error:", err);
+        });
+        return () => {
+            unsubscribeReads();
+            unsubscribeTeachers();
+            unsubscribeParents();
+            unsubscribeStudentAccounts();
+        };
+    }, [db, userId, isTeacher]);
+
+    // Opening the board counts as reading every notice shown on it. Wait for the existing
+    // receipts so the first read time is never overwritten.
+    useEffect(() => {
+        if (!db || !userId || !readsLoaded) return;
+        const readIds = new Set(reads.filter(r => r.userId === userId).map(r => r.noticeId));
+        notices
+            .filter(n => n.createdBy !== userId && !readIds.has(n.id))
+            .forEach(notice => {
+                db.set('noticeReads', `${notice.id}_${userId}`, {
+                    noticeId: notice.id,
+                    userId,
+                    userName: userProfile?.displayName || userProfile?.email || '',
+                    role: userRole,
+                    studentId: studentRecord?.id || null,
+                    readAt: new Date().toISOString(),
+                }).catch(err => console.error('Error saving read receipt: ', err));
+            });
+    }, [db, userId, notices, reads, readsLoaded, userProfile, userRole, studentRecord]);
+
+    // Wraps the selected text (or a placeholder) in the chosen formatting and keeps it selected
+    const applyFormat = (format) => {
+        const textarea = textareaRef.current;
+        const { selectionStart: start, selectionEnd: end } = textarea;
+        const selected = noticeText.slice(start, end);
+        let replacement;
+        if (format === 'bold') {
+            replacement = `**${selected || t('notices.format.boldText')}**`;
+        } else if (format === 'link') {
+            replacement = `[${selected || t('notices.format.linkText')}](https://)`;
+        } else {
+            replacement = (selected || t('notices.format.listItem')).split('\n').map(line => `- ${line}`).join('\n');
+        }
+        setNoticeText(noticeText.slice(0, start) + replacement + noticeText.slice(end));
+        requestAnimationFrame(() => {
+            textarea.focus();
+            textarea.setSelectionRange(start, start + replacement.length);
+        });
+    };
+
+    const handleAddFiles = (e) => {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = ''; // Allows picking the same file again after removing it
+        const errors = picked.map(file => validateAttachment(file, { t })).filter(Boolean);
+        let next = [...attachments, ...picked.filter(file => !validateAttachment(file, { t }))];
+        if (next.length > ATTACHMENT_MAX_COUNT) {
+            errors.push(t('notices.tooManyFiles', { max: ATTACHMENT_MAX_COUNT }));
+            next = next.slice(0, ATTACHMENT_MAX_COUNT);
+        }
+        setAttachments(next);
+        setMessage(errors.length > 0 ? errorMessage(errors.join(' ')) : null);
+    };
+
+    const handleSendNotice = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setMessage(null);
+
+        if (!noticeText.trim() && attachments.length === 0) {
+            setMessage(errorMessage(t('notices.empty')));
+            setLoading(false);
+            return;
+        }
+        // Files go straight to storage, so unlike the notice itself they cannot wait in the outbox
+        if (attachments.length > 0 && !navigator.onLine) {
+            setMessage(errorMessage(t('notices.offlineFiles')));
+            setLoading(false);
+            return;
+        }
+        if (audienceType === 'classes' && audienceTargets.length === 0) {
+            setMessage(errorMessage(t('notices.noClasses')));
+            setLoading(false);
+            return;
+        }
+
+        const targets = audienceType === 'classes' ? audienceTargets : [];
+        const audienceKeys = buildNoticeAudienceKeys(audienceType, targets);
+        const noticeId = db.newId('notices');
+        const uploaded = [];
+        const newNotice = {
+            content: noticeText,
+            attachments: uploaded,
+            createdAt: new Date().toISOString(),
+            createdBy: userId,
+            createdByName: userProfile?.displayName || userProfile?.email || '',
+            audienceType,
+            audienceTargets: targets,
+            audienceKeys,
+            recipientIds: audienceType === 'classes' ? getClassNoticeRecipientIds(audienceKeys, students, [...studentAccounts, ...parents]) : [],
+        };
+
+        try {
+            for (const [index, file] of attachments.entries()) {
+                const { path, url } = await db.files.upload(getAttachmentPath(db.schoolId, noticeId, index, file.name), file);
+                uploaded.push({ name: file.name, path, url, contentType: file.type, size: file.size });
+            }
+            const synced = await enqueueWrite(t('sync.item.notice'), db.notices.buildCreateWrites(newNotice, noticeId));
+            setMessage(successMessage(synced ? t('notices.sent') : t('notices.queued')));
+            setNoticeText('');
+            setAttachments([]);
+            setAudienceType('everyone');
+            setAudienceTargets([]);
+        } catch (error) {
+            console.error('Error sending notice: ', error);
+            // Don't leave files behind for a notice that was never saved
+            uploaded.forEach(a => db.files.remove(a.path).catch(err => console.error('Error removing attachment: ', err)));
+            setMessage(errorMessage(t('notices.failed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Card title={t('notices.title')} Icon={AlertCircle} titleColor={COLORS.primaryText} className="max-w-xl">
+            <div className="flex flex-col space-y-6">
+                {isTeacher && (
+                    <div className="p-4 border border-indigo-200 rounded-lg bg-indigo-50">
+                        <h3 className="text-lg font-bold text-indigo-700 mb-3">{t('notices.new')}</h3>
+                        <form onSubmit={handleSendNotice} className="space-y-3">
+                            <div className="flex items-center space-x-1">
+                                <button type="button" onClick={() => applyFormat('bold')} className="p-1 rounded text-indigo-700 hover:bg-indigo-100" title={t('notices.format.bold')}>
+                                    <Bold size={16} />
+                                </button>
+                                <button type="button" onClick={() => applyFormat('list')} className="p-1 rounded text-indigo-700 hover:bg-indigo-100" title={t('notices.format.list')}>
+                                    <List size={16} />
+                                </button>
+                                <button type="button" onClick={() => applyFormat('link')} className="p-1 rounded text-indigo-700 hover:bg-indigo-100" title={t('notices.format.link')}>
+                                    <LinkIcon size={16} />
+                                </button>
+                                <label className="p-1 rounded text-indigo-700 hover:bg-indigo-100 cursor-pointer" title={t('notices.attach')}>
+                                    <Paperclip size={16} />
+                                    <input type="file" multiple accept={Object.keys(ATTACHMENT_TYPES).join(',')} onChange={handleAddFiles} className="hidden" />
+                                </label>
+                                <span className="text-xs text-gray-500 ps-2">{t('notices.format.hint')}</span>
+                            </div>
+                            <textarea
+                                ref={textareaRef}
+                                value={noticeText}
+                                onChange={(e) => setNoticeText(e.target.value)}
+                                rows="4"
+                                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500"
+                                placeholder={t('notices.placeholder')}
+                            ></textarea>
+                            {noticeText.trim() && (
+                                <div className="p-3 bg-white border border-dashed border-gray-300 rounded-lg text-sm">
+                                    <p className="text-xs font-semibold text-gray-500 mb-1">{t('notices.preview')}</p>
+                                    <NoticeContent content={noticeText} />
+                                </div>
+                            )}
+                            {attachments.length > 0 && (
+                                <div className="space-y-2">
+                                    {attachments.map((file, index) => (
+                                        <PendingAttachment key={`${file.name}-${file.lastModified}-${index}`} file={file} onRemove={() => setAttachments(prev => prev.filter((_, i) => i !== index))} />
+                                    ))}
+                                </div>
+                            )}
+                            <p className="text-xs text-gray-500">
+                                {t('notices.attachmentLimits', { max: ATTACHMENT_MAX_COUNT, types: Object.values(ATTACHMENT_TYPES).join(', '), size: formatFileSize(ATTACHMENT_MAX_BYTES) })}
+                            </p>
+                            <div>
+                                <label className="block text-gray-700 font-medium mb-1" htmlFor="audience">{t('notices.sendTo')}</label>
+                                <select id="audience" value={audienceType} onChange={(e) => setAudienceType(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg text-sm">
+                                    {NOTICE_AUDIENCES.map(value => <option key={value} value={value}>{t(`noticeAudience.${value}`)}</option>)}
+                                </select>
+                            </div>
+                            {audienceType === 'classes' && (
+                                <AudienceTargetPicker students={students} targets={audienceTargets} onChange={setAudienceTargets} />
+                            )}
+                            {message && (
+                                <div className={`p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                                    {message.text}
+                                </div>
+                            )}
+                            <Button type="submit" Icon={Send} className="w-full" disabled={loading}>
+                                {loading ? (attachments.length > 0 ? t('notices.uploading') : t('reset.sending')) : t('dashboard.sendNotice')}
+                            </Button>
+                        </form>
+                    </div>
+                )}
+
+                <h3 className="text-xl font-bold text-rose-700 border-b pb-2">{t('notices.recent')}</h3>
+                <div className="max-h-60 overflow-y-auto space-y-3">
+                    {sortedNotices.length === 0 ? (
+                        <p className="text-center text-gray-500 py-4">{t('notices.none')}</p>
+                    ) : (
+                        sortedNotices.map((notice) => {
+                            const recipients = isTeacher ? getNoticeRecipients(notice, students, teachers, parents) : [];
+                            const noticeReads = isTeacher ? reads.filter(r => r.noticeId === notice.id) : [];
+                            const openedCount = recipients.filter(rec => noticeReads.some(r => (rec.kind === 'student' ? r.studentId === rec.id : r.userId === rec.id))).length;
+                            return (
+                                <div key={notice.id} className="bg-white p-4 rounded-lg shadow-md border-l-4 border-rose-500">
+                                    <NoticeContent content={notice.content} />
+                                    <NoticeAttachments attachments={notice.attachments} />
+                                    <div className="text-xs text-gray-500 mt-2 flex justify-between">
+                                        <span>{t('notices.postedBy', { name: notice.createdByName || `${notice.createdBy.substring(0, 8)}...` })}</span>
+                                        <span>{formatDate(notice.createdAt)}</span>
+                                    </div>
+                                    {isTeacher && (
+                                        <div className="text-xs mt-2 flex justify-between items-center">
+                                            <span className="text-indigo-700">{t('notices.to', { audience: describeNoticeAudience(notice, { t }) })}</span>
+                                            <button onClick={() => setReceiptsNotice(notice)} className="flex items-center space-x-1 text-rose-600 hover:underline">
+                                                <Eye size={14} />
+                                                <span>{t('notices.openedCount', { opened: openedCount, total: recipients.length })}</span>
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })
+                    )}
+                </div>
+            </div>
+
+            <Button onClick={() => navigate(getHomePath(userRole))} className="mt-6 w-full !bg-gray-500" color="secondary">
+                {t('common.backToDashboard')}
             </Button>
+
+            {receiptsNotice && (
+                <NoticeReceiptsModal
+                    notice={receiptsNotice}
+                    recipients={getNoticeRecipients(receiptsNotice, students, teachers, parents)}
+                    reads={reads.filter(r => r.noticeId === receiptsNotice.id)}
+                    onClose={() => setReceiptsNotice(null)}
+                />
+            )}
         </Card>
     );
 };
 
-const AddScoresView = ({ setView, db, events, userId }) => {
-    const [selectedEventId, setSelectedEventId] = useState('');
-    const [scoreData, setScoreData] = useState([]);
-    const [loading, setLoading] = useState(false);
-    const [message, setMessage] = useState('');
+// Header sync status: online/offline, plus the outbox items still waiting to reach the server
+const SyncIndicator = ({ outbox }) => {
+    const { t, formatDate } = useI18n();
+    const [open, setOpen] = useState(false);
+    const [confirmDiscardId, setConfirmDiscardId] = useState(null);
+    const { items, isOnline, retry, discard } = outbox;
+    const failedCount = items.filter(i => i.status === 'failed').length;
+    const StatusIcon = !isOnline ? CloudOff : items.length > 0 ? RefreshCw : Cloud;
+    const title = !isOnline ? t('sync.offline') : items.length > 0 ? t('sync.waiting', { count: items.length }) : t('sync.synced');
 
-    // Mock student list (In a real app, this would be fetched from a 'students' collection)
-    const mockStudents = [
-        { id: 'student-A', name: 'Alfie B.' },
-        { id: 'student-B', name: 'Betty C.' },
-        { id: 'student-C', name: 'Charlie D.' },
-        { id: 'student-D', name: 'Dana E.' },
-    ];
+    return (
+        <div className="relative">
+            <button onClick={() => setOpen(prev => !prev)} className="flex items-center space-x-1 p-2 rounded-full hover:bg-indigo-600 transition" title={title}>
+                <StatusIcon size={20} />
+                {items.length > 0 && (
+                    <span className={`text-xs font-bold px-1.5 rounded-full ${failedCount > 0 ? 'bg-red-600' : 'bg-amber-500'}`}>{items.length}</span>
+                )}
+            </button>
+            {open && (
+                <div className="absolute end-0 mt-2 w-80 bg-white text-gray-800 rounded-lg shadow-xl p-3 z-20">
+                    <p className="text-sm font-semibold mb-2">{title}</p>
+                    {items.length === 0 ? (
+                        <p className="text-xs text-gray-500">{t('sync.empty')}</p>
+                    ) : (
+                        <ul className="max-h-60 overflow-y-auto space-y-2">
+                            {items.map(item => (
+                                <li key={item.id} className="border-b last:border-b-0 pb-2 text-sm">
+                                    <div className="flex justify-between items-center">
+                                        <span className="font-medium truncate">{item.label}</span>
+                                        <span className={`text-xs ${item.status === 'failed' ? 'text-red-600' : 'text-amber-600'}`}>
+                                            {item.status === 'failed' ? t('sync.failed') : t('sync.pending')}
+                                        </span>
+                                    </div>
+                                    <p className="text-xs text-gray-500">{t('sync.saved', { date: formatDate(item.createdAt, { dateStyle: 'medium', timeStyle: 'short' }) })}</p>
+                                    {item.error && <p className="text-xs text-red-600">{item.error}</p>}
+                                    {confirmDiscardId === item.id ? (
+                                        <div className="flex space-x-3 mt-1 text-xs">
+                                            <span className="text-gray-700">{t('sync.confirmDiscard')}</span>
+                                            <button onClick={() => { discard(item.id); setConfirmDiscardId(null); }} className="text-red-600 hover:text-red-800 font-semibold">{t('sync.discard')}</button>
+                                            <button onClick={() => setConfirmDiscardId(null)} className="text-gray-600 hover:text-gray-800 font-semibold">{t('sync.keep')}</button>
+                                        </div>
+                                    ) : (
+                                        <div className="flex space-x-3 mt-1 text-xs">
+                                            <button onClick={() => retry(item.id)} className="text-indigo-700 hover:text-indigo-900 font-semibold" disabled={!isOnline}>{t('sync.retry')}</button>
+                                            <button onClick={() => setConfirmDiscardId(item.id)} className="text-red-600 hover:text-red-800 font-semibold">{t('sync.discard')}</button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
 
-    useEffect(() => {
-        if (selectedEventId) {
-            // Initialize score data when an event is selected
-            const initialScores = mockStudents.map(student => ({
-                studentId: student.id,
-                studentName: student.name,
-                score: '',
-                rank: '',
-            }));
-            setScoreData(initialScores);
-            setMessage('');
-        }
-    }, [selectedEventId]);
+// Header bell: unread count and the list of recent notifications
+const NotificationBell = ({ notifications }) => {
+    const navigate = useNavigate();
+    const { t, formatDate, formatNumber } = useI18n();
+    const [open, setOpen] = useState(false);
+    const { items, unreadCount, markRead, markAllRead } = notifications;
 
-    const handleScoreChange = (studentId, field, value) => {
-        setScoreData(prev => prev.map(s => s.studentId === studentId ? { ...s, [field]: value } : s));
+    const openItem = (item) => {
+        if (item.unread) markRead(item.id);
+        setOpen(false);
+        navigate(item.to);
     };
 
-    const handleSubmit = async () => {
-        if (!selectedEventId) return;
+    return (
+        <div className="relative">
+            <button onClick={() => setOpen(prev => !prev)} className="relative p-2 rounded-full hover:bg-indigo-600 transition" title={t('notifications.title')}>
+                <Bell size={20} />
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -end-0.5 min-w-[1.25rem] text-xs font-bold px-1 rounded-full bg-rose-500 text-center">{formatNumber(unreadCount)}</span>
+                )}
+            </button>
+            {open && (
+                <div className="absolute end-0 mt-2 w-80 bg-white text-gray-800 rounded-lg shadow-xl p-3 z-20">
+                    <div className="flex justify-between items-center mb-2">
+                        <p className="text-sm font-semibold">{t('notifications.title')}</p>
+                        {unreadCount > 0 && (
+                            <button onClick={markAllRead} className="text-xs text-indigo-700 hover:text-indigo-900 font-semibold">{t('notifications.markAllRead')}</button>
+                        )}
+                    </div>
+                    {items.length === 0 ? (
+                        <p className="text-xs text-gray-500">{t('notifications.empty')}</p>
+                    ) : (
+                        <ul className="max-h-96 overflow-y-auto space-y-1">
+                            {items.map(item => {
+                                const { Icon } = NOTIFICATION_SECTIONS[item.section];
+                                return (
+                                    <li key={item.id} className={`flex items-start space-x-2 p-2 rounded text-sm ${item.unread ? 'bg-indigo-50' : ''}`}>
+                                        <Icon size={16} className={`mt-0.5 flex-shrink-0 ${item.unread ? 'text-rose-500' : 'text-gray-400'}`} />
+                                        <button onClick={() => openItem(item)} className="flex-grow text-start min-w-0">
+                                            <span className={`block truncate ${item.unread ? 'font-semibold' : ''}`}>{t(`notifications.${item.kind}`, { title: item.title })}</span>
+                                            <span className="block text-xs text-gray-500">{formatDate(item.at, { dateStyle: 'medium', timeStyle: 'short' })}</span>
+                                        </button>
+                                        {item.unread && (
+                                            <button onClick={() => markRead(item.id)} className="text-xs text-indigo-700 hover:text-indigo-900 flex-shrink-0" title={t('notifications.markRead')}>
+                                                <CheckSquare size={14} />
+                                            </button>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
 
-        setLoading(true);
-        setMessage('');
+const DashboardLink = ({ title, Icon, to, color, badge = 0 }) => (
+    <Link to={to} className={`relative flex flex-col items-center justify-center p-6 rounded-xl shadow-lg cursor-pointer transition duration-300 transform hover:scale-[1.02] ${color === 'primary' ? COLORS.primary : COLORS.secondary}`}>
+        {badge > 0 && (
+            <span className="absolute top-2 end-2 min-w-[1.5rem] px-1.5 py-0.5 rounded-full bg-white text-rose-600 text-xs font-bold text-center shadow">{badge}</span>
+        )}
+        <Icon size={36} className="text-white mb-2" />
+        <span className="text-white text-md font-semibold text-center">{title}</span>
+    </Link>
+);
 
-        const eventTitle = events.find(e => e.id === selectedEventId)?.title || 'Unknown Event';
-        
-        // Filter out empty scores/ranks
-        const validScores = scoreData.filter(s => s.score || s.rank);
+const TeacherDashboard = ({ onLogout, unreadCounts = {} }) => {
+    const { t } = useI18n();
+    return (
+        <Card title={t('dashboard.Teacher')} Icon={BookOpen} titleColor={COLORS.primaryText} className="max-w-xl">
+            <h3 className="text-xl font-bold text-rose-600 mb-6">{t('login.welcome.Teacher')}</h3>
+            <div className="grid grid-cols-2 gap-6">
+                <DashboardLink title={t('dashboard.calendar')} Icon={Calendar} to="/calendar" color="primary" badge={unreadCounts.events} />
+                <DashboardLink title={t('dashboard.addEvent')} Icon={Plus} to="/events/new" color="secondary" />
+                <DashboardLink title={t('dashboard.sendNotice')} Icon={Send} to="/notices" color="primary" badge={unreadCounts.notices} />
+                <DashboardLink title={t('dashboard.publishScores')} Icon={CheckSquare} to="/scores/new" color="secondary" />
+                <DashboardLink title={t('dashboard.roster')} Icon={Users} to="/roster" color="primary" />
+                <DashboardLink title={t('dashboard.attendance')} Icon={CheckSquare} to="/attendance" color="secondary" />
+                <DashboardLink title={t('dashboard.leaderboard')} Icon={Trophy} to="/leaderboard" color="primary" />
+            </div>
+            <Button onClick={onLogout} Icon={LogIn} className="mt-8 w-full !bg-gray-500" color="secondary">
+                {t('common.logout')}
+            </Button>
+        </Card>
+    );
+};
 
-        try {
-             // Create a document ID that links directly to the event
-            const docRef = doc(getPublicCollectionRef(db, 'scores'), selectedEventId);
-            const scorePayload = {
-                eventId: selectedEventId,
-                eventTitle: eventTitle,
-                results: validScores,
-                publishedAt: new Date().toISOString(),
-                teacherId: userId,
-            };
+const StudentDashboard = ({ onLogout, unreadCounts = {} }) => {
+    const { t } = useI18n();
+    return (
+        <Card title={t('dashboard.Student')} Icon={User} titleColor={COLORS.primaryText} className="max-w-xl">
+            <h3 className="text-xl font-bold text-rose-600 mb-6">{t('login.welcome.Student')}</h3>
+            <div className="grid grid-cols-2 gap-6">
+                <DashboardLink title={t('dashboard.calendar')} Icon={Calendar} to="/calendar" color="primary" badge={unreadCounts.events} />
+                <DashboardLink title={t('dashboard.viewNotices')} Icon={Send} to="/notices" color="secondary" badge={unreadCounts.notices} />
+                <DashboardLink title={t('dashboard.viewResults')} Icon={List} to="/results" color="primary" badge={unreadCounts.results} />
+                <DashboardLink title={t('dashboard.profile')} Icon={User} to="/profile" color="secondary" />
+                <DashboardLink title={t('dashboard.leaderboard')} Icon={Trophy} to="/leaderboard" color="primary" />
+            </div>
+            <Button onClick={onLogout} Icon={LogIn} className="mt-8 w-full !bg-gray-500" color="secondary">
+                {t('common.logout')}
+            </Button>
+        </Card>
+    );
+};
 
-            await withRetry(() => setDoc(docRef, scorePayload));
-            setMessage('Scores successfully published/updated!');
-            setSelectedEventId('');
-            setScoreData([]);
+// A parent's view of their linked children: event registrations (answering consent requests
+// for events that need it) and published results. `events` are the displayed events.
+const ParentDashboard = ({ db, onLogout, unreadCounts = {}, userId, userProfile, linkedChildren, registrations, scores, events }) => {
+    const { t, locale, formatDate } = useI18n();
+    const [savingId, setSavingId] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const handleConsent = async (registration, consent) => {
+        setSavingId(registration.id);
+        setMessage(null);
+        try {
+            const author = { uid: userId, name: userProfile?.displayName || userProfile?.email || '' };
+            await withRetry(() => setRegistrationConsent(db, registration, consent, author));
+            setMessage(successMessage(t('consent.saved', { name: registration.studentName, event: registration.eventTitle })));
         } catch (error) {
-            console.error('Error publishing scores: ', error);
-            setMessage('Failed to publish scores. Please try again.');
+            console.error('Error saving consent: ', error);
+            setMessage(errorMessage(t('consent.saveFailed')));
         } finally {
-            setLoading(false);
+            setSavingId(null);
         }
     };
 
+    const consentColors = { given: 'text-green-700', declined: 'text-red-700', pending: 'text-amber-700' };
+
     return (
-        <Card title="Publish Event Scores" Icon={CheckSquare} titleColor={COLORS.primaryText} className="max-w-2xl">
-            <div className="mb-6">
-                <label className="block text-gray-700 font-medium mb-1" htmlFor="event">Select Event</label>
-                <select id="event" value={selectedEventId} onChange={(e) => setSelectedEventId(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500">
-                    <option value="">-- Choose an Event --</option>
-                    {events.map(event => (
-                        <option key={event.id} value={event.id}>{event.title} ({event.date})</option>
-                    ))}
-                </select>
+        <Card title={t('dashboard.Parent')} Icon={Users} titleColor={COLORS.primaryText} className="max-w-2xl">
+            <h3 className="text-xl font-bold text-rose-600 mb-6">{t('login.welcome.Parent')}</h3>
+            <div className="grid grid-cols-2 gap-6">
+                <DashboardLink title={t('dashboard.calendar')} Icon={Calendar} to="/calendar" color="primary" badge={unreadCounts.events} />
+                <DashboardLink title={t('dashboard.viewNotices')} Icon={Send} to="/notices" color="secondary" badge={unreadCounts.notices} />
+                <DashboardLink title={t('dashboard.viewResults')} Icon={List} to="/results" color="primary" badge={unreadCounts.results} />
+                <DashboardLink title={t('dashboard.leaderboard')} Icon={Trophy} to="/leaderboard" color="secondary" />
             </div>
 
-            {selectedEventId && (
+            <h3 className="text-lg font-bold text-indigo-700 mt-8 mb-3">{t('dashboard.children')}</h3>
+            {message && <p className={`mb-3 text-sm ${message.success ? 'text-green-700' : 'text-red-700'}`}>{message.text}</p>}
+            {linkedChildren.length === 0 ? (
+                <p className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">{t('dashboard.noChildren')}</p>
+            ) : (
                 <div className="space-y-4">
-                    <h3 className="text-xl font-bold text-indigo-700">Enter Results</h3>
-                    <div className="grid grid-cols-4 gap-2 font-bold text-gray-600 border-b pb-2">
-                        <div className="col-span-2">Student Name</div>
-                        <div>Score</div>
-                        <div>Rank</div>
-                    </div>
-                    {scoreData.map(student => (
-                        <div key={student.studentId} className="grid grid-cols-4 gap-2 items-center">
-                            <div className="col-span-2 font-medium text-gray-800">{student.studentName}</div>
-                            <input
-                                type="text"
-                                value={student.score}
-                                onChange={(e) => handleScoreChange(student.studentId, 'score', e.target.value)}
-                                className="p-2 border border-gray-300 rounded-lg w-full text-sm"
-                                placeholder="e.g., 9.5s"
-                            />
-                            <input
-                                type="text"
-                                value={student.rank}
-                                onChange={(e) => handleScoreChange(student.studentId, 'rank', e.target.value)}
-                                className="p-2 border border-gray-300 rounded-lg w-full text-sm"
-                                placeholder="e.g., 1st"
-                            />
-                        </div>
-                    ))}
-                    {message && (
-                        <div className={`p-3 rounded-lg text-sm ${message.includes('success') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                            {message}
-                        </div>
-                    )}
-                    <Button onClick={handleSubmit} Icon={Send} className="w-full mt-6" disabled={loading}>
-                        {loading ? 'Publishing...' : 'Publish Scores'}
-                    </Button>
+                    {linkedChildren.map(child => {
+                        const childRegistrations = registrations
+                            .filter(r => r.studentId === child.id && r.status !== 'cancelled')
+                            .map(r => ({ registration: r, event: events.find(e => e.id === r.eventId) }))
+                            .sort((a, b) => (a.event?.date || '').localeCompare(b.event?.date || ''));
+                        const childResults = scores
+                            .flatMap(score => (score.results || []).filter(r => r.studentId === child.id).map(result => ({ score, result })))
+                            .sort((a, b) => new Date(b.score.publishedAt) - new Date(a.score.publishedAt));
+                        return (
+                            <div key={child.id} className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                                <p className="font-bold text-gray-800">{child.name} <span className="text-sm font-normal text-gray-500">({child.class}-{child.section})</span></p>
+
+                                <h4 className="text-sm font-semibold text-gray-700 mt-3 mb-1">{t('dashboard.registrations')}</h4>
+                                {childRegistrations.length === 0 ? (
+                                    <p className="text-sm text-gray-500">{t('dashboard.noRegistrations')}</p>
+                                ) : (
+                                    <ul className="space-y-2 text-sm">
+                                        {childRegistrations.map(({ registration, event }) => {
+                                            const consent = getConsentStatus(registration);
+                                            return (
+                                                <li key={registration.id} className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                                                    <Link to={`/events/${registration.eventId}`} className="font-semibold text-indigo-700 hover:underline">{registration.eventTitle}</Link>
+                                                    {event && <span className="text-xs text-gray-500">{formatEventSchedule(event, { t, formatDate })}</span>}
+                                                    <span className={registration.status === 'registered' ? 'text-green-700' : 'text-amber-700'}>
+                                                        {t(`registration.${registration.status}`)}
+                                                    </span>
+                                                    {event?.requiresConsent && (
+                                                        <span className="flex items-center gap-2 ms-auto">
+                                                            <span className={`text-xs font-semibold ${consentColors[consent]}`}>{t(`consent.${consent}`)}</span>
+                                                            {consent !== 'given' && (
+                                                                <Button onClick={() => handleConsent(registration, 'given')} Icon={CheckSquare} className="!py-1 !px-3 !text-xs" color="secondary" disabled={savingId === registration.id}>
+                                                                    {t('consent.give')}
+                                                                </Button>
+                                                            )}
+                                                            {consent !== 'declined' && (
+                                                                <Button onClick={() => handleConsent(registration, 'declined')} Icon={XCircle} className="!py-1 !px-3 !text-xs !bg-gray-500" color="secondary" disabled={savingId === registration.id}>
+                                                                    {t('consent.decline')}
+                                                                </Button>
+                                                            )}
+                                                        </span>
+                                                    )}
+                                                </li>
+                                            );
+                                        })}
+                                    </ul>
+                                )}
+
+                                <h4 className="text-sm font-semibold text-gray-700 mt-3 mb-1">{t('dashboard.results')}</h4>
+                                {childResults.length === 0 ? (
+                                    <p className="text-sm text-gray-500">{t('dashboard.noResults')}</p>
+                                ) : (
+                                    <ul className="space-y-1 text-sm">
+                                        {childResults.map(({ score, result }) => (
+                                            <li key={score.id} className="flex items-center gap-3">
+                                                <Link to={`/results/${score.id}`} className="font-semibold text-indigo-700 hover:underline">{score.eventTitle}</Link>
+                                                <span className="font-semibold text-rose-600">
+                                                    {result.status === 'DNF' || result.status === 'DNS' ? result.status : formatRank(result.rank, { t, locale })}
+                                                </span>
+                                                <span className="text-gray-600">{formatResultScore(result, score.scoringScheme, { t }) || '-'}</span>
+                                                <span className="ms-auto text-xs text-gray-500">{formatDate(score.publishedAt)}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        );
+                    })}
                 </div>
             )}
-            <Button onClick={() => setView('TeacherDashboard')} className="mt-4 w-full !bg-gray-500" color="secondary">
-                Back to Dashboard
+
+            <Button onClick={onLogout} Icon={LogIn} className="mt-8 w-full !bg-gray-500" color="secondary">
+                {t('common.logout')}
+            </Button>
+        </Card>
+    );
+};
+
+const AdminDashboard = ({ onLogout, unreadCounts = {} }) => {
+    const { t } = useI18n();
+    return (
+        <Card title={t('dashboard.Admin')} Icon={Settings} titleColor={COLORS.primaryText} className="max-w-xl">
+            <h3 className="text-xl font-bold text-rose-600 mb-6">{t('login.welcome.Admin')}</h3>
+            <div className="grid grid-cols-2 gap-6">
+                <DashboardLink title={t('dashboard.settings')} Icon={Settings} to="/admin/settings" color="primary" />
+                <DashboardLink title={t('dashboard.accounts')} Icon={Users} to="/admin/accounts" color="secondary" />
+                <DashboardLink title={t('dashboard.calendar')} Icon={Calendar} to="/calendar" color="secondary" badge={unreadCounts.events} />
+                <DashboardLink title={t('dashboard.leaderboard')} Icon={Trophy} to="/leaderboard" color="primary" />
+            </div>
+            <Button onClick={onLogout} Icon={LogIn} className="mt-8 w-full !bg-gray-500" color="secondary">
+                {t('common.logout')}
             </Button>
         </Card>
     );
 };
 
-const ViewResultsView = ({ setView, userRole, scores, events }) => {
-    const [selectedScore, setSelectedScore] = useState(null);
+// Attendance section of the student profile: percentage, monthly heat-map and list of absences
+const AttendanceSummary = ({ db, studentRecord }) => {
+    const { t, locale, weekStart, formatDate } = useI18n();
+    const now = new Date();
+    const [records, setRecords] = useState([]);
+    const [month, setMonth] = useState(new Date(now.getFullYear(), now.getMonth(), 1));
 
-    const eventNames = events.reduce((acc, e) => {
-        acc[e.id] = e.title;
-        return acc;
-    }, {});
+    useEffect(() => {
+        if (!db || !studentRecord) return;
+        const unsubscribe = db.subscribe('attendance', { where: [['studentId', '==', studentRecord.id]] }, (fetched) => {
+            setRecords(fetched);
+        }, (err) => {
+            console.error("Attendance Snapshot Error:", err);
+        });
+        return () => unsubscribe();
+    }, [db, studentRecord]);
 
-    const sortedScores = [...scores].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    if (!studentRecord) {
+        return (
+            <div className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">
+                <h4 className="font-bold text-indigo-700 mb-1">{t('attendance.title')}</h4>
+                <p>{t('attendance.notLinked')}</p>
+            </div>
+        );
+    }
 
-    const EventResultCard = ({ score }) => (
-        <div key={score.id} className="bg-gray-50 p-4 rounded-lg shadow-sm border border-gray-200">
-            <h4 className="font-bold text-lg text-rose-600 mb-1">{score.eventTitle}</h4>
-            <p className="text-sm text-gray-600 mb-3">Published: {new Date(score.publishedAt).toLocaleDateString()}</p>
-            <Button onClick={() => setSelectedScore(score)} className="!py-1 !px-3 !text-sm" color="secondary">
-                View All Results
-            </Button>
+    const { counts, percentage } = summariseAttendance(records);
+    const byDate = Object.fromEntries(records.map(r => [r.date, r.status]));
+    const absences = records.filter(r => r.status === 'absent').sort((a, b) => b.date.localeCompare(a.date));
+
+    const year = month.getFullYear();
+    const monthIndex = month.getMonth();
+    const totalDays = new Date(year, monthIndex + 1, 0).getDate();
+    const cells = [];
+    for (let i = 0; i < getWeekdayIndex(month, weekStart); i++) {
+        cells.push(<div key={`empty-${i}`}></div>);
+    }
+    for (let day = 1; day <= totalDays; day++) {
+        const status = byDate[toDateKey(new Date(year, monthIndex, day))];
+        cells.push(
+            <div key={day} title={status ? t(`attendance.status.${status}`) : t('attendance.noRecord')} className={`h-7 flex items-center justify-center rounded text-xs ${status ? ATTENDANCE_STATUSES[status]?.cellClass : 'bg-gray-100 text-gray-400'}`}>
+                {day}
+            </div>
+        );
+    }
+
+    return (
+        <div className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg text-sm space-y-4">
+            <div className="flex justify-between items-baseline">
+                <h4 className="font-bold text-indigo-700">{t('attendance.title')}</h4>
+                <span className="text-2xl font-extrabold text-rose-600">{percentage === null ? '-' : `${percentage}%`}</span>
+            </div>
+            <div className="flex justify-between text-xs text-gray-600">
+                {Object.keys(ATTENDANCE_STATUSES).map(status => (
+                    <span key={status}>{t(`attendance.status.${status}`)}: <span className="font-semibold">{counts[status]}</span></span>
+                ))}
+            </div>
+
+            <div>
+                <div className="flex justify-between items-center mb-2">
+                    <button onClick={() => setMonth(new Date(year, monthIndex - 1, 1))} className="px-2 text-indigo-700 font-bold">{'<'}</button>
+                    <span className="font-semibold text-gray-800">{formatDate(month, { month: 'long', year: 'numeric' })}</span>
+                    <button onClick={() => setMonth(new Date(year, monthIndex + 1, 1))} className="px-2 text-indigo-700 font-bold">{'>'}</button>
+                </div>
+                <div className="grid grid-cols-7 gap-1">
+                    {getWeekdayNames(locale, weekStart, 'narrow').map((d, i) => (
+                        <div key={i} className="text-center text-xs font-bold text-gray-500">{d}</div>
+                    ))}
+                    {cells}
+                </div>
+            </div>
+
+            <div>
+                <h5 className="font-semibold text-indigo-700 mb-1">{t('attendance.absences')}</h5>
+                {absences.length === 0 ? (
+                    <p className="text-gray-500">{t('attendance.noAbsences')}</p>
+                ) : (
+                    <ul className="max-h-32 overflow-y-auto space-y-1">
+                        {absences.map(r => (
+                            <li key={r.id} className="text-gray-700">{formatDate(r.date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}</li>
+                        ))}
+                    </ul>
+                )}
+            </div>
         </div>
     );
+};
 
-    const ResultModal = ({ score, onClose }) => (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-            <Card title={`Results: ${score.eventTitle}`} titleColor={COLORS.primaryText} className="max-w-xl">
-                <div className="max-h-96 overflow-y-auto space-y-3">
-                    <div className="grid grid-cols-3 gap-2 font-bold text-gray-600 border-b pb-2">
-                        <div>Rank</div>
-                        <div className="col-span-1">Name</div>
-                        <div>Score</div>
-                    </div>
-                    {score.results.sort((a, b) => (a.rank || '').localeCompare(b.rank || '', undefined, { numeric: true, sensitivity: 'base' })).map((result, index) => (
-                        <div key={index} className="grid grid-cols-3 gap-2 items-center border-b last:border-b-0 py-1">
-                            <div className="font-semibold text-rose-600">{result.rank || '-'}</div>
-                            <div className="col-span-1 text-gray-800">{result.studentName}</div>
-                            <div className="text-gray-600">{result.score || '-'}</div>
+// Edit form for the contact, guardian and medical details of a student profile
+const StudentProfileForm = ({ formData, onChange }) => {
+    const { t } = useI18n();
+    const setField = (name, value) => onChange({ ...formData, [name]: value });
+    const setGuardian = (index, name, value) => setField('guardians', formData.guardians.map((g, i) => (i === index ? { ...g, [name]: value } : g)));
+    const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm';
+
+    return (
+        <div className="space-y-3 text-sm">
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="address">{t('profile.field.address')}</label>
+                <textarea id="address" rows="2" value={formData.address} onChange={(e) => setField('address', e.target.value)} className={inputClass}></textarea>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="phone">{t('profile.field.phone')}</label>
+                    <input type="tel" id="phone" value={formData.phone} onChange={(e) => setField('phone', e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                    <label className="block text-gray-700 font-medium mb-1" htmlFor="contactEmail">{t('profile.field.contactEmail')}</label>
+                    <input type="email" id="contactEmail" value={formData.contactEmail} onChange={(e) => setField('contactEmail', e.target.value)} className={inputClass} />
+                </div>
+            </div>
+            <div>
+                <p className="text-gray-700 font-medium mb-1">{t('profile.field.guardians')}</p>
+                <div className="space-y-2">
+                    {formData.guardians.map((guardian, index) => (
+                        <div key={index} className="flex items-center space-x-2">
+                            <input type="text" value={guardian.name} onChange={(e) => setGuardian(index, 'name', e.target.value)} className={inputClass} placeholder={t('profile.guardianName')} />
+                            <input type="text" value={guardian.relation} onChange={(e) => setGuardian(index, 'relation', e.target.value)} className={inputClass} placeholder={t('profile.guardianRelation')} />
+                            <input type="tel" value={guardian.phone} onChange={(e) => setGuardian(index, 'phone', e.target.value)} className={inputClass} placeholder={t('profile.field.phone')} />
+                            <button type="button" onClick={() => setField('guardians', formData.guardians.filter((_, i) => i !== index))} className="p-1 text-red-600 hover:text-red-800" title={t('profile.removeGuardian')}>
+                                <X size={16} />
+                            </button>
                         </div>
                     ))}
                 </div>
-                <Button onClick={onClose} className="mt-6 w-full !bg-gray-500">Close</Button>
-            </Card>
+                {formData.guardians.length < MAX_GUARDIANS && (
+                    <button type="button" onClick={() => setField('guardians', [...formData.guardians, EMPTY_GUARDIAN])} className="mt-2 text-indigo-700 font-semibold hover:underline flex items-center space-x-1">
+                        <UserPlus size={14} /><span>{t('profile.addGuardian')}</span>
+                    </button>
+                )}
+            </div>
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="medicalNotes">{t('profile.field.medicalNotes')}</label>
+                <textarea id="medicalNotes" rows="2" value={formData.medicalNotes} onChange={(e) => setField('medicalNotes', e.target.value)} className={inputClass} placeholder={t('profile.medicalPlaceholder')}></textarea>
+            </div>
+            <div>
+                <label className="block text-gray-700 font-medium mb-1" htmlFor="emergencyNotes">{t('profile.field.emergencyNotes')}</label>
+                <textarea id="emergencyNotes" rows="2" value={formData.emergencyNotes} onChange={(e) => setField('emergencyNotes', e.target.value)} className={inputClass} placeholder={t('profile.emergencyPlaceholder')}></textarea>
+            </div>
         </div>
     );
+};
+
+// Badge colours for change request statuses (labels: 'profile.request.<status>')
+const PROFILE_REQUEST_STATUS = {
+    pending: { className: 'bg-amber-100 text-amber-800' },
+    approved: { className: 'bg-green-100 text-green-800' },
+    rejected: { className: 'bg-red-100 text-red-800' },
+};
+
+// Profile of one roster student. Students open their own at /profile and request changes; teachers
+// open any student from the roster (/students/:studentId), edit the details directly and review requests.
+const StudentProfileView = ({ db, userRole, userId, userProfile, studentRecord, students }) => {
+    const navigate = useNavigate();
+    const { t, formatDate } = useI18n();
+    const { studentId } = useParams();
+    const isTeacher = userRole === 'Teacher';
+    const student = isTeacher ? students.find(s => s.id === studentId) : studentRecord;
+    const [profile, setProfile] = useState(null);
+    const [requests, setRequests] = useState([]);
+    const [formData, setFormData] = useState(null); // The open edit form, or null
+    const [rejectNote, setRejectNote] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        if (!db || !student?.id) return;
+        const unsubscribeProfile = db.subscribeDoc('studentProfiles', student.id, setProfile, (err) => {
+            console.error("Student Profile Snapshot Error:", err);
+        });
+        const unsubscribeRequests = db.subscribe('profileEditRequests', { where: [['studentId', '==', student.id]] }, (fetched) => {
+            setRequests(fetched.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+        }, (err) => {
+            console.error("Profile Requests Snapshot Error:", err);
+        });
+        return () => {
+            unsubscribeProfile();
+            unsubscribeRequests();
+        };
+    }, [db, student?.id]);
+
+    const backButton = (
+        <Button onClick={() => navigate(isTeacher ? '/roster' : '/student')} className="mt-6 w-full" color="secondary">
+            {isTeacher ? t('profile.backToRoster') : t('common.backToDashboard')}
+        </Button>
+    );
+
+    if (!student) {
+        return (
+            <Card title={t('profile.title')} Icon={User} titleColor={COLORS.primaryText} className="max-w-xl">
+                <p className="text-center text-gray-500 py-6">
+                    {isTeacher ? t('profile.notFound') : t('attendance.notLinked')}
+                </p>
+                {backButton}
+            </Card>
+        );
+    }
+
+    const details = getStudentProfileDetails(profile);
+    const pendingRequest = requests.find(r => r.status === 'pending');
+    const author = { uid: userId, name: getAuthorName(userProfile) };
+
+    const openForm = () => {
+        setFormData(getStudentProfileDetails(profile));
+        setMessage(null);
+    };
+
+    // Teachers save the details straight away; students send them for approval
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const { error, details: updated } = validateStudentProfile(formData, { t });
+        if (error) {
+            setMessage(errorMessage(error));
+            return;
+        }
+        if (diffStudentProfile(profile, updated).length === 0) {
+            setMessage(errorMessage(t('profile.noChanges')));
+            return;
+        }
+        setLoading(true);
+        setMessage(null);
+        const now = new Date().toISOString();
+        try {
+            if (isTeacher) {
+                await withRetry(() => db.set('studentProfiles', student.id, { ...updated, studentId: student.id, updatedAt: now, updatedBy: userId }, { merge: true }));
+                setMessage(successMessage(t('profile.updated')));
+            } else {
+                await withRetry(() => db.add('profileEditRequests', {
+                    studentId: student.id,
+                    studentName: student.name,
+                    details: updated,
+                    status: 'pending',
+                    requestedBy: userId,
+                    requestedByName: author.name,
+                    createdAt: now,
+                }));
+                setMessage(successMessage(t('profile.requestSent')));
+            }
+            setFormData(null);
+        } catch (error) {
+            console.error('Error saving student profile: ', error);
+            setMessage(errorMessage(isTeacher ? t('profile.saveFailed') : t('profile.requestFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Approving copies the requested details onto the profile in the same batch
+    const reviewRequest = async (request, approve) => {
+        if (!approve && !rejectNote.trim()) {
+            setMessage(errorMessage(t('profile.rejectNoteNeeded')));
+            return;
+        }
+        setLoading(true);
+        setMessage(null);
+        const now = new Date().toISOString();
+        const review = { status: approve ? 'approved' : 'rejected', reviewedBy: author.uid, reviewedByName: author.name, reviewedAt: now, reviewNote: approve ? '' : rejectNote.trim() };
+        try {
+            const writes = [{ type: 'update', collection: 'profileEditRequests', id: request.id, data: review }];
+            if (approve) {
+                writes.unshift({ type: 'set', collection: 'studentProfiles', id: student.id, data: { ...request.details, studentId: student.id, updatedAt: now, updatedBy: userId }, merge: true });
+            }
+            await withRetry(() => db.commit(writes));
+            setRejectNote('');
+            setMessage(successMessage(approve ? t('profile.approved') : t('profile.rejected')));
+        } catch (error) {
+            console.error('Error reviewing profile request: ', error);
+            setMessage(errorMessage(t('profile.reviewFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
 
     return (
-        <Card title="Event Results" Icon={List} titleColor={COLORS.primaryText} className="max-w-2xl">
-            <div className="max-h-[70vh] overflow-y-auto space-y-4">
-                {sortedScores.length === 0 ? (
-                    <p className="text-center text-gray-500 py-10">No event results have been published yet.</p>
+        <Card title={t('profile.title')} Icon={User} titleColor={COLORS.primaryText} className="max-w-xl">
+            <div className="space-y-4">
+                <div>
+                    <p className="text-2xl font-bold text-rose-600">{student.name}</p>
+                    <p className="text-gray-600">
+                        {t('profile.classLine', { class: `${student.class}-${student.section}`, roll: student.rollNumber })}{student.house ? ` · ${student.house}` : ''}
+                    </p>
+                    {isTeacher && student.email && <p className="text-xs text-gray-500">{t('profile.login', { email: student.email })}</p>}
+                </div>
+
+                {formData ? (
+                    <form onSubmit={handleSubmit} className="p-4 border border-indigo-200 rounded-lg bg-indigo-50 space-y-3">
+                        <h3 className="text-lg font-bold text-indigo-700">{isTeacher ? t('profile.edit') : t('profile.requestChanges')}</h3>
+                        {!isTeacher && <p className="text-xs text-gray-600">{t('profile.requestHint')}</p>}
+                        <StudentProfileForm formData={formData} onChange={setFormData} />
+                        <div className="flex space-x-2">
+                            <Button type="submit" Icon={isTeacher ? Edit2 : Send} className="flex-1 !py-2" disabled={loading}>
+                                {isTeacher ? t('profile.save') : t('profile.sendForApproval')}
+                            </Button>
+                            <Button onClick={() => setFormData(null)} className="!py-2 !bg-gray-500" color="secondary">{t('common.cancel')}</Button>
+                        </div>
+                    </form>
                 ) : (
-                    sortedScores.map(score => <EventResultCard key={score.id} score={score} />)
+                    <div className="text-gray-700 space-y-1">
+                        {STUDENT_PROFILE_FIELDS.map(field => (
+                            <p key={field}><span className="font-semibold text-indigo-700">{t(`profile.field.${field}`)}:</span> <span className="whitespace-pre-line">{formatProfileValue(field, details[field], { t })}</span></p>
+                        ))}
+                        {profile?.updatedAt && <p className="text-xs text-gray-500">{t('profile.lastUpdated', { date: formatDate(profile.updatedAt) })}</p>}
+                        <Button onClick={openForm} Icon={Edit2} className="mt-3 w-full !py-2" disabled={!isTeacher && Boolean(pendingRequest)}>
+                            {isTeacher ? t('profile.edit') : t('profile.requestChanges')}
+                        </Button>
+                    </div>
+                )}
+
+                {message && (
+                    <div className={`p-3 rounded-lg text-sm ${message.success ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                        {message.text}
+                    </div>
+                )}
+
+                {pendingRequest && (
+                    <div className="p-4 border border-amber-200 rounded-lg bg-amber-50 space-y-2 text-sm">
+                        <h3 className="text-lg font-bold text-amber-700">{t('profile.pendingRequest')}</h3>
+                        <p className="text-gray-600">{t('profile.sentBy', { name: pendingRequest.requestedByName, date: formatDate(pendingRequest.createdAt) })}</p>
+                        {diffStudentProfile(profile, pendingRequest.details).map(field => (
+                            <div key={field} className="border-s-4 border-amber-300 ps-2">
+                                <p className="font-semibold text-gray-800">{t(`profile.field.${field}`)}</p>
+                                <p className="text-gray-500 line-through">{formatProfileValue(field, details[field], { t })}</p>
+                                <p className="text-gray-800">{formatProfileValue(field, pendingRequest.details[field], { t })}</p>
+                            </div>
+                        ))}
+                        {isTeacher ? (
+                            <>
+                                <input type="text" value={rejectNote} onChange={(e) => setRejectNote(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg" placeholder={t('profile.rejectNote')} />
+                                <div className="flex space-x-2">
+                                    <Button onClick={() => reviewRequest(pendingRequest, true)} Icon={CheckSquare} className="flex-1 !py-2" disabled={loading}>{t('profile.approve')}</Button>
+                                    <Button onClick={() => reviewRequest(pendingRequest, false)} Icon={XCircle} className="flex-1 !py-2 !bg-red-600" color="secondary" disabled={loading}>{t('profile.reject')}</Button>
+                                </div>
+                            </>
+                        ) : (
+                            <p className="text-amber-700">{t('profile.waitForReview')}</p>
+                        )}
+                    </div>
+                )}
+
+                {requests.some(r => r.status !== 'pending') && (
+                    <div className="text-sm">
+                        <h3 className="text-lg font-bold text-indigo-700 mb-2">{t('profile.history')}</h3>
+                        <div className="max-h-48 overflow-y-auto space-y-2">
+                            {requests.filter(r => r.status !== 'pending').map(request => (
+                                <div key={request.id} className="border-b last:border-b-0 pb-2">
+                                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${PROFILE_REQUEST_STATUS[request.status]?.className || ''}`}>{PROFILE_REQUEST_STATUS[request.status] ? t(`profile.request.${request.status}`) : request.status}</span>
+                                    <span className="text-gray-600"> {formatDate(request.createdAt)} &middot; {t('profile.reviewedBy', { name: request.reviewedByName })}</span>
+                                    {request.reviewNote && <p className="text-gray-700 mt-1">{t('profile.note', { note: request.reviewNote })}</p>}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
                 )}
-            </div>
-            <Button onClick={() => setView('StudentDashboard')} className="mt-6 w-full" color="secondary">
-                Back to Dashboard
-            </Button>
 
-            {selectedScore && <ResultModal score={selectedScore} onClose={() => setSelectedScore(null)} />}
+                <AttendanceSummary db={db} studentRecord={student} />
+            </div>
+            {backButton}
         </Card>
     );
 };
 
-const NoticeBoardView = ({ setView, notices, userRole, db, userId }) => {
-    const [noticeText, setNoticeText] = useState('');
+// --- Administration ---
+
+// Form values for the stored settings (the logo is uploaded separately)
+const getSchoolSettingsFormData = (settings) => ({
+    schoolName: settings.schoolName,
+    motto: settings.motto,
+    primaryColor: settings.primaryColor,
+    secondaryColor: settings.secondaryColor,
+    categories: settings.categories,
+    showSampleEvents: settings.showSampleEvents,
+});
+
+// Branding, theme colours and event categories for the whole school. Changes apply to every
+// signed-in user straight away, as the app listens to settings/school.
+const SchoolSettingsView = ({ db, userId }) => {
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const settings = useSchoolSettings();
+    // null until the admin edits something, so the form follows the live settings until then
+    const [editedForm, setEditedForm] = useState(null);
+    const [newCategory, setNewCategory] = useState('');
     const [loading, setLoading] = useState(false);
-    const [message, setMessage] = useState('');
+    const [uploading, setUploading] = useState(false);
+    const [message, setMessage] = useState(null);
+    const formData = editedForm || getSchoolSettingsFormData(settings);
 
-    const sortedNotices = [...notices].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const setField = (name, value) => setEditedForm({ ...formData, [name]: value });
+    const handleChange = (e) => setField(e.target.name, e.target.value);
 
-    const handleSendNotice = async (e) => {
+    const addCategory = () => {
+        const category = newCategory.trim();
+        if (!category) return;
+        if (formData.categories.some(c => c.toLowerCase() === category.toLowerCase())) {
+            setMessage(errorMessage(t('settings.error.duplicateCategory', { category })));
+            return;
+        }
+        setField('categories', [...formData.categories, category]);
+        setNewCategory('');
+        setMessage(null);
+    };
+
+    const saveSettings = (changes) => db.set('settings', 'school', { ...changes, updatedAt: new Date().toISOString(), updatedBy: userId }, { merge: true });
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
+        setMessage(null);
+        const { error, settings: validated } = validateSchoolSettings(formData, { t });
+        if (error) {
+            setMessage(errorMessage(error));
+            return;
+        }
         setLoading(true);
-        setMessage('');
-
-        if (!noticeText) {
-            setMessage('Notice cannot be empty.');
+        try {
+            await withRetry(() => saveSettings(validated));
+            setEditedForm(null);
+            setMessage(successMessage(t('settings.saved')));
+        } catch (error) {
+            console.error('Error saving school settings: ', error);
+            setMessage(errorMessage(t('settings.saveFailed')));
+        } finally {
             setLoading(false);
-            return;
         }
+    };
 
-        const newNotice = {
-            content: noticeText,
-            createdAt: new Date().toISOString(),
-            createdBy: userId, // In a real app, we'd look up the teacher's name
-        };
+    // The logo is stored as soon as it is uploaded; the previous upload is then removed
+    const handleLogoSelect = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        const error = validateLogo(file, { t });
+        if (error) {
+            setMessage(errorMessage(error));
+            return;
+        }
+        setUploading(true);
+        setMessage(null);
+        try {
+            const { path, url } = await db.files.upload(getLogoPath(db.schoolId, file.name), file);
+            await withRetry(() => saveSettings({ logoUrl: url, logoPath: path }));
+            if (settings.logoPath) db.files.remove(settings.logoPath).catch(err => console.error('Error removing old logo: ', err));
+            setMessage(successMessage(t('settings.logoUploaded')));
+        } catch (error) {
+            console.error('Error uploading logo: ', error);
+            setMessage(errorMessage(t('settings.logoFailed')));
+        } finally {
+            setUploading(false);
+        }
+    };
 
+    const handleDefaultLogo = async () => {
+        setUploading(true);
+        setMessage(null);
         try {
-            await withRetry(() => addDoc(getPublicCollectionRef(db, 'notices'), newNotice));
-            setMessage('Notice sent successfully!');
-            setNoticeText('');
+            await withRetry(() => saveSettings({ logoUrl: null, logoPath: null }));
+            if (settings.logoPath) db.files.remove(settings.logoPath).catch(err => console.error('Error removing old logo: ', err));
+            setMessage(successMessage(t('settings.logoRestored')));
         } catch (error) {
-            console.error('Error sending notice: ', error);
-            setMessage('Failed to send notice. Please try again.');
+            console.error('Error restoring the default logo: ', error);
+            setMessage(errorMessage(t('settings.logoRestoreFailed')));
         } finally {
-            setLoading(false);
+            setUploading(false);
         }
     };
 
     return (
-        <Card title="Notices" Icon={AlertCircle} titleColor={COLORS.primaryText} className="max-w-xl">
-            <div className="flex flex-col space-y-6">
-                {userRole === 'Teacher' && (
-                    <div className="p-4 border border-indigo-200 rounded-lg bg-indigo-50">
-                        <h3 className="text-lg font-bold text-indigo-700 mb-3">Send New Notice</h3>
-                        <form onSubmit={handleSendNotice} className="space-y-3">
-                            <textarea
-                                value={noticeText}
-                                onChange={(e) => setNoticeText(e.target.value)}
-                                rows="3"
-                                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500"
-                                placeholder="Type your announcement here..."
-                            ></textarea>
-                            {message && (
-                                <div className={`p-3 rounded-lg text-sm ${message.includes('success') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                                    {message}
-                                </div>
-                            )}
-                            <Button type="submit" Icon={Send} className="w-full" disabled={loading}>
-                                {loading ? 'Sending...' : 'Send Notice'}
-                            </Button>
-                        </form>
+        <Card title={t('dashboard.settings')} Icon={Settings} titleColor={COLORS.primaryText} className="max-w-2xl">
+            <div className="mb-6 p-4 border border-gray-200 rounded-lg flex items-center gap-4">
+                <LogoDisplay size="medium" />
+                <div className="flex-grow text-sm space-y-2">
+                    <p className="font-semibold text-gray-800">{t('settings.logo')}</p>
+                    <p className="text-xs text-gray-500">{t('settings.logoHint', { size: formatFileSize(LOGO_MAX_BYTES) })}</p>
+                    <div className="flex flex-wrap gap-2">
+                        <label className={`px-3 py-1 rounded text-white text-xs font-semibold cursor-pointer ${COLORS.primary} ${uploading ? 'opacity-50 pointer-events-none' : ''}`}>
+                            <span className="flex items-center space-x-1"><Upload size={14} /><span>{t('settings.uploadLogo')}</span></span>
+                            <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={handleLogoSelect} className="hidden" disabled={uploading} />
+                        </label>
+                        {settings.logoPath && (
+                            <button onClick={handleDefaultLogo} className="px-3 py-1 rounded text-xs font-semibold text-gray-700 border border-gray-300 hover:bg-gray-100" disabled={uploading}>
+                                {t('settings.defaultLogo')}
+                            </button>
+                        )}
                     </div>
-                )}
-
-                <h3 className="text-xl font-bold text-rose-700 border-b pb-2">Recent Announcements</h3>
-                <div className="max-h-60 overflow-y-auto space-y-3">
-                    {sortedNotices.length === 0 ? (
-                        <p className="text-center text-gray-500 py-4">No recent notices.</p>
-                    ) : (
-                        sortedNotices.map((notice, index) => (
-                            <div key={index} className="bg-white p-4 rounded-lg shadow-md border-l-4 border-rose-500">
-                                <p className="text-gray-800">{notice.content}</p>
-                                <div className="text-xs text-gray-500 mt-2 flex justify-between">
-                                    <span>Posted by: {notice.createdBy.substring(0, 8)}...</span>
-                                    <span>{new Date(notice.createdAt).toLocaleDateString()}</span>
-                                </div>
-                            </div>
-                        ))
-                    )}
                 </div>
             </div>
 
-            <Button onClick={() => setView(userRole === 'Teacher' ? 'TeacherDashboard' : 'StudentDashboard')} className="mt-6 w-full !bg-gray-500" color="secondary">
-                Back to Dashboard
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="schoolName">{t('settings.schoolName')}</label>
+                        <input type="text" id="schoolName" name="schoolName" value={formData.schoolName} onChange={handleChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
+                    </div>
+                    <div>
+                        <label className="block text-gray-700 font-medium mb-1" htmlFor="motto">{t('settings.motto')}</label>
+                        <input type="text" id="motto" name="motto" value={formData.motto} onChange={handleChange} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-rose-500 focus:border-rose-500" />
+                    </div>
+                </div>
+
+                <div>
+                    <p className="block text-gray-700 font-medium mb-1">{t('settings.colours')}</p>
+                    <div className="flex flex-wrap items-center gap-4 text-sm">
+                        <label className="flex items-center space-x-2">
+                            <input type="color" name="primaryColor" value={formData.primaryColor} onChange={handleChange} className="h-9 w-12 border border-gray-300 rounded" />
+                            <span>{t('settings.primary')}</span>
+                        </label>
+                        <label className="flex items-center space-x-2">
+                            <input type="color" name="secondaryColor" value={formData.secondaryColor} onChange={handleChange} className="h-9 w-12 border border-gray-300 rounded" />
+                            <span>{t('settings.secondary')}</span>
+                        </label>
+                        {/* Preview of the unsaved colours */}
+                        <span className="flex gap-2 ms-auto" style={getThemeStyle(formData)}>
+                            <span className={`px-3 py-1 rounded text-white font-semibold ${COLORS.primary}`}>{t('settings.primary')}</span>
+                            <span className={`px-3 py-1 rounded text-white font-semibold ${COLORS.secondary}`}>{t('settings.secondary')}</span>
+                        </span>
+                    </div>
+                </div>
+
+                <div>
+                    <p className="block text-gray-700 font-medium mb-1">{t('settings.categories')}</p>
+                    <div className="flex flex-wrap gap-2 mb-2">
+                        {formData.categories.map(category => (
+                            <span key={category} className="flex items-center space-x-1 px-2 py-1 rounded-full border border-gray-300 bg-gray-50 text-sm">
+                                <span className={`inline-block w-2 h-2 rounded-full ${getCategoryColors(category).dot}`}></span>
+                                <span>{getCategoryLabel(t, category)}</span>
+                                <button type="button" onClick={() => setField('categories', formData.categories.filter(c => c !== category))} className="text-gray-500 hover:text-red-600" title={t('settings.removeCategory', { category: getCategoryLabel(t, category) })}>
+                                    <X size={14} />
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+                    <div className="flex gap-2">
+                        <input type="text" value={newCategory} onChange={(e) => setNewCategory(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); addCategory(); } }} maxLength={MAX_CATEGORY_LENGTH} className="flex-grow p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('settings.newCategory')} />
+                        <Button onClick={addCategory} Icon={Plus} className="!py-2 !px-4 !text-sm" color="secondary">{t('settings.add')}</Button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{t('settings.categoriesHint')}</p>
+                </div>
+
+                <label className="flex items-center space-x-2 text-gray-700">
+                    <input type="checkbox" checked={formData.showSampleEvents} onChange={(e) => setField('showSampleEvents', e.target.checked)} />
+                    <span>{t('settings.showSamples')}</span>
+                </label>
+
+                {message && <p className={`text-sm ${message.success ? 'text-green-700' : 'text-red-700'}`}>{message.text}</p>}
+
+                <Button type="submit" Icon={CheckSquare} className="w-full" disabled={loading || !editedForm}>
+                    {loading ? t('common.saving') : t('settings.save')}
+                </Button>
+            </form>
+            <Button onClick={() => navigate('/admin')} className="mt-4 w-full !bg-gray-500" color="secondary">
+                {t('common.backToDashboard')}
             </Button>
         </Card>
     );
 };
 
-const DashboardLink = ({ title, Icon, setView, viewName, color }) => (
-    <div onClick={() => setView(viewName)} className={`flex flex-col items-center justify-center p-6 rounded-xl shadow-lg cursor-pointer transition duration-300 transform hover:scale-[1.02] ${color === 'primary' ? COLORS.primary : COLORS.secondary}`}>
-        <Icon size={36} className="text-white mb-2" />
-        <span className="text-white text-md font-semibold text-center">{title}</span>
-    </div>
-);
+// Roles an administrator can give a new account
+const ACCOUNT_ROLES = ['Teacher', 'Student', 'Parent', 'Admin'];
+const EMPTY_ACCOUNT = { displayName: '', email: '', role: 'Teacher', password: '' };
 
-const TeacherDashboard = ({ setView }) => (
-    <Card title="Teacher Dashboard" Icon={BookOpen} titleColor={COLORS.primaryText} className="max-w-xl">
-        <h3 className="text-xl font-bold text-rose-600 mb-6">Welcome, dear Teacher!</h3>
-        <div className="grid grid-cols-2 gap-6">
-            <DashboardLink title="Event Calendar" Icon={Calendar} setView={setView} viewName="EventCalendar" color="primary" />
-            <DashboardLink title="Add New Event" Icon={Plus} setView={setView} viewName="AddEvent" color="secondary" />
-            <DashboardLink title="Send Notice" Icon={Send} setView={setView} viewName="NoticeBoard" color="primary" />
-            <DashboardLink title="Publish Scores" Icon={CheckSquare} setView={setView} viewName="AddScores" color="secondary" />
-        </div>
-        <Button onClick={() => setView('InitialRoleChoice')} Icon={LogIn} className="mt-8 w-full !bg-gray-500" color="secondary">
-            Log Out
-        </Button>
-    </Card>
-);
+// Creates sign-in accounts with their profiles and membership of the current school, and deactivates or
+// reactivates members. New accounts get a temporary password that must be changed at first login;
+// deactivated members can no longer sign in to this school.
+const AccountsView = ({ db, auth, userId }) => {
+    const navigate = useNavigate();
+    const { t, formatDate } = useI18n();
+    const [accounts, setAccounts] = useState([]);
+    const [formData, setFormData] = useState(EMPTY_ACCOUNT);
+    const [roleFilter, setRoleFilter] = useState('');
+    const [confirmId, setConfirmId] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
 
-const StudentDashboard = ({ setView }) => (
-    <Card title="Student Dashboard" Icon={User} titleColor={COLORS.primaryText} className="max-w-xl">
-        <h3 className="text-xl font-bold text-rose-600 mb-6">Welcome, dear Student!</h3>
-        <div className="grid grid-cols-2 gap-6">
-            <DashboardLink title="Events Calendar" Icon={Calendar} setView={setView} viewName="EventCalendar" color="primary" />
-            <DashboardLink title="View Notices" Icon={Send} setView={setView} viewName="NoticeBoard" color="secondary" />
-            <DashboardLink title="View Results" Icon={List} setView={setView} viewName="ViewResults" color="primary" />
-            <DashboardLink title="Attendance/Profile" Icon={User} setView={setView} viewName="StudentProfile" color="secondary" />
-        </div>
-        <Button onClick={() => setView('InitialRoleChoice')} Icon={LogIn} className="mt-8 w-full !bg-gray-500" color="secondary">
-            Log Out
-        </Button>
-    </Card>
-);
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = db.members.subscribe((fetched) => {
+            setAccounts(fetched);
+        }, (err) => {
+            console.error("Accounts Snapshot Error:", err);
+        });
+        return () => unsubscribe();
+    }, [db]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setMessage(null);
+        const email = formData.email.trim().toLowerCase();
+        const displayName = formData.displayName.trim();
+        if (!displayName || !email || !formData.password) {
+            setMessage(errorMessage(t('eventForm.error.missing')));
+            return;
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            setMessage(errorMessage(t('roster.invalidEmail', { email })));
+            return;
+        }
+        if (formData.password.length < MIN_PASSWORD_LENGTH) {
+            setMessage(errorMessage(t('auth.weakPassword', { min: MIN_PASSWORD_LENGTH })));
+            return;
+        }
+
+        setLoading(true);
+        try {
+            // Not retried: a second attempt would find the sign-in account already created
+            const { uid } = await auth.createAccount(email, formData.password);
+            const createdAt = new Date().toISOString();
+            await withRetry(() => db.commit(db.members.buildCreateWrites(uid,
+                { email, displayName, mustChangePassword: true, createdAt, createdBy: userId },
+                { email, displayName, role: formData.role, disabled: false, createdAt, createdBy: userId })));
+            setMessage(successMessage(t('accounts.created', { email })));
+            setFormData(EMPTY_ACCOUNT);
+        } catch (error) {
+            console.error('Error creating account: ', error);
+            setMessage(errorMessage(error?.code?.startsWith('auth/') ? getAuthErrorMessage(t, error) : t('accounts.createFailed')));
+        } finally {
+            setLoading(false);
+        }
+    };
 
-const StudentProfileView = ({ setView, userId }) => {
-    // Mock Data based on the wireframe
-    const studentData = {
-        id: userId,
-        name: 'Jane Doe (Mock Student)',
-        class: 'XI',
-        section: 'A',
-        address: '123 School Road, City, Zip',
-        phone: '9876543210',
+    const setDisabled = async (account, disabled) => {
+        setConfirmId(null);
+        setMessage(null);
+        try {
+            await withRetry(() => db.update('members', account.id, { disabled, disabledAt: disabled ? new Date().toISOString() : null, disabledBy: disabled ? userId : null }));
+            setMessage(successMessage(t(disabled ? 'accounts.deactivated' : 'accounts.reactivated', { name: account.displayName || account.email })));
+        } catch (error) {
+            console.error('Error updating account: ', error);
+            setMessage(errorMessage(t('accounts.updateFailed')));
+        }
     };
 
+    const listed = accounts
+        .filter(a => !roleFilter || a.role === roleFilter)
+        .sort((a, b) => (a.role || '').localeCompare(b.role || '') || (a.displayName || a.email || '').localeCompare(b.displayName || b.email || ''));
+
     return (
-        <Card title="Student Profile" Icon={User} titleColor={COLORS.primaryText} className="max-w-sm">
-            <div className="space-y-4">
-                <p className="text-2xl font-bold text-rose-600">{studentData.name}</p>
-                <div className="text-gray-700">
-                    <p><span className="font-semibold text-indigo-700">Student ID:</span> {studentData.id.substring(0, 8)}...</p>
-                    <p><span className="font-semibold text-indigo-700">Class:</span> {studentData.class}</p>
-                    <p><span className="font-semibold text-indigo-700">Section:</span> {studentData.section}</p>
-                    <p><span className="font-semibold text-indigo-700">Address:</span> {studentData.address}</p>
-                    <p><span className="font-semibold text-indigo-700">Phone:</span> {studentData.phone}</p>
-                </div>
-                <div className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg text-sm">
-                    <h4 className="font-bold text-indigo-700 mb-1">Note:</h4>
-                    <p>Attendance tracking and detailed profile management would be implemented here in a production version.</p>
+        <Card title={t('dashboard.accounts')} Icon={Users} titleColor={COLORS.primaryText} className="max-w-3xl">
+            <form onSubmit={handleCreate} className="mb-6 p-4 border border-indigo-200 rounded-lg bg-indigo-50 space-y-3">
+                <h3 className="text-lg font-bold text-indigo-700">{t('accounts.create')}</h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input type="text" name="displayName" value={formData.displayName} onChange={handleChange} className="col-span-2 p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('accounts.name')} />
+                    <input type="email" name="email" value={formData.email} onChange={handleChange} className="col-span-2 p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('accounts.email')} autoComplete="off" />
+                    <select name="role" value={formData.role} onChange={handleChange} className="col-span-2 p-2 border border-gray-300 rounded-lg text-sm">
+                        {ACCOUNT_ROLES.map(role => <option key={role} value={role}>{t(`role.${role}`)}</option>)}
+                    </select>
+                    <input type="text" name="password" value={formData.password} onChange={handleChange} className="col-span-2 p-2 border border-gray-300 rounded-lg text-sm" placeholder={t('accounts.password', { min: MIN_PASSWORD_LENGTH })} autoComplete="off" />
                 </div>
+                <p className="text-xs text-gray-600">{t('accounts.hint')}</p>
+                <Button type="submit" Icon={UserPlus} className="w-full !py-2" disabled={loading}>
+                    {loading ? t('accounts.creating') : t('accounts.submit')}
+                </Button>
+            </form>
+
+            {message && <p className={`mb-4 text-sm ${message.success ? 'text-green-700' : 'text-red-700'}`}>{message.text}</p>}
+
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="text-lg font-bold text-indigo-700">{t('accounts.all', { count: listed.length })}</h3>
+                <select value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)} className="p-1 border border-gray-300 rounded text-sm">
+                    <option value="">{t('accounts.allRoles')}</option>
+                    {ACCOUNT_ROLES.map(role => <option key={role} value={role}>{t(`role.${role}`)}</option>)}
+                </select>
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+                {listed.map(account => (
+                    <div key={account.id} className={`grid grid-cols-6 gap-2 items-center border-b last:border-b-0 py-2 text-sm ${account.disabled ? 'text-gray-400' : ''}`}>
+                        <div className="col-span-2">
+                            <p className="font-medium">{account.displayName || '-'}</p>
+                            <p className="text-xs text-gray-500 truncate">{account.email}</p>
+                        </div>
+                        <div>{ACCOUNT_ROLES.includes(account.role) ? t(`role.${account.role}`) : account.role}</div>
+                        <div className="text-xs">
+                            {account.disabled ? (account.disabledAt ? t('accounts.deactivatedOn', { date: formatDate(account.disabledAt) }) : t('accounts.inactive')) : t('accounts.active')}
+                        </div>
+                        <div className="col-span-2 text-end text-xs">
+                            {account.id === userId ? (
+                                <span className="text-gray-500">{t('accounts.you')}</span>
+                            ) : confirmId === account.id ? (
+                                <span className="space-x-3">
+                                    <span className="text-gray-700">{t('accounts.confirmDeactivate')}</span>
+                                    <button onClick={() => setDisabled(account, true)} className="text-red-600 hover:text-red-800 font-semibold">{t('accounts.deactivate')}</button>
+                                    <button onClick={() => setConfirmId(null)} className="text-gray-600 hover:text-gray-800 font-semibold">{t('accounts.keep')}</button>
+                                </span>
+                            ) : account.disabled ? (
+                                <button onClick={() => setDisabled(account, false)} className="inline-flex items-center space-x-1 text-green-700 hover:text-green-900 font-semibold">
+                                    <UserCheck size={14} /><span>{t('accounts.reactivate')}</span>
+                                </button>
+                            ) : (
+                                <button onClick={() => setConfirmId(account.id)} className="inline-flex items-center space-x-1 text-red-600 hover:text-red-800 font-semibold">
+                                    <UserX size={14} /><span>{t('accounts.deactivate')}</span>
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                ))}
             </div>
-            <Button onClick={() => setView('StudentDashboard')} className="mt-6 w-full" color="secondary">
-                Back to Dashboard
+            <Button onClick={() => navigate('/admin')} className="mt-6 w-full !bg-gray-500" color="secondary">
+                {t('common.backToDashboard')}
             </Button>
         </Card>
     );
 };
 
-
 // --- Main App Component ---
 
 const App = () => {
-    // Firebase State
+    const { t } = useI18n();
+    // Backend State: `db` is the current school's data store and `auth` the sign-in service (see the Data Layer section)
     const [auth, setAuth] = useState(null);
-    const [db, setDb] = useState(null);
+    const [backend, setBackend] = useState(null);
+    const [schoolId, setSchoolId] = useState(getRememberedSchoolId);
+    const db = useMemo(() => (backend ? createDataStore(backend, schoolId) : null), [backend, schoolId]);
     const [isAuthReady, setIsAuthReady] = useState(false);
 
     // App State
-    const [userRole, setUserRole] = useState(null); // 'Teacher', 'Student', or null
-    const [targetRole, setTargetRole] = useState(null); // Role selected before logging in
+    // The current screen is driven by the URL (see the <Routes> below)
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [userRole, setUserRole] = useState(null); // 'Teacher', 'Student', 'Parent', 'Admin', or null
     const [userId, setUserId] = useState(null);
-    const [view, setView] = useState('InitialRoleChoice'); // Controls the current screen
-    const [selectedEvent, setSelectedEvent] = useState(null); // Used to pass data to EventDetails
+    const [userProfile, setUserProfile] = useState(null); // Profile from the 'users' collection, with the role in the current school
+    const [schools, setSchools] = useState([]); // The signed-in user's schools, for the school switcher
 
-    // Data State (Fetched from Firestore)
-    const [events, setEvents] = useState(MOCK_EVENTS);
+    // Data State (Fetched from the data store)
+    const [schoolSettings, setSchoolSettings] = useState(DEFAULT_SCHOOL_SETTINGS);
+    const [storedEvents, setStoredEvents] = useState([]);
     const [notices, setNotices] = useState([]);
     const [scores, setScores] = useState([]);
-    const [error, setError] = useState(null);
+    const [students, setStudents] = useState([]); // Class roster, loaded for teachers only
+    const [studentRecord, setStudentRecord] = useState(null); // Roster entry linked to a signed-in student
+    const [children, setChildren] = useState([]); // Roster entries linked to a signed-in parent
+    const [registrations, setRegistrations] = useState([]); // All registrations (teachers), the student's own or the children's
+    const [error, setError] = useState(null); // Translation key of a fatal loading error
+    const outbox = useOutbox(db, userId); // Queued writes waiting to reach the server
+    // Sample events are shown alongside the stored ones unless the school has switched them off
+    const events = useMemo(() => (schoolSettings.showSampleEvents
+        ? [...MOCK_EVENTS.filter(m => !storedEvents.some(f => f.title === m.title)), ...storedEvents]
+        : storedEvents), [schoolSettings.showSampleEvents, storedEvents]);
+    const notifications = useNotifications(db, userRole ? userId : null, { notices, scores, events });
+    // Recurring series expanded into their occurrences, for every view that lists or schedules events
+    const displayEvents = useMemo(() => expandRecurringEvents(events), [events]);
 
-    // 1. Firebase Initialization and Authentication
+    // 1. Backend Initialization and Authentication
     useEffect(() => {
         try {
-            const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
-            const authentication = getAuth(app);
-            setDb(firestore);
-            setAuth(authentication);
+            const { backend: backendStore, authService } = createBackend();
+            setBackend(backendStore);
+            setAuth(authService);
 
             // Log levels for debugging firestore issues
             // import { setLogLevel } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
             // setLogLevel('Debug');
 
-            // Sign in with custom token or anonymously
-            onAuthStateChanged(authentication, async (user) => {
-                if (user) {
+            // Restore an existing session (e.g. after a page refresh) or sign in with the custom token.
+            // Regular users sign in with email and password from LoginView.
+            let isInitialCheck = true;
+            authService.onChange(async (user) => {
+                if (user && !user.isAnonymous) {
                     setUserId(user.uid);
-                } else if (initialAuthToken) {
-                    await signInWithCustomToken(authentication, initialAuthToken);
+                    if (isInitialCheck) {
+                        try {
+                            const profile = await fetchUserProfile(createDataStore(backendStore, getRememberedSchoolId()), user.uid);
+                            if (profile?.role && !profile.disabled) {
+                                applyProfile(user.uid, profile);
+                            } else {
+                                await authService.signOut();
+                            }
+                        } catch (err) {
+                            console.error("Profile Restore Error:", err);
+                        }
+                    }
                 } else {
-                    await signInAnonymously(authentication);
+                    setUserId(null);
+                    if (isInitialCheck && initialAuthToken) {
+                        try {
+                            await authService.signInWithToken(initialAuthToken);
+                            return; // The listener fires again with the signed-in user
+                        } catch (err) {
+                            console.error("Custom Token Sign-in Error:", err);
+                        }
+                    }
                 }
+                isInitialCheck = false;
                 setIsAuthReady(true);
             });
         } catch (e) {
-            console.error("Firebase Initialization Error:", e);
-            setError("Failed to initialize Firebase services.");
+            console.error("Backend Initialization Error:", e);
+            setError('app.error.init');
         }
     }, []);
 
+    // --- School Settings Listener ---
+    // Readable without signing in, so the login screens are branded too. Switching school re-subscribes.
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribeSettings = db.subscribeDoc('settings', 'school', (stored) => {
+            setSchoolSettings(normaliseSchoolSettings(stored));
+        }, (err) => {
+            console.error("School Settings Snapshot Error:", err);
+        });
+        return () => unsubscribeSettings();
+    }, [db]);
+
+    useEffect(() => {
+        document.title = schoolSettings.schoolName;
+    }, [schoolSettings.schoolName]);
+
     // 2. Data Fetching (Listeners)
     useEffect(() => {
-        if (!db || !isAuthReady) return;
+        if (!db || !isAuthReady || !userId) return;
         setError(null);
 
         // --- Events Listener ---
-        const qEvents = query(getPublicCollectionRef(db, 'events'), orderBy('date', 'desc'));
-        const unsubscribeEvents = onSnapshot(qEvents, (snapshot) => {
-            const fetchedEvents = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            // Merge mock events with fetched events to ensure the UI has initial data
-            const mergedEvents = [...MOCK_EVENTS.filter(m => !fetchedEvents.some(f => f.title === m.title)), ...fetchedEvents];
-            setEvents(mergedEvents);
+        const unsubscribeEvents = db.events.subscribe((fetchedEvents) => {
+            setStoredEvents(fetchedEvents);
         }, (err) => {
             console.error("Events Snapshot Error:", err);
-            setError("Could not load events.");
-        });
-
-        // --- Notices Listener ---
-        const qNotices = query(getPublicCollectionRef(db, 'notices'), orderBy('createdAt', 'desc'));
-        const unsubscribeNotices = onSnapshot(qNotices, (snapshot) => {
-            const fetchedNotices = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setNotices(fetchedNotices);
-        }, (err) => {
-            console.error("Notices Snapshot Error:", err);
-            setError("Could not load notices.");
+            setError('app.error.events');
         });
 
         // --- Scores Listener ---
-        const qScores = query(getPublicCollectionRef(db, 'scores'));
-        const unsubscribeScores = onSnapshot(qScores, (snapshot) => {
-            const fetchedScores = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const unsubscribeScores = db.scores.subscribe((fetchedScores) => {
             setScores(fetchedScores);
         }, (err) => {
             console.error("Scores Snapshot Error:", err);
-            setError("Could not load scores.");
+            setError('app.error.scores');
         });
 
         return () => {
             unsubscribeEvents();
-            unsubscribeNotices();
             unsubscribeScores();
         };
-    }, [db, isAuthReady]);
+    }, [db, isAuthReady, userId]);
+
+    // --- Notices Listener ---
+    // Teachers see every notice; students only those addressed to everyone, to all students,
+    // or to their own class/section, and parents those for everyone, for parents, or for one of
+    // their children's classes (sorted client-side, as 'array-contains-any' cannot be
+    // combined with orderBy on another field without a composite index)
+    // The audience only changes when the keys do, so a new roster snapshot does not re-subscribe
+    const audienceKeys = (userRole === 'Parent' ? getParentAudienceKeys(children) : getStudentAudienceKeys(studentRecord)).join('|');
+    const noticeAudience = useMemo(() => {
+        if (userRole === 'Teacher') return null;
+        return { keys: audienceKeys.split('|'), types: userRole === 'Parent' ? PARENT_NOTICE_AUDIENCES : STUDENT_NOTICE_AUDIENCES, userId };
+    }, [userRole, audienceKeys, userId]);
+
+    useEffect(() => {
+        // Administrators manage the school's settings and accounts, not its notices
+        if (!db || !userId || !userRole || userRole === 'Admin') {
+            setNotices([]);
+            return;
+        }
+        const unsubscribeNotices = db.notices.subscribe(noticeAudience, (fetchedNotices) => {
+            setNotices(fetchedNotices);
+        }, (err) => {
+            console.error("Notices Snapshot Error:", err);
+            setError('app.error.notices');
+        });
+
+        return () => unsubscribeNotices();
+    }, [db, userId, userRole, noticeAudience]);
+
+    // 3. Teacher-only Listeners
+    useEffect(() => {
+        if (!db || userRole !== 'Teacher') {
+            setStudents([]);
+            if (!['Student', 'Parent'].includes(userRole)) setRegistrations([]);
+            return;
+        }
+
+        // --- Students (Roster) Listener ---
+        const unsubscribeStudents = db.subscribe('students', {}, (fetched) => {
+            setStudents(fetched);
+        }, (err) => {
+            console.error("Students Snapshot Error:", err);
+            setError('app.error.roster');
+        });
+
+        // --- Event Registrations Listener ---
+        const unsubscribeRegistrations = db.subscribe('registrations', {}, (fetched) => {
+            setRegistrations(fetched);
+        }, (err) => {
+            console.error("Registrations Snapshot Error:", err);
+            setError('app.error.registrations');
+        });
+
+        return () => {
+            unsubscribeStudents();
+            unsubscribeRegistrations();
+        };
+    }, [db, userRole]);
+
+    // 4. Student-only Listeners
+    useEffect(() => {
+        if (!db || userRole !== 'Student' || !userProfile?.email) {
+            setStudentRecord(null);
+            return;
+        }
+
+        // --- Linked Roster Entry Listener (matched on the login email) ---
+        const qRecord = { where: [['email', '==', userProfile.email.toLowerCase()]] };
+        const unsubscribeRecord = db.subscribe('students', qRecord, (fetched) => {
+            const record = fetched.find(s => !s.archived);
+            setStudentRecord(record || null);
+        }, (err) => {
+            console.error("Student Record Snapshot Error:", err);
+        });
+
+        return () => unsubscribeRecord();
+    }, [db, userRole, userProfile?.email]);
+
+    useEffect(() => {
+        if (!db || userRole !== 'Student' || !studentRecord) {
+            if (userRole === 'Student') setRegistrations([]);
+            return;
+        }
+
+        // --- Own Registrations Listener ---
+        const qRegistrations = { where: [['studentId', '==', studentRecord.id]] };
+        const unsubscribeRegistrations = db.subscribe('registrations', qRegistrations, (fetched) => {
+            setRegistrations(fetched);
+        }, (err) => {
+            console.error("Registrations Snapshot Error:", err);
+        });
+
+        return () => unsubscribeRegistrations();
+    }, [db, userRole, studentRecord]);
+
+    // 5. Parent-only Listeners
+    useEffect(() => {
+        if (!db || userRole !== 'Parent' || !userProfile?.email) {
+            setChildren([]);
+            return;
+        }
+
+        // --- Linked Children Listener (matched on the guardian emails) ---
+        const qChildren = { where: [['guardianEmails', 'array-contains', userProfile.email.toLowerCase()]] };
+        const unsubscribeChildren = db.subscribe('students', qChildren, (fetched) => {
+            setChildren(fetched.filter(s => !s.archived).sort(compareStudents));
+        }, (err) => {
+            console.error("Children Snapshot Error:", err);
+        });
+
+        return () => unsubscribeChildren();
+    }, [db, userRole, userProfile?.email]);
+
+    const childIds = children.map(c => c.id).join(',');
+    useEffect(() => {
+        if (!db || userRole !== 'Parent' || !childIds) {
+            if (userRole === 'Parent') setRegistrations([]);
+            return;
+        }
+
+        // --- Children's Registrations Listener ---
+        const qRegistrations = { where: [['studentId', 'in', childIds.split(',')]] };
+        const unsubscribeRegistrations = db.subscribe('registrations', qRegistrations, (fetched) => {
+            setRegistrations(fetched);
+        }, (err) => {
+            console.error("Registrations Snapshot Error:", err);
+        });
+
+        return () => unsubscribeRegistrations();
+    }, [db, userRole, childIds]);
+
+    // Names of the signed-in user's schools, for the school switcher
+    const schoolIdsKey = (userProfile?.schoolIds || []).join(',');
+    useEffect(() => {
+        if (!db || !userId || schoolIdsKey.split(',').length < 2) {
+            setSchools([]);
+            return;
+        }
+        let cancelled = false;
+        Promise.all(schoolIdsKey.split(',').map(async (id) => ({ id, ...(await db.get('schools', id)) })))
+            .then((fetched) => {
+                if (!cancelled) setSchools(fetched);
+            })
+            .catch((err) => console.error("Schools Fetch Error:", err));
+        return () => {
+            cancelled = true;
+        };
+    }, [db, userId, schoolIdsKey]);
+
+    // Opening a section (or receiving something new while on it) marks its notifications as seen
+    const currentSection = getNotificationSection(location.pathname);
+    const currentSectionUnread = currentSection ? notifications.unreadCounts[currentSection] : 0;
+    const { markSectionSeen } = notifications;
+    useEffect(() => {
+        if (currentSection && currentSectionUnread > 0) markSectionSeen(currentSection);
+    }, [currentSection, currentSectionUnread, markSectionSeen]);
 
-    // Role Selection Handler (from InitialRoleChoiceView)
+    // Role Selection Handler (from InitialRoleChoiceView); keeps the deep link the user was headed to
     const handleRoleSelect = (role) => {
-        setTargetRole(role);
-        setView('Login');
+        navigate(`/login/${role.toLowerCase()}`, { state: location.state });
+    };
+
+    // Applies a stored profile after login or when a session is restored (e.g. after a page refresh).
+    // The profile's school becomes the current one, so its data and settings load automatically.
+    const applyProfile = (uid, profile) => {
+        setUserId(uid);
+        setUserProfile(profile);
+        setUserRole(profile.role);
+        setSchoolId(profile.schoolId);
+        rememberSchoolId(profile.schoolId);
+    };
+
+    // School Switcher Handler: the role comes from the membership of the other school.
+    // Resolves to false if the user cannot use that school.
+    const handleSchoolSwitch = async (nextSchoolId) => {
+        try {
+            const profile = await fetchUserProfile(db.forSchool(nextSchoolId), userId);
+            if (profile?.schoolId !== nextSchoolId || !profile.role || profile.disabled) return false;
+            applyProfile(userId, profile);
+            navigate(getHomePath(profile.role));
+            return true;
+        } catch (err) {
+            console.error("School Switch Error:", err);
+            return false;
+        }
+    };
+
+    // Login Handler (from LoginView): continue to the page that required login, or the dashboard
+    const handleLogin = (uid, profile, from) => {
+        applyProfile(uid, profile);
+        if (profile.mustChangePassword) {
+            navigate('/change-password', { replace: true });
+        } else {
+            navigate(from ? `${from.pathname}${from.search || ''}` : getHomePath(profile.role), { replace: true });
+        }
+    };
+
+    // Called by ChangePasswordView once the first-login password has been replaced
+    const handlePasswordChanged = () => {
+        setUserProfile(prev => ({ ...prev, mustChangePassword: false }));
+        navigate(getHomePath(userRole), { replace: true });
     };
 
-    // Login Handler (from LoginView)
-    const handleLogin = (role) => {
-        setUserRole(role);
-        setTargetRole(null); // Clear target role after successful login
-        setView(role === 'Teacher' ? 'TeacherDashboard' : 'StudentDashboard');
+    const handleLogout = async () => {
+        try {
+            if (auth) await auth.signOut();
+        } catch (err) {
+            console.error("Sign-out Error:", err);
+        }
+        setUserRole(null);
+        setUserProfile(null);
+        setUserId(null);
+        navigate('/');
     };
 
-    // Conditional Rendering based on view state
+    // Wraps a route element in the role guard
+    const guard = (element, roles) => (
+        <RequireRole userRole={userRole} userProfile={userProfile} roles={roles}>{element}</RequireRole>
+    );
+
+    // Conditional Rendering based on the current route
     const renderView = () => {
         if (error) {
             return (
                 <div className="flex items-center justify-center min-h-screen p-4 bg-red-100 text-red-700">
-                    <p className="text-xl font-semibold">{error}</p>
+                    <p className="text-xl font-semibold">{t(error)}</p>
                 </div>
             );
         }
@@ -909,93 +8275,117 @@ const App = () => {
                 <div className="flex items-center justify-center min-h-screen p-4">
                     <div className="text-center">
                         <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-indigo-700 mx-auto mb-4"></div>
-                        <p className="text-gray-600">Loading SchoolLink...</p>
+                        <p className="text-gray-600">{t('app.loading')}</p>
                     </div>
                 </div>
             );
         }
 
-        switch (view) {
-            case 'InitialRoleChoice':
-                return <InitialRoleChoiceView onSelectRole={handleRoleSelect} />;
-            case 'Login':
-                return <LoginView setView={setView} targetRole={targetRole} onLogin={handleLogin} />;
-            case 'TeacherDashboard':
-                return <TeacherDashboard setView={setView} />;
-            case 'StudentDashboard':
-                return <StudentDashboard setView={setView} />;
-            case 'EventCalendar':
-                return <EventCalendarView events={events} setView={setView} setSelectedEvent={setSelectedEvent} userRole={userRole} />;
-            case 'EventDetails':
-                // selectedEvent is either an array of events (from calendar) or null (default)
-                return <EventDetailsView events={selectedEvent || events} setView={setView} userRole={userRole} setSelectedEvent={setSelectedEvent} />;
-            case 'AddEvent':
-                if (userRole === 'Teacher' && db) return <AddEventView setView={setView} db={db} userRole={userRole} />;
-                return <p>Access Denied</p>;
-            case 'AddScores':
-                if (userRole === 'Teacher' && db) return <AddScoresView setView={setView} db={db} events={events} userId={userId} />;
-                return <p>Access Denied</p>;
-            case 'ViewResults':
-                return <ViewResultsView setView={setView} userRole={userRole} scores={scores} events={events} />;
-            case 'NoticeBoard':
-                if (db) return <NoticeBoardView setView={setView} notices={notices} userRole={userRole} db={db} userId={userId} />;
-                return <p>Loading Notices...</p>;
-            case 'StudentProfile':
-                return <StudentProfileView setView={setView} userId={userId} />;
-            default:
-                return <InitialRoleChoiceView onSelectRole={handleRoleSelect} />;
-        }
-    };
-
-    return (
-        <div className="min-h-screen bg-gray-50 flex flex-col font-inter">
-            <style>{`
-                /* Font Inter is assumed to be available */
-                .font-inter { font-family: 'Inter', sans-serif; }
-                .main-container {
-                    min-height: 100vh;
-                    padding-top: ${userRole ? '5rem' : '0'}; /* Space for fixed header only when logged in */
-                    padding-bottom: 2rem;
-                    background-color: #f0f2f5;
-                }
-                /* Custom scrollbar for better look */
-                .max-h-\[70vh\]::-webkit-scrollbar,
-                .max-h-60::-webkit-scrollbar,
-                .max-h-96::-webkit-scrollbar {
-                    width: 6px;
-                }
-                .max-h-\[70vh\]::-webkit-scrollbar-thumb,
-                .max-h-60::-webkit-scrollbar-thumb,
-                .max-h-96::-webkit-scrollbar-thumb {
-                    background-color: #9333ea; /* A shade of purple */
-                    border-radius: 3px;
-                }
-            `}</style>
-
-            {/* Fixed Header */}
-            {userRole && (
-                <header className={`fixed top-0 left-0 right-0 ${COLORS.primary} p-4 shadow-lg z-10`}>
-                    <div className="max-w-7xl mx-auto flex justify-between items-center">
-                         <div className="flex items-center space-x-3">
-                            <LogoDisplay size="small" />
-                            <h1 className="text-2xl font-bold text-white">SchoolLink</h1>
-                        </div>
-                        <div className="flex items-center space-x-4 text-white">
-                            <span className="text-sm">User: {userRole} ({userId?.substring(0, 8)}...)</span>
-                            <button onClick={() => { setUserRole(null); setView('InitialRoleChoice'); }} className="p-2 rounded-full hover:bg-indigo-600 transition">
-                                <LogIn size={20} />
-                            </button>
+        const home = <Navigate to={getHomePath(userRole)} replace />;
+
+        return (
+            <Routes>
+                <Route path="/" element={userRole ? home : <InitialRoleChoiceView onSelectRole={handleRoleSelect} />} />
+                <Route path="/login/:role" element={userRole ? home : <LoginView onLogin={handleLogin} auth={auth} db={db} />} />
+                <Route path="/reset-password" element={<PasswordResetView auth={auth} />} />
+                <Route path="/change-password" element={userRole ? <ChangePasswordView auth={auth} db={db} userId={userId} onPasswordChanged={handlePasswordChanged} onLogout={handleLogout} /> : <Navigate to="/" replace />} />
+
+                <Route path="/teacher" element={guard(<TeacherDashboard onLogout={handleLogout} unreadCounts={notifications.unreadCounts} />, ['Teacher'])} />
+                <Route path="/student" element={guard(<StudentDashboard onLogout={handleLogout} unreadCounts={notifications.unreadCounts} />, ['Student'])} />
+                <Route path="/admin" element={guard(<AdminDashboard onLogout={handleLogout} unreadCounts={notifications.unreadCounts} />, ['Admin'])} />
+                <Route path="/admin/settings" element={guard(<SchoolSettingsView db={db} userId={userId} />, ['Admin'])} />
+                <Route path="/admin/accounts" element={guard(<AccountsView db={db} auth={auth} userId={userId} />, ['Admin'])} />
+                <Route path="/parent" element={guard(<ParentDashboard db={db} onLogout={handleLogout} unreadCounts={notifications.unreadCounts} userId={userId} userProfile={userProfile} linkedChildren={children} registrations={registrations} scores={scores} events={displayEvents} />, ['Parent'])} />
+
+                <Route path="/calendar" element={guard(<Navigate to={getCalendarPath(new Date())} replace />)} />
+                <Route path="/calendar/:year/:month" element={guard(<EventCalendarView events={displayEvents} userRole={userRole} />)} />
+                <Route path="/calendar/:year/:month/:day" element={guard(<EventCalendarView events={displayEvents} userRole={userRole} />)} />
+
+                <Route path="/events" element={guard(<EventDetailsView events={displayEvents} userRole={userRole} db={db} registrations={registrations} studentRecord={studentRecord} userId={userId} />)} />
+                <Route path="/events/import" element={guard(<ImportEventsView db={db} events={displayEvents} userRole={userRole} userId={userId} userProfile={userProfile} />, ['Teacher'])} />
+                <Route path="/events/new" element={guard(<AddEventView db={db} events={displayEvents} students={students} userRole={userRole} userId={userId} userProfile={userProfile} enqueueWrite={outbox.enqueue} />, ['Teacher'])} />
+                <Route path="/events/:id/edit" element={guard(<EditEventView db={db} events={events} students={students} userId={userId} userProfile={userProfile} />, ['Teacher'])} />
+                <Route path="/events/:id" element={guard(<EventDetailsView events={displayEvents} userRole={userRole} db={db} registrations={registrations} studentRecord={studentRecord} userId={userId} />)} />
+                <Route path="/events/:id/participants" element={guard(<ParticipantsView db={db} events={displayEvents} registrations={registrations} />, ['Teacher'])} />
+
+                <Route path="/scores/new" element={guard(<AddScoresView db={db} events={displayEvents} userId={userId} students={students} registrations={registrations} enqueueWrite={outbox.enqueue} />, ['Teacher'])} />
+                <Route path="/results" element={guard(<ViewResultsView userRole={userRole} scores={scores} events={displayEvents} />)} />
+                <Route path="/results/:scoreId" element={guard(<ViewResultsView userRole={userRole} scores={scores} events={displayEvents} />)} />
+                <Route path="/leaderboard" element={guard(<LeaderboardView db={db} userRole={userRole} userId={userId} scores={scores} events={displayEvents} />)} />
+
+                <Route path="/notices" element={guard(<NoticeBoardView notices={notices} userRole={userRole} db={db} userId={userId} userProfile={userProfile} students={students} studentRecord={studentRecord} enqueueWrite={outbox.enqueue} />)} />
+                <Route path="/roster" element={guard(<RosterView db={db} students={students} />, ['Teacher'])} />
+                <Route path="/attendance" element={guard(<AttendanceRegisterView db={db} students={students} userId={userId} />, ['Teacher'])} />
+                <Route path="/profile" element={guard(<StudentProfileView db={db} userRole={userRole} userId={userId} userProfile={userProfile} studentRecord={studentRecord} students={students} />, ['Student'])} />
+                <Route path="/students/:studentId" element={guard(<StudentProfileView db={db} userRole={userRole} userId={userId} userProfile={userProfile} studentRecord={studentRecord} students={students} />, ['Teacher'])} />
+
+                <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+        );
+    };
+
+    return (
+        <SchoolSettingsContext.Provider value={schoolSettings}>
+            <div className="min-h-screen bg-gray-50 flex flex-col font-inter" style={getThemeStyle(schoolSettings)}>
+                <style>{`
+                    /* Font Inter is assumed to be available */
+                    .font-inter { font-family: 'Inter', sans-serif; }
+                    .main-container {
+                        min-height: 100vh;
+                        padding-top: ${userRole ? '5rem' : '0'}; /* Space for fixed header only when logged in */
+                        padding-bottom: 2rem;
+                        background-color: #f0f2f5;
+                    }
+                    /* Custom scrollbar for better look */
+                    .max-h-\[70vh\]::-webkit-scrollbar,
+                    .max-h-60::-webkit-scrollbar,
+                    .max-h-96::-webkit-scrollbar {
+                        width: 6px;
+                    }
+                    .max-h-\[70vh\]::-webkit-scrollbar-thumb,
+                    .max-h-60::-webkit-scrollbar-thumb,
+                    .max-h-96::-webkit-scrollbar-thumb {
+                        background-color: #9333ea; /* A shade of purple */
+                        border-radius: 3px;
+                    }
+                    /* Right-to-left languages: flip the horizontal spacing utilities */
+                    [dir="rtl"] [class*="space-x-"] > :not([hidden]) ~ :not([hidden]) {
+                        --tw-space-x-reverse: 1;
+                    }
+                `}</style>
+
+                {/* Fixed Header */}
+                {userRole && (
+                    <header className={`fixed top-0 left-0 right-0 ${COLORS.primary} p-4 shadow-lg z-10`}>
+                        <div className="max-w-7xl mx-auto flex justify-between items-center">
+                             <div className="flex items-center space-x-3">
+                                <LogoDisplay size="small" />
+                                <h1 className="text-2xl font-bold text-white">{schoolSettings.schoolName}</h1>
+                            </div>
+                            <div className="flex items-center space-x-4 text-white">
+                                <SchoolSwitcher schools={schools} schoolId={schoolId} onSwitch={handleSchoolSwitch} />
+                                <NotificationBell notifications={notifications} />
+                                <SyncIndicator outbox={outbox} />
+                                <LanguageSwitcher />
+                                <span className="text-sm">{t('header.user', { name: userProfile?.displayName || userProfile?.email, role: t(`role.${userRole}`) })}</span>
+                                <button onClick={handleLogout} className="p-2 rounded-full hover:bg-indigo-600 transition">
+                                    <LogIn size={20} />
+                                </button>
+                            </div>
                         </div>
-                    </div>
-                </header>
-            )}
+                    </header>
+                )}
 
-            {/* Main Content Area */}
-            <main className="flex-grow flex items-center justify-center p-4 pt-20 main-container">
-                {renderView()}
-            </main>
-        </div>
+                {/* Main Content Area */}
+                <main className="flex-grow flex items-center justify-center p-4 pt-20 main-container">
+                    {renderView()}
+                </main>
+            </div>
+        </SchoolSettingsContext.Provider>
     );
 };
 
+export { I18nProvider };
+// Pure helpers, exported for the unit tests (npm test)
+export { computeRanks, toCSVField, buildCSV, expandRecurringEvents, buildICS, parseICS };
 export default App;
@@ -0,0 +1,35 @@
+// Unit tests for the results CSV export. Run with `npm test`.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCSV, toCSVField } from './App.jsx';
+
+describe('toCSVField', () => {
+    test('plain text and numbers are left as they are', () => {
+        assert.equal(toCSVField('Asha Rao'), 'Asha Rao');
+        assert.equal(toCSVField(12.5), '12.5');
+        assert.equal(toCSVField(0), '0');
+        assert.equal(toCSVField(null), '');
+        assert.equal(toCSVField(undefined), '');
+    });
+
+    test('fields with commas, quotes or line breaks are quoted, with quotes doubled', () => {
+        assert.equal(toCSVField('Rao, Asha'), '"Rao, Asha"');
+        assert.equal(toCSVField('The "Eagles"'), '"The ""Eagles"""');
+        assert.equal(toCSVField('Line one\nLine two'), '"Line one\nLine two"');
+    });
+
+    test('text a spreadsheet would run as a formula is prefixed with an apostrophe', () => {
+        assert.equal(toCSVField('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+        assert.equal(toCSVField('+44 20 7946 0000'), "'+44 20 7946 0000");
+        assert.equal(toCSVField('-5'), "'-5");
+        assert.equal(toCSVField('@home'), "'@home");
+        assert.equal(toCSVField('=HYPERLINK("x","y")'), `"'=HYPERLINK(""x"",""y"")"`);
+    });
+});
+
+describe('buildCSV', () => {
+    test('rows are joined with CRLF after a UTF-8 byte order mark', () => {
+        const csv = buildCSV([['Rank', 'Student'], ['1st', 'Rao, Asha'], ['2nd', 'سارة']]);
+        assert.equal(csv, '\uFEFFRank,Student\r\n1st,"Rao, Asha"\r\n2nd,سارة\r\n');
+    });
+});
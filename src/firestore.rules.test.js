@@ -0,0 +1,511 @@
+// Security rules tests. Run against the Firestore emulator with `npm run test:rules`.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, collection, query, where, getDocs, orderBy, writeBatch } from 'firebase/firestore';
+
+const APP_ID = 'schoollink-app';
+const DATA = `artifacts/${APP_ID}/public/data`;
+// The school most tests run in; OTHER_SCHOOL checks that its data stays separate
+const SCHOOL = 'north';
+const OTHER_SCHOOL = 'south';
+
+const TEACHER = { uid: 'teacher-1', email: 'teacher@school.test' };
+const STUDENT = { uid: 'student-1', email: 'asha@school.test' };
+const OTHER_STUDENT = { uid: 'student-2', email: 'ben@school.test' };
+const PARENT = { uid: 'parent-1', email: 'asha.parent@school.test' };
+const ADMIN = { uid: 'admin-1', email: 'office@school.test' };
+
+let testEnv;
+
+// Firestore handle for a signed-in user, or an unauthenticated one when no user is given
+const dbFor = (user) => (user
+    ? testEnv.authenticatedContext(user.uid, { email: user.email }).firestore()
+    : testEnv.unauthenticatedContext().firestore());
+// Documents of SCHOOL, and of the shared collections (users, schools) or another school
+const ref = (db, path) => doc(db, `${DATA}/schools/${SCHOOL}/${path}`);
+const col = (db, name) => collection(db, `${DATA}/schools/${SCHOOL}/${name}`);
+const dataRef = (db, path) => doc(db, `${DATA}/${path}`);
+
+// Writes fixtures with the rules switched off, in SCHOOL unless `getRef` says otherwise
+const seed = (documents, getRef = ref) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of Object.entries(documents)) {
+        await setDoc(getRef(db, path), data);
+    }
+});
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-schoollink',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+        [`schools/${SCHOOL}`]: { name: 'North Campus' },
+        [`schools/${OTHER_SCHOOL}`]: { name: 'South Campus' },
+        [`users/${TEACHER.uid}`]: { email: TEACHER.email, displayName: 'Ms Rao', schoolIds: [SCHOOL], mustChangePassword: false },
+        [`users/${STUDENT.uid}`]: { email: STUDENT.email, displayName: 'Asha', schoolIds: [SCHOOL], mustChangePassword: true },
+        [`users/${OTHER_STUDENT.uid}`]: { email: OTHER_STUDENT.email, displayName: 'Ben', schoolIds: [SCHOOL], mustChangePassword: false },
+        [`users/${PARENT.uid}`]: { email: PARENT.email, displayName: 'Mr Iyer', schoolIds: [SCHOOL], mustChangePassword: false },
+        [`users/${ADMIN.uid}`]: { email: ADMIN.email, displayName: 'School Office', schoolIds: [SCHOOL, OTHER_SCHOOL], mustChangePassword: false },
+    }, dataRef);
+    await seed({
+        [`members/${TEACHER.uid}`]: { email: TEACHER.email, displayName: 'Ms Rao', role: 'Teacher' },
+        [`members/${STUDENT.uid}`]: { email: STUDENT.email, displayName: 'Asha', role: 'Student' },
+        [`members/${OTHER_STUDENT.uid}`]: { email: OTHER_STUDENT.email, displayName: 'Ben', role: 'Student' },
+        [`members/${PARENT.uid}`]: { email: PARENT.email, displayName: 'Mr Iyer', role: 'Parent' },
+        [`members/${ADMIN.uid}`]: { email: ADMIN.email, displayName: 'School Office', role: 'Admin' },
+        'students/asha': { name: 'Asha', class: 'X', section: 'A', rollNumber: '1', email: STUDENT.email, guardianEmails: [PARENT.email], archived: false },
+        'students/ben': { name: 'Ben', class: 'X', section: 'B', rollNumber: '2', email: OTHER_STUDENT.email, archived: false },
+        'events/sports': { title: 'Sports Day', date: '2025-03-01', category: 'Sports', status: 'active' },
+        'scores/sports': { eventId: 'sports', eventTitle: 'Sports Day', results: [], teacherId: TEACHER.uid },
+        'settings/leaderboard': { pointsTable: [10, 7, 5] },
+        'eventHistory/h1': { eventId: 'sports', action: 'created', changedBy: TEACHER.uid },
+        'notices/all': { content: 'Hello', audienceType: 'everyone', audienceKeys: ['all'], createdBy: TEACHER.uid },
+        'notices/staff': { content: 'Staff meeting', audienceType: 'teachers', audienceKeys: ['role:Teacher'], createdBy: TEACHER.uid },
+        'notices/class-xa': { content: 'X-A trip', audienceType: 'classes', audienceKeys: ['class:X-A'], recipientIds: [STUDENT.uid, PARENT.uid], createdBy: TEACHER.uid },
+        'notices/class-xb': { content: 'X-B trip', audienceType: 'classes', audienceKeys: ['class:X-B'], recipientIds: [OTHER_STUDENT.uid], createdBy: TEACHER.uid },
+        [`noticeReads/all_${OTHER_STUDENT.uid}`]: { noticeId: 'all', userId: OTHER_STUDENT.uid },
+        'attendance/2025-03-01_asha': { studentId: 'asha', class: 'X', section: 'A', date: '2025-03-01', status: 'present' },
+        'attendance/2025-03-01_ben': { studentId: 'ben', class: 'X', section: 'B', date: '2025-03-01', status: 'absent' },
+        'registrations/sports_ben': { eventId: 'sports', studentId: 'ben', userId: OTHER_STUDENT.uid, status: 'waitlisted', createdAt: '2025-01-01' },
+    });
+});
+
+describe('signed-out users', () => {
+    test('cannot read or write any collection', async () => {
+        const db = dbFor(null);
+        await assertFails(getDoc(dataRef(db, 'users/teacher-1')));
+        for (const path of ['members/teacher-1', 'events/sports', 'notices/all', 'scores/sports', 'students/asha', 'attendance/2025-03-01_asha', 'registrations/sports_ben', 'settings/leaderboard', 'eventHistory/h1']) {
+            await assertFails(getDoc(ref(db, path)));
+        }
+        await assertFails(setDoc(ref(db, 'events/new'), { title: 'Hack' }));
+        await assertFails(setDoc(ref(db, 'notices/new'), { content: 'Hack' }));
+        await assertFails(setDoc(ref(db, 'scores/sports'), { results: [] }));
+    });
+
+    test('signed-in accounts without a profile are treated the same', async () => {
+        const db = dbFor({ uid: 'stranger', email: 'stranger@school.test' });
+        await assertFails(getDoc(ref(db, 'events/sports')));
+        await assertFails(setDoc(ref(db, 'events/new'), { title: 'Hack' }));
+    });
+});
+
+describe('users and memberships', () => {
+    test('users read their own profile and membership; teachers read all memberships', async () => {
+        await assertSucceeds(getDoc(dataRef(dbFor(STUDENT), `users/${STUDENT.uid}`)));
+        await assertSucceeds(getDoc(ref(dbFor(STUDENT), `members/${STUDENT.uid}`)));
+        await assertFails(getDoc(dataRef(dbFor(STUDENT), `users/${OTHER_STUDENT.uid}`)));
+        await assertFails(getDoc(ref(dbFor(STUDENT), `members/${OTHER_STUDENT.uid}`)));
+        await assertSucceeds(getDocs(query(col(dbFor(TEACHER), 'members'), where('role', '==', 'Teacher'))));
+        await assertFails(getDoc(dataRef(dbFor(TEACHER), `users/${STUDENT.uid}`)));
+    });
+
+    test('users may clear their password flag but not change their schools or role', async () => {
+        const db = dbFor(STUDENT);
+        await assertSucceeds(updateDoc(dataRef(db, `users/${STUDENT.uid}`), { mustChangePassword: false, passwordChangedAt: '2025-01-01' }));
+        await assertFails(updateDoc(dataRef(db, `users/${STUDENT.uid}`), { schoolIds: [SCHOOL, OTHER_SCHOOL] }));
+        await assertFails(updateDoc(ref(db, `members/${STUDENT.uid}`), { role: 'Teacher' }));
+        await assertFails(setDoc(dataRef(db, 'users/new-user'), { schoolIds: [SCHOOL], mustChangePassword: true }));
+    });
+});
+
+describe('events and event history', () => {
+    test('everyone signed in reads events; only teachers write them', async () => {
+        await assertSucceeds(getDocs(query(col(dbFor(STUDENT), 'events'), orderBy('date', 'desc'))));
+        await assertFails(setDoc(ref(dbFor(STUDENT), 'events/new'), { title: 'Party' }));
+        await assertFails(updateDoc(ref(dbFor(STUDENT), 'events/sports'), { title: 'Renamed' }));
+        await assertSucceeds(setDoc(ref(dbFor(TEACHER), 'events/new'), { title: 'Science Fair', date: '2025-04-01' }));
+        await assertSucceeds(deleteDoc(ref(dbFor(TEACHER), 'events/sports')));
+    });
+
+    test('history is teacher-only and append-only', async () => {
+        await assertFails(getDoc(ref(dbFor(STUDENT), 'eventHistory/h1')));
+        await assertSucceeds(getDocs(query(col(dbFor(TEACHER), 'eventHistory'), where('eventId', '==', 'sports'))));
+        await assertSucceeds(setDoc(ref(dbFor(TEACHER), 'eventHistory/h2'), { eventId: 'sports', action: 'updated', changedBy: TEACHER.uid }));
+        await assertFails(setDoc(ref(dbFor(TEACHER), 'eventHistory/h3'), { eventId: 'sports', action: 'updated', changedBy: 'someone-else' }));
+        await assertFails(updateDoc(ref(dbFor(TEACHER), 'eventHistory/h1'), { action: 'deleted' }));
+        await assertFails(setDoc(ref(dbFor(STUDENT), 'eventHistory/h4'), { eventId: 'sports', changedBy: STUDENT.uid }));
+    });
+});
+
+describe('notices and read receipts', () => {
+    test('students read notices addressed to students but not teacher-only ones', async () => {
+        const db = dbFor(STUDENT);
+        await assertSucceeds(getDoc(ref(db, 'notices/all')));
+        await assertFails(getDoc(ref(db, 'notices/staff')));
+        // The queries the app runs for students
+        await assertSucceeds(getDocs(query(
+            col(db, 'notices'),
+            where('audienceKeys', 'array-contains-any', ['all', 'role:Student', 'class:X', 'class:X-A']),
+            where('audienceType', 'in', ['everyone', 'students']),
+        )));
+        await assertSucceeds(getDocs(query(
+            col(db, 'notices'),
+            where('audienceType', '==', 'classes'),
+            where('recipientIds', 'array-contains', STUDENT.uid),
+        )));
+        await assertFails(getDocs(col(db, 'notices')));
+    });
+
+    test('students only read class notices sent to their own class', async () => {
+        await assertSucceeds(getDoc(ref(dbFor(STUDENT), 'notices/class-xa')));
+        await assertFails(getDoc(ref(dbFor(STUDENT), 'notices/class-xb')));
+        await assertSucceeds(getDoc(ref(dbFor(OTHER_STUDENT), 'notices/class-xb')));
+        await assertFails(getDoc(ref(dbFor(OTHER_STUDENT), 'notices/class-xa')));
+        await assertFails(getDocs(query(col(dbFor(STUDENT), 'notices'), where('audienceType', '==', 'classes'))));
+    });
+
+    test('only teachers send notices, in their own name', async () => {
+        const notice = { content: 'Exam timetable', audienceType: 'everyone', audienceKeys: ['all'] };
+        await assertFails(setDoc(ref(dbFor(STUDENT), 'notices/new'), { ...notice, createdBy: STUDENT.uid }));
+        await assertFails(setDoc(ref(dbFor(TEACHER), 'notices/new'), { ...notice, createdBy: 'someone-else' }));
+        await assertSucceeds(setDoc(ref(dbFor(TEACHER), 'notices/new'), { ...notice, createdBy: TEACHER.uid }));
+        await assertSucceeds(getDocs(query(col(dbFor(TEACHER), 'notices'), orderBy('createdAt', 'desc'))));
+    });
+
+    test('users write and read only their own receipts; teachers read all', async () => {
+        const db = dbFor(STUDENT);
+        await assertSucceeds(setDoc(ref(db, `noticeReads/all_${STUDENT.uid}`), { noticeId: 'all', userId: STUDENT.uid }));
+        await assertFails(setDoc(ref(db, `noticeReads/all_${OTHER_STUDENT.uid}`), { noticeId: 'all', userId: OTHER_STUDENT.uid }));
+        await assertFails(setDoc(ref(db, 'noticeReads/anything'), { noticeId: 'all', userId: STUDENT.uid }));
+        await assertSucceeds(getDocs(query(col(db, 'noticeReads'), where('userId', '==', STUDENT.uid))));
+        await assertFails(getDoc(ref(db, `noticeReads/all_${OTHER_STUDENT.uid}`)));
+        await assertSucceeds(getDocs(col(dbFor(TEACHER), 'noticeReads')));
+    });
+});
+
+describe('notification state', () => {
+    test('users read and write only their own', async () => {
+        const db = dbFor(STUDENT);
+        const state = { lastSeen: { notices: '2025-03-01T09:00:00.000Z' }, readIds: ['notice:all'] };
+        await assertSucceeds(setDoc(ref(db, `notificationState/${STUDENT.uid}`), state, { merge: true }));
+        await assertSucceeds(getDoc(ref(db, `notificationState/${STUDENT.uid}`)));
+        await assertFails(setDoc(ref(db, `notificationState/${OTHER_STUDENT.uid}`), state));
+        await assertFails(getDoc(ref(dbFor(TEACHER), `notificationState/${STUDENT.uid}`)));
+    });
+});
+
+describe('scores and settings', () => {
+    test('everyone signed in reads them; only teachers write them', async () => {
+        await assertSucceeds(getDocs(col(dbFor(STUDENT), 'scores')));
+        await assertSucceeds(getDoc(ref(dbFor(STUDENT), 'settings/leaderboard')));
+        await assertFails(setDoc(ref(dbFor(STUDENT), 'scores/sports'), { results: [{ studentName: 'Asha', rank: 1 }] }));
+        await assertFails(setDoc(ref(dbFor(STUDENT), 'settings/leaderboard'), { pointsTable: [100] }));
+        await assertSucceeds(setDoc(ref(dbFor(TEACHER), 'scores/sports'), { eventId: 'sports', results: [] }));
+        await assertSucceeds(setDoc(ref(dbFor(TEACHER), 'settings/leaderboard'), { pointsTable: [12, 8] }, { merge: true }));
+    });
+});
+
+describe('students (roster)', () => {
+    test('students read only their own roster entry', async () => {
+        const db = dbFor(STUDENT);
+        await assertSucceeds(getDoc(ref(db, 'students/asha')));
+        await assertFails(getDoc(ref(db, 'students/ben')));
+        await assertSucceeds(getDocs(query(col(db, 'students'), where('email', '==', STUDENT.email))));
+        await assertFails(getDocs(col(db, 'students')));
+        await assertFails(updateDoc(ref(db, 'students/asha'), { class: 'XII' }));
+    });
+
+    test('teachers manage the roster', async () => {
+        const db = dbFor(TEACHER);
+        await assertSucceeds(getDocs(col(db, 'students')));
+        await assertSucceeds(setDoc(ref(db, 'students/new'), { name: 'Chen', class: 'X', section: 'A', rollNumber: '3' }));
+        await assertSucceeds(updateDoc(ref(db, 'students/ben'), { archived: true }));
+    });
+});
+
+describe('student profiles and edit requests', () => {
+    const request = { studentId: 'asha', studentName: 'Asha', details: { phone: '+91 98765 43210' }, status: 'pending', requestedBy: STUDENT.uid, createdAt: '2025-01-02' };
+
+    beforeEach(async () => {
+        await seed({
+            'studentProfiles/asha': { studentId: 'asha', phone: '12345678', medicalNotes: 'Asthma' },
+            'studentProfiles/ben': { studentId: 'ben', phone: '87654321' },
+            'profileEditRequests/ben-1': { ...request, studentId: 'ben', requestedBy: OTHER_STUDENT.uid },
+        });
+    });
+
+    test('students read only their own profile and cannot change it directly', async () => {
+        const db = dbFor(STUDENT);
+        await assertSucceeds(getDoc(ref(db, 'studentProfiles/asha')));
+        await assertFails(getDoc(ref(db, 'studentProfiles/ben')));
+        await assertFails(updateDoc(ref(db, 'studentProfiles/asha'), { phone: '00000000' }));
+    });
+
+    test('students request changes to their own profile only', async () => {
+        const db = dbFor(STUDENT);
+        await assertSucceeds(setDoc(ref(db, 'profileEditRequests/asha-1'), request));
+        await assertFails(setDoc(ref(db, 'profileEditRequests/asha-2'), { ...request, status: 'approved' }));
+        await assertFails(setDoc(ref(db, 'profileEditRequests/asha-3'), { ...request, studentId: 'ben' }));
+        await assertSucceeds(getDocs(query(col(db, 'profileEditRequests'), where('studentId', '==', 'asha'))));
+        await assertFails(getDoc(ref(db, 'profileEditRequests/ben-1')));
+        await assertFails(updateDoc(ref(db, 'profileEditRequests/asha-1'), { status: 'approved' }));
+    });
+
+    test('teachers edit profiles and review requests', async () => {
+        const db = dbFor(TEACHER);
+        await assertSucceeds(getDocs(query(col(db, 'profileEditRequests'), where('status', '==', 'pending'))));
+        await assertSucceeds(setDoc(ref(db, 'studentProfiles/ben'), { phone: '11112222' }, { merge: true }));
+        await assertSucceeds(updateDoc(ref(db, 'profileEditRequests/ben-1'), { status: 'approved', reviewedBy: TEACHER.uid }));
+        await assertFails(deleteDoc(ref(db, 'profileEditRequests/ben-1')));
+    });
+});
+
+describe('attendance', () => {
+    test('students read only their own attendance', async () => {
+        const db = dbFor(STUDENT);
+        await assertSucceeds(getDoc(ref(db, 'attendance/2025-03-01_asha')));
+        await assertFails(getDoc(ref(db, 'attendance/2025-03-01_ben')));
+        await assertSucceeds(getDocs(query(col(db, 'attendance'), where('studentId', '==', 'asha'))));
+        await assertFails(getDocs(query(col(db, 'attendance'), where('studentId', '==', 'ben'))));
+        await assertFails(setDoc(ref(db, 'attendance/2025-03-02_asha'), { studentId: 'asha', status: 'present' }));
+    });
+
+    test('teachers take the register', async () => {
+        const db = dbFor(TEACHER);
+        await assertSucceeds(getDocs(query(col(db, 'attendance'), where('class', '==', 'X'), where('section', '==', 'A'), where('date', '==', '2025-03-01'))));
+        await assertSucceeds(setDoc(ref(db, 'attendance/2025-03-02_asha'), { studentId: 'asha', date: '2025-03-02', status: 'late' }));
+    });
+});
+
+describe('registrations', () => {
+    const NOW = '2025-01-03';
+    const registration = { eventId: 'chess', studentId: 'asha', userId: STUDENT.uid, status: 'registered', createdAt: NOW, updatedAt: NOW };
+
+    // Asha holds the only place at Sports Day and Ben waits for it; Chess Club has one free place
+    beforeEach(async () => {
+        await seed({
+            'events/sports': { title: 'Sports Day', date: '2025-03-01', category: 'Sports', status: 'active', capacity: 1 },
+            'events/chess': { title: 'Chess Club', date: '2025-03-02', category: 'Clubs', status: 'active', capacity: 1 },
+            'registrations/sports_asha': { eventId: 'sports', studentId: 'asha', userId: STUDENT.uid, status: 'registered', createdAt: '2025-01-02' },
+            'eventSeats/sports': { registered: 1, waitlist: ['ben'], registrationId: 'sports_ben', updatedAt: '2025-01-01' },
+        });
+    });
+
+    // Writes a registration together with the seat counter of its event, as registerForEvent does
+    const signUp = (db, id, data, seats) => {
+        const batch = writeBatch(db);
+        batch.set(ref(db, `registrations/${id}`), data);
+        batch.set(ref(db, `eventSeats/${data.eventId}`), { ...seats, registrationId: id, updatedAt: data.updatedAt });
+        return batch.commit();
+    };
+
+    test('students register themselves only, taking a free place together with the seat counter', async () => {
+        const db = dbFor(STUDENT);
+        const taken = { registered: 1, waitlist: [] };
+        await assertFails(setDoc(ref(db, 'registrations/chess_asha'), registration));
+        await assertFails(signUp(db, 'chess_ben', { ...registration, studentId: 'ben' }, taken));
+        await assertFails(signUp(db, 'wrong-id', registration, taken));
+        await assertFails(signUp(db, 'chess_asha', { ...registration, userId: OTHER_STUDENT.uid }, taken));
+        await assertFails(signUp(db, 'chess_asha', registration, { registered: 2, waitlist: [] }));
+        await assertFails(signUp(db, 'chess_asha', { ...registration, status: 'waitlisted' }, { registered: 0, waitlist: ['asha'] }));
+        await assertSucceeds(signUp(db, 'chess_asha', registration, taken));
+    });
+
+    test('registrations beyond the capacity are denied; students join the waitlist instead', async () => {
+        await seed({ 'eventSeats/chess': { registered: 1, waitlist: [], registrationId: 'chess_ben', updatedAt: '2025-01-02' } });
+        const db = dbFor(STUDENT);
+        await assertFails(signUp(db, 'chess_asha', registration, { registered: 2, waitlist: [] }));
+        await assertSucceeds(signUp(db, 'chess_asha', { ...registration, status: 'waitlisted' }, { registered: 1, waitlist: ['asha'] }));
+    });
+
+    test('students cannot confirm their own waitlisted place', async () => {
+        const db = dbFor(OTHER_STUDENT);
+        await assertFails(updateDoc(ref(db, 'registrations/sports_ben'), { status: 'registered', updatedAt: NOW }));
+        const batch = writeBatch(db);
+        batch.update(ref(db, 'registrations/sports_ben'), { status: 'registered', updatedAt: NOW });
+        batch.set(ref(db, 'eventSeats/sports'), { registered: 2, waitlist: [], registrationId: 'sports_ben', updatedAt: NOW });
+        await assertFails(batch.commit());
+    });
+
+    test('a waitlisted student is promoted only in the batch that cancels the place they take', async () => {
+        const db = dbFor(STUDENT);
+        const promotion = { status: 'registered', promotedAt: NOW, promotedFrom: 'sports_asha', updatedAt: NOW };
+        const cancel = (seats, promote) => {
+            const batch = writeBatch(db);
+            batch.update(ref(db, 'registrations/sports_asha'), { status: 'cancelled', updatedAt: NOW });
+            if (promote) batch.update(ref(db, 'registrations/sports_ben'), promotion);
+            batch.set(ref(db, 'eventSeats/sports'), { ...seats, registrationId: 'sports_asha', updatedAt: NOW });
+            return batch.commit();
+        };
+        await assertFails(updateDoc(ref(db, 'registrations/sports_ben'), promotion));
+        await assertFails(cancel({ registered: 0, waitlist: ['ben'] }, false));
+        await assertSucceeds(cancel({ registered: 1, waitlist: [] }, true));
+        await assertFails(updateDoc(ref(db, 'registrations/sports_ben'), { status: 'cancelled' }));
+        await assertFails(deleteDoc(ref(db, 'registrations/sports_ben')));
+    });
+
+    test('waitlisted students may leave the waitlist', async () => {
+        const db = dbFor(OTHER_STUDENT);
+        const batch = writeBatch(db);
+        batch.update(ref(db, 'registrations/sports_ben'), { status: 'cancelled', updatedAt: NOW });
+        batch.set(ref(db, 'eventSeats/sports'), { registered: 1, waitlist: [], registrationId: 'sports_ben', updatedAt: NOW });
+        await assertSucceeds(batch.commit());
+    });
+
+    test('the seat counter cannot be written on its own', async () => {
+        const seats = { registered: 0, waitlist: [], registrationId: 'sports_asha', updatedAt: NOW };
+        await assertSucceeds(getDoc(ref(dbFor(STUDENT), 'eventSeats/sports')));
+        await assertFails(setDoc(ref(dbFor(STUDENT), 'eventSeats/sports'), seats));
+        await assertSucceeds(setDoc(ref(dbFor(TEACHER), 'eventSeats/sports'), seats));
+    });
+
+    test('are read by teachers, the student they belong to and their parents only', async () => {
+        const student = dbFor(STUDENT);
+        await assertSucceeds(getDoc(ref(student, 'registrations/sports_asha')));
+        await assertSucceeds(getDocs(query(col(student, 'registrations'), where('studentId', '==', 'asha'))));
+        await assertFails(getDoc(ref(student, 'registrations/sports_ben')));
+        await assertFails(getDocs(query(col(student, 'registrations'), where('eventId', '==', 'sports'))));
+        await assertSucceeds(getDoc(ref(dbFor(PARENT), 'registrations/sports_asha')));
+        await assertFails(getDoc(ref(dbFor(PARENT), 'registrations/sports_ben')));
+        await assertSucceeds(getDocs(col(dbFor(TEACHER), 'registrations')));
+    });
+});
+
+describe('parents', () => {
+    test('read only the roster entries of their own children', async () => {
+        const db = dbFor(PARENT);
+        await assertSucceeds(getDoc(ref(db, 'students/asha')));
+        await assertFails(getDoc(ref(db, 'students/ben')));
+        await assertSucceeds(getDocs(query(col(db, 'students'), where('guardianEmails', 'array-contains', PARENT.email))));
+        await assertFails(getDocs(col(db, 'students')));
+        await assertFails(setDoc(ref(db, 'students/asha'), { name: 'Asha', guardianEmails: [] }, { merge: true }));
+    });
+
+    test('read notices for everyone, parents and classes only', async () => {
+        await seed({
+            'notices/parents': { content: 'Parents evening', audienceType: 'parents', audienceKeys: ['role:Parent'], createdBy: TEACHER.uid },
+            'notices/students': { content: 'Assembly', audienceType: 'students', audienceKeys: ['role:Student'], createdBy: TEACHER.uid },
+        });
+        const db = dbFor(PARENT);
+        await assertSucceeds(getDoc(ref(db, 'notices/all')));
+        await assertSucceeds(getDoc(ref(db, 'notices/parents')));
+        await assertFails(getDoc(ref(db, 'notices/students')));
+        await assertFails(getDoc(ref(db, 'notices/staff')));
+        // Class notices only for their children's classes
+        await assertSucceeds(getDoc(ref(db, 'notices/class-xa')));
+        await assertFails(getDoc(ref(db, 'notices/class-xb')));
+        await assertFails(setDoc(ref(db, 'notices/new'), { content: 'Hi', audienceType: 'everyone', createdBy: PARENT.uid }));
+        // Students cannot read notices addressed to parents
+        await assertFails(getDoc(ref(dbFor(STUDENT), 'notices/parents')));
+    });
+
+    test('answer consent requests for their own children only', async () => {
+        await seed({ 'registrations/sports_asha': { eventId: 'sports', studentId: 'asha', userId: STUDENT.uid, status: 'registered', createdAt: '2025-01-02' } });
+        const db = dbFor(PARENT);
+        const consent = { consent: 'given', consentBy: PARENT.uid, consentByName: 'Mr Iyer', consentAt: '2025-01-03', updatedAt: '2025-01-03' };
+        await assertSucceeds(updateDoc(ref(db, 'registrations/sports_asha'), consent));
+        await assertSucceeds(updateDoc(ref(db, 'registrations/sports_asha'), { ...consent, consent: 'declined' }));
+        await assertFails(updateDoc(ref(db, 'registrations/sports_asha'), { ...consent, consent: 'maybe' }));
+        await assertFails(updateDoc(ref(db, 'registrations/sports_asha'), { ...consent, consentBy: TEACHER.uid }));
+        await assertFails(updateDoc(ref(db, 'registrations/sports_asha'), { ...consent, status: 'cancelled' }));
+        await assertFails(updateDoc(ref(db, 'registrations/sports_ben'), consent));
+        await assertFails(setDoc(ref(db, 'registrations/sports_asha'), { eventId: 'sports', studentId: 'asha', userId: PARENT.uid, status: 'registered' }));
+    });
+
+    test('cannot read student profiles, attendance or edit requests', async () => {
+        const db = dbFor(PARENT);
+        await assertFails(getDoc(ref(db, 'attendance/2025-03-01_asha')));
+        await assertFails(getDoc(ref(db, 'studentProfiles/asha')));
+    });
+});
+
+describe('administrators', () => {
+    const newProfile = { email: 'new@school.test', displayName: 'New Teacher', schoolIds: [SCHOOL], mustChangePassword: true };
+    const newMember = { email: 'new@school.test', displayName: 'New Teacher', role: 'Teacher', disabled: false };
+
+    test('create profiles that must change their password, with a membership of their school; nobody else can', async () => {
+        const db = dbFor(ADMIN);
+        await assertSucceeds(setDoc(dataRef(db, 'users/new-user'), newProfile));
+        await assertSucceeds(setDoc(ref(db, 'members/new-user'), newMember));
+        await assertFails(setDoc(dataRef(db, 'users/other-user'), { ...newProfile, mustChangePassword: false }));
+        await assertFails(setDoc(ref(db, 'members/other-user'), { ...newMember, role: 'Principal' }));
+        await assertFails(setDoc(dataRef(dbFor(TEACHER), 'users/other-user'), newProfile));
+        await assertFails(setDoc(ref(dbFor(TEACHER), 'members/other-user'), newMember));
+    });
+
+    test('deactivate and reactivate other members, but not change roles or themselves', async () => {
+        const db = dbFor(ADMIN);
+        await assertSucceeds(getDocs(col(db, 'members')));
+        await assertSucceeds(updateDoc(ref(db, `members/${STUDENT.uid}`), { disabled: true, disabledAt: '2025-01-01', disabledBy: ADMIN.uid }));
+        await assertSucceeds(updateDoc(ref(db, `members/${STUDENT.uid}`), { disabled: false, disabledAt: null, disabledBy: null }));
+        await assertFails(updateDoc(ref(db, `members/${STUDENT.uid}`), { role: 'Teacher' }));
+        await assertFails(updateDoc(ref(db, `members/${ADMIN.uid}`), { disabled: true }));
+        await assertFails(deleteDoc(ref(db, `members/${STUDENT.uid}`)));
+    });
+
+    test('deactivated members lose access', async () => {
+        await seed({ [`members/${STUDENT.uid}`]: { email: STUDENT.email, role: 'Student', disabled: true } });
+        await assertFails(getDoc(ref(dbFor(STUDENT), 'events/sports')));
+        await assertFails(getDoc(ref(dbFor(STUDENT), `members/${STUDENT.uid}`)));
+    });
+
+    test('only administrators change the school settings, which anyone may read', async () => {
+        await assertSucceeds(getDoc(ref(dbFor(null), 'settings/school')));
+        await assertSucceeds(setDoc(ref(dbFor(ADMIN), 'settings/school'), { schoolName: 'Hillside School', categories: ['Sports'] }, { merge: true }));
+        await assertFails(setDoc(ref(dbFor(TEACHER), 'settings/school'), { schoolName: 'Hack' }, { merge: true }));
+        await assertFails(getDoc(ref(dbFor(null), 'settings/leaderboard')));
+        await assertFails(setDoc(ref(dbFor(ADMIN), 'settings/leaderboard'), { pointsTable: [1] }));
+    });
+});
+
+describe('schools', () => {
+    const otherRef = (db, path) => dataRef(db, `schools/${OTHER_SCHOOL}/${path}`);
+
+    beforeEach(async () => {
+        // The administrator is a teacher at the other school
+        await seed({
+            [`members/${ADMIN.uid}`]: { email: ADMIN.email, displayName: 'School Office', role: 'Teacher' },
+            'events/gala': { title: 'Swimming Gala', date: '2025-05-01', category: 'Sports' },
+            'notices/all': { content: 'Welcome', audienceType: 'everyone', audienceKeys: ['all'], createdBy: ADMIN.uid },
+            'settings/school': { schoolName: 'South Campus' },
+        }, otherRef);
+    });
+
+    test('members read their own schools, which only the operator creates', async () => {
+        await assertSucceeds(getDoc(dataRef(dbFor(TEACHER), `schools/${SCHOOL}`)));
+        await assertFails(getDoc(dataRef(dbFor(TEACHER), `schools/${OTHER_SCHOOL}`)));
+        await assertSucceeds(getDoc(dataRef(dbFor(ADMIN), `schools/${OTHER_SCHOOL}`)));
+        await assertFails(setDoc(dataRef(dbFor(ADMIN), 'schools/west'), { name: 'West Campus' }));
+        await assertFails(updateDoc(dataRef(dbFor(ADMIN), `schools/${SCHOOL}`), { name: 'Renamed' }));
+    });
+
+    test("members cannot read or write another school's data", async () => {
+        for (const user of [TEACHER, STUDENT, PARENT]) {
+            const db = dbFor(user);
+            await assertFails(getDoc(otherRef(db, 'events/gala')));
+            await assertFails(getDoc(otherRef(db, 'notices/all')));
+            await assertFails(getDoc(otherRef(db, `members/${ADMIN.uid}`)));
+        }
+        await assertFails(setDoc(otherRef(dbFor(TEACHER), 'events/new'), { title: 'Hack' }));
+        await assertFails(setDoc(otherRef(dbFor(TEACHER), `members/${TEACHER.uid}`), { email: TEACHER.email, role: 'Teacher', disabled: false }));
+        // Branding stays public
+        await assertSucceeds(getDoc(otherRef(dbFor(null), 'settings/school')));
+    });
+
+    test('roles apply per school', async () => {
+        const db = dbFor(ADMIN);
+        await assertSucceeds(setDoc(otherRef(db, 'events/new'), { title: 'Quiz Night', date: '2025-06-01' }));
+        await assertFails(setDoc(otherRef(db, 'settings/school'), { schoolName: 'Hack' }, { merge: true }));
+        await assertFails(setDoc(otherRef(db, 'members/new-user'), { email: 'new@school.test', role: 'Teacher', disabled: false }));
+        await assertFails(setDoc(dataRef(db, 'users/new-user'), { email: 'new@school.test', schoolIds: [OTHER_SCHOOL], mustChangePassword: true }));
+        await assertFails(setDoc(dataRef(db, 'users/new-user'), { email: 'new@school.test', schoolIds: [SCHOOL, OTHER_SCHOOL], mustChangePassword: true }));
+    });
+});
+
+describe('unknown collections', () => {
+    test('are denied, including the local backend accounts', async () => {
+        await assertFails(getDoc(dataRef(dbFor(TEACHER), `localAccounts/${TEACHER.uid}`)));
+        await assertFails(setDoc(ref(dbFor(TEACHER), 'anything/doc'), { a: 1 }));
+        await assertFails(setDoc(dataRef(dbFor(TEACHER), 'anything/doc'), { a: 1 }));
+    });
+});
@@ -0,0 +1,91 @@
+// Unit tests for the iCalendar export and import. Run with `npm test`.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildICS, parseICS } from './App.jsx';
+
+const CATEGORIES = ['Sports', 'Academic', 'Other'];
+
+const sportsDay = {
+    id: 'sports',
+    title: 'Sports Day; heats, finals',
+    date: '2025-11-20',
+    endDate: '2025-11-22',
+    allDay: true,
+    venue: 'Main field',
+    description: 'Bring water.\nSpectators welcome.',
+    category: 'Sports',
+    status: 'active',
+};
+
+const examWeek = {
+    id: 'exams',
+    title: 'امتحانات نصف الفصل الدراسي للصف العاشر في القاعة الكبرى بالمبنى الرئيسي',
+    date: '2025-12-01',
+    endDate: '2025-12-03',
+    allDay: false,
+    startTime: '09:00',
+    endTime: '11:30',
+    venue: '',
+    description: '',
+    category: 'Academic',
+    status: 'active',
+};
+
+describe('buildICS and parseICS', () => {
+    test('an exported calendar imports back to the same events', () => {
+        const [sports, exams] = parseICS(buildICS([sportsDay, examWeek]), CATEGORIES);
+        assert.deepEqual(sports, {
+            uid: 'sports@schoollink-app',
+            title: 'Sports Day; heats, finals',
+            date: '2025-11-20',
+            endDate: '2025-11-22',
+            allDay: true,
+            startTime: '',
+            endTime: '',
+            venue: 'Main field',
+            description: 'Bring water.\nSpectators welcome.',
+            category: 'Sports',
+            cancelled: false,
+        });
+        // Timed events over several days are written as a daily session with a COUNT
+        assert.equal(exams.title, examWeek.title);
+        assert.equal(exams.date, '2025-12-01');
+        assert.equal(exams.endDate, '2025-12-03');
+        assert.equal(exams.allDay, false);
+        assert.equal(exams.startTime, '09:00');
+        assert.equal(exams.endTime, '11:30');
+        assert.equal(exams.category, 'Academic');
+    });
+
+    test('long lines are folded at 75 octets without splitting characters', () => {
+        const ics = buildICS([examWeek]);
+        const lines = ics.split('\r\n').filter(Boolean);
+        lines.forEach(line => assert.ok(new TextEncoder().encode(line).length <= 75, line));
+        assert.ok(lines.some(line => line.startsWith(' ')), 'expected a continuation line');
+    });
+
+    test('cancelled events keep their status and reason', () => {
+        const [cancelled] = parseICS(buildICS([{ ...sportsDay, status: 'cancelled', cancelReason: 'Rain' }]), CATEGORIES);
+        assert.equal(cancelled.cancelled, true);
+        assert.equal(cancelled.description, 'CANCELLED: Rain\n\nBring water.\nSpectators welcome.');
+    });
+
+    test('unknown categories fall back to Other, and timed events without an end get an hour', () => {
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'UID:abc@example.com',
+            'DTSTART:20250310T140000',
+            'SUMMARY:Parents\\, teachers',
+            'CATEGORIES:Music',
+            'END:VEVENT',
+            'END:VCALENDAR',
+        ].join('\r\n');
+        const [event] = parseICS(ics, CATEGORIES);
+        assert.equal(event.title, 'Parents, teachers');
+        assert.equal(event.date, '2025-03-10');
+        assert.equal(event.startTime, '14:00');
+        assert.equal(event.endTime, '15:00');
+        assert.equal(event.category, 'Other');
+    });
+});
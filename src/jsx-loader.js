@@ -0,0 +1,16 @@
+// Lets the unit tests import App.jsx under plain Node: `node --import ./jsx-loader.js --test ...`.
+// .jsx files are compiled with esbuild as they load; everything else loads as usual.
+import { register } from 'node:module';
+import { readFile } from 'node:fs/promises';
+import { isMainThread } from 'node:worker_threads';
+import { transform } from 'esbuild';
+
+// The hooks below run on Node's loader thread, which loads this file again
+if (isMainThread) register(import.meta.url);
+
+export const load = async (url, context, nextLoad) => {
+    if (!url.endsWith('.jsx')) return nextLoad(url, context);
+    const source = await readFile(new URL(url), 'utf8');
+    const { code } = await transform(source, { loader: 'jsx', jsx: 'automatic', format: 'esm', sourcefile: url });
+    return { format: 'module', source: code, shortCircuit: true };
+};
@@ -0,0 +1,66 @@
+// Unit tests for expanding recurring events into occurrences. Run with `npm test`.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandRecurringEvents } from './App.jsx';
+
+const club = {
+    id: 'chess',
+    title: 'Chess Club',
+    date: '2025-11-04', // A Tuesday
+    category: 'Club',
+    recurrence: { freq: 'weekly', interval: 1, weekdays: [2, 4], endType: 'count', count: 5 },
+};
+
+describe('expandRecurringEvents', () => {
+    test('weekly series repeat on each chosen weekday up to the count', () => {
+        const occurrences = expandRecurringEvents([club]);
+        assert.deepEqual(occurrences.map(o => o.date), ['2025-11-04', '2025-11-06', '2025-11-11', '2025-11-13', '2025-11-18']);
+        assert.deepEqual(occurrences.map(o => o.id), occurrences.map(o => `chess__${o.date}`));
+        occurrences.forEach(o => {
+            assert.equal(o.seriesId, 'chess');
+            assert.equal(o.seriesStart, '2025-11-04');
+            assert.equal(o.title, 'Chess Club');
+            assert.equal('exceptions' in o, false);
+        });
+    });
+
+    test('exceptions cancel, change, move or delete single occurrences', () => {
+        const occurrences = expandRecurringEvents([{
+            ...club,
+            exceptions: {
+                '2025-11-06': { status: 'cancelled', cancelReason: 'Trip' },
+                '2025-11-11': { deleted: true },
+                '2025-11-13': { date: '2025-11-14', title: 'Chess Club (Friday)' },
+            },
+        }]);
+        assert.deepEqual(occurrences.map(o => o.occurrenceDate), ['2025-11-04', '2025-11-06', '2025-11-13', '2025-11-18']);
+        const byDate = Object.fromEntries(occurrences.map(o => [o.occurrenceDate, o]));
+        assert.equal(byDate['2025-11-06'].status, 'cancelled');
+        assert.equal(byDate['2025-11-06'].cancelReason, 'Trip');
+        // A moved occurrence keeps the ID of the date it was scheduled on
+        assert.equal(byDate['2025-11-13'].id, 'chess__2025-11-13');
+        assert.equal(byDate['2025-11-13'].date, '2025-11-14');
+        assert.equal(byDate['2025-11-13'].endDate, '2025-11-14');
+        assert.equal(byDate['2025-11-13'].title, 'Chess Club (Friday)');
+        assert.equal(byDate['2025-11-18'].title, 'Chess Club');
+    });
+
+    test('monthly series by weekday use the same week of each month, ending on the until date', () => {
+        const meeting = {
+            id: 'pta',
+            title: 'PTA Meeting',
+            date: '2025-01-31', // The last Friday of January
+            recurrence: { freq: 'monthly', interval: 1, monthlyBy: 'weekday', endType: 'until', until: '2025-05-01' },
+        };
+        assert.deepEqual(expandRecurringEvents([meeting]).map(o => o.date), ['2025-01-31', '2025-02-28', '2025-03-28', '2025-04-25']);
+    });
+
+    test('multi-day series keep their length and one-off events are unchanged', () => {
+        const camp = { id: 'camp', title: 'Camp', date: '2025-06-02', endDate: '2025-06-04', recurrence: { freq: 'weekly', interval: 2, endType: 'count', count: 2 } };
+        const fair = { id: 'fair', title: 'Book Fair', date: '2025-06-10' };
+        const [first, second, oneOff] = expandRecurringEvents([camp, fair]);
+        assert.deepEqual([first.date, first.endDate], ['2025-06-02', '2025-06-04']);
+        assert.deepEqual([second.date, second.endDate], ['2025-06-16', '2025-06-18']);
+        assert.equal(oneOff, fair);
+    });
+});
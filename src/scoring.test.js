@@ -0,0 +1,48 @@
+// Unit tests for result ranking. Run with `npm test`.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRanks } from './App.jsx';
+
+const ranksOf = (results, scheme) => computeRanks(results, scheme).map(r => r.rank);
+
+describe('computeRanks', () => {
+    test('ties share a rank and the next finisher skips the places they took', () => {
+        const results = [
+            { studentId: 'a', status: 'OK', value: 12 },
+            { studentId: 'b', status: 'OK', value: 15 },
+            { studentId: 'c', status: 'OK', value: 15 },
+            { studentId: 'd', status: 'OK', value: 9 },
+        ];
+        assert.deepEqual(ranksOf(results, 'points'), [3, 1, 1, 4]);
+    });
+
+    test('lower is better for times and placings', () => {
+        const results = [
+            { studentId: 'a', status: 'OK', value: 61.2 },
+            { studentId: 'b', status: 'OK', value: 59.8 },
+            { studentId: 'c', status: 'OK', value: 61.2 },
+        ];
+        assert.deepEqual(ranksOf(results, 'time'), [2, 1, 2]);
+        assert.deepEqual(ranksOf([{ status: 'OK', value: 2 }, { status: 'OK', value: 1 }], 'placing'), [2, 1]);
+    });
+
+    test('DNF, DNS and blank scores are not ranked and do not push finishers down', () => {
+        const results = [
+            { studentId: 'a', status: 'DNF', value: null },
+            { studentId: 'b', status: 'OK', value: 7 },
+            { studentId: 'c', status: 'DNS', value: null },
+            { studentId: 'd', status: 'OK', value: null },
+            { studentId: 'e', status: 'OK', value: 10 },
+        ];
+        assert.deepEqual(ranksOf(results, 'points'), [null, 2, null, null, 1]);
+    });
+
+    test('pass/fail results are never ranked', () => {
+        assert.deepEqual(ranksOf([{ status: 'OK', value: 1 }, { status: 'OK', value: 0 }], 'passfail'), [null, null]);
+    });
+
+    test('results are returned in their original order with their other fields', () => {
+        const [first] = computeRanks([{ studentId: 'a', studentName: 'Asha', status: 'OK', value: 3 }], 'points');
+        assert.deepEqual(first, { studentId: 'a', studentName: 'Asha', status: 'OK', value: 3, rank: 1 });
+    });
+});
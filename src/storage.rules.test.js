@@ -0,0 +1,156 @@
+// Storage rules tests for notice attachments. Run against the emulators with `npm run test:rules`.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+
+const APP_ID = 'schoollink-app';
+const SCHOOL = 'north';
+const DATA = `artifacts/${APP_ID}/public/data/schools/${SCHOOL}`;
+const NOTICES = `artifacts/${APP_ID}/schools/${SCHOOL}/notices`;
+
+const TEACHER = { uid: 'teacher-1', email: 'teacher@school.test' };
+const STUDENT = { uid: 'student-1', email: 'asha@school.test' };
+const OTHER_STUDENT = { uid: 'student-2', email: 'ben@school.test' };
+const PARENT = { uid: 'parent-1', email: 'asha.parent@school.test' };
+const ADMIN = { uid: 'admin-1', email: 'office@school.test' };
+
+const BRANDING = `artifacts/${APP_ID}/schools/${SCHOOL}/branding`;
+const OTHER_SCHOOL_NOTICES = `artifacts/${APP_ID}/schools/south/notices`;
+
+const PDF = { contentType: 'application/pdf' };
+const PNG = { contentType: 'image/png' };
+const smallFile = () => new Uint8Array(1024);
+
+let testEnv;
+
+// Storage handle for a signed-in user, or an unauthenticated one when no user is given
+const storageFor = (user) => (user
+    ? testEnv.authenticatedContext(user.uid, { email: user.email }).storage()
+    : testEnv.unauthenticatedContext().storage());
+const fileRef = (storage, path) => ref(storage, `${NOTICES}/${path}`);
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-schoollink',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        storage: { rules: readFileSync('storage.rules', 'utf8') },
+    });
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+// Memberships and notices live in Firestore; the files themselves are written with the rules switched off
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, `${DATA}/members/${TEACHER.uid}`), { email: TEACHER.email, role: 'Teacher' });
+        await setDoc(doc(db, `${DATA}/members/${STUDENT.uid}`), { email: STUDENT.email, role: 'Student' });
+        await setDoc(doc(db, `${DATA}/members/${PARENT.uid}`), { email: PARENT.email, role: 'Parent' });
+        await setDoc(doc(db, `${DATA}/members/${ADMIN.uid}`), { email: ADMIN.email, role: 'Admin' });
+        await setDoc(doc(db, `${DATA}/notices/all`), { content: 'Trip', audienceType: 'everyone', audienceKeys: ['all'], createdBy: TEACHER.uid });
+        await setDoc(doc(db, `${DATA}/notices/staff`), { content: 'Rota', audienceType: 'teachers', audienceKeys: ['role:Teacher'], createdBy: TEACHER.uid });
+        await setDoc(doc(db, `${DATA}/notices/parents`), { content: 'Forms', audienceType: 'parents', audienceKeys: ['role:Parent'], createdBy: TEACHER.uid });
+        await setDoc(doc(db, `${DATA}/notices/class-xa`), { content: 'X-A trip', audienceType: 'classes', audienceKeys: ['class:X-A'], recipientIds: [STUDENT.uid, PARENT.uid], createdBy: TEACHER.uid });
+        await setDoc(doc(db, `${DATA}/notices/class-xb`), { content: 'X-B trip', audienceType: 'classes', audienceKeys: ['class:X-B'], recipientIds: [OTHER_STUDENT.uid], createdBy: TEACHER.uid });
+        const storage = context.storage();
+        await uploadBytes(fileRef(storage, 'all/0-slip.pdf'), smallFile(), PDF);
+        await uploadBytes(fileRef(storage, 'staff/0-rota.pdf'), smallFile(), PDF);
+        await uploadBytes(fileRef(storage, 'parents/0-form.pdf'), smallFile(), PDF);
+        await uploadBytes(fileRef(storage, 'class-xa/0-trip.pdf'), smallFile(), PDF);
+        await uploadBytes(fileRef(storage, 'class-xb/0-trip.pdf'), smallFile(), PDF);
+        await uploadBytes(ref(storage, `${BRANDING}/0-logo.png`), smallFile(), PNG);
+        await uploadBytes(ref(storage, `${OTHER_SCHOOL_NOTICES}/all/0-slip.pdf`), smallFile(), PDF);
+    });
+});
+
+describe('notice attachments', () => {
+    test('signed-out users cannot read or upload', async () => {
+        const storage = storageFor(null);
+        await assertFails(getBytes(fileRef(storage, 'all/0-slip.pdf')));
+        await assertFails(uploadBytes(fileRef(storage, 'all/1-new.pdf'), smallFile(), PDF));
+    });
+
+    test('teachers upload PDFs and images within the size limit', async () => {
+        const storage = storageFor(TEACHER);
+        await assertSucceeds(uploadBytes(fileRef(storage, 'new/0-slip.pdf'), smallFile(), PDF));
+        await assertSucceeds(uploadBytes(fileRef(storage, 'new/1-photo.jpg'), smallFile(), { contentType: 'image/jpeg' }));
+        await assertFails(uploadBytes(fileRef(storage, 'new/2-page.html'), smallFile(), { contentType: 'text/html' }));
+        await assertFails(uploadBytes(fileRef(storage, 'new/3-huge.pdf'), new Uint8Array(10 * 1024 * 1024 + 1), PDF));
+    });
+
+    test('teachers read and delete any attachment', async () => {
+        const storage = storageFor(TEACHER);
+        await assertSucceeds(getBytes(fileRef(storage, 'staff/0-rota.pdf')));
+        await assertSucceeds(deleteObject(fileRef(storage, 'all/0-slip.pdf')));
+    });
+
+    test('students only read attachments on notices addressed to students', async () => {
+        const storage = storageFor(STUDENT);
+        await assertSucceeds(getBytes(fileRef(storage, 'all/0-slip.pdf')));
+        await assertFails(getBytes(fileRef(storage, 'staff/0-rota.pdf')));
+        await assertFails(getBytes(fileRef(storage, 'parents/0-form.pdf')));
+    });
+
+    test('students and parents only read attachments on class notices sent to their class', async () => {
+        await assertSucceeds(getBytes(fileRef(storageFor(STUDENT), 'class-xa/0-trip.pdf')));
+        await assertFails(getBytes(fileRef(storageFor(STUDENT), 'class-xb/0-trip.pdf')));
+        await assertSucceeds(getBytes(fileRef(storageFor(PARENT), 'class-xa/0-trip.pdf')));
+        await assertFails(getBytes(fileRef(storageFor(PARENT), 'class-xb/0-trip.pdf')));
+    });
+
+    test('parents only read attachments on notices addressed to parents', async () => {
+        const storage = storageFor(PARENT);
+        await assertSucceeds(getBytes(fileRef(storage, 'all/0-slip.pdf')));
+        await assertSucceeds(getBytes(fileRef(storage, 'parents/0-form.pdf')));
+        await assertFails(getBytes(fileRef(storage, 'staff/0-rota.pdf')));
+        await assertFails(uploadBytes(fileRef(storage, 'parents/1-mine.pdf'), smallFile(), PDF));
+    });
+
+    test("teachers cannot read or upload another school's attachments", async () => {
+        const storage = storageFor(TEACHER);
+        await assertFails(getBytes(ref(storage, `${OTHER_SCHOOL_NOTICES}/all/0-slip.pdf`)));
+        await assertFails(uploadBytes(ref(storage, `${OTHER_SCHOOL_NOTICES}/new/0-slip.pdf`), smallFile(), PDF));
+    });
+
+    test('deactivated teachers lose access', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(doc(context.firestore(), `${DATA}/members/${TEACHER.uid}`), { email: TEACHER.email, role: 'Teacher', disabled: true });
+        });
+        await assertFails(getBytes(fileRef(storageFor(TEACHER), 'staff/0-rota.pdf')));
+    });
+
+    test('students cannot upload, replace or delete attachments', async () => {
+        const storage = storageFor(STUDENT);
+        await assertFails(uploadBytes(fileRef(storage, 'all/1-mine.pdf'), smallFile(), PDF));
+        await assertFails(uploadBytes(fileRef(storage, 'all/0-slip.pdf'), smallFile(), PDF));
+        await assertFails(deleteObject(fileRef(storage, 'all/0-slip.pdf')));
+    });
+});
+
+describe('school logo', () => {
+    const logoRef = (storage, name) => ref(storage, `${BRANDING}/${name}`);
+
+    test('anyone may read it, even before signing in', async () => {
+        await assertSucceeds(getBytes(logoRef(storageFor(null), '0-logo.png')));
+    });
+
+    test('only administrators upload images within the size limit, and remove them', async () => {
+        const storage = storageFor(ADMIN);
+        await assertSucceeds(uploadBytes(logoRef(storage, '1-logo.png'), smallFile(), PNG));
+        await assertFails(uploadBytes(logoRef(storage, '2-logo.pdf'), smallFile(), PDF));
+        await assertFails(uploadBytes(logoRef(storage, '3-huge.png'), new Uint8Array(2 * 1024 * 1024 + 1), PNG));
+        await assertSucceeds(deleteObject(logoRef(storage, '0-logo.png')));
+        await assertFails(uploadBytes(logoRef(storageFor(TEACHER), '4-logo.png'), smallFile(), PNG));
+        await assertFails(deleteObject(logoRef(storageFor(TEACHER), '1-logo.png')));
+    });
+
+    test("administrators cannot replace another school's logo", async () => {
+        await assertFails(uploadBytes(ref(storageFor(ADMIN), `artifacts/${APP_ID}/schools/south/branding/1-logo.png`), smallFile(), PNG));
+    });
+});